@@ -1,12 +1,28 @@
-const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Menu, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 
 // Import launcher core modules
 const { checkInstallation, downloadMinecraft, getInstallationStatus } = require('./src/core/launcher-core');
-const { launchMinecraft } = require('./src/launch/game-launcher');
+const { launchMinecraft, exportLaunchCommand } = require('./src/launch/game-launcher');
+const { normalizeLaunchTarget, getLastPlayedWorld } = require('./src/launch/launch-target');
+const { getLogsDirectory } = require('./src/launch/game-log');
+const { analyzeCrash } = require('./src/launch/crash-analyzer');
+const { discoverJava, getSelectedJavaInfo } = require('./src/launch/java-discovery');
+const { getMemoryAdvice } = require('./src/launch/memory-advisor');
+const { listPresets, resolveJvmFlags, formatFlagIssue } = require('./src/launch/jvm-flags');
+const { GameProcessManager, GameState, ExitReason } = require('./src/launch/process-manager');
+const { runHook, createHookVariables, describeHookFailure, HookStage } = require('./src/launch/launch-hooks');
 const { loadConfig, saveConfig } = require('./src/core/config-manager');
+const { getVersionSelection, resolveGameVersion } = require('./src/core/version-selection');
+const { listMinecraftVersions } = require('./src/file-manager/version-manifest');
+const { listLoaderVersions } = require('./src/file-manager/loader-installer');
+const { listAccounts, getAccount, addOfflineAccount, addMicrosoftAccount, addYggdrasilAccount, removeAccount, selectAccount, markAccountUsed, migrateAccountSessions, updateOfflineAccount, setAccountSkin, clearAccountSkin, getAccountSkin } = require('./src/launch/account-store');
+const { signInWithDeviceCode } = require('./src/launch/microsoft-auth');
+const { readLauncherAccounts, generateOfflineUUID } = require('./src/launch/offline-auth');
+const { getVaultStatus, unlockVault } = require('./src/core/credential-vault');
+const { signInToAuthServer } = require('./src/launch/yggdrasil-auth');
 const { initAutoUpdater, checkForUpdates, quitAndInstall, isUpdateDownloaded, getUpdateStatus, cleanup } = require('./src/core/auto-updater');
 
 let mainWindow;
@@ -42,7 +58,43 @@ function createWindow() {
   });
 }
 
-let gameRunning = false;
+const gameProcesses = new GameProcessManager();
+let currentPlayerName = null;
+
+// Forward game process changes to the renderer, analyze crashes and run the post-exit hook
+gameProcesses.on('change', (session) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('game-state', session);
+  }
+
+  if (session.state === GameState.EXITED && session.exitReason === ExitReason.CRASHED) {
+    handleGameCrash(session, gameProcesses.getLog(session.gameDir));
+  }
+
+  if (session.state === GameState.EXITED && session.exitReason !== ExitReason.FAILED_TO_START) {
+    runPostExitHook(session);
+  }
+});
+
+// Run the post-exit hook (e.g. sync screenshots) once the game has stopped
+async function runPostExitHook(session) {
+  try {
+    const config = await loadConfig();
+    const variables = createHookVariables({
+      gameDir: session.gameDir,
+      version: session.version,
+      username: currentPlayerName,
+      exitCode: session.exitCode
+    });
+
+    const result = await runHook(HookStage.POST_EXIT, config, variables, line => console.log(`[Hook] ${line}`));
+    if (result && !result.success) {
+      console.warn(describeHookFailure(result));
+    }
+  } catch (error) {
+    console.error('Post-exit hook failed:', error);
+  }
+}
 
 app.whenReady().then(() => {
   // Remove menu bar for premium look
@@ -134,39 +186,247 @@ ipcMain.handle('download-minecraft', async (event) => {
 });
 
 // Launch Minecraft
-ipcMain.handle('launch-game', async (event, username, settings) => {
-  if (gameRunning) {
-    return { success: false, error: 'Game is already running' };
-  }
+// launchTarget ({ type, value }) opens a world or joins a server straight away, the configured server when omitted
+ipcMain.handle('launch-game', async (event, accountId, settings = {}, launchTarget) => {
+  let config;
+  let gameDir;
+  let account;
 
+  // Only one game per game directory
   try {
-    gameRunning = true;
-    mainWindow.webContents.send('game-state', { running: true });
+    account = await getAccount(accountId);
+    if (!account) {
+      throw new Error('Account not found. Add or select an account in Settings > Account.');
+    }
+
+    if (launchTarget !== undefined) {
+      settings = { ...settings, launch_target: normalizeLaunchTarget(launchTarget) };
+    }
 
-    const result = await launchMinecraft(username, settings, (modpackProgress) => {
+    config = await loadConfig();
+    gameDir = path.resolve(config.game_directory);
+
+    // The version id that is launched, e.g. fabric-loader-0.18.3-1.20.1, for the session and the post-exit hook
+    const { id: version } = await resolveGameVersion({ ...config, ...settings });
+    gameProcesses.beginLaunch(gameDir, version);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  try {
+    const result = await launchMinecraft(account, settings, (modpackProgress) => {
       // Send modpack progress updates to renderer
       mainWindow.webContents.send('download-progress', modpackProgress);
+    }, (records) => {
+      // Stream game log records to the console view
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('game-log', records);
+      }
+    });
+
+    currentPlayerName = account.username;
+    markAccountUsed(account.id).catch(error => console.warn('Could not update account:', error.message));
+    gameProcesses.attach(gameDir, result.process, config, result.log);
+
+    return { success: true, pid: result.process.pid };
+  } catch (error) {
+    gameProcesses.launchFailed(gameDir, error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Analyze a non-zero game exit and show the crash dialog
+// Uses the game directory and log of the session, the setting may have changed since the launch
+async function handleGameCrash(session, gameLog) {
+  try {
+    const analysis = await analyzeCrash({
+      gameDir: session.gameDir,
+      exitCode: session.exitCode,
+      signal: session.signal,
+      startTime: session.startTime,
+      logRecords: gameLog ? gameLog.getHistory() : [],
+      logFile: gameLog ? gameLog.filePath : null,
+      secrets: gameLog ? gameLog.secrets : []
     });
 
-    // Watch for game exit
-    if (result.process) {
-      result.process.on('exit', () => {
-        gameRunning = false;
-        mainWindow.webContents.send('game-state', { running: false });
-      });
+    console.log(`Game crashed: ${analysis.cause.title} - ${analysis.cause.detail}`);
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('game-crashed', analysis);
     }
+  } catch (error) {
+    console.error('Crash analysis failed:', error);
+  }
+}
 
-    return { success: true };
+// Export the launch command as a .sh/.bat script
+ipcMain.handle('export-launch-script', async (event, accountId, settings) => {
+  try {
+    const account = await getAccount(accountId);
+    if (!account) {
+      throw new Error('Add an account in Settings > Account first.');
+    }
+
+    const config = await loadConfig();
+    const { id: version } = await resolveGameVersion({ ...config, ...settings });
+    const extension = process.platform === 'win32' ? 'bat' : 'sh';
+
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Launch Script',
+      defaultPath: path.join(app.getPath('documents'), `launch-${version}.${extension}`),
+      filters: [
+        { name: process.platform === 'win32' ? 'Batch Script' : 'Shell Script', extensions: [extension] },
+        { name: process.platform === 'win32' ? 'Shell Script' : 'Batch Script', extensions: [extension === 'bat' ? 'sh' : 'bat'] }
+      ]
+    });
+
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    const exported = await exportLaunchCommand(result.filePath, account, settings, (progress) => {
+      mainWindow.webContents.send('download-progress', progress);
+    });
+    return { success: true, path: exported.path, format: exported.format };
   } catch (error) {
-    gameRunning = false;
-    mainWindow.webContents.send('game-state', { running: false });
     return { success: false, error: error.message };
   }
 });
 
 // Check if game is running
 ipcMain.handle('is-game-running', () => {
-  return { running: gameRunning };
+  return { running: gameProcesses.getSessions().some(session => session.running) };
+});
+
+// Get the game session for the configured game directory (PID, start time, state, exit reason)
+ipcMain.handle('get-game-state', async () => {
+  try {
+    const config = await loadConfig();
+    const session = gameProcesses.getSession(path.resolve(config.game_directory));
+    return { success: true, session };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Force stop the running game
+ipcMain.handle('kill-game', async () => {
+  try {
+    const config = await loadConfig();
+    const stopped = gameProcesses.kill(path.resolve(config.game_directory));
+    return stopped ? { success: true } : { success: false, error: 'Minecraft is not running' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Get the log records of the current (or last) game session in the configured game directory
+ipcMain.handle('get-game-logs', async () => {
+  try {
+    const config = await loadConfig();
+    const gameLog = gameProcesses.getLog(path.resolve(config.game_directory));
+    return {
+      records: gameLog ? gameLog.getHistory() : [],
+      file: gameLog ? gameLog.filePath : null
+    };
+  } catch (error) {
+    return { records: [], file: null };
+  }
+});
+
+// Show a crash report (or its folder) in the file explorer
+ipcMain.handle('open-crash-folder', async (event, targetPath) => {
+  try {
+    const config = await loadConfig();
+    const gameDir = path.resolve(config.game_directory);
+    const resolved = targetPath ? path.resolve(targetPath) : gameDir;
+
+    // Only reveal files that belong to the game directory
+    if (resolved !== gameDir && !resolved.startsWith(gameDir + path.sep)) {
+      return { success: false, error: 'Path is outside the game directory' };
+    }
+
+    if (fs.existsSync(resolved) && fs.statSync(resolved).isFile()) {
+      shell.showItemInFolder(resolved);
+    } else {
+      const error = await shell.openPath(resolved);
+      if (error) return { success: false, error };
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Open the launcher logs folder in the file explorer
+ipcMain.handle('open-logs-folder', async () => {
+  try {
+    const config = await loadConfig();
+    const logsDir = getLogsDirectory(path.resolve(config.game_directory));
+    fs.mkdirSync(logsDir, { recursive: true });
+    const error = await shell.openPath(logsDir);
+    return error ? { success: false, error } : { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Get the most recently played singleplayer world (for "Continue last world")
+ipcMain.handle('get-last-played-world', async () => {
+  try {
+    const config = await loadConfig();
+    const world = await getLastPlayedWorld(path.resolve(config.game_directory));
+    return { success: true, world };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Find Java installations for the Java settings section
+ipcMain.handle('discover-java', async () => {
+  try {
+    const config = await loadConfig();
+    const installs = await discoverJava(config);
+    return { success: true, installs };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Suggest a heap size and check memory settings (optionally with unsaved jvm_args from the UI)
+ipcMain.handle('get-memory-advice', async (event, jvmArgs) => {
+  try {
+    const config = await loadConfig();
+    const settings = jvmArgs ? { ...config, jvm_args: { ...config.jvm_args, ...jvmArgs } } : config;
+    const javaInfo = await getSelectedJavaInfo(settings);
+    const advice = await getMemoryAdvice(settings, javaInfo ? javaInfo.is64Bit : true);
+    return { success: true, advice };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// List the JVM flag presets
+ipcMain.handle('get-jvm-presets', () => {
+  return { success: true, presets: listPresets() };
+});
+
+// Check a JVM preset and custom arguments against the selected Java
+ipcMain.handle('check-jvm-args', async (event, jvmArgs) => {
+  try {
+    const config = await loadConfig();
+    const settings = { ...config, jvm_args: { ...config.jvm_args, ...jvmArgs } };
+    const javaInfo = await getSelectedJavaInfo(settings);
+    const result = resolveJvmFlags(settings.jvm_args, javaInfo);
+
+    return {
+      success: true,
+      javaMajor: javaInfo ? javaInfo.majorVersion : null,
+      preset: result.preset,
+      issues: result.issues.map(issue => ({ ...issue, message: formatFlagIssue(issue) }))
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 });
 
 // Load configuration
@@ -189,6 +449,241 @@ ipcMain.handle('save-config', async (event, config) => {
   }
 });
 
+// List saved accounts
+ipcMain.handle('get-accounts', async () => {
+  try {
+    const result = await listAccounts();
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Add an offline account and select it
+ipcMain.handle('add-account', async (event, username) => {
+  try {
+    const account = await addOfflineAccount(username);
+    return { success: true, account };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Sign in with Microsoft (device code flow); the code is sent to the renderer to show
+let microsoftSignIn = null;
+ipcMain.handle('add-microsoft-account', async () => {
+  if (microsoftSignIn) {
+    microsoftSignIn.cancelled = true;
+  }
+  const cancellation = { cancelled: false };
+  microsoftSignIn = cancellation;
+
+  try {
+    const config = await loadConfig();
+    const session = await signInWithDeviceCode(config, (code) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('microsoft-device-code', code);
+      }
+    }, cancellation);
+
+    const account = await addMicrosoftAccount(session);
+    return { success: true, account };
+  } catch (error) {
+    return { success: false, cancelled: cancellation.cancelled, error: error.message };
+  } finally {
+    if (microsoftSignIn === cancellation) {
+      microsoftSignIn = null;
+    }
+  }
+});
+
+// Sign in to a custom Yggdrasil auth server (used through authlib-injector)
+ipcMain.handle('add-auth-server-account', async (event, serverUrl, username, password) => {
+  try {
+    const session = await signInToAuthServer(serverUrl, username, password);
+    const account = await addYggdrasilAccount(session);
+    return { success: true, account };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Credential vault state (whether it needs a passphrase)
+ipcMain.handle('get-vault-status', async () => {
+  try {
+    const status = await getVaultStatus();
+    return { success: true, ...status };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Unlock the credential vault, or set its passphrase the first time
+ipcMain.handle('unlock-vault', async (event, passphrase) => {
+  try {
+    const status = await unlockVault(passphrase);
+    // Tokens older versions saved in plain text can be moved into the vault now
+    await migrateAccountSessions();
+    return { success: true, ...status };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Stop waiting for a Microsoft sign-in
+ipcMain.handle('cancel-microsoft-sign-in', async () => {
+  if (microsoftSignIn) {
+    microsoftSignIn.cancelled = true;
+  }
+  return { success: true };
+});
+
+// Remove an account
+ipcMain.handle('remove-account', async (event, accountId) => {
+  try {
+    await removeAccount(accountId);
+    return { success: true, ...(await listAccounts()) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Switch the account used for launching
+ipcMain.handle('select-account', async (event, accountId) => {
+  try {
+    const account = await selectAccount(accountId);
+    return { success: true, account };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Rename an offline account or change its UUID option
+ipcMain.handle('update-offline-account', async (event, accountId, changes) => {
+  try {
+    const account = await updateOfflineAccount(accountId, changes);
+    return { success: true, account };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Standard offline UUID for a name (what offline-mode servers use)
+ipcMain.handle('get-offline-uuid', (event, username) => {
+  return { success: true, uuid: generateOfflineUUID(username) };
+});
+
+// Take the UUID of a player from another launcher's account file
+ipcMain.handle('import-offline-uuid', async (event, username) => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openFile', 'showHiddenFiles'],
+      title: 'Select Launcher Account File',
+      filters: [{ name: 'Account File', extensions: ['json'] }]
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+
+    const filePath = result.filePaths[0];
+    const players = await readLauncherAccounts(filePath);
+    const player = players.find(entry => entry.username.toLowerCase() === String(username).toLowerCase());
+    if (!player) {
+      const names = players.map(entry => entry.username).join(', ');
+      throw new Error(names
+        ? `${path.basename(filePath)} has no player called ${username}. It lists: ${names}`
+        : `No players found in ${path.basename(filePath)}`);
+    }
+
+    return { success: true, uuid: player.uuid, source: filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Skin and cape of an account for the preview
+ipcMain.handle('get-account-skin', async (event, accountId) => {
+  try {
+    const skin = await getAccountSkin(accountId);
+    return { success: true, skin };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Pick a skin or cape PNG for an account
+ipcMain.handle('choose-account-texture', async (event, accountId, type, model) => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openFile'],
+      title: type === 'cape' ? 'Select Cape' : 'Select Skin',
+      filters: [{ name: 'PNG Image', extensions: ['png'] }]
+    });
+
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+
+    const changes = type === 'cape' ? { capePath: result.filePaths[0] } : { skinPath: result.filePaths[0], model };
+    const updated = await setAccountSkin(accountId, changes);
+    return { success: true, ...updated };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Switch between the classic and slim arm model
+ipcMain.handle('set-skin-model', async (event, accountId, model) => {
+  try {
+    const updated = await setAccountSkin(accountId, { model });
+    return { success: true, ...updated };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Go back to the default skin
+ipcMain.handle('clear-account-skin', async (event, accountId) => {
+  try {
+    const updated = await clearAccountSkin(accountId);
+    return { success: true, ...updated };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Minecraft and loader versions that will be played, and whether the modpack sets them
+ipcMain.handle('get-version-selection', async () => {
+  try {
+    const config = await loadConfig();
+    const selection = await getVersionSelection(config);
+    return { success: true, selection };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Minecraft versions from Mojang's manifest
+ipcMain.handle('list-minecraft-versions', async (event, includeSnapshots) => {
+  try {
+    const versions = await listMinecraftVersions(includeSnapshots === true);
+    return { success: true, versions };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Loader versions available for a Minecraft version
+ipcMain.handle('list-loader-versions', async (event, loaderType, minecraftVersion) => {
+  try {
+    const versions = await listLoaderVersions(loaderType, minecraftVersion);
+    return { success: true, versions };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 // Select directory for game installation
 ipcMain.handle('select-directory', async () => {
   try {
@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { app } = require('electron');
+const { migrateLegacyFabricInstall } = require('../file-manager/fabric-installer');
 
 // Get the config path - use userData for packaged app, or project root for development
 function getConfigPath() {
@@ -17,47 +18,108 @@ function getConfigPath() {
 // Default config path for development
 const DEV_CONFIG_PATH = path.join(__dirname, '..', '..', 'config.json');
 
+// Fabric loader the launcher used before the loader version could be chosen
+const LEGACY_FABRIC_LOADER_VERSION = '0.18.3';
+
+/**
+ * Bring a config written by an older launcher version up to date, in memory
+ * @returns {Object} { changed, legacyFabricInstall } - whether it changed, and whether the game directory needs migrating too
+ */
+function upgradeConfig(config) {
+    let changed = false;
+    let legacyFabricInstall = false;
+
+    // Ensure server_ip is set (for users upgrading from older versions)
+    if (!config.server_ip) {
+        config.server_ip = "51.83.4.21:25567";
+        changed = true;
+        console.log('Migrated config: set server_ip');
+    }
+
+    // The version used to be a Fabric id with the loader version fixed in the launcher
+    if (!config.loader && /^fabric-loader-/.test(config.minecraft_version || '')) {
+        config.minecraft_version = config.minecraft_version.replace(/^fabric-loader-/, '');
+        config.loader = { type: 'fabric', version: LEGACY_FABRIC_LOADER_VERSION };
+        changed = true;
+        legacyFabricInstall = true;
+        console.log('Migrated config: split minecraft_version into Minecraft and loader versions');
+    }
+
+    return { changed, legacyFabricInstall };
+}
+
+// Saving the migrated config and moving the old install, shared by the loads running at startup
+let pendingMigration = null;
+
+/**
+ * Upgrade a loaded config and save it, once per launcher run
+ * A failed save keeps the upgraded config in memory and is tried again on the next load.
+ */
+async function migrateConfig(config) {
+    const { changed, legacyFabricInstall } = upgradeConfig(config);
+    if (!changed) {
+        return config;
+    }
+
+    if (!pendingMigration) {
+        pendingMigration = (async () => {
+            await saveConfig(config);
+
+            // The version id now includes the loader version, keep the already downloaded client
+            if (legacyFabricInstall) {
+                await migrateLegacyFabricInstall(
+                    path.resolve(config.game_directory || './minecraft'),
+                    config.minecraft_version,
+                    LEGACY_FABRIC_LOADER_VERSION
+                );
+            }
+        })();
+        pendingMigration.catch(() => {
+            pendingMigration = null;
+        });
+    }
+
+    try {
+        await pendingMigration;
+    } catch (error) {
+        console.warn('Could not save the migrated config:', error.message);
+    }
+    return config;
+}
+
 /**
  * Load configuration from config.json
  * First tries userData config, then falls back to dev config, then defaults
  */
 async function loadConfig() {
     const configPath = getConfigPath();
+    let config;
 
     try {
         // Try to load from the primary config path (userData)
         const data = await fs.readFile(configPath, 'utf8');
-        const config = JSON.parse(data);
-
-        // Migrate: Ensure server_ip is set (for users upgrading from older versions)
-        if (!config.server_ip) {
-            config.server_ip = "51.83.4.21:25567";
-            await saveConfig(config);
-            console.log('Migrated config: set server_ip');
-        }
-
-        return config;
+        config = JSON.parse(data);
     } catch (error) {
         // If userData config doesn't exist, try to load from dev config
         try {
             const devData = await fs.readFile(DEV_CONFIG_PATH, 'utf8');
-            const config = JSON.parse(devData);
-
-            // Migrate dev config to userData location
-            try {
-                await saveConfig(config);
-                console.log('Migrated config from dev to userData');
-            } catch (saveError) {
-                console.warn('Could not migrate config:', saveError);
-            }
-
-            return config;
+            config = JSON.parse(devData);
         } catch (devError) {
             console.error('Error loading config:', error);
             // Return default config if neither file exists
             return getDefaultConfig();
         }
+
+        // Migrate dev config to userData location
+        try {
+            await saveConfig(config);
+            console.log('Migrated config from dev to userData');
+        } catch (saveError) {
+            console.warn('Could not migrate config:', saveError);
+        }
     }
+
+    return migrateConfig(config);
 }
 
 /**
@@ -84,29 +146,55 @@ async function saveConfig(config) {
  */
 function getDefaultConfig() {
     return {
-        minecraft_version: "fabric-loader-1.20.1",
+        minecraft_version: "1.20.1",
+        loader: {
+            type: "fabric",
+            version: "0.18.3"
+        },
         game_directory: "./minecraft",
         java_path: "java",
         jvm_args: {
             min_ram: "512M",
             max_ram: "2G",
-            custom_args: [
-                "-XX:+UnlockExperimentalVMOptions",
-                "-XX:+UseG1GC",
-                "-XX:G1NewSizePercent=20",
-                "-XX:G1ReservePercent=20",
-                "-XX:MaxGCPauseMillis=50",
-                "-XX:G1HeapRegionSize=32M"
-            ]
+            auto_memory: true,
+            preset: "default",
+            custom_args: []
         },
+        wrapper_command: "",
+        environment_variables: {},
         window: {
             width: 854,
             height: 480,
             fullscreen: false
         },
         server_ip: "51.83.4.21:25567",
-        close_launcher_on_game_start: false,
-        last_username: ""
+        java_runtime: {
+            enabled: true,
+            directory: "",
+            manifest_url: "https://launchermeta.mojang.com/v1/products/java-runtime/2ec0cc96c44e5a76b9c8b7c39df7210883d12871/all.json",
+            mirrors: {}
+        },
+        hang_detection: {
+            enabled: true,
+            window_timeout_minutes: 10,
+            output_timeout_minutes: 5
+        },
+        microsoft_auth: {
+            client_id: "",
+            endpoints: {}
+        },
+        auth_server: {
+            url: "",
+            injector_metadata_url: "https://authlib-injector.yushi.moe/artifact/latest.json"
+        },
+        hooks: {
+            pre_sync: "",
+            pre_launch: "",
+            post_exit: "",
+            cancel_on_failure: true,
+            timeout_seconds: 300
+        },
+        close_launcher_on_game_start: false
     };
 }
 
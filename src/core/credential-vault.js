@@ -0,0 +1,260 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { app, safeStorage } = require('electron');
+
+// Configuration
+const VAULT_CONFIG = {
+    VERSION: 1,
+    CIPHER: 'aes-256-gcm',
+    KEY_LENGTH: 32,
+    IV_LENGTH: 12,
+    SALT_LENGTH: 16,
+    SCRYPT_OPTIONS: { N: 16384, r: 8, p: 1 },
+    MIN_PASSPHRASE_LENGTH: 8,
+    CHECK_VALUE: 'naizo-credential-vault'
+};
+
+/**
+ * How secrets in the vault are encrypted
+ */
+const VaultMethod = {
+    SAFE_STORAGE: 'safe_storage', // OS keychain / DPAPI / libsecret through Electron
+    PASSPHRASE: 'passphrase'      // Key derived from a passphrase, for Linux without a keyring
+};
+
+const scrypt = promisify(crypto.scrypt);
+
+// Passphrase-derived key, only ever kept in memory
+let passphraseKey = null;
+
+// Changes to the vault file, one after the other so none overwrites another
+let vaultWrites = Promise.resolve();
+
+// Get the vault path, next to config.json
+function getVaultPath() {
+    try {
+        return path.join(app.getPath('userData'), 'credentials.json');
+    } catch (error) {
+        // Fallback to project root (for development or if app not ready)
+        return path.join(__dirname, '..', '..', 'credentials.json');
+    }
+}
+
+/**
+ * Whether Electron safeStorage gives real protection on this system
+ * On Linux without a keyring it falls back to a hardcoded key ('basic_text').
+ */
+function isSafeStorageUsable() {
+    try {
+        if (!safeStorage.isEncryptionAvailable()) return false;
+        if (process.platform === 'linux' && safeStorage.getSelectedStorageBackend() === 'basic_text') return false;
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Error thrown when the vault needs its passphrase first
+ */
+function vaultLockedError() {
+    const error = new Error('The credential vault is locked. Enter the vault passphrase to use this account.');
+    error.code = 'VAULT_LOCKED';
+    return error;
+}
+
+function createVault() {
+    return {
+        version: VAULT_CONFIG.VERSION,
+        method: isSafeStorageUsable() ? VaultMethod.SAFE_STORAGE : VaultMethod.PASSPHRASE,
+        entries: {}
+    };
+}
+
+/**
+ * Read the vault file, or start a new vault if there is none
+ * A file that can't be parsed is kept as a .bak file, so the new vault never overwrites saved sign-ins.
+ */
+async function loadVault() {
+    const vaultPath = getVaultPath();
+    let data;
+
+    try {
+        data = await fs.readFile(vaultPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return createVault();
+        }
+        throw new Error(`Could not read the credential vault: ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        const backupPath = `${vaultPath}.${Date.now()}.bak`;
+        try {
+            await fs.rename(vaultPath, backupPath);
+            console.error(`The credential vault is damaged (${error.message}), it was moved to ${backupPath}`);
+        } catch (renameError) {
+            // Another read may have moved it already
+            if (renameError.code !== 'ENOENT') {
+                throw new Error(`The credential vault is damaged and could not be moved aside: ${renameError.message}`);
+            }
+        }
+        return createVault();
+    }
+}
+
+async function saveVault(vault) {
+    const vaultPath = getVaultPath();
+    await fs.mkdir(path.dirname(vaultPath), { recursive: true });
+
+    // Write then rename, so the vault is never read half written
+    await fs.writeFile(`${vaultPath}.tmp`, JSON.stringify(vault, null, 2), { encoding: 'utf8', mode: 0o600 });
+    await fs.rename(`${vaultPath}.tmp`, vaultPath);
+}
+
+/**
+ * Read, change and save the vault, queued behind any other change in progress
+ * @param {Function} change - (vault) => false to leave the file as it is
+ */
+function updateVault(change) {
+    const update = vaultWrites.then(async () => {
+        const vault = await loadVault();
+        if (await change(vault) !== false) {
+            await saveVault(vault);
+        }
+    });
+
+    // A failed change doesn't stop the ones queued after it
+    vaultWrites = update.catch(() => {});
+    return update;
+}
+
+function encryptWithKey(key, plaintext) {
+    const iv = crypto.randomBytes(VAULT_CONFIG.IV_LENGTH);
+    const cipher = crypto.createCipheriv(VAULT_CONFIG.CIPHER, key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+}
+
+function decryptWithKey(key, value) {
+    const [iv, tag, data] = value.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(VAULT_CONFIG.CIPHER, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+function encrypt(vault, plaintext) {
+    if (vault.method === VaultMethod.SAFE_STORAGE) {
+        return safeStorage.encryptString(plaintext).toString('base64');
+    }
+    if (!passphraseKey) throw vaultLockedError();
+    return encryptWithKey(passphraseKey, plaintext);
+}
+
+function decrypt(vault, value) {
+    if (vault.method === VaultMethod.SAFE_STORAGE) {
+        if (!isSafeStorageUsable()) {
+            throw new Error('The system keyring that protects saved sign-ins is not available. Sign in again.');
+        }
+        return safeStorage.decryptString(Buffer.from(value, 'base64'));
+    }
+    if (!passphraseKey) throw vaultLockedError();
+    return decryptWithKey(passphraseKey, value);
+}
+
+/**
+ * Describe the vault for the UI
+ * @returns {Promise<Object>} { method, locked, hasPassphrase }
+ */
+async function getVaultStatus() {
+    const vault = await loadVault();
+    const usesPassphrase = vault.method === VaultMethod.PASSPHRASE;
+
+    return {
+        method: vault.method,
+        locked: usesPassphrase && !passphraseKey,
+        hasPassphrase: usesPassphrase && !!vault.check
+    };
+}
+
+/**
+ * Unlock a passphrase vault, or set the passphrase the first time
+ */
+async function unlockVault(passphrase) {
+    const vault = await loadVault();
+    if (vault.method !== VaultMethod.PASSPHRASE) {
+        return getVaultStatus();
+    }
+
+    if (!vault.check && (!passphrase || passphrase.length < VAULT_CONFIG.MIN_PASSPHRASE_LENGTH)) {
+        throw new Error(`Use a passphrase of at least ${VAULT_CONFIG.MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const salt = vault.salt ? Buffer.from(vault.salt, 'base64') : crypto.randomBytes(VAULT_CONFIG.SALT_LENGTH);
+    const key = await scrypt(String(passphrase), salt, VAULT_CONFIG.KEY_LENGTH, VAULT_CONFIG.SCRYPT_OPTIONS);
+
+    if (vault.check) {
+        try {
+            if (decryptWithKey(key, vault.check) !== VAULT_CONFIG.CHECK_VALUE) throw new Error('mismatch');
+        } catch (error) {
+            throw new Error('Wrong vault passphrase');
+        }
+    } else {
+        await updateVault((current) => {
+            if (current.check) {
+                throw new Error('The vault passphrase was just set, unlock it with that passphrase');
+            }
+            current.salt = salt.toString('base64');
+            current.check = encryptWithKey(key, VAULT_CONFIG.CHECK_VALUE);
+        });
+    }
+
+    passphraseKey = key;
+    return getVaultStatus();
+}
+
+/**
+ * Encrypt and store a secret (e.g. an account's tokens) under an id
+ */
+async function storeSecret(id, value) {
+    await updateVault((vault) => {
+        vault.entries = vault.entries || {};
+        vault.entries[id] = encrypt(vault, JSON.stringify(value));
+    });
+}
+
+/**
+ * Read a stored secret
+ * @returns {Promise<*>} The stored value, or null if there is none
+ */
+async function readSecret(id) {
+    const vault = await loadVault();
+    const value = vault.entries && vault.entries[id];
+    if (!value) return null;
+
+    return JSON.parse(decrypt(vault, value));
+}
+
+/**
+ * Remove a stored secret
+ */
+async function deleteSecret(id) {
+    await updateVault((vault) => {
+        if (!vault.entries || !vault.entries[id]) return false;
+        delete vault.entries[id];
+    });
+}
+
+module.exports = {
+    storeSecret,
+    readSecret,
+    deleteSecret,
+    getVaultStatus,
+    unlockVault,
+    vaultLockedError,
+    VaultMethod
+};
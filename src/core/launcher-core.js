@@ -1,8 +1,10 @@
 const path = require('path');
 const { loadConfig } = require('./config-manager');
 const { getAllRequiredFiles } = require('../file-manager/version-manifest');
+const { resolveGameVersion } = require('./version-selection');
 const { getMissingFiles } = require('../file-manager/file-validator');
 const { downloadAll } = require('../file-manager/downloader');
+const { isMetadataOffline } = require('../file-manager/metadata-cache');
 
 /**
  * Installation status states
@@ -22,10 +24,10 @@ async function getInstallationStatus() {
     try {
         const config = await loadConfig();
         const gameDir = path.resolve(config.game_directory);
-        const version = config.minecraft_version;
+        const { id: version } = await resolveGameVersion(config);
 
         // Get required files
-        const requiredFiles = await getAllRequiredFiles(version);
+        const requiredFiles = await getAllRequiredFiles(version, gameDir);
 
         // Check what's missing
         const missingFiles = await getMissingFiles(gameDir, requiredFiles);
@@ -65,7 +67,8 @@ async function getInstallationStatus() {
             totalMissing: totalMissing,
             missingFiles: missingFiles,
             requiredFiles: requiredFiles,
-            version: version
+            version: version,
+            offline: isMetadataOffline()
         };
 
     } catch (error) {
@@ -74,7 +77,8 @@ async function getInstallationStatus() {
             success: false,
             state: InstallationState.ERROR,
             actionLabel: 'INSTALL',
-            error: error.message
+            error: error.message,
+            offline: isMetadataOffline()
         };
     }
 }
@@ -110,10 +114,10 @@ async function downloadMinecraft(onProgress = null) {
     try {
         const config = await loadConfig();
         const gameDir = path.resolve(config.game_directory);
-        const version = config.minecraft_version;
+        const { id: version } = await resolveGameVersion(config);
 
         // Get required files
-        const requiredFiles = await getAllRequiredFiles(version);
+        const requiredFiles = await getAllRequiredFiles(version, gameDir);
 
         // Check what's missing
         const missingFiles = await getMissingFiles(gameDir, requiredFiles);
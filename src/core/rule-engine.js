@@ -0,0 +1,166 @@
+const os = require('os');
+
+/**
+ * Launcher Rule Engine
+ *
+ * Evaluates the `rules` arrays found on libraries and arguments in version JSONs.
+ * Mirrors the official launcher: rules are applied in order, the last matching
+ * rule decides, and a list with no matching rule disallows.
+ */
+
+/**
+ * Feature flags understood by version JSON argument rules
+ */
+const FEATURES = {
+    IS_DEMO_USER: 'is_demo_user',
+    HAS_CUSTOM_RESOLUTION: 'has_custom_resolution',
+    HAS_QUICK_PLAYS_SUPPORT: 'has_quick_plays_support',
+    IS_QUICK_PLAY_SINGLEPLAYER: 'is_quick_play_singleplayer',
+    IS_QUICK_PLAY_MULTIPLAYER: 'is_quick_play_multiplayer',
+    IS_QUICK_PLAY_REALMS: 'is_quick_play_realms'
+};
+
+/**
+ * Get OS name in Minecraft format
+ */
+function getOSName(platform = process.platform) {
+    if (platform === 'win32') return 'windows';
+    if (platform === 'darwin') return 'osx';
+    if (platform === 'linux') return 'linux';
+
+    return 'unknown';
+}
+
+/**
+ * Get CPU architecture in Minecraft format (x86, x64, arm64)
+ */
+function getOSArch(arch = process.arch) {
+    if (arch === 'ia32') return 'x86';
+    if (arch === 'x64') return 'x64';
+    if (arch === 'arm64') return 'arm64';
+    if (arch === 'arm') return 'arm32';
+
+    return arch;
+}
+
+/**
+ * Get the OS version the way Java reports os.version
+ * On macOS os.release() is the Darwin kernel version, so prefer Electron's system version
+ */
+function getOSVersion() {
+    if (process.platform === 'darwin' && typeof process.getSystemVersion === 'function') {
+        return process.getSystemVersion();
+    }
+
+    return os.release();
+}
+
+/**
+ * Describe the current system for rule evaluation
+ */
+function getCurrentOS() {
+    return {
+        name: getOSName(),
+        version: getOSVersion(),
+        arch: getOSArch()
+    };
+}
+
+/**
+ * Get the bitness used for `${arch}` in native classifiers ("32" or "64")
+ */
+function getArchBits(osInfo = getCurrentOS()) {
+    return (osInfo.arch === 'x86' || osInfo.arch === 'arm32') ? '32' : '64';
+}
+
+/**
+ * Check if an `os` rule matches the given system descriptor
+ */
+function matchesOS(osRule, osInfo = getCurrentOS()) {
+    if (osRule.name && osRule.name !== osInfo.name) {
+        return false;
+    }
+
+    if (osRule.version) {
+        try {
+            if (!new RegExp(osRule.version).test(osInfo.version || '')) {
+                return false;
+            }
+        } catch (error) {
+            console.warn(`Invalid OS version pattern in rule: ${osRule.version}`);
+            return false;
+        }
+    }
+
+    if (osRule.arch && osRule.arch !== osInfo.arch) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Check if a `features` rule matches the enabled feature set
+ * Features not present in the set count as disabled
+ */
+function matchesFeatures(featureRule, features = {}) {
+    for (const [name, expected] of Object.entries(featureRule)) {
+        if (Boolean(features[name]) !== expected) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Evaluate a rules array
+ * @param {Array} rules - The rules array from a library or argument
+ * @param {Object} context - { features, os } (os defaults to the current system)
+ * @returns {boolean} true if the library or argument applies
+ */
+function evaluateRules(rules, context = {}) {
+    if (!rules || rules.length === 0) {
+        return true;
+    }
+
+    const osInfo = context.os || getCurrentOS();
+    const features = context.features || {};
+    let action = 'disallow';
+
+    for (const rule of rules) {
+        if (rule.os && !matchesOS(rule.os, osInfo)) {
+            continue;
+        }
+        if (rule.features && !matchesFeatures(rule.features, features)) {
+            continue;
+        }
+        action = rule.action;
+    }
+
+    return action === 'allow';
+}
+
+/**
+ * Resolve the native classifier key of a library for the given system
+ * Returns null if the library has no natives for this OS
+ */
+function resolveNativeClassifier(lib, osInfo = getCurrentOS()) {
+    if (!lib.natives || !lib.natives[osInfo.name]) {
+        return null;
+    }
+
+    return lib.natives[osInfo.name].replace(/\$\{arch\}/g, getArchBits(osInfo));
+}
+
+module.exports = {
+    FEATURES,
+    getOSName,
+    getOSArch,
+    getCurrentOS,
+    getArchBits,
+    matchesOS,
+    matchesFeatures,
+    evaluateRules,
+    resolveNativeClassifier
+};
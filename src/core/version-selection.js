@@ -0,0 +1,79 @@
+const { getLoader, LoaderType } = require('../file-manager/loader-installer');
+const ModpackManager = require('../modpack/modpack-manager');
+const { METADATA_CACHE_CONFIG } = require('../file-manager/metadata-cache');
+
+/**
+ * Read the Minecraft and loader versions from a config or modpack manifest
+ * Both use the same keys: minecraft_version and loader { type, version }.
+ * @returns {Object|null} { minecraftVersion, loader: { type, version } }
+ */
+function readVersionSelection(source) {
+    if (!source || !source.minecraft_version) return null;
+
+    const loader = source.loader || {};
+    return {
+        minecraftVersion: String(source.minecraft_version),
+        loader: {
+            type: loader.type || LoaderType.NONE,
+            version: loader.version || 'latest'
+        }
+    };
+}
+
+/**
+ * Get the versions to play: the modpack's if it declares them, otherwise the player's choice
+ * @returns {Promise<Object>} { minecraftVersion, loader, source: 'modpack' | 'config' }
+ */
+async function getVersionSelection(config) {
+    const modpack = config.modpack || {};
+
+    if (modpack.enabled && modpack.manifest_url) {
+        try {
+            // Read on every status refresh, so a recent copy is good enough; the sync before launch revalidates the mod list
+            const manifest = await new ModpackManager(null, modpack.manifest_url).fetchRemoteManifest({
+                ttl: METADATA_CACHE_CONFIG.LIST_TTL_MS
+            });
+            const selection = readVersionSelection(manifest);
+            if (selection) {
+                return { ...selection, source: 'modpack' };
+            }
+        } catch (error) {
+            console.warn('Could not read the modpack versions, using the configured ones:', error.message);
+        }
+    }
+
+    const selection = readVersionSelection(config);
+    if (!selection) {
+        throw new Error('No Minecraft version is selected. Choose one in Settings > Minecraft.');
+    }
+    return { ...selection, source: 'config' };
+}
+
+/**
+ * Resolve the version id to install and launch, e.g. 1.20.1, fabric-loader-0.18.3-1.20.1 or neoforge-21.1.77
+ * A loader version of 'latest' becomes the newest stable loader for the Minecraft version.
+ * @returns {Promise<Object>} { id, minecraftVersion, loader, source }
+ */
+async function resolveGameVersion(config) {
+    const selection = await getVersionSelection(config);
+    const { minecraftVersion, loader } = selection;
+
+    if (loader.type === LoaderType.NONE) {
+        return { ...selection, id: minecraftVersion };
+    }
+
+    const modLoader = getLoader(loader.type);
+    const resolved = await modLoader.getVersion(minecraftVersion, loader.version);
+    return {
+        ...selection,
+        loader: { type: loader.type, version: resolved.version },
+        id: modLoader.getVersionId(minecraftVersion, resolved.version)
+    };
+}
+
+module.exports = {
+    getVersionSelection,
+    resolveGameVersion,
+    readVersionSelection,
+    LoaderType
+};
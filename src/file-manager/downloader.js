@@ -4,6 +4,8 @@ const path = require('path');
 const crypto = require('crypto');
 const { pipeline } = require('stream/promises');
 const { createWriteStream, createReadStream } = require('fs');
+const { fetchMetadata, METADATA_CACHE_CONFIG } = require('./metadata-cache');
+const { fetchMavenChecksum } = require('./maven-checksum');
 
 // Configuration
 const DOWNLOAD_CONFIG = {
@@ -31,6 +33,21 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+/**
+ * Rewrite a URL through the configured mirrors
+ * Mirrors map a URL prefix to its replacement, e.g.
+ * { "https://piston-data.mojang.com": "http://localhost:8080" }
+ */
+function applyMirrors(url, mirrors = {}) {
+    for (const [prefix, replacement] of Object.entries(mirrors)) {
+        if (url.startsWith(prefix)) {
+            return replacement + url.slice(prefix.length);
+        }
+    }
+
+    return url;
+}
+
 /**
  * Download a file with progress tracking and timeout
  */
@@ -96,22 +113,29 @@ async function downloadFile(url, destPath, onProgress = null) {
 
 /**
  * Download and verify a file with SHA1 hash
+ * Without a hash (Fabric libraries) the .sha1 / .sha256 checksum next to the file is used, if the server has one.
+ * If that checksum can't be looked up the download fails rather than going unverified.
+ * @param {string} algorithm - Hash algorithm of expectedSha1 ('sha1' unless the source only publishes e.g. sha256)
  */
-async function downloadAndVerify(url, destPath, expectedSha1, onProgress = null) {
+async function downloadAndVerify(url, destPath, expectedSha1, onProgress = null, algorithm = 'sha1') {
+    const expected = expectedSha1
+        ? { hash: expectedSha1, algorithm }
+        : await fetchMavenChecksum(url);
+
     await downloadFile(url, destPath, onProgress);
 
-    // Skip verification if no SHA1 provided (for Fabric libraries)
-    if (!expectedSha1) {
+    // Skip verification if there is no hash to compare with
+    if (!expected) {
         return true;
     }
 
-    // Verify SHA1
+    // Verify hash
     const fileBuffer = await fs.readFile(destPath);
-    const hash = crypto.createHash('sha1').update(fileBuffer).digest('hex');
+    const hash = crypto.createHash(expected.algorithm).update(fileBuffer).digest('hex');
 
-    if (hash !== expectedSha1) {
+    if (hash !== expected.hash.toLowerCase()) {
         await fs.unlink(destPath); // Delete corrupted file
-        throw new Error(`SHA1 verification failed for ${path.basename(destPath)}`);
+        throw new Error(`${expected.algorithm.toUpperCase()} verification failed for ${path.basename(destPath)}`);
     }
 
     return true;
@@ -120,12 +144,12 @@ async function downloadAndVerify(url, destPath, expectedSha1, onProgress = null)
 /**
  * Download with retry mechanism using exponential backoff
  */
-async function downloadWithRetry(url, destPath, expectedSha1, onProgress = null) {
+async function downloadWithRetry(url, destPath, expectedSha1, onProgress = null, algorithm = 'sha1') {
     let lastError;
 
     for (let attempt = 1; attempt <= DOWNLOAD_CONFIG.MAX_RETRIES; attempt++) {
         try {
-            return await downloadAndVerify(url, destPath, expectedSha1, onProgress);
+            return await downloadAndVerify(url, destPath, expectedSha1, onProgress, algorithm);
         } catch (error) {
             lastError = error;
             console.warn(`Download attempt ${attempt}/${DOWNLOAD_CONFIG.MAX_RETRIES} failed for ${path.basename(destPath)}: ${error.message}`);
@@ -256,12 +280,11 @@ async function downloadAssetIndex(gameDir, assetIndexInfo, onProgress = null) {
         });
     }
 
-    const response = await axios.get(assetIndexInfo.url, {
-        timeout: DOWNLOAD_CONFIG.TIMEOUT_MS
-    });
+    // Usually already cached by the installation check
+    const assetIndex = await fetchMetadata(assetIndexInfo.url, { ttl: METADATA_CACHE_CONFIG.VERSION_TTL_MS });
 
     await fs.mkdir(path.dirname(indexPath), { recursive: true });
-    await fs.writeFile(indexPath, JSON.stringify(response.data, null, 2));
+    await fs.writeFile(indexPath, JSON.stringify(assetIndex, null, 2));
 
     if (onProgress) {
         onProgress({
@@ -271,7 +294,7 @@ async function downloadAssetIndex(gameDir, assetIndexInfo, onProgress = null) {
         });
     }
 
-    return response.data;
+    return assetIndex;
 }
 
 /**
@@ -411,7 +434,7 @@ async function downloadAll(gameDir, requiredFiles, missingFiles, onProgress = nu
     // Download asset index if missing
     if (missingFiles.assetIndex) {
         console.log('Downloading Asset Index...');
-        const assetIndexInfo = await require('./version-manifest').getAssetIndex(requiredFiles.version);
+        const assetIndexInfo = await require('./version-manifest').getAssetIndex(requiredFiles.version, gameDir);
         await downloadAssetIndex(gameDir, assetIndexInfo, (progress) => {
             if (onProgress) {
                 onProgress({
@@ -472,5 +495,6 @@ module.exports = {
     downloadAssets,
     downloadAll,
     formatBytes,
+    applyMirrors,
     DOWNLOAD_CONFIG
 };
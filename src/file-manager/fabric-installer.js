@@ -1,27 +1,91 @@
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
+const { fetchMetadata, METADATA_CACHE_CONFIG } = require('./metadata-cache');
 
-const FABRIC_META_URL = 'https://meta.fabricmc.net/v2/versions';
-const MINECRAFT_VERSION = '1.20.1';
-const FABRIC_LOADER_VERSION = '0.18.3'; // Locked to specific version
+/**
+ * Meta servers that speak the Fabric meta API
+ * Quilt's meta server mirrors it, so Quilt installs the same way as Fabric.
+ */
+const FabricMeta = {
+    FABRIC: {
+        name: 'Fabric',
+        url: 'https://meta.fabricmc.net/v2/versions',
+        versionPrefix: 'fabric-loader-'
+    },
+    QUILT: {
+        name: 'Quilt',
+        url: 'https://meta.quiltmc.org/v3/versions',
+        versionPrefix: 'quilt-loader-'
+    }
+};
+
+// Loader versions have no dash apart from a pre-release tag (Quilt's 0.26.0-beta.1), Minecraft versions may (1.20-pre1)
+const LOADER_VERSION_PATTERN = /^([^-]+(?:-(?:alpha|beta|rc|pre)\.\d+)?)-(.+)$/;
+
+/**
+ * Version id of a Fabric install, named like the official Fabric installer does
+ * e.g. fabric-loader-0.18.3-1.20.1
+ */
+function getFabricVersionId(minecraftVersion, loaderVersion, meta = FabricMeta.FABRIC) {
+    return `${meta.versionPrefix}${loaderVersion}-${minecraftVersion}`;
+}
+
+/**
+ * Split a Fabric version id into its loader and Minecraft versions
+ * @returns {Object|null} { loaderVersion, minecraftVersion }, or null if it is not a Fabric id
+ */
+function parseFabricVersionId(versionId, meta = FabricMeta.FABRIC) {
+    if (!versionId.startsWith(meta.versionPrefix)) return null;
+
+    const match = versionId.slice(meta.versionPrefix.length).match(LOADER_VERSION_PATTERN);
+    if (!match) return null;
+
+    return {
+        loaderVersion: match[1],
+        minecraftVersion: match[2]
+    };
+}
+
+// Fabric marks stable loaders, Quilt only tags pre-releases in the version
+function isStableLoader(entry) {
+    return entry.loader.stable !== undefined ? entry.loader.stable !== false : !entry.loader.version.includes('-');
+}
 
 /**
- * Get latest stable Fabric loader version for Minecraft 1.21.1
+ * List the Fabric loader versions available for a Minecraft version, newest first
+ * @returns {Promise<Object[]>} [{ version, stable }]
  */
-async function getLatestFabricLoader() {
+async function listFabricLoaders(minecraftVersion, meta = FabricMeta.FABRIC) {
+    const loaders = await fetchMetadata(`${meta.url}/loader/${encodeURIComponent(minecraftVersion)}`);
+    return loaders.map(entry => ({
+        version: entry.loader.version,
+        stable: isStableLoader(entry)
+    }));
+}
+
+/**
+ * Get a Fabric loader version for a Minecraft version
+ * @param {string} minecraftVersion - Minecraft version id, e.g. 1.20.1
+ * @param {string} loaderVersion - Loader version, or 'latest' for the newest stable one
+ * @param {Object} meta - FabricMeta entry of the loader
+ */
+async function getFabricLoader(minecraftVersion, loaderVersion = 'latest', meta = FabricMeta.FABRIC) {
     try {
-        const response = await axios.get(`${FABRIC_META_URL}/loader/${MINECRAFT_VERSION}`);
-        const loaders = response.data;
+        const loaders = await fetchMetadata(`${meta.url}/loader/${encodeURIComponent(minecraftVersion)}`);
 
-        // Find the specific Fabric loader version 0.18.3
-        const targetLoader = loaders.find(loader => loader.loader.version === FABRIC_LOADER_VERSION);
+        if (loaders.length === 0) {
+            throw new Error(`${meta.name} does not support Minecraft ${minecraftVersion}`);
+        }
+
+        const targetLoader = !loaderVersion || loaderVersion === 'latest'
+            ? loaders.find(isStableLoader) || loaders[0]
+            : loaders.find(loader => loader.loader.version === loaderVersion);
 
         if (!targetLoader) {
-            throw new Error(`Fabric loader ${FABRIC_LOADER_VERSION} not found for Minecraft ${MINECRAFT_VERSION}`);
+            throw new Error(`${meta.name} loader ${loaderVersion} not found for Minecraft ${minecraftVersion}`);
         }
 
-        console.log(`Using Fabric Loader ${FABRIC_LOADER_VERSION} for Minecraft ${MINECRAFT_VERSION}`);
+        console.log(`Using ${meta.name} Loader ${targetLoader.loader.version} for Minecraft ${minecraftVersion}`);
 
         return {
             version: targetLoader.loader.version,
@@ -30,7 +94,7 @@ async function getLatestFabricLoader() {
             launcherMeta: targetLoader.launcherMeta
         };
     } catch (error) {
-        console.error('Error fetching Fabric loader:', error.message);
+        console.error(`Error fetching ${meta.name} loader:`, error.message);
         throw error;
     }
 }
@@ -38,130 +102,85 @@ async function getLatestFabricLoader() {
 /**
  * Download Fabric version profile JSON
  */
-async function downloadFabricProfile(gameDir, loaderVersion) {
+async function downloadFabricProfile(gameDir, minecraftVersion, loaderVersion, meta = FabricMeta.FABRIC) {
     try {
-        const profileUrl = `${FABRIC_META_URL}/loader/${MINECRAFT_VERSION}/${loaderVersion}/profile/json`;
-        const response = await axios.get(profileUrl);
+        const profileUrl = `${meta.url}/loader/${encodeURIComponent(minecraftVersion)}/${encodeURIComponent(loaderVersion)}/profile/json`;
+        const profile = await fetchMetadata(profileUrl, { ttl: METADATA_CACHE_CONFIG.VERSION_TTL_MS });
 
-        // Save Fabric profile
-        const profilePath = path.join(gameDir, 'versions', `fabric-loader-${MINECRAFT_VERSION}`, 'fabric-loader.json');
+        // Save the profile as the version JSON, it inherits from the Minecraft version
+        const versionId = getFabricVersionId(minecraftVersion, loaderVersion, meta);
+        const profilePath = path.join(gameDir, 'versions', versionId, `${versionId}.json`);
         await fs.mkdir(path.dirname(profilePath), { recursive: true });
-        await fs.writeFile(profilePath, JSON.stringify(response.data, null, 2));
+        await fs.writeFile(profilePath, JSON.stringify(profile, null, 2));
 
-        return response.data;
+        return profile;
     } catch (error) {
-        console.error('Error downloading Fabric profile:', error.message);
+        console.error(`Error downloading ${meta.name} profile:`, error.message);
         throw error;
     }
 }
 
 /**
- * Merge Fabric profile with vanilla Minecraft profile
+ * Reuse an install from before loader versions could be chosen
+ * Those were named fabric-loader-<minecraft>; their client JAR is moved to the new version id
+ * so it isn't downloaded again. The profile and natives are recreated on the next launch.
  */
-function mergeFabricProfile(vanillaProfile, fabricProfile) {
-    const merged = {
-        ...fabricProfile,
-        id: `fabric-loader-${MINECRAFT_VERSION}`,
-        inheritsFrom: MINECRAFT_VERSION,
-        mainClass: fabricProfile.mainClass,
-
-        // Merge arguments
-        arguments: {
-            game: [
-                ...(fabricProfile.arguments?.game || []),
-                ...(vanillaProfile.arguments?.game || [])
-            ],
-            jvm: [
-                ...(fabricProfile.arguments?.jvm || []),
-                ...(vanillaProfile.arguments?.jvm || [])
-            ]
-        },
-
-        // Combine libraries (Fabric + Vanilla)
-        libraries: [
-            ...(fabricProfile.libraries || []),
-            ...(vanillaProfile.libraries || [])
-        ],
-
-        // Keep vanilla asset index and downloads
-        assetIndex: vanillaProfile.assetIndex,
-        downloads: vanillaProfile.downloads,
-        assets: vanillaProfile.assets || vanillaProfile.assetIndex?.id,
-        type: 'release',
-        releaseTime: vanillaProfile.releaseTime,
-        time: vanillaProfile.time,
-        minecraftArguments: vanillaProfile.minecraftArguments,
-        minimumLauncherVersion: vanillaProfile.minimumLauncherVersion
-    };
-
-    return merged;
-}
+async function migrateLegacyFabricInstall(gameDir, minecraftVersion, loaderVersion) {
+    const legacyId = `${FabricMeta.FABRIC.versionPrefix}${minecraftVersion}`;
+    const versionId = getFabricVersionId(minecraftVersion, loaderVersion);
+    const legacyDir = path.join(gameDir, 'versions', legacyId);
+    const jarPath = path.join(gameDir, 'versions', versionId, `${versionId}.jar`);
 
-/**
- * Get Fabric libraries in standard format
- */
-function processFabricLibraries(fabricProfile) {
-    const libraries = [];
-
-    for (const lib of fabricProfile.libraries) {
-        const parts = lib.name.split(':');
-        const [groupId, artifactId, version] = parts;
-        const groupPath = groupId.replace(/\./g, '/');
-        const fileName = `${artifactId}-${version}.jar`;
-        const libPath = `${groupPath}/${artifactId}/${version}/${fileName}`;
-
-        libraries.push({
-            name: lib.name,
-            path: libPath,
-            url: lib.url || 'https://maven.fabricmc.net/',
-            sha1: lib.sha1 || null,
-            size: lib.size || 0,
-            isNative: false
-        });
+    try {
+        await fs.mkdir(path.dirname(jarPath), { recursive: true });
+        await fs.rename(path.join(legacyDir, `${legacyId}.jar`), jarPath);
+        await fs.rm(legacyDir, { recursive: true, force: true });
+        await fs.rm(path.join(gameDir, 'natives', legacyId), { recursive: true, force: true });
+        console.log(`Moved the Minecraft client from ${legacyId} to ${versionId}`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Could not reuse the ${legacyId} install:`, error.message);
+        }
     }
-
-    return libraries;
 }
 
 /**
- * Install Fabric for Minecraft 1.21.1
+ * Install Fabric (or Quilt) for a Minecraft version
+ * @param {string} gameDir - Game directory
+ * @param {string} minecraftVersion - Minecraft version id, e.g. 1.20.1
+ * @param {string} loaderVersion - Fabric loader version, or 'latest'
+ * @param {Object} meta - FabricMeta entry of the loader
  */
-async function installFabric(gameDir, vanillaMetadata) {
+async function installFabric(gameDir, minecraftVersion, loaderVersion = 'latest', meta = FabricMeta.FABRIC) {
     try {
-        console.log('Fetching Fabric loader...');
-        const fabricLoader = await getLatestFabricLoader();
-
-        console.log(`Installing Fabric ${fabricLoader.version} for Minecraft ${MINECRAFT_VERSION}`);
-
-        // Download Fabric profile
-        const fabricProfile = await downloadFabricProfile(gameDir, fabricLoader.version);
+        console.log(`Fetching ${meta.name} loader...`);
+        const fabricLoader = await getFabricLoader(minecraftVersion, loaderVersion, meta);
 
-        // Merge profiles
-        const mergedProfile = mergeFabricProfile(vanillaMetadata, fabricProfile);
+        console.log(`Installing ${meta.name} ${fabricLoader.version} for Minecraft ${minecraftVersion}`);
 
-        // Save merged profile
-        const mergedPath = path.join(gameDir, 'versions', `fabric-loader-${MINECRAFT_VERSION}`, `fabric-loader-${MINECRAFT_VERSION}.json`);
-        await fs.mkdir(path.dirname(mergedPath), { recursive: true });
-        await fs.writeFile(mergedPath, JSON.stringify(mergedProfile, null, 2));
+        // Download the loader profile
+        const fabricProfile = await downloadFabricProfile(gameDir, minecraftVersion, fabricLoader.version, meta);
 
-        console.log('Fabric installation complete!');
+        console.log(`${meta.name} installation complete!`);
 
         return {
-            version: `fabric-loader-${MINECRAFT_VERSION}`,
-            profile: mergedProfile,
+            version: getFabricVersionId(minecraftVersion, fabricLoader.version, meta),
+            profile: fabricProfile,
             fabricLoader: fabricLoader
         };
     } catch (error) {
-        console.error('Error installing Fabric:', error);
+        console.error(`Error installing ${meta.name}:`, error);
         throw error;
     }
 }
 
 module.exports = {
-    getLatestFabricLoader,
+    getFabricLoader,
+    listFabricLoaders,
+    getFabricVersionId,
+    parseFabricVersionId,
     downloadFabricProfile,
-    mergeFabricProfile,
-    processFabricLibraries,
     installFabric,
-    MINECRAFT_VERSION
+    migrateLegacyFabricInstall,
+    FabricMeta
 };
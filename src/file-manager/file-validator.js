@@ -2,6 +2,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const { loadConfig } = require('../core/config-manager');
+const { getLibraryChecksums } = require('./maven-checksum');
 
 /**
  * Check if Minecraft installation exists and is valid
@@ -39,23 +40,23 @@ async function validateInstallation(gameDir, version) {
 
 /**
  * Validate specific file with SHA1 hash
- * If expectedSha1 is null/undefined, just check if file exists (for Fabric libraries)
+ * If expectedSha1 is null/undefined, just check if file exists (for files nobody publishes a hash of)
  */
-async function validateFile(filePath, expectedSha1) {
+async function validateFile(filePath, expectedSha1, algorithm = 'sha1') {
     try {
         if (!await fileExists(filePath)) {
             return false;
         }
 
-        // If no hash provided, just verify file exists (Fabric libraries don't have hashes)
+        // If no hash provided, just verify file exists
         if (!expectedSha1) {
             return true;
         }
 
         const fileBuffer = await fs.readFile(filePath);
-        const hash = crypto.createHash('sha1').update(fileBuffer).digest('hex');
+        const hash = crypto.createHash(algorithm).update(fileBuffer).digest('hex');
 
-        return hash === expectedSha1;
+        return hash === expectedSha1.toLowerCase();
 
     } catch (error) {
         console.error(`Error validating file ${filePath}:`, error);
@@ -77,13 +78,26 @@ async function fileExists(filePath) {
 
 /**
  * Validate all libraries
+ * Libraries without a sha1 are checked against the checksum file on their Maven. When that checksum
+ * can't be looked up the library counts as missing, so it is downloaded and verified again.
  */
 async function validateLibraries(gameDir, libraries) {
     const missing = [];
+    const checksums = await getLibraryChecksums(libraries);
 
-    for (const lib of libraries) {
+    for (const [index, lib] of libraries.entries()) {
         const libPath = path.join(gameDir, 'libraries', lib.path);
-        const isValid = await validateFile(libPath, lib.sha1);
+        const checksum = checksums[index];
+
+        if (checksum && checksum.error) {
+            console.warn(`Could not verify ${lib.path}:`, checksum.error.message);
+            missing.push(lib);
+            continue;
+        }
+
+        const isValid = checksum
+            ? await validateFile(libPath, checksum.hash, checksum.algorithm)
+            : await validateFile(libPath, null);
 
         if (!isValid) {
             missing.push(lib);
@@ -129,8 +143,9 @@ async function getMissingFiles(gameDir, requiredFiles) {
         missing.client = requiredFiles.client;
     }
 
-    // Check libraries
-    missing.libraries = await validateLibraries(gameDir, requiredFiles.libraries);
+    // Check libraries (ones without a URL are made by the loader's install processors at launch)
+    const downloadable = requiredFiles.libraries.filter(lib => lib.url);
+    missing.libraries = await validateLibraries(gameDir, downloadable);
 
     // Check asset index
     const assetIndexPath = path.join(gameDir, 'assets', 'indexes', `${requiredFiles.assets.indexId}.json`);
@@ -0,0 +1,145 @@
+const {
+    FabricMeta,
+    listFabricLoaders,
+    getFabricLoader,
+    getFabricVersionId,
+    parseFabricVersionId,
+    installFabric
+} = require('./fabric-installer');
+const {
+    listNeoForgeVersions,
+    getNeoForgeVersion,
+    getNeoForgeVersionId,
+    parseNeoForgeVersionId,
+    installNeoForge,
+    hasPendingNeoForgeProcessors,
+    runNeoForgeProcessors
+} = require('./neoforge-installer');
+
+/**
+ * Mod loaders a version can be installed with
+ */
+const LoaderType = {
+    NONE: 'none',
+    FABRIC: 'fabric',
+    QUILT: 'quilt',
+    NEOFORGE: 'neoforge'
+};
+
+/**
+ * What each loader provides
+ * - listVersions(minecraftVersion): [{ version, stable }], newest first
+ * - getVersion(minecraftVersion, loaderVersion): { version } with 'latest' resolved
+ * - getVersionId / parseVersionId: name of the installed version and back
+ * - install(gameDir, minecraftVersion, loaderVersion): writes the version JSON (inheriting from Minecraft), { version, profile }
+ * - runProcessors (optional): install steps that need Java, run before launch
+ * - hasPendingProcessors (with runProcessors): whether those steps still have to run
+ */
+const LOADERS = {
+    [LoaderType.FABRIC]: {
+        name: 'Fabric',
+        listVersions: minecraftVersion => listFabricLoaders(minecraftVersion, FabricMeta.FABRIC),
+        getVersion: (minecraftVersion, loaderVersion) => getFabricLoader(minecraftVersion, loaderVersion, FabricMeta.FABRIC),
+        getVersionId: (minecraftVersion, loaderVersion) => getFabricVersionId(minecraftVersion, loaderVersion, FabricMeta.FABRIC),
+        parseVersionId: versionId => parseFabricVersionId(versionId, FabricMeta.FABRIC),
+        install: (gameDir, minecraftVersion, loaderVersion) => installFabric(gameDir, minecraftVersion, loaderVersion, FabricMeta.FABRIC)
+    },
+    [LoaderType.QUILT]: {
+        name: 'Quilt',
+        listVersions: minecraftVersion => listFabricLoaders(minecraftVersion, FabricMeta.QUILT),
+        getVersion: (minecraftVersion, loaderVersion) => getFabricLoader(minecraftVersion, loaderVersion, FabricMeta.QUILT),
+        getVersionId: (minecraftVersion, loaderVersion) => getFabricVersionId(minecraftVersion, loaderVersion, FabricMeta.QUILT),
+        parseVersionId: versionId => parseFabricVersionId(versionId, FabricMeta.QUILT),
+        install: (gameDir, minecraftVersion, loaderVersion) => installFabric(gameDir, minecraftVersion, loaderVersion, FabricMeta.QUILT)
+    },
+    [LoaderType.NEOFORGE]: {
+        name: 'NeoForge',
+        listVersions: listNeoForgeVersions,
+        getVersion: getNeoForgeVersion,
+        getVersionId: (minecraftVersion, loaderVersion) => getNeoForgeVersionId(loaderVersion),
+        parseVersionId: parseNeoForgeVersionId,
+        install: installNeoForge,
+        runProcessors: runNeoForgeProcessors,
+        hasPendingProcessors: hasPendingNeoForgeProcessors
+    }
+};
+
+/**
+ * Get a mod loader by type
+ */
+function getLoader(type) {
+    const loader = LOADERS[type];
+    if (!loader) {
+        throw new Error(`Unsupported mod loader: ${type}`);
+    }
+    return loader;
+}
+
+/**
+ * List the versions of a loader for a Minecraft version (none for vanilla)
+ * @returns {Promise<Object[]>} [{ version, stable }]
+ */
+async function listLoaderVersions(type, minecraftVersion) {
+    if (type === LoaderType.NONE) return [];
+    return getLoader(type).listVersions(minecraftVersion);
+}
+
+/**
+ * Find which loader a version id belongs to
+ * @returns {Object|null} { type, loaderVersion, minecraftVersion }, or null for vanilla versions
+ */
+function parseLoaderVersionId(versionId) {
+    for (const [type, loader] of Object.entries(LOADERS)) {
+        const parsed = loader.parseVersionId(versionId);
+        if (parsed) {
+            return { type, ...parsed };
+        }
+    }
+    return null;
+}
+
+/**
+ * Install the loader of a version id on top of its Minecraft version
+ * @returns {Promise<Object|null>} { version, profile }, or null for vanilla and other versions
+ */
+async function installLoaderVersion(gameDir, versionId) {
+    const parsed = parseLoaderVersionId(versionId);
+    if (!parsed) return null;
+
+    return getLoader(parsed.type).install(gameDir, parsed.minecraftVersion, parsed.loaderVersion);
+}
+
+/**
+ * Finish installing the loader of a version with the Java used for the launch
+ * @returns {Promise<boolean>} Whether any install step had to run
+ */
+async function runLoaderProcessors(gameDir, versionId, javaPath, onProgress = null) {
+    const parsed = parseLoaderVersionId(versionId);
+    if (!parsed) return false;
+
+    const loader = getLoader(parsed.type);
+    if (!loader.runProcessors) return false;
+
+    return loader.runProcessors(gameDir, versionId, javaPath, onProgress);
+}
+
+/**
+ * Whether a version's loader still has install steps to run before it can be launched
+ */
+async function hasPendingLoaderProcessors(gameDir, versionId) {
+    const parsed = parseLoaderVersionId(versionId);
+    if (!parsed) return false;
+
+    const loader = getLoader(parsed.type);
+    return loader.hasPendingProcessors ? loader.hasPendingProcessors(gameDir, versionId) : false;
+}
+
+module.exports = {
+    getLoader,
+    listLoaderVersions,
+    parseLoaderVersionId,
+    installLoaderVersion,
+    runLoaderProcessors,
+    hasPendingLoaderProcessors,
+    LoaderType
+};
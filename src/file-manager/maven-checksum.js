@@ -0,0 +1,87 @@
+const { fetchMetadata, METADATA_CACHE_CONFIG } = require('./metadata-cache');
+
+// Configuration
+const CHECKSUM_CONFIG = {
+    CONCURRENT_REQUESTS: 8
+};
+
+/**
+ * Checksum files Maven repositories publish next to each artifact (<file>.sha1, <file>.sha256), in the order they are tried
+ */
+const CHECKSUM_ALGORITHMS = {
+    sha1: /^[0-9a-f]{40}$/,
+    sha256: /^[0-9a-f]{64}$/
+};
+
+/**
+ * Get the hash of a Maven artifact from the checksum file next to it
+ * Checksums are kept in the metadata cache, so each is only asked for once. Missing checksum files are
+ * remembered for a while and asked for again later, in case the repository publishes them.
+ * @param {string} url - Artifact URL
+ * @returns {Promise<Object|null>} { hash, algorithm }, or null if the repository has no checksum file
+ * @throws If the repository can't be reached or sends something that isn't a checksum, the artifact can't be verified then
+ */
+async function fetchMavenChecksum(url) {
+    for (const [algorithm, pattern] of Object.entries(CHECKSUM_ALGORITHMS)) {
+        let text;
+        try {
+            text = await fetchMetadata(`${url}.${algorithm}`, {
+                ttl: METADATA_CACHE_CONFIG.ARTIFACT_TTL_MS,
+                responseType: 'text',
+                allowNotFound: true
+            });
+        } catch (error) {
+            throw new Error(`Could not get the ${algorithm} checksum of ${url}: ${error.message}`);
+        }
+
+        if (text === null) continue;
+
+        // Usually just the hash, sometimes followed by the file name (sha1sum output)
+        const hash = String(text).trim().split(/\s+/)[0].toLowerCase();
+        if (!pattern.test(hash)) {
+            throw new Error(`The ${algorithm} checksum of ${url} is not a valid hash`);
+        }
+        return { hash, algorithm };
+    }
+
+    return null;
+}
+
+/**
+ * Get the hash a library should be checked against
+ * Libraries without a sha1 in their metadata (Fabric, Quilt) fall back to the checksum published on their Maven.
+ * @returns {Promise<Object|null>} { hash, algorithm }, or null if nobody publishes one
+ * @throws If the Maven checksum can't be looked up
+ */
+async function getLibraryChecksum(lib) {
+    if (lib.sha1) {
+        return { hash: lib.sha1, algorithm: 'sha1' };
+    }
+    if (!lib.url) {
+        return null;
+    }
+    return fetchMavenChecksum(lib.url);
+}
+
+/**
+ * Get the hashes of many libraries, asking the Maven repositories a few at a time
+ * A failed lookup doesn't stop the others, it is returned as { error } for that library.
+ * @returns {Promise<Array>} { hash, algorithm }, null or { error } for each library, in the same order
+ */
+async function getLibraryChecksums(libraries) {
+    const checksums = [];
+    const BATCH_SIZE = CHECKSUM_CONFIG.CONCURRENT_REQUESTS;
+
+    for (let i = 0; i < libraries.length; i += BATCH_SIZE) {
+        const batch = libraries.slice(i, i + BATCH_SIZE);
+        checksums.push(...await Promise.all(batch.map(lib => getLibraryChecksum(lib).catch(error => ({ error })))));
+    }
+
+    return checksums;
+}
+
+module.exports = {
+    fetchMavenChecksum,
+    getLibraryChecksum,
+    getLibraryChecksums
+};
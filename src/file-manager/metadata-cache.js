@@ -0,0 +1,165 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { app } = require('electron');
+
+// Configuration
+const METADATA_CACHE_CONFIG = {
+    LIST_TTL_MS: 10 * 60 * 1000,           // Lists that grow over time (version manifest, loader versions)
+    VERSION_TTL_MS: 24 * 60 * 60 * 1000,   // Documents that don't change once published (version JSONs, asset indexes)
+    ARTIFACT_TTL_MS: Infinity,             // Checksums of released Maven artifacts, which never change
+    NOT_FOUND_TTL_MS: 24 * 60 * 60 * 1000, // Longest a 404 is kept, the document may be published later
+    OFFLINE_RETRY_MS: 30 * 1000,           // While offline, cached copies are rechecked this often to notice the network is back
+    TIMEOUT_MS: 15000
+};
+
+// Requests in flight, so parallel callers share one fetch per URL and options
+const pendingRequests = new Map();
+
+// Outcome of the last request that actually went to the network
+let networkStatus = { offline: false, checkedAt: null };
+
+function setNetworkStatus(offline) {
+    networkStatus = { offline, checkedAt: Date.now() };
+}
+
+// Get the cache directory, next to config.json
+function getCacheDirectory() {
+    try {
+        return path.join(app.getPath('userData'), 'metadata-cache');
+    } catch (error) {
+        // Fallback to project root (for development or if app not ready)
+        return path.join(__dirname, '..', '..', 'metadata-cache');
+    }
+}
+
+function getCachePath(url) {
+    const key = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(getCacheDirectory(), `${key}.json`);
+}
+
+async function readCacheEntry(url) {
+    try {
+        const entry = JSON.parse(await fs.readFile(getCachePath(url), 'utf8'));
+        return entry.url === url ? entry : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function writeCacheEntry(entry) {
+    const cachePath = getCachePath(entry.url);
+    await fs.mkdir(path.dirname(cachePath), { recursive: true });
+
+    // Write then rename, so a crash never leaves half a file behind
+    await fs.writeFile(`${cachePath}.tmp`, JSON.stringify(entry));
+    await fs.rename(`${cachePath}.tmp`, cachePath);
+}
+
+/**
+ * Whether a request failed because the server couldn't be reached (as opposed to e.g. a 404)
+ */
+function isUnreachable(error) {
+    return !error.response || error.response.status >= 500;
+}
+
+async function requestMetadata(url, ttl, responseType, allowNotFound) {
+    const cached = await readCacheEntry(url);
+
+    const maxAge = cached && cached.notFound ? Math.min(ttl, METADATA_CACHE_CONFIG.NOT_FOUND_TTL_MS) : ttl;
+    if (cached && Date.now() - cached.fetchedAt < maxAge) {
+        // While offline, one request per interval checks whether the network is back, the others use the cache.
+        // Copies that never expire aren't used for that, they would be fetched again for nothing.
+        const retryOffline = maxAge !== Infinity && networkStatus.offline &&
+            Date.now() - networkStatus.checkedAt >= METADATA_CACHE_CONFIG.OFFLINE_RETRY_MS;
+        if (!retryOffline) {
+            return cached.data;
+        }
+        networkStatus.checkedAt = Date.now();
+    }
+
+    // Ask the server whether our copy is still current
+    const headers = {};
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    let response;
+    try {
+        response = await axios.get(url, {
+            headers,
+            responseType,
+            timeout: METADATA_CACHE_CONFIG.TIMEOUT_MS,
+            validateStatus: status => (status >= 200 && status < 300) ||
+                (status === 304 && !!cached) ||
+                (status === 404 && allowNotFound)
+        });
+    } catch (error) {
+        setNetworkStatus(isUnreachable(error));
+        if (cached && isUnreachable(error)) {
+            console.warn(`Could not reach ${new URL(url).host}, using the cached copy:`, error.message);
+            return cached.data;
+        }
+        throw error;
+    }
+
+    setNetworkStatus(false);
+    // A 404 is kept as null, so documents that don't exist aren't asked for again for a while
+    const found = response.status !== 404;
+    const entry = response.status === 304
+        ? { ...cached, fetchedAt: Date.now() }
+        : {
+            url: url,
+            etag: found ? response.headers.etag || null : null,
+            lastModified: found ? response.headers['last-modified'] || null : null,
+            fetchedAt: Date.now(),
+            notFound: !found,
+            data: found ? response.data : null
+        };
+
+    try {
+        await writeCacheEntry(entry);
+    } catch (error) {
+        console.warn('Could not update the metadata cache:', error.message);
+    }
+
+    return entry.data;
+}
+
+/**
+ * Fetch a JSON document through the on-disk cache
+ * Copies younger than the TTL are used as they are, older ones are revalidated with ETag / Last-Modified.
+ * When the server can't be reached the cached copy is used and the launcher is reported offline.
+ * @param {string} url - Document URL, also the cache key
+ * @param {Object} options - { ttl } in milliseconds (LIST_TTL_MS by default, 0 to always revalidate),
+ *                           { responseType: 'text' } for documents that aren't JSON,
+ *                           { allowNotFound: true } to cache a 404 (at most NOT_FOUND_TTL_MS) and return null instead of throwing
+ * @returns {Promise<*>} The parsed document
+ */
+function fetchMetadata(url, options = {}) {
+    const ttl = options.ttl !== undefined ? options.ttl : METADATA_CACHE_CONFIG.LIST_TTL_MS;
+    const responseType = options.responseType || 'json';
+    const allowNotFound = options.allowNotFound === true;
+
+    // Callers only share a request when they asked for the same thing
+    const key = `${url} ${ttl} ${responseType} ${allowNotFound}`;
+    if (!pendingRequests.has(key)) {
+        const request = requestMetadata(url, ttl, responseType, allowNotFound).finally(() => pendingRequests.delete(key));
+        pendingRequests.set(key, request);
+    }
+    return pendingRequests.get(key);
+}
+
+/**
+ * Whether the last request that went to the network found it down
+ * Requests answered from the cache don't change it.
+ */
+function isMetadataOffline() {
+    return networkStatus.offline;
+}
+
+module.exports = {
+    fetchMetadata,
+    isMetadataOffline,
+    METADATA_CACHE_CONFIG
+};
@@ -0,0 +1,457 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const AdmZip = require('adm-zip');
+const { fetchMetadata } = require('./metadata-cache');
+const { downloadWithRetry, downloadLibraries } = require('./downloader');
+const { validateFile, validateLibraries, fileExists } = require('./file-validator');
+const { fetchMavenChecksum } = require('./maven-checksum');
+
+// Configuration
+const NEOFORGE_CONFIG = {
+    MAVEN_URL: 'https://maven.neoforged.net/releases/',
+    VERSIONS_URL: 'https://maven.neoforged.net/api/maven/versions/releases/net/neoforged/neoforge',
+    PROCESSOR_TIMEOUT_MS: 10 * 60 * 1000,
+    PROCESSOR_OUTPUT_LIMIT: 32 * 1024 * 1024
+};
+
+const NEOFORGE_VERSION_PREFIX = 'neoforge-';
+const INSTALL_PROFILE = 'install_profile.json';
+const PROCESSORS_MARKER = '.processors.json';
+
+/**
+ * Minecraft version a NeoForge version is built for
+ * NeoForge numbers its versions after Minecraft: 21.1.x is for 1.21.1 and 21.0.x for 1.21.
+ */
+function getNeoForgeMinecraftVersion(loaderVersion) {
+    const parts = loaderVersion.split('-')[0].split('.');
+
+    // From Minecraft 26.1 on, NeoForge versions start with the Minecraft version itself (26.1.0.x)
+    if (Number(parts[0]) >= 26) {
+        return parts[2] && parts[2] !== '0' ? parts.slice(0, 3).join('.') : parts.slice(0, 2).join('.');
+    }
+    return parts[1] === '0' ? `1.${parts[0]}` : `1.${parts[0]}.${parts[1]}`;
+}
+
+/**
+ * Version id of a NeoForge install, named like the official installer does
+ * e.g. neoforge-21.1.77
+ */
+function getNeoForgeVersionId(loaderVersion) {
+    return `${NEOFORGE_VERSION_PREFIX}${loaderVersion}`;
+}
+
+/**
+ * Split a NeoForge version id into its loader and Minecraft versions
+ * @returns {Object|null} { loaderVersion, minecraftVersion }, or null if it is not a NeoForge id
+ */
+function parseNeoForgeVersionId(versionId) {
+    if (!versionId.startsWith(NEOFORGE_VERSION_PREFIX)) return null;
+
+    const loaderVersion = versionId.slice(NEOFORGE_VERSION_PREFIX.length);
+    if (!/^\d+\.\d+\.\d+/.test(loaderVersion)) return null;
+
+    return {
+        loaderVersion: loaderVersion,
+        minecraftVersion: getNeoForgeMinecraftVersion(loaderVersion)
+    };
+}
+
+/**
+ * Path of a Maven artifact in the libraries folder
+ * e.g. net.neoforged:neoforge:21.1.77:client -> net/neoforged/neoforge/21.1.77/neoforge-21.1.77-client.jar
+ */
+function getMavenPath(name) {
+    const [coordinates, extension = 'jar'] = name.split('@');
+    const [groupId, artifactId, version, classifier] = coordinates.split(':');
+    const fileName = `${artifactId}-${version}${classifier ? `-${classifier}` : ''}.${extension}`;
+    return `${groupId.replace(/\./g, '/')}/${artifactId}/${version}/${fileName}`;
+}
+
+function getInstallerPath(gameDir, loaderVersion) {
+    return path.join(gameDir, 'libraries', getMavenPath(`net.neoforged:neoforge:${loaderVersion}:installer`));
+}
+
+/**
+ * List the NeoForge versions available for a Minecraft version, newest first
+ * @returns {Promise<Object[]>} [{ version, stable }]
+ */
+async function listNeoForgeVersions(minecraftVersion) {
+    const { versions } = await fetchMetadata(NEOFORGE_CONFIG.VERSIONS_URL);
+
+    // The Maven API lists versions oldest first
+    return versions
+        .filter(version => getNeoForgeMinecraftVersion(version) === minecraftVersion)
+        .reverse()
+        .map(version => ({
+            version: version,
+            stable: !version.includes('-')
+        }));
+}
+
+/**
+ * Get a NeoForge version for a Minecraft version
+ * @param {string} minecraftVersion - Minecraft version id, e.g. 1.21.1
+ * @param {string} loaderVersion - NeoForge version, or 'latest' for the newest stable one
+ */
+async function getNeoForgeVersion(minecraftVersion, loaderVersion = 'latest') {
+    const versions = await listNeoForgeVersions(minecraftVersion);
+
+    if (versions.length === 0) {
+        throw new Error(`NeoForge does not support Minecraft ${minecraftVersion}`);
+    }
+
+    const target = !loaderVersion || loaderVersion === 'latest'
+        ? versions.find(entry => entry.stable) || versions[0]
+        : versions.find(entry => entry.version === loaderVersion);
+
+    if (!target) {
+        throw new Error(`NeoForge ${loaderVersion} not found for Minecraft ${minecraftVersion}`);
+    }
+
+    console.log(`Using NeoForge ${target.version} for Minecraft ${minecraftVersion}`);
+    return { version: target.version };
+}
+
+/**
+ * Download the NeoForge installer jar, which holds the version profile and install steps
+ * The jar runs code at install time, so it is always checked against the checksum on the NeoForge Maven.
+ */
+async function downloadNeoForgeInstaller(gameDir, loaderVersion) {
+    const installerPath = getInstallerPath(gameDir, loaderVersion);
+    const url = NEOFORGE_CONFIG.MAVEN_URL + getMavenPath(`net.neoforged:neoforge:${loaderVersion}:installer`);
+
+    const checksum = await fetchMavenChecksum(url);
+    if (!checksum) {
+        throw new Error(`The NeoForge Maven has no checksum for the ${loaderVersion} installer`);
+    }
+
+    if (!await validateFile(installerPath, checksum.hash, checksum.algorithm)) {
+        await downloadWithRetry(url, installerPath, checksum.hash, null, checksum.algorithm);
+    }
+
+    return installerPath;
+}
+
+function readInstallerJson(zip, entryName) {
+    const text = zip.readAsText(entryName);
+    if (!text) {
+        throw new Error(`The NeoForge installer has no ${entryName}`);
+    }
+    return JSON.parse(text);
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Check the installer profiles have the shape the install steps rely on
+ * @throws If a processor or data entry is malformed
+ */
+function validateInstallProfile(installProfile, neoforgeProfile) {
+    const invalid = reason => new Error(`The NeoForge installer has an invalid ${INSTALL_PROFILE}: ${reason}`);
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(installProfile)) {
+        throw invalid('it is not an object');
+    }
+    if (installProfile.libraries !== undefined && !Array.isArray(installProfile.libraries)) {
+        throw invalid('libraries is not a list');
+    }
+
+    const processors = installProfile.processors === undefined ? [] : installProfile.processors;
+    if (!Array.isArray(processors)) {
+        throw invalid('processors is not a list');
+    }
+    processors.forEach((processor, index) => {
+        const name = `processor ${index + 1}`;
+        if (!isObject(processor) || typeof processor.jar !== 'string') {
+            throw invalid(`${name} has no jar`);
+        }
+        for (const field of ['classpath', 'args', 'sides']) {
+            if (processor[field] !== undefined && !isStringArray(processor[field])) {
+                throw invalid(`${field} of ${name} is not a list of strings`);
+            }
+        }
+        if (processor.outputs !== undefined
+            && !(isObject(processor.outputs) && Object.values(processor.outputs).every(hash => typeof hash === 'string'))) {
+            throw invalid(`outputs of ${name} is not a map of files to hashes`);
+        }
+    });
+
+    const data = installProfile.data === undefined ? {} : installProfile.data;
+    if (!isObject(data)) {
+        throw invalid('data is not an object');
+    }
+    for (const [key, value] of Object.entries(data)) {
+        if (!isObject(value) || (value.client !== undefined && typeof value.client !== 'string')) {
+            throw invalid(`data ${key} has no client value`);
+        }
+    }
+
+    if (!isObject(neoforgeProfile) || !Array.isArray(neoforgeProfile.libraries)) {
+        throw new Error('The NeoForge installer has an invalid version.json: libraries is not a list');
+    }
+}
+
+/**
+ * Copy the libraries shipped inside the installer (its maven/ folder) to the libraries folder
+ */
+async function extractEmbeddedLibraries(zip, librariesDir) {
+    for (const entry of zip.getEntries()) {
+        if (entry.isDirectory || !entry.entryName.startsWith('maven/')) continue;
+
+        const destPath = path.join(librariesDir, entry.entryName.slice('maven/'.length));
+
+        // Guard against entries escaping the libraries directory
+        if (!destPath.startsWith(librariesDir + path.sep)) {
+            console.warn(`Skipping unsafe installer entry: ${entry.entryName}`);
+            continue;
+        }
+
+        if (await fileExists(destPath)) continue;
+        await fs.mkdir(path.dirname(destPath), { recursive: true });
+        await fs.writeFile(destPath, entry.getData());
+    }
+}
+
+/**
+ * Install NeoForge for a Minecraft version
+ * The processors that patch the Minecraft jar need Java, so they run at launch (runNeoForgeProcessors).
+ * @param {string} gameDir - Game directory
+ * @param {string} minecraftVersion - Minecraft version id, e.g. 1.21.1
+ * @param {string} loaderVersion - NeoForge version, or 'latest'
+ */
+async function installNeoForge(gameDir, minecraftVersion, loaderVersion = 'latest') {
+    try {
+        console.log('Fetching NeoForge versions...');
+        const neoforge = await getNeoForgeVersion(minecraftVersion, loaderVersion);
+
+        const installerPath = await downloadNeoForgeInstaller(gameDir, neoforge.version);
+        const zip = new AdmZip(installerPath);
+        const installProfile = readInstallerJson(zip, INSTALL_PROFILE);
+        const neoforgeProfile = readInstallerJson(zip, 'version.json');
+        validateInstallProfile(installProfile, neoforgeProfile);
+
+        await extractEmbeddedLibraries(zip, path.join(gameDir, 'libraries'));
+
+        // Keep the install profile for the processors
+        const versionId = getNeoForgeVersionId(neoforge.version);
+        const versionDir = path.join(gameDir, 'versions', versionId);
+        await fs.mkdir(versionDir, { recursive: true });
+        await fs.writeFile(path.join(versionDir, INSTALL_PROFILE), JSON.stringify(installProfile, null, 2));
+
+        // Save the version profile, it inherits from the Minecraft version
+        const profile = { ...neoforgeProfile, id: versionId };
+        await fs.writeFile(path.join(versionDir, `${versionId}.json`), JSON.stringify(profile, null, 2));
+
+        return {
+            version: versionId,
+            profile: profile,
+            loader: neoforge
+        };
+    } catch (error) {
+        console.error('Error installing NeoForge:', error);
+        throw error;
+    }
+}
+
+/**
+ * Library entry of an install profile in the shape the downloader uses
+ */
+function toDownloadableLibrary(lib) {
+    const artifact = lib.downloads && lib.downloads.artifact;
+    return {
+        name: lib.name,
+        path: artifact ? artifact.path : getMavenPath(lib.name),
+        url: artifact ? artifact.url : null,
+        sha1: artifact ? artifact.sha1 : null,
+        size: artifact ? artifact.size : 0,
+        isNative: false
+    };
+}
+
+/**
+ * Resolve one install profile data value
+ * [maven:coordinates] is a library, 'text' is a literal and /path is a file inside the installer.
+ */
+function resolveDataValue(value, zip, tempDir, librariesDir) {
+    if (value.startsWith('[') && value.endsWith(']')) {
+        return path.join(librariesDir, getMavenPath(value.slice(1, -1)));
+    }
+    if (value.startsWith('\'') && value.endsWith('\'')) {
+        return value.slice(1, -1);
+    }
+    if (value.startsWith('/')) {
+        const entryName = value.slice(1);
+        if (!zip.getEntry(entryName)) {
+            throw new Error(`The NeoForge installer has no ${entryName}`);
+        }
+        zip.extractEntryTo(entryName, tempDir, true, true);
+        return path.join(tempDir, entryName);
+    }
+    return value;
+}
+
+/**
+ * Substitute {DATA} placeholders and [maven:coordinates] in a processor argument
+ */
+function resolveProcessorArgument(arg, variables, librariesDir) {
+    if (arg.startsWith('[') && arg.endsWith(']')) {
+        return path.join(librariesDir, getMavenPath(arg.slice(1, -1)));
+    }
+    return arg.replace(/\{(\w+)\}/g, (match, name) =>
+        Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match
+    );
+}
+
+function getJarMainClass(jarPath) {
+    const manifest = new AdmZip(jarPath).readAsText('META-INF/MANIFEST.MF');
+    const match = manifest.match(/^Main-Class:\s*(\S+)/m);
+    if (!match) {
+        throw new Error(`${path.basename(jarPath)} has no Main-Class`);
+    }
+    return match[1];
+}
+
+function runJava(javaPath, args) {
+    return new Promise((resolve, reject) => {
+        execFile(javaPath, args, {
+            timeout: NEOFORGE_CONFIG.PROCESSOR_TIMEOUT_MS,
+            maxBuffer: NEOFORGE_CONFIG.PROCESSOR_OUTPUT_LIMIT,
+            windowsHide: true
+        }, (error, stdout, stderr) => {
+            if (error) {
+                const reason = error.killed ? 'timed out' : `failed with exit code ${error.code}`;
+                const output = `${stdout}\n${stderr}`.trim().split(/\r?\n/).slice(-5).join('\n');
+                reject(new Error(`${reason}${output ? `:\n${output}` : ''}`));
+                return;
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Whether the install processors of a NeoForge version still have to run
+ * They are done when the marker exists and the libraries they make are present.
+ */
+async function hasPendingNeoForgeProcessors(gameDir, versionId) {
+    const versionDir = path.join(gameDir, 'versions', versionId);
+
+    // Libraries without a download URL are made by the processors
+    const metadata = JSON.parse(await fs.readFile(path.join(versionDir, `${versionId}.json`), 'utf8'));
+    const generated = metadata.libraries
+        .map(toDownloadableLibrary)
+        .filter(lib => !lib.url);
+
+    const generatedPresent = (await validateLibraries(gameDir, generated)).length === 0;
+    return !(generatedPresent && await fileExists(path.join(versionDir, PROCESSORS_MARKER)));
+}
+
+/**
+ * Run the install processors of a NeoForge version (patching and remapping the Minecraft jar)
+ * Only runs once per version: a marker is written when every step succeeded.
+ * @param {string} gameDir - Game directory
+ * @param {string} versionId - NeoForge version id, e.g. neoforge-21.1.77
+ * @param {string} javaPath - Java used for the launch
+ * @returns {Promise<boolean>} Whether the processors had to run
+ */
+async function runNeoForgeProcessors(gameDir, versionId, javaPath, onProgress = null) {
+    if (!await hasPendingNeoForgeProcessors(gameDir, versionId)) {
+        return false;
+    }
+
+    const neoforge = parseNeoForgeVersionId(versionId);
+    const versionDir = path.join(gameDir, 'versions', versionId);
+    const librariesDir = path.join(gameDir, 'libraries');
+    const markerPath = path.join(versionDir, PROCESSORS_MARKER);
+
+    const installProfile = JSON.parse(await fs.readFile(path.join(versionDir, INSTALL_PROFILE), 'utf8'));
+    const processors = (installProfile.processors || [])
+        .filter(processor => !processor.sides || processor.sides.includes('client'));
+
+    // Processor jars and their dependencies (the ones without URL came with the installer)
+    const processorLibraries = (installProfile.libraries || [])
+        .map(toDownloadableLibrary)
+        .filter(lib => lib.url);
+    const missingLibraries = await validateLibraries(gameDir, processorLibraries);
+    if (missingLibraries.length > 0) {
+        await downloadLibraries(gameDir, missingLibraries, onProgress);
+    }
+
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'naizo-neoforge-'));
+    try {
+        const installerPath = getInstallerPath(gameDir, neoforge.loaderVersion);
+        const zip = new AdmZip(installerPath);
+
+        const variables = {
+            SIDE: 'client',
+            MINECRAFT_JAR: path.join(versionDir, `${versionId}.jar`),
+            MINECRAFT_VERSION: neoforge.minecraftVersion,
+            ROOT: gameDir,
+            INSTALLER: installerPath,
+            LIBRARY_DIR: librariesDir
+        };
+        for (const [name, value] of Object.entries(installProfile.data || {})) {
+            if (value && typeof value.client === 'string') {
+                variables[name] = resolveDataValue(value.client, zip, tempDir, librariesDir);
+            }
+        }
+        const resolve = arg => resolveProcessorArgument(arg, variables, librariesDir);
+
+        for (let i = 0; i < processors.length; i++) {
+            const processor = processors[i];
+            const jarPath = resolve(`[${processor.jar}]`);
+            const step = `${i + 1}/${processors.length}`;
+
+            if (onProgress) {
+                onProgress({
+                    stage: 'loader',
+                    status: 'running',
+                    message: `Installing NeoForge (step ${step})...`,
+                    current: i + 1,
+                    total: processors.length
+                });
+            }
+
+            const classpath = [processor.jar, ...(processor.classpath || [])]
+                .map(name => resolve(`[${name}]`))
+                .join(path.delimiter);
+            const args = (processor.args || []).map(resolve);
+
+            try {
+                await runJava(javaPath, ['-cp', classpath, getJarMainClass(jarPath), ...args]);
+            } catch (error) {
+                throw new Error(`NeoForge install step ${step} (${processor.jar}) ${error.message}`);
+            }
+
+            // Check what the step produced against the hashes in the install profile
+            for (const [output, hash] of Object.entries(processor.outputs || {})) {
+                const outputPath = resolve(output);
+                if (!await validateFile(outputPath, resolve(hash))) {
+                    throw new Error(`NeoForge install step ${step} produced an invalid ${path.basename(outputPath)}`);
+                }
+            }
+        }
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+
+    await fs.writeFile(markerPath, JSON.stringify({ processors: processors.length }, null, 2));
+    return true;
+}
+
+module.exports = {
+    listNeoForgeVersions,
+    getNeoForgeVersion,
+    getNeoForgeVersionId,
+    parseNeoForgeVersionId,
+    getNeoForgeMinecraftVersion,
+    validateInstallProfile,
+    installNeoForge,
+    hasPendingNeoForgeProcessors,
+    runNeoForgeProcessors
+};
@@ -0,0 +1,323 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { downloadWithRetry, applyMirrors, DOWNLOAD_CONFIG } = require('./downloader');
+const { validateFile, fileExists } = require('./file-validator');
+const { fetchMetadata } = require('./metadata-cache');
+
+const DEFAULT_RUNTIME_MANIFEST_URL = 'https://launchermeta.mojang.com/v1/products/java-runtime/2ec0cc96c44e5a76b9c8b7c39df7210883d12871/all.json';
+const DEFAULT_COMPONENT = 'jre-legacy'; // Used by versions that don't declare javaVersion
+const RUNTIME_MARKER = '.runtime.json';
+
+/**
+ * Get the runtime settings from config, filling in defaults
+ */
+function getRuntimeSettings(config) {
+    const settings = config.java_runtime || {};
+
+    return {
+        enabled: settings.enabled !== false,
+        directory: settings.directory || path.join(path.resolve(config.game_directory), 'runtime'),
+        manifestUrl: settings.manifest_url || DEFAULT_RUNTIME_MANIFEST_URL,
+        mirrors: settings.mirrors || {}
+    };
+}
+
+/**
+ * Get the platform key used by Mojang's java-runtime manifest
+ * Throws for platforms Mojang publishes no runtime for (e.g. Linux on ARM), so the launch uses the system Java.
+ */
+function getRuntimePlatform(platform = process.platform, arch = process.arch) {
+    const platforms = {
+        win32: { x64: 'windows-x64', ia32: 'windows-x86', arm64: 'windows-arm64' },
+        darwin: { x64: 'mac-os', arm64: 'mac-os-arm64' },
+        linux: { x64: 'linux', ia32: 'linux-i386' }
+    };
+
+    const platformKey = platforms[platform] && platforms[platform][arch];
+    if (!platformKey) {
+        throw new Error(`No Java runtime available for ${platform} ${arch}`);
+    }
+    return platformKey;
+}
+
+/**
+ * Get the Java executable inside an installed runtime
+ */
+function getJavaExecutable(runtimeDir, platform = process.platform) {
+    if (platform === 'win32') {
+        return path.join(runtimeDir, 'bin', 'javaw.exe');
+    }
+    if (platform === 'darwin') {
+        return path.join(runtimeDir, 'jre.bundle', 'Contents', 'Home', 'bin', 'java');
+    }
+
+    return path.join(runtimeDir, 'bin', 'java');
+}
+
+/**
+ * Resolve a path from a runtime manifest inside the runtime directory
+ * Manifests can come from a configured mirror, so paths escaping the directory are refused.
+ * @param {string} fromDir - Directory relPath is relative to (a link's own directory for link targets)
+ */
+function resolveRuntimePath(runtimeDir, relPath, fromDir = runtimeDir) {
+    const root = path.resolve(runtimeDir);
+    const resolved = path.resolve(fromDir, relPath);
+
+    if (!resolved.startsWith(root + path.sep)) {
+        throw new Error(`Java runtime manifest has a path outside the runtime directory: ${relPath}`);
+    }
+    return resolved;
+}
+
+/**
+ * Fetch the runtime component entry for a platform from the manifest
+ * Goes through the metadata cache, so an installed runtime is still found offline.
+ */
+async function fetchRuntimeEntry(settings, component, platformKey) {
+    const manifest = await fetchMetadata(applyMirrors(settings.manifestUrl, settings.mirrors));
+
+    const platformEntries = manifest[platformKey];
+    if (!platformEntries || !platformEntries[component] || platformEntries[component].length === 0) {
+        throw new Error(`Java runtime "${component}" is not available for ${platformKey}`);
+    }
+
+    return platformEntries[component][0];
+}
+
+/**
+ * Fetch the file list of a runtime component and check it against the hash in the runtime manifest
+ * The file list holds the hash of every runtime file, so a tampered one must not be used.
+ */
+async function fetchComponentManifest(entry, mirrors) {
+    const response = await axios.get(applyMirrors(entry.manifest.url, mirrors), {
+        responseType: 'text',
+        timeout: DOWNLOAD_CONFIG.TIMEOUT_MS
+    });
+
+    const hash = crypto.createHash('sha1').update(response.data).digest('hex');
+    if (hash !== entry.manifest.sha1.toLowerCase()) {
+        throw new Error('SHA1 verification failed for the Java runtime file list');
+    }
+
+    return JSON.parse(response.data);
+}
+
+/**
+ * Read the marker describing an installed runtime
+ */
+async function readRuntimeMarker(runtimeDir) {
+    try {
+        const data = await fs.readFile(path.join(runtimeDir, RUNTIME_MARKER), 'utf8');
+        return JSON.parse(data);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Download and verify every file of a runtime component
+ */
+async function installRuntimeFiles(runtimeDir, files, mirrors, onProgress = null) {
+    const entries = Object.entries(files);
+    const downloads = [];
+
+    // Check every path before writing anything
+    for (const [relPath, file] of entries) {
+        resolveRuntimePath(runtimeDir, relPath);
+        if (file.type === 'link') {
+            resolveRuntimePath(runtimeDir, file.target, path.dirname(resolveRuntimePath(runtimeDir, relPath)));
+        }
+    }
+
+    // Create directories first, then queue files that are missing or corrupt
+    for (const [relPath, file] of entries) {
+        if (file.type === 'directory') {
+            await fs.mkdir(resolveRuntimePath(runtimeDir, relPath), { recursive: true });
+        }
+    }
+
+    for (const [relPath, file] of entries) {
+        if (file.type !== 'file') continue;
+
+        const destPath = resolveRuntimePath(runtimeDir, relPath);
+        const raw = file.downloads.raw;
+
+        if (!await validateFile(destPath, raw.sha1)) {
+            downloads.push({ relPath, destPath, raw, executable: file.executable });
+        }
+    }
+
+    const total = downloads.length;
+    let completed = 0;
+    const BATCH_SIZE = DOWNLOAD_CONFIG.CONCURRENT_DOWNLOADS;
+
+    for (let i = 0; i < downloads.length; i += BATCH_SIZE) {
+        const batch = downloads.slice(i, i + BATCH_SIZE);
+
+        await Promise.all(batch.map(async (item) => {
+            await downloadWithRetry(applyMirrors(item.raw.url, mirrors), item.destPath, item.raw.sha1);
+
+            if (item.executable && process.platform !== 'win32') {
+                await fs.chmod(item.destPath, 0o755);
+            }
+
+            completed++;
+            if (onProgress) {
+                onProgress({
+                    currentFile: path.basename(item.relPath),
+                    completed: completed,
+                    total: total,
+                    overallProgress: Math.floor((completed / total) * 100)
+                });
+            }
+        }));
+    }
+
+    // Links are created last so their targets exist
+    if (process.platform !== 'win32') {
+        for (const [relPath, file] of entries) {
+            if (file.type !== 'link') continue;
+
+            const linkPath = resolveRuntimePath(runtimeDir, relPath);
+            await fs.rm(linkPath, { force: true });
+            await fs.mkdir(path.dirname(linkPath), { recursive: true });
+            await fs.symlink(file.target, linkPath);
+        }
+    }
+
+    return total;
+}
+
+/**
+ * Delete files an earlier version of the runtime had but the current one doesn't
+ * Directories left empty by that are removed too.
+ */
+async function removeStaleRuntimeFiles(runtimeDir, files) {
+    const keep = new Set(Object.keys(files).map(relPath => resolveRuntimePath(runtimeDir, relPath)));
+    keep.add(path.join(path.resolve(runtimeDir), RUNTIME_MARKER));
+    let removed = 0;
+
+    async function prune(dir) {
+        for (const dirent of await fs.readdir(dir, { withFileTypes: true })) {
+            const entryPath = path.join(dir, dirent.name);
+
+            if (dirent.isDirectory()) {
+                await prune(entryPath);
+                if (!keep.has(entryPath) && (await fs.readdir(entryPath)).length === 0) {
+                    await fs.rmdir(entryPath);
+                }
+            } else if (!keep.has(entryPath)) {
+                await fs.rm(entryPath, { force: true });
+                removed++;
+            }
+        }
+    }
+
+    await prune(path.resolve(runtimeDir));
+    return removed;
+}
+
+/**
+ * Get the Java runtime a version needs if it is already installed, without checking for updates or downloading
+ * @returns {Promise<Object|null>} { javaPath, component, version, majorVersion }, or null if it isn't installed
+ */
+async function getInstalledJavaRuntime(config, javaVersion) {
+    try {
+        getRuntimePlatform();
+    } catch (error) {
+        return null;
+    }
+
+    const settings = getRuntimeSettings(config);
+    const component = (javaVersion && javaVersion.component) || DEFAULT_COMPONENT;
+    const runtimeDir = path.join(settings.directory, component);
+    const javaExecutable = getJavaExecutable(runtimeDir);
+    const marker = await readRuntimeMarker(runtimeDir);
+
+    if (!marker || !await fileExists(javaExecutable)) {
+        return null;
+    }
+    return { javaPath: javaExecutable, component, version: marker.version, majorVersion: marker.majorVersion };
+}
+
+/**
+ * Make sure the Java runtime a version needs is installed and return its java executable
+ * @param {Object} config - Launcher config
+ * @param {Object} javaVersion - The version JSON's javaVersion ({ component, majorVersion })
+ * @param {Function} onProgress - Progress callback
+ */
+async function ensureJavaRuntime(config, javaVersion, onProgress = null) {
+    const settings = getRuntimeSettings(config);
+    const platformKey = getRuntimePlatform();
+    const component = (javaVersion && javaVersion.component) || DEFAULT_COMPONENT;
+    const runtimeDir = path.join(settings.directory, component);
+    const javaExecutable = getJavaExecutable(runtimeDir);
+    const marker = await readRuntimeMarker(runtimeDir);
+
+    let entry;
+    try {
+        entry = await fetchRuntimeEntry(settings, component, platformKey);
+    } catch (error) {
+        // Offline: fall back to an already installed runtime
+        if (marker && await fileExists(javaExecutable)) {
+            console.warn(`Could not check Java runtime ${component} for updates, using installed ${marker.version}:`, error.message);
+            return { javaPath: javaExecutable, component, version: marker.version, majorVersion: marker.majorVersion };
+        }
+        throw new Error(`Failed to get Java runtime ${component}: ${error.message}`);
+    }
+
+    // Already installed and up to date
+    if (marker && marker.manifestSha1 === entry.manifest.sha1 && await fileExists(javaExecutable)) {
+        return { javaPath: javaExecutable, component, version: marker.version, majorVersion: marker.majorVersion };
+    }
+
+    console.log(`Installing Java runtime ${component} (${entry.version.name})...`);
+    if (onProgress) {
+        onProgress({ stage: 'java-runtime', status: 'checking', message: `Preparing Java ${entry.version.name}...` });
+    }
+
+    const { files } = await fetchComponentManifest(entry, settings.mirrors);
+
+    await fs.mkdir(runtimeDir, { recursive: true });
+    await installRuntimeFiles(runtimeDir, files, settings.mirrors, (progress) => {
+        if (onProgress) {
+            onProgress({ stage: 'java-runtime', status: 'downloading', ...progress });
+        }
+    });
+
+    const removed = await removeStaleRuntimeFiles(runtimeDir, files);
+    if (removed > 0) {
+        console.log(`Removed ${removed} files the new Java runtime no longer has`);
+    }
+
+    if (!await fileExists(javaExecutable)) {
+        throw new Error(`Java runtime ${component} was installed but ${path.basename(javaExecutable)} is missing`);
+    }
+
+    const installed = {
+        component: component,
+        version: entry.version.name,
+        majorVersion: javaVersion ? javaVersion.majorVersion : null,
+        manifestSha1: entry.manifest.sha1
+    };
+    await fs.writeFile(path.join(runtimeDir, RUNTIME_MARKER), JSON.stringify(installed, null, 2));
+
+    if (onProgress) {
+        onProgress({ stage: 'java-runtime', status: 'complete', message: `Java ${entry.version.name} ready` });
+    }
+    console.log(`Java runtime ${component} installed`);
+
+    return { javaPath: javaExecutable, component, version: installed.version, majorVersion: installed.majorVersion };
+}
+
+module.exports = {
+    ensureJavaRuntime,
+    getInstalledJavaRuntime,
+    getRuntimeSettings,
+    getRuntimePlatform,
+    getJavaExecutable,
+    resolveRuntimePath,
+    DEFAULT_RUNTIME_MANIFEST_URL
+};
@@ -1,19 +1,18 @@
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
-const { installFabric, MINECRAFT_VERSION } = require('./fabric-installer');
+const { fetchMetadata, METADATA_CACHE_CONFIG } = require('./metadata-cache');
+const { installLoaderVersion } = require('./loader-installer');
+const { resolveVersionProfile } = require('./version-resolver');
+const { evaluateRules, getCurrentOS, resolveNativeClassifier } = require('../core/rule-engine');
 
 const MANIFEST_URL = 'https://launchermeta.mojang.com/mc/game/version_manifest.json';
-const TARGET_VERSION = `fabric-loader-${MINECRAFT_VERSION}`; // fabric-loader-1.20.1
-const VANILLA_VERSION = '1.20.1';
 
 /**
  * Fetch the version manifest from Mojang
  */
 async function fetchVersionManifest() {
     try {
-        const response = await axios.get(MANIFEST_URL);
-        return response.data;
+        return await fetchMetadata(MANIFEST_URL);
     } catch (error) {
         console.error('Error fetching version manifest:', error);
         throw new Error('Failed to fetch Minecraft version manifest');
@@ -21,26 +20,42 @@ async function fetchVersionManifest() {
 }
 
 /**
- * Get version metadata from local file (for Fabric) 
+ * List Minecraft versions from the manifest, newest first
+ * @param {boolean} includeSnapshots - Also list snapshots, betas and alphas
+ * @returns {Promise<Object[]>} [{ id, type, releaseTime }]
  */
-async function getLocalVersionMetadata(version, gameDir = './minecraft') {
+async function listMinecraftVersions(includeSnapshots = false) {
+    const manifest = await fetchVersionManifest();
+    return manifest.versions
+        .filter(entry => includeSnapshots || entry.type === 'release')
+        .map(entry => ({ id: entry.id, type: entry.type, releaseTime: entry.releaseTime }));
+}
+
+/**
+ * Get version metadata from local file (mod loaders, third-party or hand-edited profiles)
+ * @returns {Promise<Object|null>} The version JSON, or null if versions/ has none for this id
+ */
+async function getLocalVersionMetadata(version, gameDir) {
+    const versionPath = path.join(gameDir, 'versions', version, `${version}.json`);
+
     try {
-        const versionPath = path.join(gameDir, 'versions', version, `${version}.json`);
         const data = await fs.readFile(versionPath, 'utf8');
         return JSON.parse(data);
     } catch (error) {
+        if (error.code === 'ENOENT') return null;
         console.error('Error reading local version file:', error);
-        throw error;
+        throw new Error(`Could not read the ${version} version profile: ${error.message}`);
     }
 }
 
 /**
- * Get version metadata for specific Minecraft version
+ * Get the JSON of one version, without following inheritsFrom
+ * A profile in versions/ wins, otherwise it is a Mojang version.
  */
-async function getVersionMetadata(version = TARGET_VERSION, gameDir = './minecraft') {
-    // If Fabric version, read from local file
-    if (version.startsWith('fabric-loader')) {
-        return await getLocalVersionMetadata(version, gameDir);
+async function loadVersionJson(version, gameDir) {
+    const localMetadata = await getLocalVersionMetadata(version, gameDir);
+    if (localMetadata) {
+        return localMetadata;
     }
 
     // Vanilla version - fetch from Mojang
@@ -55,8 +70,7 @@ async function getVersionMetadata(version = TARGET_VERSION, gameDir = './minecra
         }
 
         // Fetch the version-specific JSON
-        const versionResponse = await axios.get(versionEntry.url);
-        return versionResponse.data;
+        return await fetchMetadata(versionEntry.url, { ttl: METADATA_CACHE_CONFIG.VERSION_TTL_MS });
 
     } catch (error) {
         console.error('Error getting version metadata:', error);
@@ -64,10 +78,17 @@ async function getVersionMetadata(version = TARGET_VERSION, gameDir = './minecra
     }
 }
 
+/**
+ * Get version metadata for a version, merged with every version it inherits from
+ */
+async function getVersionMetadata(version, gameDir) {
+    return resolveVersionProfile(version, id => loadVersionJson(id, gameDir));
+}
+
 /**
  * Get client download information
  */
-async function getClientInfo(version = TARGET_VERSION, gameDir = './minecraft') {
+async function getClientInfo(version, gameDir) {
     const metadata = await getVersionMetadata(version, gameDir);
 
     return {
@@ -80,37 +101,23 @@ async function getClientInfo(version = TARGET_VERSION, gameDir = './minecraft')
 /**
  * Get libraries list
  */
-async function getLibraries(version = TARGET_VERSION, gameDir = './minecraft') {
+async function getLibraries(version, gameDir, osInfo = getCurrentOS()) {
     const metadata = await getVersionMetadata(version, gameDir);
 
     const libraries = [];
 
     for (const lib of metadata.libraries) {
         // Check if library should be included for current OS
-        if (lib.rules) {
-            let include = false;
-
-            for (const rule of lib.rules) {
-                if (rule.action === 'allow') {
-                    if (!rule.os || isOSMatch(rule.os)) {
-                        include = true;
-                    }
-                } else if (rule.action === 'disallow') {
-                    if (!rule.os || isOSMatch(rule.os)) {
-                        include = false;
-                    }
-                }
-            }
-
-            if (!include) continue;
+        if (!evaluateRules(lib.rules, { os: osInfo })) {
+            continue;
         }
 
         // Handle both vanilla-style (downloads.artifact) and Fabric-style (direct properties) libraries
         if (lib.downloads && lib.downloads.artifact) {
-            // Vanilla library format
+            // Vanilla library format (NeoForge leaves the URL empty for files its installer makes)
             libraries.push({
                 path: lib.downloads.artifact.path,
-                url: lib.downloads.artifact.url,
+                url: lib.downloads.artifact.url || null,
                 sha1: lib.downloads.artifact.sha1,
                 size: lib.downloads.artifact.size,
                 isNative: false
@@ -141,7 +148,7 @@ async function getLibraries(version = TARGET_VERSION, gameDir = './minecraft') {
 
         // Add natives if present (vanilla only)
         if (lib.downloads && lib.downloads.classifiers && lib.natives) {
-            const nativeKey = lib.natives[getOSName()];
+            const nativeKey = resolveNativeClassifier(lib, osInfo);
             if (nativeKey && lib.downloads.classifiers[nativeKey]) {
                 const native = lib.downloads.classifiers[nativeKey];
                 libraries.push({
@@ -162,7 +169,7 @@ async function getLibraries(version = TARGET_VERSION, gameDir = './minecraft') {
 /**
  * Get asset index information
  */
-async function getAssetIndex(version = TARGET_VERSION, gameDir = './minecraft') {
+async function getAssetIndex(version, gameDir) {
     const metadata = await getVersionMetadata(version, gameDir);
 
     return {
@@ -177,11 +184,10 @@ async function getAssetIndex(version = TARGET_VERSION, gameDir = './minecraft')
 /**
  * Fetch asset index and return list of assets
  */
-async function getAssets(version = TARGET_VERSION, gameDir = './minecraft') {
+async function getAssets(version, gameDir) {
     const assetIndexInfo = await getAssetIndex(version, gameDir);
 
-    const response = await axios.get(assetIndexInfo.url);
-    const assetIndex = response.data;
+    const assetIndex = await fetchMetadata(assetIndexInfo.url, { ttl: METADATA_CACHE_CONFIG.VERSION_TTL_MS });
 
     const assets = [];
 
@@ -206,35 +212,19 @@ async function getAssets(version = TARGET_VERSION, gameDir = './minecraft') {
 
 /**
  * Get all required files for the version
+ * @param {Object} options - { install: false } to only read the profiles already in versions/
  */
-async function getAllRequiredFiles(version = TARGET_VERSION, gameDir = './minecraft') {
-    // If Fabric version, install Fabric first
-    if (version.startsWith('fabric-loader')) {
-        console.log('Getting Fabric version files...');
-        const vanillaMetadata = await getVersionMetadata(VANILLA_VERSION);
-        const fabricInstall = await installFabric(gameDir, vanillaMetadata);
-
-        // Use Fabric profile for getting required files
-        const fabricVersion = fabricInstall.version;
-        const [clientInfo, libraries, assetInfo] = await Promise.all([
-            getClientInfo(VANILLA_VERSION), // Client JAR is still vanilla
-            getLibraries(fabricVersion), // Use Fabric profile for libraries
-            getAssets(VANILLA_VERSION) // Assets are vanilla
-        ]);
-
-        return {
-            client: clientInfo,
-            libraries: libraries,
-            assets: assetInfo,
-            version: fabricVersion
-        };
+async function getAllRequiredFiles(version, gameDir, { install = true } = {}) {
+    // Write the mod loader profile first, the rest comes from resolving its inheritsFrom chain
+    // (client JAR and assets from the Minecraft version, libraries from every level)
+    if (install) {
+        await installLoaderVersion(gameDir, version);
     }
 
-    // Vanilla version
     const [clientInfo, libraries, assetInfo] = await Promise.all([
-        getClientInfo(version),
-        getLibraries(version),
-        getAssets(version)
+        getClientInfo(version, gameDir),
+        getLibraries(version, gameDir),
+        getAssets(version, gameDir)
     ]);
 
     return {
@@ -245,48 +235,21 @@ async function getAllRequiredFiles(version = TARGET_VERSION, gameDir = './minecr
     };
 }
 
-/**
- * Check if OS matches rule
- */
-function isOSMatch(osRule) {
-    const platform = process.platform;
-    const osName = getOSName();
-
-    if (osRule.name) {
-        return osRule.name === osName;
-    }
-
-    return true;
-}
-
-/**
- * Get OS name in Minecraft format
- */
-function getOSName() {
-    const platform = process.platform;
-
-    if (platform === 'win32') return 'windows';
-    if (platform === 'darwin') return 'osx';
-    if (platform === 'linux') return 'linux';
-
-    return 'unknown';
-}
-
 /**
  * Get full version metadata (for launch arguments)
  */
-async function getFullVersionMetadata(version = TARGET_VERSION, gameDir = './minecraft') {
+async function getFullVersionMetadata(version, gameDir) {
     return await getVersionMetadata(version, gameDir);
 }
 
 module.exports = {
     fetchVersionManifest,
+    listMinecraftVersions,
     getVersionMetadata,
     getClientInfo,
     getLibraries,
     getAssetIndex,
     getAssets,
     getAllRequiredFiles,
-    getFullVersionMetadata,
-    TARGET_VERSION
+    getFullVersionMetadata
 };
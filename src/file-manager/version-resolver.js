@@ -0,0 +1,126 @@
+/**
+ * Resolve version profiles that inherit from another version (inheritsFrom)
+ * Follows the official launcher: the child is merged over its parent, one level at a time
+ * from the root of the chain (usually a Mojang version) down to the requested version.
+ */
+
+/**
+ * Key that identifies a library regardless of its version: group:artifact[:classifier]
+ * Natives published as classifiers (org.lwjgl:lwjgl:3.3.1:natives-linux) stay separate from the main jar.
+ */
+function getLibraryKey(lib) {
+    const [groupId, artifactId, , classifier] = lib.name.split('@')[0].split(':');
+    return classifier ? `${groupId}:${artifactId}:${classifier}` : `${groupId}:${artifactId}`;
+}
+
+/**
+ * Child libraries come first and replace parent libraries of the same group:artifact
+ */
+function mergeLibraries(parentLibraries = [], childLibraries = []) {
+    const replaced = new Set(childLibraries.filter(lib => lib.name).map(getLibraryKey));
+
+    return [
+        ...childLibraries,
+        ...parentLibraries.filter(lib => !lib.name || !replaced.has(getLibraryKey(lib)))
+    ];
+}
+
+/**
+ * Split an argument list into options with their values, e.g. ['--width', '${resolution_width}']
+ * Conditional ({ rules, value }) entries are kept on their own.
+ */
+function groupArguments(list) {
+    const groups = [];
+
+    for (const arg of list) {
+        const last = groups[groups.length - 1];
+        const isValue = typeof arg === 'string' && !arg.startsWith('-');
+
+        if (isValue && last && typeof last[0] === 'string' && last[0].startsWith('-')) {
+            last.push(arg);
+        } else {
+            groups.push([arg]);
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Parent arguments first, then the child's, skipping options the parent already passes with the same values
+ */
+function mergeArgumentList(parentList = [], childList = []) {
+    const parentGroups = groupArguments(parentList);
+    const seen = new Set(parentGroups.map(group => JSON.stringify(group)));
+
+    const childGroups = groupArguments(childList).filter(group => !seen.has(JSON.stringify(group)));
+    return [...parentGroups, ...childGroups].flat();
+}
+
+function mergeArguments(parent, child) {
+    const merged = {};
+
+    for (const section of ['game', 'jvm']) {
+        const parentList = parent.arguments && parent.arguments[section];
+        const childList = child.arguments && child.arguments[section];
+
+        // An empty child list doesn't turn a legacy parent (minecraftArguments) into a modern one
+        if (!parentList && !(childList && childList.length > 0)) continue;
+
+        merged[section] = mergeArgumentList(parentList, childList);
+    }
+
+    return Object.keys(merged).length > 0 ? merged : undefined;
+}
+
+/**
+ * Merge a version profile over the profile it inherits from
+ * Anything the child sets (mainClass, assetIndex, javaVersion, logging, ...) wins over the parent,
+ * arguments and libraries are combined. The client download comes from the parent unless the child has its own.
+ */
+function mergeVersionProfiles(parent, child) {
+    const merged = {
+        ...parent,
+        ...child,
+        libraries: mergeLibraries(parent.libraries, child.libraries)
+    };
+
+    const args = mergeArguments(parent, child);
+    if (args) {
+        merged.arguments = args;
+    } else {
+        delete merged.arguments;
+    }
+
+    delete merged.inheritsFrom;
+    return merged;
+}
+
+/**
+ * Load a version and everything it inherits from, merged into one profile
+ * @param {string} versionId - Version to resolve
+ * @param {Function} loadVersion - async (id) => version JSON, without resolving inheritsFrom
+ * @returns {Promise<Object>} Merged version profile
+ */
+async function resolveVersionProfile(versionId, loadVersion) {
+    const chain = [];
+    const visited = new Set();
+
+    for (let id = versionId; id; id = chain[chain.length - 1].inheritsFrom) {
+        if (visited.has(id)) {
+            throw new Error(`Version ${versionId} inherits from itself through ${id}`);
+        }
+        visited.add(id);
+        chain.push(await loadVersion(id));
+    }
+
+    // Merge from the root down
+    return chain.reverse().reduce((parent, child) => mergeVersionProfiles(parent, child));
+}
+
+module.exports = {
+    resolveVersionProfile,
+    mergeVersionProfiles,
+    mergeLibraries,
+    mergeArgumentList
+};
@@ -0,0 +1,589 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { app } = require('electron');
+const { createOfflineProfile, generateOfflineUUID, OfflineUuidMode } = require('./offline-auth');
+const { validateUsername, normalizeUUID } = require('./player-identity');
+const { ensureFreshSession, createMicrosoftProfile } = require('./microsoft-auth');
+const { ensureValidSession, fetchServerMetadata, createYggdrasilProfile, uploadTexture, resetTexture } = require('./yggdrasil-auth');
+const { readTextureFile, saveTexture, loadTexture, deleteTextures, getSkinPreview, SkinModel, TextureType } = require('./skin-manager');
+const { ensureAuthlibInjector } = require('./authlib-injector');
+const { loadConfig } = require('../core/config-manager');
+const { storeSecret, readSecret, deleteSecret, getVaultStatus, vaultLockedError } = require('../core/credential-vault');
+
+const STORE_VERSION = 1;
+
+/**
+ * Account types
+ */
+const AccountType = {
+    OFFLINE: 'offline',
+    MICROSOFT: 'microsoft',
+    YGGDRASIL: 'yggdrasil'
+};
+
+/**
+ * Renew an auth server session if the server no longer accepts it
+ */
+async function ensureYggdrasilSession(account) {
+    const { session, refreshed } = await ensureValidSession(account.session);
+    if (refreshed) {
+        account.session = session;
+        account.username = session.username;
+    }
+    return session;
+}
+
+/**
+ * How each account type turns into a player profile for launching
+ * New providers add an entry here. Providers with `session: true` get their
+ * tokens from the credential vault in account.session; changes to it are saved back.
+ * Providers with `skins: true` let the player pick a skin; `publishTexture` and
+ * `resetTexture` send it to where the game loads skins from.
+ */
+const ACCOUNT_PROVIDERS = {
+    [AccountType.OFFLINE]: {
+        label: 'Offline',
+        skins: true,
+        createProfile: async (account) => createOfflineProfile(account.username, account)
+    },
+    [AccountType.MICROSOFT]: {
+        label: 'Microsoft',
+        session: true,
+        createProfile: async (account, config) => {
+            const { session, refreshed } = await ensureFreshSession(config, account.session);
+            account.session = session;
+            if (refreshed) {
+                // The player may have renamed their profile since the last sign-in
+                account.username = session.username;
+            }
+            return createMicrosoftProfile(session);
+        }
+    },
+    [AccountType.YGGDRASIL]: {
+        label: 'Auth Server',
+        session: true,
+        skins: true,
+        createProfile: async (account, config) => {
+            const session = await ensureYggdrasilSession(account);
+
+            // authlib-injector points the game at the auth server for logins and skins
+            const [{ prefetched }, injectorPath] = await Promise.all([
+                fetchServerMetadata(session.apiRoot),
+                ensureAuthlibInjector(path.resolve(config.game_directory || './minecraft'), config)
+            ]);
+            return createYggdrasilProfile(session, { apiRoot: session.apiRoot, prefetched, injectorPath });
+        },
+        // The game gets skins from the auth server through authlib-injector
+        publishTexture: async (account, type, data, model) => {
+            await uploadTexture(await ensureYggdrasilSession(account), type, data, model);
+        },
+        resetTexture: async (account, type) => {
+            await resetTexture(await ensureYggdrasilSession(account), type);
+        }
+    }
+};
+
+// Get the accounts path, next to config.json
+function getAccountsPath() {
+    try {
+        return path.join(app.getPath('userData'), 'accounts.json');
+    } catch (error) {
+        // Fallback to project root (for development or if app not ready)
+        return path.join(__dirname, '..', '..', 'accounts.json');
+    }
+}
+
+/**
+ * Import the single username from configs written before accounts existed
+ */
+async function migrateLegacyUsername() {
+    const store = { version: STORE_VERSION, selected: null, accounts: [] };
+
+    try {
+        const config = await loadConfig();
+        const username = (config.last_username || '').trim();
+
+        // Randomly generated names were never confirmed by the player, skip those
+        if (config.is_username_configured === true && !validateUsername(username)) {
+            const account = createAccount(AccountType.OFFLINE, username);
+            store.accounts.push(account);
+            store.selected = account.id;
+            console.log(`Migrated username ${username} to an offline account`);
+        }
+    } catch (error) {
+        console.warn('Could not migrate the saved username:', error.message);
+    }
+
+    return store;
+}
+
+/**
+ * Move tokens saved in plain text by older versions into the credential vault
+ * Accounts stay as they are while the vault is locked, and are moved once it is unlocked.
+ */
+async function migrateSessionsToVault(store) {
+    const legacy = store.accounts.filter(account => account.session);
+    if (legacy.length === 0 || (await getVaultStatus()).locked) {
+        return store;
+    }
+
+    let changed = false;
+    for (const account of legacy) {
+        try {
+            await storeSecret(account.id, account.session);
+            delete account.session;
+            changed = true;
+        } catch (error) {
+            console.warn(`Could not move the sign-in of ${account.username} to the vault:`, error.message);
+        }
+    }
+
+    if (changed) {
+        await saveAccounts(store);
+    }
+    return store;
+}
+
+/**
+ * Load the account store
+ * @returns {Promise<Object>} { version, selected, accounts }
+ */
+async function loadAccounts() {
+    try {
+        const data = await fs.readFile(getAccountsPath(), 'utf8');
+        const store = JSON.parse(data);
+        return migrateSessionsToVault({
+            version: store.version || STORE_VERSION,
+            selected: store.selected || null,
+            accounts: Array.isArray(store.accounts) ? store.accounts : []
+        });
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Error loading accounts:', error);
+            return { version: STORE_VERSION, selected: null, accounts: [] };
+        }
+
+        const store = await migrateLegacyUsername();
+        if (store.accounts.length > 0) {
+            await saveAccounts(store);
+        }
+        return store;
+    }
+}
+
+/**
+ * Save the account store
+ */
+async function saveAccounts(store) {
+    const accountsPath = getAccountsPath();
+    await fs.mkdir(path.dirname(accountsPath), { recursive: true });
+    await fs.writeFile(accountsPath, JSON.stringify(store, null, 2), 'utf8');
+}
+
+/**
+ * Create a new account record
+ */
+function createAccount(type, username, uuid = null) {
+    const account = {
+        id: crypto.randomUUID(),
+        type: type,
+        username: username,
+        uuid: uuid || (type === AccountType.OFFLINE ? generateOfflineUUID(username) : null),
+        createdAt: new Date().toISOString(),
+        lastUsed: null
+    };
+    if (type === AccountType.OFFLINE) {
+        account.uuidMode = OfflineUuidMode.STANDARD;
+    }
+    return account;
+}
+
+/**
+ * Account fields that are safe to hand to the renderer (tokens live in the vault)
+ */
+function toPublicAccount(account) {
+    const { session, ...publicFields } = account;
+    return publicFields;
+}
+
+/**
+ * List accounts, most recently used first
+ * @returns {Promise<Object>} { accounts, selected }
+ */
+async function listAccounts() {
+    const store = await loadAccounts();
+    const accounts = [...store.accounts].sort((a, b) =>
+        (b.lastUsed || b.createdAt || '').localeCompare(a.lastUsed || a.createdAt || '')
+    );
+    return { accounts: accounts.map(toPublicAccount), selected: store.selected };
+}
+
+/**
+ * Get an account by id, or the selected account when no id is given
+ * Tokens are not included, createLaunchProfile reads them from the vault.
+ */
+async function getAccount(id = null) {
+    const store = await loadAccounts();
+    const wanted = id || store.selected;
+    const account = store.accounts.find(existing => existing.id === wanted);
+    return account ? toPublicAccount(account) : null;
+}
+
+/**
+ * Move tokens left in accounts.json by older versions into the vault, e.g. right after it is unlocked
+ */
+async function migrateAccountSessions() {
+    await loadAccounts();
+}
+
+/**
+ * Add an offline account and select it
+ * Adding a name that already exists selects the existing account.
+ */
+async function addOfflineAccount(username) {
+    const name = (username || '').trim();
+    const error = validateUsername(name);
+    if (error) {
+        throw new Error(error);
+    }
+
+    const store = await loadAccounts();
+    let account = store.accounts.find(existing =>
+        existing.type === AccountType.OFFLINE && existing.username.toLowerCase() === name.toLowerCase()
+    );
+
+    if (!account) {
+        account = createAccount(AccountType.OFFLINE, name);
+        store.accounts.push(account);
+    }
+
+    store.selected = account.id;
+    await saveAccounts(store);
+    return toPublicAccount(account);
+}
+
+/**
+ * Add (or update) a Microsoft account from a sign-in session and select it
+ */
+async function addMicrosoftAccount(session) {
+    const store = await loadAccounts();
+    let account = store.accounts.find(existing =>
+        existing.type === AccountType.MICROSOFT && existing.uuid === session.uuid
+    );
+
+    if (!account) {
+        account = createAccount(AccountType.MICROSOFT, session.username, session.uuid);
+        store.accounts.push(account);
+    }
+    account.username = session.username;
+    account.xuid = session.xuid;
+
+    // Tokens go to the vault first, so a locked vault leaves no half-added account
+    await storeSecret(account.id, session);
+
+    store.selected = account.id;
+    await saveAccounts(store);
+    return toPublicAccount(account);
+}
+
+/**
+ * Add (or update) an account from a custom auth server session and select it
+ */
+async function addYggdrasilAccount(session) {
+    const store = await loadAccounts();
+    let account = store.accounts.find(existing =>
+        existing.type === AccountType.YGGDRASIL &&
+        existing.uuid === session.uuid &&
+        existing.server === session.apiRoot
+    );
+
+    if (!account) {
+        account = createAccount(AccountType.YGGDRASIL, session.username, session.uuid);
+        store.accounts.push(account);
+    }
+    account.username = session.username;
+    account.server = session.apiRoot;
+    account.serverName = session.serverName;
+
+    await storeSecret(account.id, session);
+
+    store.selected = account.id;
+    await saveAccounts(store);
+    return toPublicAccount(account);
+}
+
+/**
+ * Rename an offline account or change where its UUID comes from
+ * A pinned or imported UUID stays the same across renames, so server data
+ * (permissions, inventories) keeps belonging to the player.
+ * @param {string} id - Account id
+ * @param {Object} changes - { username, uuidMode, uuid, uuidSource }
+ */
+async function updateOfflineAccount(id, changes = {}) {
+    const store = await loadAccounts();
+    const account = store.accounts.find(existing => existing.id === id);
+    if (!account || account.type !== AccountType.OFFLINE) {
+        throw new Error('Offline account not found');
+    }
+
+    const username = (changes.username !== undefined ? String(changes.username) : account.username).trim();
+    const error = validateUsername(username);
+    if (error) {
+        throw new Error(error);
+    }
+    const duplicate = store.accounts.find(existing =>
+        existing.id !== id && existing.type === AccountType.OFFLINE && existing.username.toLowerCase() === username.toLowerCase()
+    );
+    if (duplicate) {
+        throw new Error(`There is already an offline account called ${duplicate.username}`);
+    }
+
+    const uuidMode = changes.uuidMode || account.uuidMode || OfflineUuidMode.STANDARD;
+    if (!Object.values(OfflineUuidMode).includes(uuidMode)) {
+        throw new Error(`Unknown UUID option: ${uuidMode}`);
+    }
+
+    let uuid = generateOfflineUUID(username);
+    if (uuidMode !== OfflineUuidMode.STANDARD) {
+        uuid = normalizeUUID(changes.uuid || account.uuid);
+        if (!uuid) {
+            throw new Error('Enter a UUID like 069a79f4-44e9-4726-a5be-fca90e38aaf5');
+        }
+    }
+
+    account.username = username;
+    account.uuidMode = uuidMode;
+    account.uuid = uuid;
+    if (uuidMode === OfflineUuidMode.IMPORTED) {
+        account.uuidSource = changes.uuidSource || account.uuidSource || null;
+    } else {
+        delete account.uuidSource;
+    }
+
+    await saveAccounts(store);
+    return toPublicAccount(account);
+}
+
+/**
+ * Save changes to an existing account (tokens go to the vault, never to accounts.json)
+ */
+async function updateAccount(account) {
+    const store = await loadAccounts();
+    const index = store.accounts.findIndex(existing => existing.id === account.id);
+    if (index === -1) return;
+
+    // Tokens from older versions stay where they are until the vault is unlocked and they can be moved
+    const { session } = store.accounts[index];
+    store.accounts[index] = session ? { ...toPublicAccount(account), session } : toPublicAccount(account);
+    await saveAccounts(store);
+}
+
+/**
+ * Remove an account; the most recently used remaining account becomes selected
+ */
+async function removeAccount(id) {
+    const store = await loadAccounts();
+    const index = store.accounts.findIndex(account => account.id === id);
+    if (index === -1) {
+        throw new Error('Account not found');
+    }
+
+    const [removed] = store.accounts.splice(index, 1);
+    await deleteSecret(id);
+    await deleteTextures(id);
+    if (store.selected === id) {
+        const next = [...store.accounts].sort((a, b) => (b.lastUsed || '').localeCompare(a.lastUsed || ''))[0];
+        store.selected = next ? next.id : null;
+    }
+
+    await saveAccounts(store);
+    return toPublicAccount(removed);
+}
+
+/**
+ * Select the account used for the next launch
+ */
+async function selectAccount(id) {
+    const store = await loadAccounts();
+    const account = store.accounts.find(existing => existing.id === id);
+    if (!account) {
+        throw new Error('Account not found');
+    }
+
+    store.selected = id;
+    await saveAccounts(store);
+    return toPublicAccount(account);
+}
+
+/**
+ * Record that an account was just used to launch
+ */
+async function markAccountUsed(id) {
+    const store = await loadAccounts();
+    const account = store.accounts.find(existing => existing.id === id);
+    if (!account) return;
+
+    account.lastUsed = new Date().toISOString();
+    store.selected = id;
+    await saveAccounts(store);
+}
+
+/**
+ * Create the player profile to launch with for an account
+ * Renewed sign-in tokens are saved back to the store.
+ * @param {Object} account - Account from getAccount
+ * @param {Object} config - Launcher config (provider settings)
+ * @returns {Promise<Object>} Player profile (username, uuid, accessToken, ...)
+ */
+async function createLaunchProfile(account, config = {}) {
+    const provider = getProvider(account);
+    return withSession(account, provider, () => provider.createProfile(account, config));
+}
+
+function getProvider(account) {
+    const provider = ACCOUNT_PROVIDERS[account.type];
+    if (!provider) {
+        throw new Error(`Unsupported account type: ${account.type}`);
+    }
+    return provider;
+}
+
+/**
+ * Run a provider action with the account's tokens loaded, saving any changes afterwards
+ */
+async function withSession(account, provider, action) {
+    if (provider.session) {
+        account.session = await readSecret(account.id);
+        if (!account.session) {
+            // Tokens from older versions are only moved into the vault once it is unlocked
+            if ((await getVaultStatus()).locked) {
+                throw vaultLockedError();
+            }
+            throw new Error(`The sign-in for ${account.username} is missing. Remove the account and sign in again.`);
+        }
+    }
+
+    const before = JSON.stringify(account);
+    const result = await action();
+    if (JSON.stringify(account) !== before) {
+        if (provider.session) {
+            await storeSecret(account.id, account.session);
+        }
+        await updateAccount(account);
+    }
+    return result;
+}
+
+/**
+ * Change the skin, cape or arm model of an account
+ * The files are checked and kept in the launcher; accounts on an auth server also get them uploaded.
+ * @param {string} id - Account id
+ * @param {Object} changes - { skinPath, capePath, model }, each optional
+ * @returns {Promise<Object>} { account, warning }
+ */
+async function setAccountSkin(id, changes = {}) {
+    const account = await getAccount(id);
+    if (!account) {
+        throw new Error('Account not found');
+    }
+    const provider = getProvider(account);
+    if (!provider.skins) {
+        throw new Error(`${provider.label} accounts change their skin on the account website`);
+    }
+
+    const model = changes.model || (account.skin && account.skin.model) || SkinModel.CLASSIC;
+    if (!Object.values(SkinModel).includes(model)) {
+        throw new Error(`Unknown skin model: ${model}`);
+    }
+
+    // Check both files before saving either
+    const skin = changes.skinPath ? await readTextureFile(changes.skinPath, TextureType.SKIN) : await loadTexture(id, TextureType.SKIN);
+    const cape = changes.capePath ? await readTextureFile(changes.capePath, TextureType.CAPE) : null;
+    if (!skin) {
+        throw new Error('Choose a skin first');
+    }
+
+    if (changes.skinPath) await saveTexture(id, TextureType.SKIN, skin);
+    if (cape) await saveTexture(id, TextureType.CAPE, cape);
+
+    account.skin = {
+        model,
+        cape: !!cape || !!(account.skin && account.skin.cape),
+        updatedAt: new Date().toISOString()
+    };
+    await updateAccount(account);
+
+    let warning = null;
+    if (provider.publishTexture) {
+        try {
+            await withSession(account, provider, async () => {
+                if (changes.skinPath || changes.model) await provider.publishTexture(account, TextureType.SKIN, skin, model);
+                if (cape) await provider.publishTexture(account, TextureType.CAPE, cape);
+            });
+        } catch (error) {
+            warning = error.message;
+        }
+    }
+
+    return { account: toPublicAccount(account), warning };
+}
+
+/**
+ * Go back to the default skin and no cape
+ * @returns {Promise<Object>} { account, warning }
+ */
+async function clearAccountSkin(id) {
+    const account = await getAccount(id);
+    if (!account) {
+        throw new Error('Account not found');
+    }
+    const provider = getProvider(account);
+
+    const hadCape = !!(account.skin && account.skin.cape);
+    await deleteTextures(id);
+    delete account.skin;
+    await updateAccount(account);
+
+    let warning = null;
+    if (provider.resetTexture) {
+        try {
+            await withSession(account, provider, async () => {
+                await provider.resetTexture(account, TextureType.SKIN);
+                if (hadCape) await provider.resetTexture(account, TextureType.CAPE);
+            });
+        } catch (error) {
+            warning = error.message;
+        }
+    }
+
+    return { account: toPublicAccount(account), warning };
+}
+
+/**
+ * Skin and cape of an account for previews
+ * @returns {Promise<Object|null>} { model, skin, cape } as data URLs
+ */
+async function getAccountSkin(id) {
+    const account = await getAccount(id);
+    return account ? getSkinPreview(account) : null;
+}
+
+module.exports = {
+    listAccounts,
+    getAccount,
+    migrateAccountSessions,
+    addOfflineAccount,
+    addMicrosoftAccount,
+    addYggdrasilAccount,
+    removeAccount,
+    selectAccount,
+    markAccountUsed,
+    createLaunchProfile,
+    updateOfflineAccount,
+    setAccountSkin,
+    clearAccountSkin,
+    getAccountSkin,
+    AccountType,
+    ACCOUNT_PROVIDERS
+};
@@ -0,0 +1,156 @@
+const path = require('path');
+const { app } = require('electron');
+const { evaluateRules } = require('../core/rule-engine');
+
+const LAUNCHER_NAME = 'naizo-launcher';
+
+// Matches ${name} placeholders in version JSON arguments
+const PLACEHOLDER_PATTERN = /\$\{([^}]+)\}/g;
+
+// Versions with legacy minecraftArguments have no JVM argument list, these are the defaults for them
+const LEGACY_JVM_ARGUMENTS = [
+    '-Djava.library.path=${natives_directory}',
+    '-cp',
+    '${classpath}'
+];
+
+/**
+ * Get the launcher version reported to the game
+ */
+function getLauncherVersion() {
+    try {
+        return app.getVersion();
+    } catch (error) {
+        // Not running inside Electron (e.g. scripts)
+        return require('../../package.json').version;
+    }
+}
+
+/**
+ * Build the variables available to argument templates for one launch
+ * @param {Object} options - { config, gameDir, version, metadata, playerProfile, nativesDir, classpath, quickPlay }
+ */
+function createTemplateVariables(options) {
+    const { config, gameDir, version, metadata, playerProfile, nativesDir, classpath, quickPlay } = options;
+    const window = config.window || {};
+
+    return {
+        // Launcher and paths
+        launcher_name: LAUNCHER_NAME,
+        launcher_version: getLauncherVersion(),
+        natives_directory: nativesDir,
+        classpath: classpath,
+        classpath_separator: path.delimiter,
+        library_directory: path.join(gameDir, 'libraries'),
+        game_directory: gameDir,
+        assets_root: path.join(gameDir, 'assets'),
+        assets_index_name: metadata.assetIndex ? metadata.assetIndex.id : metadata.assets,
+
+        // Version
+        version_name: version,
+        version_type: metadata.type || 'release',
+
+        // Player
+        auth_player_name: playerProfile.username,
+        auth_uuid: playerProfile.uuid,
+        auth_access_token: playerProfile.accessToken,
+        auth_session: `token:${playerProfile.accessToken}:${playerProfile.uuid.replace(/-/g, '')}`,
+        auth_xuid: playerProfile.xuid || '',
+        clientid: playerProfile.clientToken || playerProfile.accessToken,
+        user_type: playerProfile.userType,
+        user_properties: '{}',
+
+        // Window
+        resolution_width: String(window.width || ''),
+        resolution_height: String(window.height || ''),
+
+        // Quick play targets
+        ...(quickPlay ? quickPlay.variables : {})
+    };
+}
+
+/**
+ * Substitute placeholders in one argument
+ * Unknown placeholders are left in place and added to `unresolved`.
+ */
+function substitute(template, variables, unresolved = null) {
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+        if (Object.prototype.hasOwnProperty.call(variables, name)) {
+            return variables[name];
+        }
+
+        if (unresolved) {
+            unresolved.add(name);
+        }
+        return match;
+    });
+}
+
+/**
+ * Expand a version JSON argument list (strings and { rules, value } entries)
+ */
+function expandArguments(list, variables, ruleContext, unresolved = null) {
+    const args = [];
+
+    for (const arg of list) {
+        if (typeof arg === 'string') {
+            args.push(substitute(arg, variables, unresolved));
+            continue;
+        }
+
+        if (!arg || !evaluateRules(arg.rules, ruleContext)) {
+            continue;
+        }
+
+        const values = Array.isArray(arg.value) ? arg.value : [arg.value];
+        for (const value of values) {
+            if (typeof value === 'string') {
+                args.push(substitute(value, variables, unresolved));
+            }
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Resolve the JVM and game arguments of a version in one pass
+ * Handles both the modern `arguments` object and legacy `minecraftArguments`.
+ * @param {Object} metadata - Full (merged) version metadata
+ * @param {Object} variables - Variables from createTemplateVariables
+ * @param {Object} ruleContexts - { jvm, game } rule contexts for evaluateRules
+ * @returns {Object} { jvm, game, unresolved: [{ section, name }] }
+ */
+function resolveArgumentTemplates(metadata, variables, ruleContexts) {
+    const jvmUnresolved = new Set();
+    const gameUnresolved = new Set();
+    const modern = metadata.arguments || {};
+
+    const jvmTemplates = modern.jvm || LEGACY_JVM_ARGUMENTS;
+    let gameTemplates = modern.game || [];
+    if (!modern.game && metadata.minecraftArguments) {
+        gameTemplates = metadata.minecraftArguments.split(/\s+/).filter(Boolean);
+    }
+
+    const jvm = expandArguments(jvmTemplates, variables, ruleContexts.jvm, jvmUnresolved);
+    const game = expandArguments(gameTemplates, variables, ruleContexts.game, gameUnresolved);
+
+    return {
+        jvm,
+        game,
+        unresolved: [
+            ...[...jvmUnresolved].map(name => ({ section: 'jvm', name })),
+            ...[...gameUnresolved].map(name => ({ section: 'game', name }))
+        ]
+    };
+}
+
+module.exports = {
+    createTemplateVariables,
+    resolveArgumentTemplates,
+    expandArguments,
+    substitute,
+    getLauncherVersion,
+    LAUNCHER_NAME,
+    PLACEHOLDER_PATTERN
+};
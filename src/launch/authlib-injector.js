@@ -0,0 +1,95 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const { downloadWithRetry } = require('../file-manager/downloader');
+const { validateFile } = require('../file-manager/file-validator');
+
+// Configuration
+const INJECTOR_CONFIG = {
+    METADATA_URL: 'https://authlib-injector.yushi.moe/artifact/latest.json',
+    REQUEST_TIMEOUT_MS: 15000
+};
+
+/**
+ * Directory the injector jars are kept in, next to the other libraries
+ */
+function getInjectorDirectory(gameDir) {
+    return path.join(gameDir, 'libraries', 'moe', 'yushi', 'authlib-injector');
+}
+
+function getInjectorPath(gameDir, version) {
+    return path.join(getInjectorDirectory(gameDir), version, `authlib-injector-${version}.jar`);
+}
+
+/**
+ * Find the newest injector jar already on disk (used when the metadata can't be fetched)
+ */
+async function findInstalledInjector(gameDir) {
+    try {
+        const versions = await fs.readdir(getInjectorDirectory(gameDir));
+        versions.sort((a, b) => b.localeCompare(a, undefined, { numeric: true }));
+
+        for (const version of versions) {
+            const jarPath = getInjectorPath(gameDir, version);
+            if (await validateFile(jarPath, null)) {
+                return jarPath;
+            }
+        }
+    } catch (error) {
+        // Nothing installed yet
+    }
+    return null;
+}
+
+/**
+ * Make sure the latest authlib-injector jar is downloaded and verified
+ * @param {string} gameDir - Game directory
+ * @param {Object} config - Launcher config (auth_server.injector_metadata_url)
+ * @returns {Promise<string>} Path to the jar
+ */
+async function ensureAuthlibInjector(gameDir, config = {}) {
+    const metadataUrl = (config.auth_server && config.auth_server.injector_metadata_url) || INJECTOR_CONFIG.METADATA_URL;
+
+    let artifact;
+    try {
+        const response = await axios.get(metadataUrl, { timeout: INJECTOR_CONFIG.REQUEST_TIMEOUT_MS });
+        artifact = response.data;
+    } catch (error) {
+        const installed = await findInstalledInjector(gameDir);
+        if (installed) {
+            console.warn(`Could not check for authlib-injector updates, using ${path.basename(installed)}:`, error.message);
+            return installed;
+        }
+        throw new Error(`Could not download authlib-injector: ${error.message}`);
+    }
+
+    // The artifact metadata only publishes SHA-256 checksums
+    const sha256 = artifact.checksums && artifact.checksums.sha256;
+    const jarPath = getInjectorPath(gameDir, artifact.version);
+
+    if (!await validateFile(jarPath, sha256, 'sha256')) {
+        console.log(`Downloading authlib-injector ${artifact.version}...`);
+        await downloadWithRetry(artifact.download_url, jarPath, sha256, null, 'sha256');
+    }
+
+    return jarPath;
+}
+
+/**
+ * JVM arguments that load authlib-injector for an auth server
+ * @param {Object} authServer - { apiRoot, prefetched, injectorPath }
+ */
+function getAuthlibInjectorArgs(authServer) {
+    const args = [`-javaagent:${authServer.injectorPath}=${authServer.apiRoot}`];
+    if (authServer.prefetched) {
+        // Saves the injector a request to the auth server at startup
+        args.push(`-Dauthlibinjector.yggdrasil.prefetched=${authServer.prefetched}`);
+    }
+    return args;
+}
+
+module.exports = {
+    ensureAuthlibInjector,
+    getAuthlibInjectorArgs,
+    INJECTOR_CONFIG
+};
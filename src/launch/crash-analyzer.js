@@ -0,0 +1,264 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { formatRecord } = require('./game-log');
+const { redactText } = require('./launch-script');
+
+// Configuration
+const CRASH_CONFIG = {
+    LOG_TAIL_LINES: 200,
+    LOG_MAX_CHARS: 50000,
+    REPORT_MAX_CHARS: 200000
+};
+
+/**
+ * Crash cause types, most specific first
+ */
+const CrashCause = {
+    WRONG_JAVA: 'wrong_java',
+    OUT_OF_MEMORY: 'out_of_memory',
+    MIXIN_FAILURE: 'mixin_failure',
+    MOD_ERROR: 'mod_error',
+    NATIVE_CRASH: 'native_crash',
+    UNKNOWN: 'unknown'
+};
+
+// Mod ids that appear in stack traces but are never the culprit
+const IGNORED_MOD_IDS = new Set(['minecraft', 'java', 'fabricloader', 'mixinextras', 'fabric-api']);
+
+/**
+ * Find the newest file in a directory matching a filter, optionally modified after a time
+ */
+async function findNewestFile(dir, filter, since = 0) {
+    let newest = null;
+
+    try {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+
+        for (const entry of entries) {
+            if (!entry.isFile() || !filter(entry.name)) continue;
+
+            const filePath = path.join(dir, entry.name);
+            const stat = await fs.stat(filePath);
+            if (stat.mtimeMs < since) continue;
+
+            if (!newest || stat.mtimeMs > newest.mtimeMs) {
+                newest = { path: filePath, mtimeMs: stat.mtimeMs };
+            }
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Could not scan ${dir}:`, error.message);
+        }
+    }
+
+    return newest ? newest.path : null;
+}
+
+/**
+ * Read a text file, returning null if it can't be read
+ */
+async function readText(filePath) {
+    if (!filePath) return null;
+
+    try {
+        return await fs.readFile(filePath, 'utf8');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Keep the end of a text within a length, starting at a whole line
+ */
+function keepEnd(text, maxChars) {
+    if (text.length <= maxChars) return text;
+
+    const end = text.slice(text.length - maxChars);
+    const lineStart = end.indexOf('\n');
+    return lineStart === -1 ? end : end.slice(lineStart + 1);
+}
+
+/**
+ * Map a Java class file version to the Java release that introduced it
+ */
+function classVersionToJava(classVersion) {
+    return Math.round(parseFloat(classVersion)) - 44;
+}
+
+/**
+ * Collect mod ids named by a crash text
+ */
+function findSuspectedMods(text) {
+    const counts = new Map();
+    const add = (modId) => {
+        const id = modId.toLowerCase();
+        if (IGNORED_MOD_IDS.has(id)) return;
+        counts.set(id, (counts.get(id) || 0) + 1);
+    };
+
+    const patterns = [
+        // Mixin [x.mixins.json:SomeMixin] from mod sodium failed
+        /from mod ([a-z0-9_\-]+)/gi,
+        // Fabric mixin handlers are named handler$abc000$modid$method
+        /\b(?:handler|redirect|modify\w*|wrap\w*|localvar)\$[a-z0-9]+\$([a-z0-9_]+)\$/gi,
+        // Fabric loader errors: Mod 'Name' (modid) ...
+        /Mod '[^']+' \(([a-z0-9_\-]+)\)/g,
+        // Forge style crash report section
+        /Suspected Mods?:\s*([^\n(]+)\(([a-z0-9_\-]+)\)/gi
+    ];
+
+    for (const pattern of patterns) {
+        for (const match of text.matchAll(pattern)) {
+            add(match[match.length - 1]);
+        }
+    }
+
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([id]) => id);
+}
+
+/**
+ * Work out the likely cause of a crash from the collected texts
+ */
+function detectCause(texts) {
+    const all = texts.filter(Boolean).join('\n');
+    const suspectedMods = findSuspectedMods(all);
+
+    const classVersion = all.match(/class file version (\d+(?:\.\d+)?)/);
+    if (/UnsupportedClassVersionError/.test(all) || classVersion) {
+        const required = classVersion ? classVersionToJava(classVersion[1]) : null;
+        return {
+            type: CrashCause.WRONG_JAVA,
+            title: 'Wrong Java version',
+            detail: required
+                ? `The game or a mod needs Java ${required} or newer. Select a newer Java in the Java settings.`
+                : 'The game or a mod was built for a newer Java. Select a newer Java in the Java settings.',
+            suspectedMods
+        };
+    }
+
+    if (/java\.lang\.OutOfMemoryError|There is insufficient memory for the Java Runtime|Out of Memory Error/.test(all)) {
+        return {
+            type: CrashCause.OUT_OF_MEMORY,
+            title: 'Out of memory',
+            detail: 'The game ran out of memory. Raise the maximum RAM in the Java settings, or close other programs.',
+            suspectedMods
+        };
+    }
+
+    const mixin = all.match(/Mixin \[([^\]]+)\] from mod ([a-z0-9_\-]+) failed|MixinTransformerError|InvalidInjectionException|MixinApplyError/i);
+    if (mixin) {
+        const modId = mixin[2] || suspectedMods[0] || null;
+        return {
+            type: CrashCause.MIXIN_FAILURE,
+            title: 'Mixin failure',
+            detail: modId
+                ? `The mod "${modId}" failed to patch the game${mixin[1] ? ` (${mixin[1]})` : ''}. It may be incompatible with another mod or this game version.`
+                : 'A mod failed to patch the game. It may be incompatible with another mod or this game version.',
+            modId: modId,
+            suspectedMods
+        };
+    }
+
+    if (suspectedMods.length > 0) {
+        return {
+            type: CrashCause.MOD_ERROR,
+            title: 'Mod crash',
+            detail: `The crash comes from the mod "${suspectedMods[0]}".`,
+            modId: suspectedMods[0],
+            suspectedMods
+        };
+    }
+
+    if (/A fatal error has been detected by the Java Runtime Environment/.test(all)) {
+        const frame = all.match(/Problematic frame:\s*\n#\s*(.+)/);
+        return {
+            type: CrashCause.NATIVE_CRASH,
+            title: 'Native crash',
+            detail: frame
+                ? `Java crashed in native code (${frame[1].trim()}). This is often a graphics driver problem.`
+                : 'Java crashed in native code. This is often a graphics driver problem.',
+            suspectedMods
+        };
+    }
+
+    const description = all.match(/^Description: (.+)$/m);
+    return {
+        type: CrashCause.UNKNOWN,
+        title: 'Game crashed',
+        detail: description ? description[1] : 'The cause could not be determined. Copy the report and share it with support.',
+        suspectedMods
+    };
+}
+
+/**
+ * Analyze a game exit with a non-zero code
+ * @param {Object} options - { gameDir, exitCode, signal, startTime, logRecords, logFile, secrets }
+ */
+async function analyzeCrash(options) {
+    const { gameDir, exitCode, signal, startTime = 0, logRecords = [], logFile = null, secrets = [] } = options;
+
+    const crashReportPath = await findNewestFile(
+        path.join(gameDir, 'crash-reports'),
+        name => name.startsWith('crash-') && name.endsWith('.txt'),
+        startTime
+    );
+    const hsErrPath = await findNewestFile(
+        gameDir,
+        name => name.startsWith('hs_err_pid') && name.endsWith('.log'),
+        startTime
+    );
+
+    const crashReport = await readText(crashReportPath);
+    const hsErr = await readText(hsErrPath);
+    const logTail = logRecords
+        .slice(-CRASH_CONFIG.LOG_TAIL_LINES)
+        .map(formatRecord)
+        .join('\n');
+
+    const cause = detectCause([crashReport, hsErr, logTail]);
+
+    const sections = [
+        `Exit code: ${exitCode}${signal ? ` (signal ${signal})` : ''}`,
+        `Likely cause: ${cause.title} - ${cause.detail}`
+    ];
+    if (cause.suspectedMods.length > 0) {
+        sections.push(`Suspected mods: ${cause.suspectedMods.join(', ')}`);
+    }
+    if (crashReport) {
+        sections.push(`---- Crash report (${path.basename(crashReportPath)}) ----\n${crashReport}`);
+    }
+    if (hsErr) {
+        sections.push(`---- JVM error log (${path.basename(hsErrPath)}) ----\n${hsErr}`);
+    }
+
+    // The newest log lines tell the most, so the log is cut from the front and the other sections make room for it
+    const logSection = logTail
+        ? `---- Last ${CRASH_CONFIG.LOG_TAIL_LINES} log lines ----\n${keepEnd(redactText(logTail, secrets), CRASH_CONFIG.LOG_MAX_CHARS)}`
+        : '';
+    // hs_err logs contain the full command line, including the access token
+    const details = redactText(sections.join('\n\n'), secrets)
+        .slice(0, CRASH_CONFIG.REPORT_MAX_CHARS - (logSection ? logSection.length + 2 : 0));
+
+    return {
+        exitCode: exitCode,
+        signal: signal || null,
+        cause: cause,
+        files: {
+            crashReport: crashReportPath,
+            hsErr: hsErrPath,
+            sessionLog: logFile
+        },
+        folder: crashReportPath ? path.dirname(crashReportPath) : gameDir,
+        report: logSection ? `${details}\n\n${logSection}` : details
+    };
+}
+
+module.exports = {
+    analyzeCrash,
+    detectCause,
+    findSuspectedMods,
+    CrashCause,
+    CRASH_CONFIG
+};
@@ -1,208 +1,463 @@
-const { spawn, exec } = require('child_process');
+const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs').promises;
+const AdmZip = require('adm-zip');
 const { loadConfig } = require('../core/config-manager');
-const { createOfflineProfile } = require('./offline-auth');
-const { buildJVMArguments, buildGameArguments } = require('./jvm-builder');
-const { getAllRequiredFiles } = require('../file-manager/version-manifest');
+const { resolveGameVersion } = require('../core/version-selection');
+const { createLaunchProfile } = require('./account-store');
+const { buildLaunchArguments } = require('./jvm-builder');
+const { getAllRequiredFiles, getFullVersionMetadata } = require('../file-manager/version-manifest');
+const { runLoaderProcessors, hasPendingLoaderProcessors } = require('../file-manager/loader-installer');
+const { ensureJavaRuntime, getInstalledJavaRuntime, getRuntimeSettings } = require('../file-manager/runtime-manager');
+const { validateFile, getMissingFiles } = require('../file-manager/file-validator');
+const { downloadWithRetry } = require('../file-manager/downloader');
+const { GameLogSession } = require('./game-log');
+const { inspectJava } = require('./java-discovery');
+const { resolveLaunchMemory } = require('./memory-advisor');
+const { formatFlagIssue } = require('./jvm-flags');
+const { resolveLaunchWrapper } = require('./launch-wrapper');
+const { runLaunchHook, createHookVariables, HookStage } = require('./launch-hooks');
+const { exportLaunchScript, getProfileSecrets, redactArgs } = require('./launch-script');
+const { substitute } = require('./arg-template');
+
+// Marker file written into the natives directory after extraction
+const NATIVES_MARKER = '.natives.json';
 
 /**
- * Check if Java is available and accessible
+ * Check if a zip entry is excluded by the library's extract rules
  */
-async function checkJavaAvailable(javaPath) {
-    return new Promise((resolve) => {
-        const command = javaPath === 'java' ? 'java -version' : `"${javaPath}" -version`;
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                console.error('[DEBUG] Java detection failed:', error.message);
-                console.error('[DEBUG] Java path used:', javaPath);
-                resolve({ available: false, error: error.message });
-            } else {
-                // Java outputs version info to stderr
-                const versionInfo = stderr || stdout;
-                console.log('[DEBUG] Java detected:', versionInfo.split('\n')[0]);
-                resolve({ available: true, version: versionInfo.split('\n')[0] });
-            }
-        });
-    });
+function isExcludedEntry(entryName, extract) {
+    if (!extract || !Array.isArray(extract.exclude)) {
+        return false;
+    }
+
+    return extract.exclude.some(prefix => entryName.startsWith(prefix));
+}
+
+/**
+ * Read the marker describing the natives that were last extracted
+ */
+async function readNativesMarker(markerPath) {
+    try {
+        const data = await fs.readFile(markerPath, 'utf8');
+        return JSON.parse(data);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the natives a version needs, as recorded in the natives marker
+ */
+function getExpectedNatives(libraries) {
+    return libraries
+        .filter(lib => lib.isNative)
+        .map(lib => ({ path: lib.path, sha1: lib.sha1 || null }));
+}
+
+/**
+ * Check if the natives of a version are extracted and match its libraries
+ */
+async function areNativesExtracted(gameDir, version, libraries) {
+    const marker = await readNativesMarker(path.join(gameDir, 'natives', version, NATIVES_MARKER));
+    return Boolean(marker) && JSON.stringify(marker.natives) === JSON.stringify(getExpectedNatives(libraries));
 }
 
 /**
  * Extract natives for the current platform
+ * Unpacks every native classifier jar into natives/<version>, honoring each
+ * library's extract.exclude list. A marker file records which jars were
+ * extracted so the work is skipped when nothing changed.
  */
 async function extractNatives(gameDir, version, libraries) {
     const nativesDir = path.join(gameDir, 'natives', version);
+    const markerPath = path.join(nativesDir, NATIVES_MARKER);
+
+    const natives = libraries.filter(lib => lib.isNative);
+    const expected = getExpectedNatives(libraries);
+
+    // Skip extraction if the same set of natives is already in place
+    const marker = await readNativesMarker(markerPath);
+    if (marker && JSON.stringify(marker.natives) === JSON.stringify(expected)) {
+        console.log(`Natives for ${version} are up to date`);
+        return nativesDir;
+    }
 
-    // Create natives directory
+    // Clean out stale natives from a previous extraction
+    await fs.rm(nativesDir, { recursive: true, force: true });
     await fs.mkdir(nativesDir, { recursive: true });
 
     // Extract native libraries
-    for (const lib of libraries) {
-        if (lib.isNative && lib.extract) {
-            const libPath = path.join(gameDir, 'libraries', lib.path);
-
-            try {
-                // Use a library like adm-zip or extract-zip to extract natives
-                // For now, we'll assume natives are in the correct location
-                console.log(`Native library: ${lib.path}`);
-            } catch (error) {
-                console.error(`Error extracting native ${lib.path}:`, error);
+    for (const lib of natives) {
+        const libPath = path.join(gameDir, 'libraries', lib.path);
+
+        try {
+            const zip = new AdmZip(libPath);
+
+            for (const entry of zip.getEntries()) {
+                if (entry.isDirectory || isExcludedEntry(entry.entryName, lib.extract)) {
+                    continue;
+                }
+
+                const destPath = path.join(nativesDir, entry.entryName);
+
+                // Guard against entries escaping the natives directory
+                if (!destPath.startsWith(nativesDir + path.sep)) {
+                    console.warn(`Skipping unsafe native entry: ${entry.entryName}`);
+                    continue;
+                }
+
+                await fs.mkdir(path.dirname(destPath), { recursive: true });
+                await fs.writeFile(destPath, entry.getData());
             }
+
+            console.log(`Extracted native library: ${lib.path}`);
+        } catch (error) {
+            console.error(`Error extracting native ${lib.path}:`, error);
+            throw new Error(`Failed to extract native library ${path.basename(lib.path)}: ${error.message}`);
         }
     }
 
+    // Record what was extracted so the next launch can skip this step
+    await fs.writeFile(markerPath, JSON.stringify({ natives: expected }, null, 2));
+
     return nativesDir;
 }
 
 /**
- * Launch Minecraft
+ * Make sure a version is completely installed, for building its command without installing anything
+ * Everything a launch would download, generate or extract has to be in place already.
+ */
+async function checkInstalled(gameDir, version, requiredFiles) {
+    const missing = await getMissingFiles(gameDir, requiredFiles);
+    const problems = [];
+
+    if (missing.client) problems.push('the game JAR');
+    if (missing.libraries.length > 0) {
+        problems.push(`${missing.libraries.length} ${missing.libraries.length === 1 ? 'library' : 'libraries'}`);
+    }
+    if (missing.assetIndex) problems.push('the asset index');
+    if (await hasPendingLoaderProcessors(gameDir, version)) problems.push('the mod loader setup');
+    if (!await areNativesExtracted(gameDir, version, requiredFiles.libraries)) problems.push('the native libraries');
+
+    if (problems.length > 0) {
+        throw notInstalledError(version, `missing ${problems.join(', ')}`);
+    }
+}
+
+/**
+ * Error for exporting the command of a version that isn't fully installed
+ */
+function notInstalledError(version, detail) {
+    return new Error(`Minecraft ${version} is not fully installed (${detail}). Play it once to finish the install, then export again.`);
+}
+
+/**
+ * Make sure the version's log4j configuration is present and return its JVM argument
+ * The configuration switches game output to log4j XML events, which the
+ * session log parses into structured records.
+ * @param {boolean} download - False to only use a configuration that is already downloaded
  */
-async function launchMinecraft(username, customSettings = {}, onModpackProgress = null) {
+async function prepareLoggingConfig(gameDir, metadata, download = true) {
+    if (!metadata.logging || !metadata.logging.client || !metadata.logging.client.file) {
+        return null;
+    }
+
+    const { argument, file } = metadata.logging.client;
+    const configPath = path.join(gameDir, 'assets', 'log_configs', file.id);
+
     try {
-        if (!username || username.trim() === '') {
-            throw new Error('Username is required');
+        if (!await validateFile(configPath, file.sha1)) {
+            if (!download) return null;
+            await downloadWithRetry(file.url, configPath, file.sha1);
         }
+        return substitute(argument, { path: configPath });
+    } catch (error) {
+        console.warn('Could not prepare logging configuration:', error.message);
+        return null;
+    }
+}
 
-        // Load configuration
-        const config = await loadConfig();
-        const gameDir = path.resolve(config.game_directory);
-        const version = config.minecraft_version;
-
-        // Merge custom settings
-        const settings = { ...config, ...customSettings };
-
-        // Get Java path from settings
-        const javaPath = settings.java_path || 'java';
-
-        // Check if Java is available
-        console.log('[DEBUG] Checking Java availability...');
-        const javaCheck = await checkJavaAvailable(javaPath);
-        if (!javaCheck.available) {
-            console.error('[DEBUG] Java is not available!');
-            console.error('[DEBUG] Please download Java from: https://adoptium.net/ or https://www.java.com/');
-            throw new Error(
-                'Java is not installed or not found!\n\n' +
-                'Please download and install Java to play Minecraft.\n\n' +
-                'Recommended: Download Java 17 or 21 from:\n' +
-                '• https://adoptium.net/\n' +
-                '• https://www.oracle.com/java/technologies/downloads/\n\n' +
-                'After installing, restart the launcher.'
-            );
+/**
+ * Resolve everything needed to start the game: Java, arguments and working directory
+ * @param {Object} account - Account from the account store
+ * @param {Object} customSettings - Settings overriding the saved config
+ * @param {Function} onProgress - Progress callback (Java runtime, hooks, modpack sync)
+ * @param {boolean} launching - False when only building the command (script export): installs, downloads and runs
+ *   nothing (no Java runtime, loader setup, natives, pre-sync hook or modpack sync) and fails if the install is incomplete
+ * @returns {Promise<Object>} { version, gameDir, javaPath, args, wrapper, env, playerProfile, settings, warnings }
+ */
+async function prepareLaunch(account, customSettings = {}, onProgress = null, launching = true) {
+    if (!account) {
+        throw new Error('Add or select an account before launching');
+    }
+
+    // Load configuration
+    const config = await loadConfig();
+    const gameDir = path.resolve(config.game_directory);
+
+    // Merge custom settings
+    const settings = { ...config, ...customSettings };
+
+    // Minecraft and loader versions from the modpack or the settings
+    const { id: version } = await resolveGameVersion(settings);
+
+    // Version metadata (main class, javaVersion, logging)
+    let metadata;
+    try {
+        metadata = await getFullVersionMetadata(version, gameDir);
+    } catch (error) {
+        if (launching) throw error;
+        throw notInstalledError(version, error.message);
+    }
+
+    // Get Java path from settings, using the managed runtime unless a custom path is set
+    let javaPath = settings.java_path || 'java';
+    if (javaPath === 'java' && getRuntimeSettings(settings).enabled) {
+        try {
+            // An export takes the runtime as it is installed, without updating or downloading it
+            const runtime = launching
+                ? await ensureJavaRuntime(settings, metadata.javaVersion, onProgress)
+                : await getInstalledJavaRuntime(settings, metadata.javaVersion);
+            if (runtime) {
+                javaPath = runtime.javaPath;
+                console.log(`Using managed Java runtime ${runtime.component} (${runtime.version})`);
+            }
+        } catch (error) {
+            console.warn('Managed Java runtime unavailable, falling back to system Java:', error.message);
         }
+    }
 
-        // Create player profile
-        const playerProfile = createOfflineProfile(username);
-        console.log(`Launching Minecraft for ${playerProfile.username} (${playerProfile.uuid})`);
+    // Check if Java is available
+    console.log('[DEBUG] Checking Java availability...');
+    const javaInfo = await inspectJava(javaPath);
+    if (!javaInfo) {
+        console.error('[DEBUG] Java is not available at:', javaPath);
+        throw new Error(
+            'Java is not installed or not found!\n\n' +
+            'Please download and install Java to play Minecraft.\n\n' +
+            'Recommended: Download Java 17 or 21 from:\n' +
+            '• https://adoptium.net/\n' +
+            '• https://www.oracle.com/java/technologies/downloads/\n\n' +
+            'After installing, restart the launcher.'
+        );
+    }
+    console.log(`[DEBUG] Java detected: ${javaInfo.version} (${javaInfo.vendor}, ${javaInfo.is64Bit ? '64' : '32'}-bit)`);
 
-        // Sync Modpack if enabled
-        if (config.modpack && config.modpack.enabled && config.modpack.manifest_url) {
-            try {
-                console.log('Initializing Modpack Manager...');
-                const ModpackManager = require('../modpack/modpack-manager');
-                const modpackManager = new ModpackManager(gameDir, config.modpack.manifest_url);
+    // Refuse a Java that is older than the version requires
+    const requiredJava = metadata.javaVersion && metadata.javaVersion.majorVersion;
+    if (requiredJava && javaInfo.majorVersion < requiredJava) {
+        throw new Error(
+            `Java ${javaInfo.majorVersion} is too old for this version of Minecraft.\n\n` +
+            `It needs Java ${requiredJava} or newer, but the selected Java is ${javaInfo.version} (${javaPath}).\n\n` +
+            'Pick a newer Java in Settings > Java, or choose "Automatic" to let the launcher download the right one.'
+        );
+    }
 
-                // Notify UI that modpack sync is starting
-                if (onModpackProgress) {
-                    onModpackProgress({
-                        stage: 'modpack',
-                        status: 'checking',
-                        message: 'Checking for mod updates...'
-                    });
-                }
+    // Wrapper command (gamemoderun, mangohud, ...) and extra environment variables
+    const launchWrapper = await resolveLaunchWrapper(settings);
 
-                await modpackManager.sync((progress) => {
-                    console.log(`[Modpack] Downloading ${progress.file} (${progress.current}/${progress.total})`);
-                    if (onModpackProgress) {
-                        onModpackProgress({
-                            stage: 'modpack',
-                            status: 'downloading',
-                            file: progress.file,
-                            current: progress.current,
-                            total: progress.total,
-                            percentage: Math.floor((progress.current / progress.total) * 100)
-                        });
-                    }
+    // Create player profile
+    const playerProfile = await createLaunchProfile(account, settings);
+
+    // Pre-sync hook (e.g. world backups), a failure cancels the launch
+    const hookWarnings = [];
+    if (launching) {
+        if (onProgress && settings.hooks && settings.hooks.pre_sync) {
+            onProgress({ stage: 'hook', status: 'running', message: 'Running pre-sync hook...' });
+        }
+        const hookWarning = await runLaunchHook(
+            HookStage.PRE_SYNC,
+            settings,
+            createHookVariables({ gameDir, version, username: playerProfile.username }),
+            line => console.log(`[Hook] ${line}`)
+        );
+        if (hookWarning) hookWarnings.push(hookWarning);
+    }
+
+    // Sync Modpack if enabled
+    if (launching && config.modpack && config.modpack.enabled && config.modpack.manifest_url) {
+        try {
+            console.log('Initializing Modpack Manager...');
+            const ModpackManager = require('../modpack/modpack-manager');
+            const modpackManager = new ModpackManager(gameDir, config.modpack.manifest_url);
+
+            // Notify UI that modpack sync is starting
+            if (onProgress) {
+                onProgress({
+                    stage: 'modpack',
+                    status: 'checking',
+                    message: 'Checking for mod updates...'
                 });
+            }
 
-                // Notify completion
-                if (onModpackProgress) {
-                    onModpackProgress({
+            await modpackManager.sync((progress) => {
+                console.log(`[Modpack] Downloading ${progress.file} (${progress.current}/${progress.total})`);
+                if (onProgress) {
+                    onProgress({
                         stage: 'modpack',
-                        status: 'complete',
-                        message: 'Mods synced successfully'
+                        status: 'downloading',
+                        file: progress.file,
+                        current: progress.current,
+                        total: progress.total,
+                        percentage: Math.floor((progress.current / progress.total) * 100)
                     });
                 }
-            } catch (err) {
-                console.error('Modpack sync failed:', err);
-                if (onModpackProgress) {
-                    onModpackProgress({
-                        stage: 'modpack',
-                        status: 'error',
-                        message: err.message
-                    });
-                }
-                console.warn('Continuing launch despite modpack sync failure...');
+            });
+
+            // Notify completion
+            if (onProgress) {
+                onProgress({
+                    stage: 'modpack',
+                    status: 'complete',
+                    message: 'Mods synced successfully'
+                });
+            }
+        } catch (err) {
+            console.error('Modpack sync failed:', err);
+            if (onProgress) {
+                onProgress({
+                    stage: 'modpack',
+                    status: 'error',
+                    message: err.message
+                });
             }
+            console.warn('Continuing launch despite modpack sync failure...');
         }
+    }
+
+    // Size the heap now that the mod list is final
+    const memory = await resolveLaunchMemory(settings, javaInfo.is64Bit);
+    settings.jvm_args = {
+        ...settings.jvm_args,
+        min_ram: memory.minRam,
+        max_ram: memory.maxRam
+    };
+    console.log(`Memory: -Xmx${memory.maxRam}${memory.advice.auto ? ' (auto)' : ''}, ${memory.advice.modCount} mods, ${memory.advice.totalMemoryMB} MB system RAM`);
+
+    // Get required files (for libraries list)
+    const requiredFiles = await getAllRequiredFiles(version, gameDir, { install: launching });
 
-        // Get required files (for libraries list)
-        const requiredFiles = await getAllRequiredFiles(version);
+    if (launching) {
+        // Loader install steps that need Java (NeoForge patches the Minecraft jar), only on the first launch
+        await runLoaderProcessors(gameDir, version, javaPath, onProgress);
 
         // Extract natives
         await extractNatives(gameDir, version, requiredFiles.libraries);
+    } else {
+        await checkInstalled(gameDir, version, requiredFiles);
+    }
+
+    // Build JVM and game arguments
+    const { jvmArgs, gameArgs, unresolved, flagIssues } = await buildLaunchArguments(
+        settings, gameDir, version, requiredFiles.libraries, playerProfile, javaInfo
+    );
 
-        // Build JVM arguments
-        const jvmArgs = await buildJVMArguments(settings, gameDir, version, requiredFiles.libraries);
+    // Unknown placeholders are passed through as-is and bad JVM options are dropped, warn about both
+    const warnings = [
+        ...hookWarnings,
+        ...launchWrapper.issues,
+        ...memory.advice.warnings.map(warning => warning.message),
+        ...flagIssues.map(formatFlagIssue),
+        ...unresolved.map(({ section, name }) =>
+            `Unresolved placeholder \${${name}} in ${section === 'jvm' ? 'JVM' : 'game'} arguments`
+        )
+    ];
+    warnings.forEach(warning => console.warn(warning));
 
-        // Build game arguments
-        const gameArgs = await buildGameArguments(settings, gameDir, version, playerProfile);
+    // Switch game output to log4j XML when the version provides a logging config
+    const loggingArg = await prepareLoggingConfig(gameDir, metadata, launching);
+    if (loggingArg) {
+        jvmArgs.push(loggingArg);
+    }
 
-        // Get main class
-        const metadata = await require('../file-manager/version-manifest').getFullVersionMetadata(version);
-        const mainClass = metadata.mainClass;
+    return {
+        version: version,
+        gameDir: gameDir,
+        javaPath: javaPath,
+        args: [...jvmArgs, metadata.mainClass, ...gameArgs],
+        wrapper: launchWrapper.wrapper,
+        env: launchWrapper.env,
+        playerProfile: playerProfile,
+        settings: settings,
+        warnings: warnings
+    };
+}
 
-        // Construct full command (javaPath already defined earlier in this function)
-        const fullArgs = [
-            ...jvmArgs,
-            mainClass,
-            ...gameArgs
-        ];
+/**
+ * Launch Minecraft
+ */
+async function launchMinecraft(account, customSettings = {}, onModpackProgress = null, onGameLog = null) {
+    try {
+        const launch = await prepareLaunch(account, customSettings, onModpackProgress);
+        const { version, gameDir, javaPath, args, wrapper, env, playerProfile, warnings, settings } = launch;
 
+        // Run Java through the wrapper command when one is set
+        const command = wrapper.length > 0 ? wrapper[0] : javaPath;
+        const commandArgs = wrapper.length > 0 ? [...wrapper.slice(1), javaPath, ...args] : args;
+
+        console.log(`Launching Minecraft for ${playerProfile.username} (${playerProfile.uuid})`);
         console.log('Launching Minecraft with command:');
-        console.log(`${javaPath} ${fullArgs.join(' ')}`);
+        console.log(`${command} ${redactArgs(commandArgs, getProfileSecrets(playerProfile)).join(' ')}`);
+        if (Object.keys(env).length > 0) {
+            console.log(`Extra environment: ${Object.keys(env).join(', ')}`);
+        }
+
+        // Open the session log before the game starts writing output
+        const gameLog = new GameLogSession(gameDir, onGameLog, getProfileSecrets(playerProfile));
+        try {
+            await gameLog.open();
+        } catch (error) {
+            console.warn('Could not create game log file:', error.message);
+        }
+        gameLog.write(`Launching ${version} for ${playerProfile.username} with ${wrapper.length > 0 ? `${wrapper.join(' ')} ` : ''}${javaPath}`);
+        warnings.forEach(warning => gameLog.write(warning, 'WARN'));
+
+        // Pre-launch hook (e.g. start voice chat), a failure cancels the launch
+        if (onModpackProgress && settings.hooks && settings.hooks.pre_launch) {
+            onModpackProgress({ stage: 'hook', status: 'running', message: 'Running pre-launch hook...' });
+        }
+        try {
+            const hookWarning = await runLaunchHook(
+                HookStage.PRE_LAUNCH,
+                settings,
+                createHookVariables({ gameDir, version, username: playerProfile.username }),
+                line => gameLog.write(`[Hook] ${line}`)
+            );
+            if (hookWarning) gameLog.write(hookWarning, 'WARN');
+        } catch (error) {
+            gameLog.write(error.message.split('\n')[0], 'ERROR');
+            gameLog.close();
+            throw error;
+        }
 
         // Spawn Minecraft process
-        const minecraftProcess = spawn(javaPath, fullArgs, {
+        const minecraftProcess = spawn(command, commandArgs, {
             cwd: gameDir,
+            env: { ...process.env, ...env },
             stdio: 'pipe', // Pipe output (use 'ignore' to completely suppress)
-            detached: false,
+            // Own process group, so stopping the game also stops what a wrapper started
+            detached: process.platform !== 'win32',
             windowsHide: true // Hide command prompt on Windows
         });
 
-        // Optional: Log game output
-        if (minecraftProcess.stdout) {
-            minecraftProcess.stdout.on('data', (data) => {
-                console.log(`[Minecraft] ${data}`);
-            });
-        }
-        if (minecraftProcess.stderr) {
-            minecraftProcess.stderr.on('data', (data) => {
-                console.error(`[Minecraft] ${data}`);
-            });
-        }
+        // Capture game output into the session log
+        gameLog.attach(minecraftProcess);
 
         minecraftProcess.on('error', (error) => {
             console.error('Failed to start Minecraft:', error);
-            throw error;
+            gameLog.write(`Failed to start Minecraft: ${error.message}`, 'ERROR');
         });
 
         minecraftProcess.on('exit', (code, signal) => {
             console.log(`Minecraft exited with code ${code} and signal ${signal}`);
+            gameLog.write(`Minecraft exited with code ${code} and signal ${signal}`);
         });
 
         return {
             success: true,
-            process: minecraftProcess
+            process: minecraftProcess,
+            log: gameLog
         };
 
     } catch (error) {
@@ -211,7 +466,29 @@ async function launchMinecraft(username, customSettings = {}, onModpackProgress
     }
 }
 
+/**
+ * Export the launch command as a runnable script, without the access token
+ * @param {string} filePath - Destination (.sh, or .bat/.cmd for a batch file)
+ */
+async function exportLaunchCommand(filePath, account, customSettings = {}, onProgress = null) {
+    const launch = await prepareLaunch(account, customSettings, onProgress, false);
+
+    const result = await exportLaunchScript(filePath, {
+        version: launch.version,
+        javaPath: launch.javaPath,
+        wrapper: launch.wrapper,
+        args: launch.args,
+        cwd: launch.gameDir,
+        env: launch.env
+    }, getProfileSecrets(launch.playerProfile));
+
+    console.log(`Launch script exported to ${result.path}`);
+    return result;
+}
+
 module.exports = {
     launchMinecraft,
+    prepareLaunch,
+    exportLaunchCommand,
     extractNatives
 };
@@ -0,0 +1,330 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createWriteStream } = require('fs');
+const { redactText } = require('./launch-script');
+
+// Configuration
+const LOG_CONFIG = {
+    DIRECTORY: 'launcher-logs',
+    MAX_SESSION_FILES: 10,
+    MAX_FILE_SIZE: 20 * 1024 * 1024, // Stop writing past 20 MB per session
+    HISTORY_SIZE: 2000, // Records kept in memory for the console view
+    FLUSH_INTERVAL_MS: 100
+};
+
+const LOG_LEVELS = ['TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'];
+
+// [12:34:56] [Render thread/INFO]: message
+const PLAIN_LINE_PATTERN = /^\[(\d{2}:\d{2}:\d{2})\] \[([^\]]+)\/([A-Z]+)\](?: \(([^)]+)\))?: ?(.*)$/;
+
+/**
+ * Decode the XML entities log4j escapes in attributes and messages
+ */
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse a single <log4j:Event> element into a record
+ */
+function parseLog4jEvent(xml) {
+    const attributes = {};
+    const header = xml.match(/<log4j:Event\s([^>]*)>/);
+    if (header) {
+        for (const match of header[1].matchAll(/(\w+)="([^"]*)"/g)) {
+            attributes[match[1]] = decodeXmlEntities(match[2]);
+        }
+    }
+
+    const message = xml.match(/<log4j:Message>(?:<!\[CDATA\[([\s\S]*?)\]\]>|([\s\S]*?))<\/log4j:Message>/);
+    const throwable = xml.match(/<log4j:Throwable>(?:<!\[CDATA\[([\s\S]*?)\]\]>|([\s\S]*?))<\/log4j:Throwable>/);
+
+    let text = message ? (message[1] !== undefined ? message[1] : decodeXmlEntities(message[2] || '')) : '';
+    if (throwable) {
+        text += '\n' + (throwable[1] !== undefined ? throwable[1] : decodeXmlEntities(throwable[2] || ''));
+    }
+
+    const timestamp = parseInt(attributes.timestamp, 10);
+
+    return {
+        time: Number.isNaN(timestamp) ? Date.now() : timestamp,
+        level: LOG_LEVELS.includes(attributes.level) ? attributes.level : 'INFO',
+        thread: attributes.thread || '',
+        logger: attributes.logger || '',
+        message: text.replace(/\s+$/, '')
+    };
+}
+
+/**
+ * Parse a plain text log line into a record
+ * Lines that don't follow the log4j pattern inherit the level of the previous record
+ */
+function parsePlainLine(line, stream, previous) {
+    const match = line.match(PLAIN_LINE_PATTERN);
+
+    if (match) {
+        return {
+            time: Date.now(),
+            level: LOG_LEVELS.includes(match[3]) ? match[3] : 'INFO',
+            thread: match[2],
+            logger: match[4] || '',
+            message: match[5]
+        };
+    }
+
+    return {
+        time: Date.now(),
+        level: previous ? previous.level : (stream === 'stderr' ? 'ERROR' : 'INFO'),
+        thread: previous ? previous.thread : '',
+        logger: '',
+        message: line
+    };
+}
+
+/**
+ * Create a streaming parser for game output
+ * Accepts raw chunks and emits structured records for both log4j XML events
+ * and plain text lines.
+ */
+function createLogParser(onRecord) {
+    const buffers = { stdout: '', stderr: '' };
+    const previous = { stdout: null, stderr: null };
+
+    const emit = (record, stream) => {
+        record.stream = stream;
+        previous[stream] = record;
+        onRecord(record);
+    };
+
+    const drain = (stream, final) => {
+        let buffer = buffers[stream];
+
+        while (buffer.length > 0) {
+            const eventStart = buffer.indexOf('<log4j:Event');
+            const newline = buffer.indexOf('\n');
+
+            if (eventStart === 0) {
+                const eventEnd = buffer.indexOf('</log4j:Event>');
+                if (eventEnd === -1) {
+                    if (!final) break;
+                    // Unterminated event at end of stream, keep the raw text
+                    emit(parsePlainLine(buffer.trim(), stream, previous[stream]), stream);
+                    buffer = '';
+                    break;
+                }
+                const end = eventEnd + '</log4j:Event>'.length;
+                emit(parseLog4jEvent(buffer.slice(0, end)), stream);
+                buffer = buffer.slice(end).replace(/^\r?\n/, '');
+                continue;
+            }
+
+            // Plain text before the next event or line break
+            let end = newline === -1 ? -1 : newline;
+            if (eventStart > 0 && (end === -1 || eventStart < end)) {
+                end = eventStart;
+            }
+            if (end === -1) {
+                if (!final) break;
+                end = buffer.length;
+            }
+
+            const line = buffer.slice(0, end).replace(/\r$/, '');
+            buffer = buffer.slice(buffer[end] === '\n' ? end + 1 : end);
+
+            if (line.trim() !== '') {
+                emit(parsePlainLine(line, stream, previous[stream]), stream);
+            }
+        }
+
+        buffers[stream] = buffer;
+    };
+
+    return {
+        push(chunk, stream = 'stdout') {
+            buffers[stream] += chunk.toString();
+            drain(stream, false);
+        },
+        flush() {
+            drain('stdout', true);
+            drain('stderr', true);
+        }
+    };
+}
+
+/**
+ * Format a record as a log file line
+ */
+function formatRecord(record) {
+    const time = new Date(record.time).toTimeString().slice(0, 8);
+    const thread = record.thread ? `${record.thread}/` : '';
+    return `[${time}] [${thread}${record.level}]: ${record.message}`;
+}
+
+/**
+ * Get the launcher logs directory for a game directory
+ */
+function getLogsDirectory(gameDir) {
+    return path.join(gameDir, LOG_CONFIG.DIRECTORY);
+}
+
+/**
+ * Delete the oldest session logs beyond the retention limit
+ */
+async function rotateLogs(logsDir) {
+    try {
+        const entries = await fs.readdir(logsDir);
+        const sessions = entries
+            .filter(name => name.startsWith('session-') && name.endsWith('.log'))
+            .sort()
+            .reverse();
+
+        for (const name of sessions.slice(LOG_CONFIG.MAX_SESSION_FILES - 1)) {
+            await fs.unlink(path.join(logsDir, name));
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn('Could not rotate game logs:', error.message);
+        }
+    }
+}
+
+/**
+ * Game Log Session
+ * Captures the output of one game process into a session log file and
+ * forwards parsed records in small batches to a listener.
+ */
+class GameLogSession {
+    constructor(gameDir, onRecords = null, secrets = []) {
+        this.logsDir = getLogsDirectory(gameDir);
+        this.onRecords = onRecords;
+        this.secrets = secrets; // Session tokens, kept out of the log file and console
+        this.filePath = null;
+        this.writer = null;
+        this.bytesWritten = 0;
+        this.history = [];
+        this.pending = [];
+        this.flushTimer = null;
+        this.parser = createLogParser(record => this.handleRecord(record));
+    }
+
+    /**
+     * Create the session log file, rotating old sessions first
+     */
+    async open() {
+        await fs.mkdir(this.logsDir, { recursive: true });
+        await rotateLogs(this.logsDir);
+
+        const stamp = new Date().toISOString().replace(/[:T]/g, '-').replace(/\..+$/, '');
+        this.filePath = path.join(this.logsDir, `session-${stamp}.log`);
+        this.writer = createWriteStream(this.filePath, { flags: 'a' });
+        this.writer.on('error', (error) => {
+            console.error('Game log write failed:', error.message);
+            this.writer = null;
+        });
+
+        return this.filePath;
+    }
+
+    /**
+     * Attach to a spawned game process
+     */
+    attach(childProcess) {
+        if (childProcess.stdout) {
+            childProcess.stdout.on('data', (data) => this.parser.push(data, 'stdout'));
+        }
+        if (childProcess.stderr) {
+            childProcess.stderr.on('data', (data) => this.parser.push(data, 'stderr'));
+        }
+        // 'close' fires after stdio is drained, unlike 'exit'
+        childProcess.on('close', () => this.close());
+    }
+
+    /**
+     * Add a launcher-side line (e.g. the launch command) to the session
+     */
+    write(message, level = 'INFO') {
+        this.handleRecord({
+            time: Date.now(),
+            level: level,
+            thread: 'Launcher',
+            logger: '',
+            message: message,
+            stream: 'launcher'
+        });
+    }
+
+    handleRecord(record) {
+        if (this.secrets.length > 0) {
+            record.message = redactText(record.message, this.secrets);
+        }
+
+        const line = formatRecord(record) + '\n';
+
+        if (this.writer && this.bytesWritten < LOG_CONFIG.MAX_FILE_SIZE) {
+            this.writer.write(line);
+            this.bytesWritten += Buffer.byteLength(line);
+            if (this.bytesWritten >= LOG_CONFIG.MAX_FILE_SIZE) {
+                this.writer.write('[Launcher] Log size limit reached, further output is not saved\n');
+            }
+        }
+
+        this.history.push(record);
+        if (this.history.length > LOG_CONFIG.HISTORY_SIZE) {
+            this.history.shift();
+        }
+
+        this.pending.push(record);
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flushPending(), LOG_CONFIG.FLUSH_INTERVAL_MS);
+        }
+    }
+
+    flushPending() {
+        this.flushTimer = null;
+        const records = this.pending;
+        this.pending = [];
+
+        if (records.length > 0 && this.onRecords) {
+            this.onRecords(records);
+        }
+    }
+
+    /**
+     * Get the records kept in memory for this session
+     */
+    getHistory() {
+        return this.history.slice();
+    }
+
+    /**
+     * Flush remaining output and close the log file
+     */
+    close() {
+        this.parser.flush();
+
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+        }
+        this.flushPending();
+
+        if (this.writer) {
+            this.writer.end();
+            this.writer = null;
+        }
+    }
+}
+
+module.exports = {
+    GameLogSession,
+    createLogParser,
+    parseLog4jEvent,
+    formatRecord,
+    getLogsDirectory,
+    LOG_LEVELS,
+    LOG_CONFIG
+};
@@ -0,0 +1,256 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { getRuntimeSettings, getJavaExecutable } = require('../file-manager/runtime-manager');
+const { getFullVersionMetadata } = require('../file-manager/version-manifest');
+const { getVersionSelection } = require('../core/version-selection');
+
+const JAVA_PROBE_TIMEOUT_MS = 10000;
+const JAVA_BINARY = process.platform === 'win32' ? 'java.exe' : 'java';
+
+/**
+ * Folders that usually contain one JDK/JRE per subfolder
+ */
+function getCommonJavaRoots() {
+    const home = os.homedir();
+
+    if (process.platform === 'win32') {
+        const programFiles = [process.env.ProgramFiles, process.env['ProgramFiles(x86)']].filter(Boolean);
+        const vendors = ['Java', 'Eclipse Adoptium', 'Eclipse Foundation', 'AdoptOpenJDK', 'Microsoft', 'Zulu', 'BellSoft', 'Amazon Corretto'];
+        return [
+            ...programFiles.flatMap(dir => vendors.map(vendor => path.join(dir, vendor))),
+            path.join(home, '.jdks')
+        ];
+    }
+
+    if (process.platform === 'darwin') {
+        return [
+            '/Library/Java/JavaVirtualMachines',
+            path.join(home, 'Library', 'Java', 'JavaVirtualMachines'),
+            path.join(home, '.sdkman', 'candidates', 'java'),
+            path.join(home, '.jdks')
+        ];
+    }
+
+    return [
+        '/usr/lib/jvm',
+        '/usr/java',
+        '/opt/java',
+        '/opt',
+        path.join(home, '.sdkman', 'candidates', 'java'),
+        path.join(home, '.jdks')
+    ];
+}
+
+/**
+ * Get the java binary inside a Java home folder
+ */
+function getJavaInHome(javaHome) {
+    if (process.platform === 'darwin' && !javaHome.endsWith(path.join('Contents', 'Home'))) {
+        return [path.join(javaHome, 'Contents', 'Home', 'bin', JAVA_BINARY), path.join(javaHome, 'bin', JAVA_BINARY)];
+    }
+
+    return [path.join(javaHome, 'bin', JAVA_BINARY)];
+}
+
+/**
+ * Use java.exe instead of javaw.exe for probing, since javaw has no console output
+ */
+function toConsoleJava(javaPath) {
+    if (path.basename(javaPath).toLowerCase() === 'javaw.exe') {
+        return path.join(path.dirname(javaPath), 'java.exe');
+    }
+
+    return javaPath;
+}
+
+/**
+ * Parse the major Java version from a java.version string ("1.8.0_382" -> 8, "17.0.8" -> 17)
+ */
+function parseMajorVersion(version) {
+    const parts = version.split(/[._\-+]/);
+    const first = parseInt(parts[0], 10);
+
+    if (first === 1 && parts.length > 1) {
+        return parseInt(parts[1], 10);
+    }
+
+    return first;
+}
+
+/**
+ * Parse the output of `java -XshowSettings:properties -version`
+ */
+function parseJavaProperties(output) {
+    const properties = {};
+    let currentKey = null;
+
+    for (const line of output.split(/\r?\n/)) {
+        const match = line.match(/^\s{4}(\S+) = (.*)$/);
+        if (match) {
+            currentKey = match[1];
+            properties[currentKey] = match[2].trim();
+        } else if (currentKey && /^\s{8}\S/.test(line)) {
+            // Multi-line values (e.g. java.library.path) continue with deeper indentation
+            properties[currentKey] += path.delimiter + line.trim();
+        } else {
+            currentKey = null;
+        }
+    }
+
+    return properties;
+}
+
+/**
+ * Run a Java binary and describe it
+ * Returns null if the binary can't be run
+ */
+function inspectJava(javaPath) {
+    return new Promise((resolve) => {
+        execFile(toConsoleJava(javaPath), ['-XshowSettings:properties', '-version'], {
+            timeout: JAVA_PROBE_TIMEOUT_MS,
+            windowsHide: true
+        }, (error, stdout, stderr) => {
+            if (error) {
+                resolve(null);
+                return;
+            }
+
+            // Java prints settings and version info to stderr
+            const properties = parseJavaProperties(`${stderr}\n${stdout}`);
+            if (!properties['java.version']) {
+                resolve(null);
+                return;
+            }
+
+            const dataModel = properties['sun.arch.data.model'];
+            const arch = properties['os.arch'] || '';
+
+            resolve({
+                path: javaPath,
+                version: properties['java.version'],
+                majorVersion: parseMajorVersion(properties['java.version']),
+                vendor: properties['java.vendor'] || 'Unknown',
+                arch: arch,
+                is64Bit: dataModel ? dataModel === '64' : /64/.test(arch),
+                javaHome: properties['java.home'] || null
+            });
+        });
+    });
+}
+
+/**
+ * List subfolders of a directory, ignoring errors
+ */
+async function listSubfolders(dir) {
+    try {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        return entries
+            .filter(entry => entry.isDirectory() || entry.isSymbolicLink())
+            .map(entry => path.join(dir, entry.name));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Collect candidate java binaries with where they were found
+ */
+async function collectCandidates(config) {
+    const candidates = [];
+
+    if (process.env.JAVA_HOME) {
+        for (const javaPath of getJavaInHome(process.env.JAVA_HOME)) {
+            candidates.push({ path: javaPath, source: 'JAVA_HOME' });
+        }
+    }
+
+    for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+        candidates.push({ path: path.join(dir, JAVA_BINARY), source: 'PATH' });
+    }
+
+    for (const root of getCommonJavaRoots()) {
+        for (const javaHome of await listSubfolders(root)) {
+            for (const javaPath of getJavaInHome(javaHome)) {
+                candidates.push({ path: javaPath, source: 'system' });
+            }
+        }
+    }
+
+    if (config) {
+        const runtimeRoot = getRuntimeSettings(config).directory;
+        for (const runtimeDir of await listSubfolders(runtimeRoot)) {
+            candidates.push({ path: toConsoleJava(getJavaExecutable(runtimeDir)), source: 'launcher' });
+        }
+    }
+
+    return candidates;
+}
+
+/**
+ * Find installed Java runtimes
+ * @param {Object} config - Launcher config (used to include the launcher's own runtimes)
+ * @returns {Promise<Array>} Java installs, newest major version first
+ */
+async function discoverJava(config = null) {
+    const seen = new Set();
+    const installs = [];
+
+    for (const candidate of await collectCandidates(config)) {
+        let realPath;
+        try {
+            realPath = await fs.realpath(candidate.path);
+        } catch {
+            continue; // Doesn't exist
+        }
+
+        if (seen.has(realPath)) continue;
+        seen.add(realPath);
+
+        const info = await inspectJava(realPath);
+        if (info) {
+            installs.push({ ...info, source: candidate.source });
+        }
+    }
+
+    return installs.sort((a, b) => b.majorVersion - a.majorVersion);
+}
+
+/**
+ * Describe the Java the config selects
+ * For the managed runtime this is the Java the version asks for; returns null if unknown.
+ */
+async function getSelectedJavaInfo(config) {
+    const javaPath = config.java_path || 'java';
+
+    if (javaPath === 'java' && getRuntimeSettings(config).enabled) {
+        try {
+            // Loaders run on the Java of the Minecraft version they are installed on
+            const { minecraftVersion } = await getVersionSelection(config);
+            const metadata = await getFullVersionMetadata(minecraftVersion, path.resolve(config.game_directory || './minecraft'));
+            if (!metadata.javaVersion) return null;
+
+            return {
+                path: null,
+                version: String(metadata.javaVersion.majorVersion),
+                majorVersion: metadata.javaVersion.majorVersion,
+                vendor: 'Mojang',
+                is64Bit: process.arch !== 'ia32',
+                managed: true
+            };
+        } catch {
+            return null;
+        }
+    }
+
+    return inspectJava(javaPath);
+}
+
+module.exports = {
+    discoverJava,
+    getSelectedJavaInfo,
+    inspectJava,
+    parseJavaProperties,
+    parseMajorVersion
+};
@@ -1,6 +1,10 @@
 const path = require('path');
-const os = require('os');
 const { getFullVersionMetadata } = require('../file-manager/version-manifest');
+const { getCurrentOS, FEATURES } = require('../core/rule-engine');
+const { LaunchTargetType, normalizeLaunchTarget, resolveQuickPlay } = require('./launch-target');
+const { createTemplateVariables, resolveArgumentTemplates } = require('./arg-template');
+const { resolveJvmFlags } = require('./jvm-flags');
+const { getAuthlibInjectorArgs } = require('./authlib-injector');
 
 /**
  * Build classpath string from libraries
@@ -26,272 +30,111 @@ function buildClasspath(gameDir, version, libraries) {
 }
 
 /**
- * Build JVM arguments
+ * Build the JVM and game arguments for a launch
+ * Variables are built once and every argument list is substituted in one pass.
+ * The JVM preset and custom arguments are checked against the selected Java.
+ * @returns {Promise<Object>} { jvmArgs, gameArgs, unresolved, flagIssues }
  */
-async function buildJVMArguments(config, gameDir, version, libraries) {
-    const args = [];
+async function buildLaunchArguments(config, gameDir, version, libraries, playerProfile, javaInfo = null) {
+    const metadata = await getFullVersionMetadata(version, gameDir);
+    const quickPlay = resolveQuickPlay(getLaunchTarget(config), metadata);
 
-    // Memory arguments
-    args.push(`-Xms${config.jvm_args.min_ram}`);
-    args.push(`-Xmx${config.jvm_args.max_ram}`);
-
-    // Add custom JVM arguments
-    if (config.jvm_args.custom_args && config.jvm_args.custom_args.length > 0) {
-        args.push(...config.jvm_args.custom_args);
-    }
-
-    // Natives directory
     const nativesDir = path.join(gameDir, 'natives', version);
-    args.push(`-Djava.library.path=${nativesDir}`);
-
-    // Classpath
     const classpath = buildClasspath(gameDir, version, libraries);
-    args.push('-cp');
-    args.push(classpath);
-
-    // Get version metadata for additional JVM arguments
-    try {
-        const metadata = await getFullVersionMetadata(version);
 
-        if (metadata.arguments && metadata.arguments.jvm) {
-            for (const arg of metadata.arguments.jvm) {
-                if (typeof arg === 'string') {
-                    // Replace variables
-                    const processedArg = replaceVariables(arg, {
-                        natives_directory: nativesDir,
-                        launcher_name: 'naizo-launcher',
-                        launcher_version: '1.0.0',
-                        classpath: classpath
-                    });
-                    args.push(processedArg);
-                } else if (arg.rules) {
-                    // Check if rule applies
-                    if (checkRules(arg.rules)) {
-                        if (typeof arg.value === 'string') {
-                            args.push(replaceVariables(arg.value, {
-                                natives_directory: nativesDir,
-                                launcher_name: 'naizo-launcher',
-                                launcher_version: '1.0.0',
-                                classpath: classpath
-                            }));
-                        } else if (Array.isArray(arg.value)) {
-                            args.push(...arg.value.map(v => replaceVariables(v, {
-                                natives_directory: nativesDir,
-                                launcher_name: 'naizo-launcher',
-                                launcher_version: '1.0.0',
-                                classpath: classpath
-                            })));
-                        }
-                    }
-                }
-            }
-        }
-    } catch (error) {
-        console.warn('Could not fetch version metadata for JVM args:', error.message);
+    const variables = createTemplateVariables({
+        config,
+        gameDir,
+        version,
+        metadata,
+        playerProfile,
+        nativesDir,
+        classpath,
+        quickPlay
+    });
+
+    const templates = resolveArgumentTemplates(metadata, variables, {
+        jvm: buildRuleContext(config),
+        game: buildRuleContext(config, quickPlay.features)
+    });
+
+    // Preset and custom flags, minus anything the selected Java would reject
+    const flags = resolveJvmFlags(config.jvm_args, javaInfo);
+
+    // Memory and custom JVM arguments come before the version's own
+    const jvmArgs = [];
+    if (config.jvm_args.min_ram) {
+        jvmArgs.push(`-Xms${config.jvm_args.min_ram}`);
     }
-
-    return args;
-}
-
-/**
- * Build game arguments
- */
-async function buildGameArguments(config, gameDir, version, playerProfile) {
-    const args = [];
-
-    try {
-        const metadata = await getFullVersionMetadata(version);
-
-        if (metadata.arguments && metadata.arguments.game) {
-            for (const arg of metadata.arguments.game) {
-                if (typeof arg === 'string') {
-                    const processedArg = replaceVariables(arg, {
-                        auth_player_name: playerProfile.username,
-                        version_name: version,
-                        game_directory: gameDir,
-                        assets_root: path.join(gameDir, 'assets'),
-                        assets_index_name: metadata.assetIndex.id,
-                        auth_uuid: playerProfile.uuid,
-                        auth_access_token: playerProfile.accessToken,
-                        auth_xuid: playerProfile.xuid || '',
-                        clientid: playerProfile.clientToken || playerProfile.accessToken,
-                        user_type: playerProfile.userType,
-                        version_type: metadata.type || 'release',
-                        resolution_width: config.window.width.toString(),
-                        resolution_height: config.window.height.toString(),
-                        quickPlayPath: '',
-                        quickPlaySingleplayer: '',
-                        quickPlayMultiplayer: '',
-                        quickPlayRealms: ''
-                    });
-                    args.push(processedArg);
-                } else if (arg.rules) {
-                    if (checkRules(arg.rules)) {
-                        if (typeof arg.value === 'string') {
-                            args.push(replaceVariables(arg.value, {
-                                auth_player_name: playerProfile.username,
-                                version_name: version,
-                                game_directory: gameDir,
-                                assets_root: path.join(gameDir, 'assets'),
-                                assets_index_name: metadata.assetIndex.id,
-                                auth_uuid: playerProfile.uuid,
-                                auth_access_token: playerProfile.accessToken,
-                                auth_xuid: playerProfile.xuid || '',
-                                clientid: playerProfile.clientToken || playerProfile.accessToken,
-                                user_type: playerProfile.userType,
-                                version_type: metadata.type || 'release',
-                                resolution_width: config.window.width.toString(),
-                                resolution_height: config.window.height.toString(),
-                                quickPlayPath: '',
-                                quickPlaySingleplayer: '',
-                                quickPlayMultiplayer: '',
-                                quickPlayRealms: ''
-                            }));
-                        } else if (Array.isArray(arg.value)) {
-                            args.push(...arg.value);
-                        }
-                    }
-                }
-            }
-        } else {
-            // Fallback to legacy minecraftArguments
-            if (metadata.minecraftArguments) {
-                const legacyArgs = metadata.minecraftArguments.split(' ');
-                args.push(...legacyArgs.map(arg => replaceVariables(arg, {
-                    auth_player_name: playerProfile.username,
-                    version_name: version,
-                    game_directory: gameDir,
-                    assets_root: path.join(gameDir, 'assets'),
-                    assets_index_name: metadata.assetIndex.id,
-                    auth_uuid: playerProfile.uuid,
-                    auth_access_token: playerProfile.accessToken,
-                    auth_xuid: playerProfile.xuid || '',
-                    clientid: playerProfile.clientToken || playerProfile.accessToken,
-                    user_type: playerProfile.userType,
-                    version_type: metadata.type || 'release',
-                    resolution_width: config.window.width.toString(),
-                    resolution_height: config.window.height.toString(),
-                    quickPlayPath: '',
-                    quickPlaySingleplayer: '',
-                    quickPlayMultiplayer: '',
-                    quickPlayRealms: ''
-                })));
-            }
-        }
-
-        // Add fullscreen if configured
-        if (config.window.fullscreen) {
-            args.push('--fullscreen');
-        }
-
-        // Add server auto-connect if configured
-        if (config.server_ip) {
-            const [ip, port] = config.server_ip.split(':');
-            args.push('--server', ip);
-            if (port) {
-                args.push('--port', port);
-            }
-        }
-
-    } catch (error) {
-        console.error('Error building game arguments:', error);
-        throw error;
+    jvmArgs.push(
+        `-Xmx${config.jvm_args.max_ram}`,
+        ...flags.args,
+        // Accounts from a custom auth server load authlib-injector as a Java agent
+        ...(playerProfile.authServer ? getAuthlibInjectorArgs(playerProfile.authServer) : []),
+        ...templates.jvm
+    );
+
+    const gameArgs = [...templates.game];
+
+    // Add fullscreen if configured
+    if (config.window.fullscreen) {
+        gameArgs.push('--fullscreen');
     }
 
+    // Add server auto-connect for versions without quick play
+    gameArgs.push(...quickPlay.legacyArgs);
+
     // CRITICAL: Remove --demo flag if it exists (prevents demo mode)
-    const demoIndex = args.indexOf('--demo');
+    const demoIndex = gameArgs.indexOf('--demo');
     if (demoIndex !== -1) {
-        args.splice(demoIndex, 1);
+        gameArgs.splice(demoIndex, 1);
     }
 
-    return args;
+    return {
+        jvmArgs,
+        gameArgs,
+        unresolved: templates.unresolved,
+        flagIssues: flags.issues
+    };
 }
 
 /**
- * Replace variables in argument string
+ * Get the launch target for this launch
+ * Falls back to auto-connecting to the configured server when none is given
  */
-function replaceVariables(str, variables) {
-    let result = str;
-
-    for (const [key, value] of Object.entries(variables)) {
-        // Use a more robust regex pattern
-        const pattern = `\\$\\{${key}\\}`;
-        result = result.replace(new RegExp(pattern, 'g'), value);
+function getLaunchTarget(config) {
+    if (config.launch_target !== undefined) {
+        return normalizeLaunchTarget(config.launch_target);
     }
 
-    return result;
-}
-
-/**
- * Check if rules apply to current system
- */
-function checkRules(rules) {
-    for (const rule of rules) {
-        // Skip demo-related rules to prevent demo mode
-        if (rule.features && rule.features.is_demo_user === true) {
-            return false;
-        }
-        if (rule.features && rule.features.has_custom_resolution === true) {
-            return false;
-        }
-        // Skip Quick Play rules to always load the main menu
-        if (rule.features && rule.features.is_quick_play_singleplayer === true) {
-            return false;
-        }
-        if (rule.features && rule.features.is_quick_play_multiplayer === true) {
-            return false;
-        }
-        if (rule.features && rule.features.is_quick_play_realms === true) {
-            return false;
-        }
-        if (rule.features && rule.features.has_quick_plays_support === true) {
-            return false;
-        }
-
-        if (rule.action === 'allow') {
-            if (rule.os) {
-                if (!matchesOS(rule.os)) {
-                    return false;
-                }
-            }
-            if (rule.features) {
-                // Skip feature checks for now
-                continue;
-            }
-            return true;
-        } else if (rule.action === 'disallow') {
-            if (rule.os && matchesOS(rule.os)) {
-                return false;
-            }
-        }
+    if (config.server_ip) {
+        return { type: LaunchTargetType.MULTIPLAYER, value: config.server_ip };
     }
 
-    return true;
+    return null;
 }
 
 /**
- * Check if current OS matches rule
+ * Build the feature set and OS descriptor used to evaluate argument rules
  */
-function matchesOS(osRule) {
-    const platform = process.platform;
-
-    if (osRule.name) {
-        if (platform === 'win32' && osRule.name !== 'windows') return false;
-        if (platform === 'darwin' && osRule.name !== 'osx') return false;
-        if (platform === 'linux' && osRule.name !== 'linux') return false;
-    }
-
-    if (osRule.version) {
-        const osVersion = os.release();
-        const versionRegex = new RegExp(osRule.version);
-        if (!versionRegex.test(osVersion)) return false;
-    }
-
-    return true;
+function buildRuleContext(config, quickPlayFeatures = {}) {
+    const window = config.window || {};
+
+    return {
+        os: getCurrentOS(),
+        features: {
+            [FEATURES.IS_DEMO_USER]: false,
+            [FEATURES.HAS_CUSTOM_RESOLUTION]: Boolean(!window.fullscreen && window.width && window.height),
+            [FEATURES.HAS_QUICK_PLAYS_SUPPORT]: false,
+            [FEATURES.IS_QUICK_PLAY_SINGLEPLAYER]: false,
+            [FEATURES.IS_QUICK_PLAY_MULTIPLAYER]: false,
+            [FEATURES.IS_QUICK_PLAY_REALMS]: false,
+            ...quickPlayFeatures
+        }
+    };
 }
 
 module.exports = {
-    buildJVMArguments,
-    buildGameArguments,
+    buildLaunchArguments,
     buildClasspath
 };
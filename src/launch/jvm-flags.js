@@ -0,0 +1,363 @@
+// JVM flag presets and validation of custom JVM arguments
+
+const { parseCommandLine } = require('./launch-wrapper');
+
+/**
+ * Named JVM flag presets
+ * minJava/maxJava declare the Java major versions each preset works with.
+ */
+const JVM_PRESETS = {
+    default: {
+        name: 'Balanced G1 (default)',
+        description: 'G1 collector with shorter pauses. Works everywhere.',
+        minJava: 8,
+        maxJava: null,
+        args: [
+            '-XX:+UnlockExperimentalVMOptions',
+            '-XX:+UseG1GC',
+            '-XX:G1NewSizePercent=20',
+            '-XX:G1ReservePercent=20',
+            '-XX:MaxGCPauseMillis=50',
+            '-XX:G1HeapRegionSize=32M'
+        ]
+    },
+    aikar: {
+        name: 'Aikar G1',
+        description: 'Well-tested G1 tuning for modded play with 6 GB or more.',
+        minJava: 8,
+        maxJava: null,
+        args: [
+            '-XX:+UseG1GC',
+            '-XX:+ParallelRefProcEnabled',
+            '-XX:MaxGCPauseMillis=200',
+            '-XX:+UnlockExperimentalVMOptions',
+            '-XX:+DisableExplicitGC',
+            '-XX:G1NewSizePercent=30',
+            '-XX:G1MaxNewSizePercent=40',
+            '-XX:G1HeapRegionSize=8M',
+            '-XX:G1ReservePercent=20',
+            '-XX:G1HeapWastePercent=5',
+            '-XX:G1MixedGCCountTarget=4',
+            '-XX:InitiatingHeapOccupancyPercent=15',
+            '-XX:G1MixedGCLiveThresholdPercent=90',
+            '-XX:SurvivorRatio=32',
+            '-XX:+PerfDisableSharedMem',
+            '-XX:MaxTenuringThreshold=1'
+        ]
+    },
+    zgc_generational: {
+        name: 'ZGC Generational',
+        description: 'Near pause-free collector for large heaps. Needs Java 21 or newer.',
+        minJava: 21,
+        maxJava: null,
+        args: [
+            '-XX:+UseZGC',
+            '-XX:+ZGenerational'
+        ]
+    },
+    shenandoah: {
+        name: 'Shenandoah',
+        description: 'Low-pause collector. Needs an OpenJDK build that includes it (Java 17 or newer).',
+        minJava: 17,
+        maxJava: null,
+        args: [
+            '-XX:+UseShenandoahGC',
+            '-XX:+AlwaysPreTouch',
+            '-XX:+DisableExplicitGC'
+        ]
+    },
+    low_memory: {
+        name: 'Low memory',
+        description: 'Serial collector that returns memory to the system. For 4 GB machines and vanilla play.',
+        minJava: 8,
+        maxJava: null,
+        args: [
+            '-XX:+UseSerialGC',
+            '-XX:MinHeapFreeRatio=10',
+            '-XX:MaxHeapFreeRatio=30'
+        ]
+    }
+};
+
+// Preset id for "custom arguments only"
+const NO_PRESET = 'none';
+
+// Options the JVM rejects from a given Java major version
+const REMOVED_OPTIONS = {
+    MaxPermSize: 17,
+    PermSize: 17,
+    UseParNewGC: 10,
+    UseConcMarkSweepGC: 14,
+    UseCMSInitiatingOccupancyOnly: 14,
+    CMSClassUnloadingEnabled: 14,
+    CMSIncrementalMode: 14,
+    CMSIncrementalPacing: 14,
+    CMSInitiatingOccupancyFraction: 14,
+    CMSParallelRemarkEnabled: 14,
+    AggressiveOpts: 13,
+    UseSplitVerifier: 9,
+    UseFastAccessorMethods: 9,
+    UseCGroupMemoryLimitForHeap: 11,
+    UseParallelOldGC: 17,
+    UseBiasedLocking: 18,
+    ZGenerational: 24
+};
+
+// Options that need at least a given Java major version
+const MIN_JAVA_OPTIONS = {
+    UseZGC: 15,
+    ZGenerational: 21,
+    UseShenandoahGC: 12,
+    UseEpsilonGC: 11,
+    UseContainerSupport: 10
+};
+
+// Garbage collector selectors, only one may be enabled
+const GC_SELECTORS = [
+    'UseG1GC',
+    'UseZGC',
+    'UseShenandoahGC',
+    'UseParallelGC',
+    'UseSerialGC',
+    'UseConcMarkSweepGC',
+    'UseEpsilonGC'
+];
+
+// Options that must follow -XX:+UnlockExperimentalVMOptions
+const EXPERIMENTAL_OPTIONS = ['G1NewSizePercent', 'G1MaxNewSizePercent', 'UseEpsilonGC'];
+const UNLOCK_EXPERIMENTAL = '-XX:+UnlockExperimentalVMOptions';
+
+// Heap size is owned by the memory setting
+const HEAP_OPTION_PATTERN = /^-(Xmx|Xms|XX:MaxHeapSize=|XX:InitialHeapSize=)/;
+
+/**
+ * Parse an -XX option into { name, enabled, value }
+ */
+function parseXXOption(arg) {
+    const match = arg.match(/^-XX:([+-])?([A-Za-z0-9_]+)(?:=(.*))?$/);
+    if (!match) return null;
+
+    return {
+        name: match[2],
+        enabled: match[1] !== '-',
+        value: match[3] !== undefined ? match[3] : null
+    };
+}
+
+/**
+ * Key identifying an option, so duplicates can be found
+ */
+function getOptionKey(arg) {
+    const xx = parseXXOption(arg);
+    if (xx) return `XX:${xx.name}`;
+
+    const property = arg.match(/^-D([^=]+)/);
+    if (property) return `D:${property[1]}`;
+
+    const sized = arg.match(/^-(Xss|Xmn|Xmx|Xms)/);
+    if (sized) return sized[1];
+
+    return arg;
+}
+
+/**
+ * Split textarea lines that hold several options ("-Xss2M -XX:+UseG1GC")
+ * Quotes keep a value with spaces in one option: -Dlauncher.name="My Pack"
+ */
+function splitArgs(lines, issues) {
+    const args = [];
+
+    for (const line of lines) {
+        const trimmed = String(line).trim();
+        if (!trimmed) continue;
+
+        try {
+            args.push(...parseCommandLine(trimmed, 'JVM arguments'));
+        } catch (error) {
+            issues.push({ arg: trimmed, action: 'dropped', reason: error.message });
+        }
+    }
+
+    return args;
+}
+
+/**
+ * Get a preset, or null for "custom arguments only"
+ */
+function getPreset(presetId) {
+    if (!presetId || presetId === NO_PRESET) return null;
+    return JVM_PRESETS[presetId] || null;
+}
+
+/**
+ * Check if a preset works with a Java major version
+ */
+function isPresetCompatible(preset, javaMajor) {
+    if (!javaMajor) return true;
+    if (preset.minJava && javaMajor < preset.minJava) return false;
+    if (preset.maxJava && javaMajor > preset.maxJava) return false;
+    return true;
+}
+
+/**
+ * List presets for the UI
+ */
+function listPresets() {
+    return Object.entries(JVM_PRESETS).map(([id, preset]) => ({
+        id,
+        name: preset.name,
+        description: preset.description,
+        minJava: preset.minJava,
+        maxJava: preset.maxJava
+    }));
+}
+
+/**
+ * Check JVM options against a Java install
+ * Options the JVM would reject are dropped; risky ones are kept and flagged.
+ * @param {Array} args - Options in order (preset first, then custom)
+ * @param {Object} javaInfo - From inspectJava ({ majorVersion, vendor }), optional
+ * @returns {Object} { args, issues: [{ arg, action: 'dropped'|'flagged'|'fixed', reason }] }
+ */
+function validateJvmArgs(args, javaInfo = null) {
+    const javaMajor = javaInfo ? javaInfo.majorVersion : null;
+    const issues = [];
+    const kept = [];
+
+    for (const arg of args) {
+        if (!arg.startsWith('-')) {
+            issues.push({ arg, action: 'dropped', reason: 'Not a JVM option (options start with "-")' });
+            continue;
+        }
+
+        if (HEAP_OPTION_PATTERN.test(arg)) {
+            issues.push({ arg, action: 'dropped', reason: 'Heap size is set by the memory setting' });
+            continue;
+        }
+
+        const xx = parseXXOption(arg);
+        if (xx && javaMajor) {
+            const removedIn = REMOVED_OPTIONS[xx.name];
+            if (removedIn && javaMajor >= removedIn) {
+                issues.push({ arg, action: 'dropped', reason: `Removed in Java ${removedIn} (selected Java is ${javaMajor})` });
+                continue;
+            }
+
+            const minJava = MIN_JAVA_OPTIONS[xx.name];
+            if (minJava && javaMajor < minJava) {
+                issues.push({ arg, action: 'dropped', reason: `Needs Java ${minJava} or newer (selected Java is ${javaMajor})` });
+                continue;
+            }
+        }
+
+        if (xx && xx.name === 'UseShenandoahGC' && javaInfo && /^Oracle/i.test(javaInfo.vendor || '')) {
+            issues.push({ arg, action: 'flagged', reason: 'Oracle Java builds may not include Shenandoah' });
+        }
+
+        kept.push(arg);
+    }
+
+    // Repeated options: exact repeats are harmless and removed quietly,
+    // different values are resolved like the JVM does (the last one wins)
+    const lastIndex = new Map();
+    kept.forEach((arg, index) => lastIndex.set(getOptionKey(arg), index));
+    let result = kept.filter((arg, index) => {
+        if (kept.indexOf(arg) !== index) {
+            return false;
+        }
+
+        const winner = kept[lastIndex.get(getOptionKey(arg))];
+        if (winner !== arg) {
+            issues.push({ arg, action: 'dropped', reason: `Overridden by ${winner}` });
+            return false;
+        }
+        return true;
+    });
+
+    // Only one collector can be selected, keep the last one
+    const collectors = result.filter(arg => {
+        const xx = parseXXOption(arg);
+        return xx && xx.enabled && GC_SELECTORS.includes(xx.name);
+    });
+    if (collectors.length > 1) {
+        const chosen = collectors[collectors.length - 1];
+        result = result.filter(arg => {
+            if (collectors.includes(arg) && arg !== chosen) {
+                issues.push({ arg, action: 'dropped', reason: `Conflicts with ${chosen}, only one garbage collector can be used` });
+                return false;
+            }
+            return true;
+        });
+    }
+
+    // Experimental options need the unlock flag before them
+    const firstExperimental = result.findIndex(arg => {
+        const xx = parseXXOption(arg);
+        return xx && EXPERIMENTAL_OPTIONS.includes(xx.name);
+    });
+    const unlockIndex = result.indexOf(UNLOCK_EXPERIMENTAL);
+    if (firstExperimental !== -1 && (unlockIndex === -1 || unlockIndex > firstExperimental)) {
+        if (unlockIndex !== -1) {
+            result.splice(unlockIndex, 1);
+        }
+        result.splice(firstExperimental, 0, UNLOCK_EXPERIMENTAL);
+        issues.push({ arg: UNLOCK_EXPERIMENTAL, action: 'fixed', reason: 'Moved before the experimental options that need it' });
+    }
+
+    return { args: result, issues };
+}
+
+/**
+ * Resolve the JVM options for a launch: preset plus custom arguments, validated
+ * @param {Object} jvmConfig - config.jvm_args ({ preset, custom_args })
+ * @param {Object} javaInfo - Selected Java from inspectJava, optional
+ * @returns {Object} { args, issues, preset }
+ */
+function resolveJvmFlags(jvmConfig = {}, javaInfo = null) {
+    const issues = [];
+    let presetId = jvmConfig.preset || NO_PRESET;
+    let preset = getPreset(presetId);
+
+    if (presetId !== NO_PRESET && !preset) {
+        issues.push({ arg: presetId, preset: true, action: 'dropped', reason: 'Unknown preset' });
+        presetId = NO_PRESET;
+    }
+
+    // Fall back to the default preset when the chosen one doesn't fit this Java
+    if (preset && javaInfo && !isPresetCompatible(preset, javaInfo.majorVersion)) {
+        issues.push({
+            arg: preset.name,
+            preset: true,
+            action: 'dropped',
+            reason: `Preset needs Java ${preset.minJava}${preset.maxJava ? `-${preset.maxJava}` : '+'} (selected Java is ${javaInfo.majorVersion}), using ${JVM_PRESETS.default.name} instead`
+        });
+        presetId = 'default';
+        preset = JVM_PRESETS.default;
+    }
+
+    const combined = [...(preset ? preset.args : []), ...splitArgs(jvmConfig.custom_args || [], issues)];
+    const validated = validateJvmArgs(combined, javaInfo);
+
+    return {
+        args: validated.args,
+        issues: [...issues, ...validated.issues],
+        preset: presetId
+    };
+}
+
+/**
+ * Describe a validation issue in one line
+ */
+function formatFlagIssue(issue) {
+    const verb = { dropped: 'Dropped', flagged: 'Check', fixed: 'Fixed' }[issue.action] || 'Check';
+    return `${verb} JVM ${issue.preset ? 'preset' : 'option'} ${issue.arg}: ${issue.reason}`;
+}
+
+module.exports = {
+    JVM_PRESETS,
+    NO_PRESET,
+    listPresets,
+    resolveJvmFlags,
+    validateJvmArgs,
+    formatFlagIssue
+};
@@ -0,0 +1,291 @@
+const { spawn, execFile } = require('child_process');
+const path = require('path');
+const { PLACEHOLDER_PATTERN } = require('./arg-template');
+const { quoteShellArg } = require('./launch-script');
+
+// Configuration
+const HOOK_CONFIG = {
+    DEFAULT_TIMEOUT_SECONDS: 300,
+    OUTPUT_TAIL_LINES: 10,
+    OUTPUT_DRAIN_MS: 500,
+    KILL_GRACE_MS: 5000
+};
+
+/**
+ * Points in a launch where a hook command can run
+ */
+const HookStage = {
+    PRE_SYNC: 'pre_sync',
+    PRE_LAUNCH: 'pre_launch',
+    POST_EXIT: 'post_exit'
+};
+
+const STAGE_LABELS = {
+    [HookStage.PRE_SYNC]: 'pre-sync',
+    [HookStage.PRE_LAUNCH]: 'pre-launch',
+    [HookStage.POST_EXIT]: 'post-exit'
+};
+
+/**
+ * Get hook settings with defaults applied
+ */
+function getHookSettings(config) {
+    const hooks = config.hooks || {};
+    return {
+        [HookStage.PRE_SYNC]: (hooks.pre_sync || '').trim(),
+        [HookStage.PRE_LAUNCH]: (hooks.pre_launch || '').trim(),
+        [HookStage.POST_EXIT]: (hooks.post_exit || '').trim(),
+        cancelOnFailure: hooks.cancel_on_failure !== false,
+        timeoutSeconds: hooks.timeout_seconds || HOOK_CONFIG.DEFAULT_TIMEOUT_SECONDS
+    };
+}
+
+/**
+ * Build the variables available to hook commands
+ * @param {Object} options - { gameDir, version, username, exitCode }
+ */
+function createHookVariables(options) {
+    const { gameDir, version, username, exitCode } = options;
+
+    return {
+        game_directory: gameDir,
+        instance_name: path.basename(gameDir),
+        version_name: version || '',
+        player_name: username || '',
+        exit_code: exitCode === null || exitCode === undefined ? '' : String(exitCode)
+    };
+}
+
+/**
+ * Expose hook variables to the hook's environment too (NAIZO_GAME_DIRECTORY, ...)
+ * Safer than ${...} for values with spaces or quotes.
+ */
+function toHookEnvironment(stage, variables) {
+    const env = { NAIZO_HOOK: stage };
+    for (const [name, value] of Object.entries(variables)) {
+        env[`NAIZO_${name.toUpperCase()}`] = value;
+    }
+    return env;
+}
+
+/**
+ * Follow the quotes in a piece of a hook command
+ * @param {string|null} quote - Quote open at the start of the text
+ * @returns {string|null} Quote open at the end of the text
+ */
+function scanQuotes(text, quote, windows) {
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (windows) {
+            // cmd.exe only knows double quotes
+            if (char === '"') quote = quote ? null : '"';
+        } else if (quote === "'") {
+            if (char === "'") quote = null;
+        } else if (char === '\\') {
+            i++;
+        } else if (char === '"' || char === "'") {
+            quote = quote === char ? null : (quote || char);
+        }
+    }
+    return quote;
+}
+
+/**
+ * Quote a variable's value for where its placeholder is: on its own, or inside the command's quotes
+ */
+function quoteHookValue(value, quote, windows) {
+    if (windows) {
+        // Windows paths can't contain double quotes, and nothing escapes one inside cmd.exe quotes
+        const unquoted = value.replace(/"/g, '');
+        return quote || /^[A-Za-z0-9_\-+=.,:\\/@]+$/.test(unquoted) ? unquoted : `"${unquoted}"`;
+    }
+    if (quote === '"') {
+        return value.replace(/[\\"$`]/g, '\\$&');
+    }
+    if (quote === "'") {
+        return value.replace(/'/g, `'\\''`);
+    }
+    return quoteShellArg(value);
+}
+
+/**
+ * Put variables into a hook command, quoted for the shell that runs it (sh, or cmd.exe on Windows)
+ * Spaces and shell characters in e.g. the game directory stay part of the value
+ * instead of splitting the command or running as shell syntax.
+ */
+function substituteHookCommand(command, variables, platform = process.platform) {
+    const windows = platform === 'win32';
+    let quote = null;
+    let scanned = 0;
+
+    return command.replace(PLACEHOLDER_PATTERN, (match, name, offset) => {
+        quote = scanQuotes(command.slice(scanned, offset), quote, windows);
+        scanned = offset + match.length;
+
+        if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+            return match;
+        }
+        return quoteHookValue(String(variables[name]), quote, windows);
+    });
+}
+
+/**
+ * Stop a hook that ran out of time, together with the programs it started
+ * Killing only the shell would leave them running: on Windows taskkill /T ends the tree,
+ * elsewhere the hook runs in its own process group, which is signalled as a whole.
+ */
+function killHook(child) {
+    if (!child.pid) return;
+
+    if (process.platform === 'win32') {
+        execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], (error) => {
+            if (error) {
+                console.warn('taskkill failed, killing the hook directly:', error.message);
+                child.kill();
+            }
+        });
+        return;
+    }
+
+    const signalGroup = (signal) => {
+        try {
+            process.kill(-child.pid, signal);
+        } catch (error) {
+            // Everything in the group has already exited
+        }
+    };
+    signalGroup('SIGTERM');
+    setTimeout(() => signalGroup('SIGKILL'), HOOK_CONFIG.KILL_GRACE_MS).unref();
+}
+
+/**
+ * Keep the last lines of a hook's output for error messages
+ */
+function tailOutput(output) {
+    return output.trim().split(/\r?\n/).slice(-HOOK_CONFIG.OUTPUT_TAIL_LINES).join('\n');
+}
+
+/**
+ * Run one hook command through the system shell
+ * Resolves when the shell exits, so a hook can leave a program running in the background.
+ * @param {string} stage - HookStage value
+ * @param {Object} config - Launcher config (hooks)
+ * @param {Object} variables - Variables from createHookVariables
+ * @param {Function} onOutput - Optional callback for each line of output
+ * @returns {Promise<Object|null>} { stage, command, exitCode, signal, timedOut, output, success }, or null if no hook is set
+ */
+async function runHook(stage, config, variables, onOutput = null) {
+    const settings = getHookSettings(config);
+    if (!settings[stage]) {
+        return null;
+    }
+
+    const command = substituteHookCommand(settings[stage], variables);
+    console.log(`Running ${STAGE_LABELS[stage]} hook: ${command}`);
+
+    return new Promise((resolve) => {
+        let output = '';
+        let timedOut = false;
+
+        const child = spawn(command, {
+            cwd: variables.game_directory,
+            env: { ...process.env, ...toHookEnvironment(stage, variables) },
+            shell: true,
+            stdio: ['ignore', 'pipe', 'pipe'],
+            // Own process group, so a timeout can stop everything the hook started
+            detached: process.platform !== 'win32',
+            windowsHide: true
+        });
+
+        const collect = (data) => {
+            const text = data.toString();
+            output += text;
+            if (onOutput) {
+                text.split(/\r?\n/).filter(line => line.trim()).forEach(onOutput);
+            }
+        };
+        child.stdout.on('data', collect);
+        child.stderr.on('data', collect);
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            killHook(child);
+        }, settings.timeoutSeconds * 1000);
+
+        let finished = false;
+        const finish = (exitCode, signal, error = null) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            // Background programs started by the hook may keep the pipes open
+            child.stdout.removeListener('data', collect);
+            child.stderr.removeListener('data', collect);
+
+            resolve({
+                stage,
+                command,
+                exitCode,
+                signal,
+                timedOut,
+                error: error ? error.message : null,
+                output: tailOutput(output),
+                success: !error && !timedOut && exitCode === 0
+            });
+        };
+
+        child.on('error', (error) => finish(null, null, error));
+        // Prefer 'close' so the output is complete, but don't wait on pipes held by background programs
+        child.on('close', (code, signal) => finish(code, signal));
+        child.on('exit', (code, signal) => setTimeout(() => finish(code, signal), HOOK_CONFIG.OUTPUT_DRAIN_MS));
+    });
+}
+
+/**
+ * Describe a failed hook run
+ */
+function describeHookFailure(result) {
+    const label = STAGE_LABELS[result.stage];
+    if (result.error) {
+        return `The ${label} hook could not be started: ${result.error}`;
+    }
+    if (result.timedOut) {
+        return `The ${label} hook did not finish in time and was stopped`;
+    }
+    return `The ${label} hook failed with exit code ${result.exitCode !== null ? result.exitCode : result.signal}`;
+}
+
+/**
+ * Run a hook that comes before the game starts
+ * A failed hook cancels the launch unless hooks.cancel_on_failure is false.
+ * @returns {Promise<string|null>} Warning to show when the failure was ignored
+ */
+async function runLaunchHook(stage, config, variables, onOutput = null) {
+    const result = await runHook(stage, config, variables, onOutput);
+    if (!result || result.success) {
+        return null;
+    }
+
+    const message = describeHookFailure(result);
+    if (getHookSettings(config).cancelOnFailure) {
+        throw new Error(
+            `${message}, launch cancelled.` +
+            (result.output ? `\n\n${result.output}` : '') +
+            '\n\nFix the hook command in Settings > Launcher, or allow launching when a hook fails.'
+        );
+    }
+
+    console.warn(message);
+    return message;
+}
+
+module.exports = {
+    runHook,
+    runLaunchHook,
+    createHookVariables,
+    describeHookFailure,
+    getHookSettings,
+    substituteHookCommand,
+    HookStage,
+    HOOK_CONFIG
+};
@@ -0,0 +1,224 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Placeholder used instead of the session's access token
+const TOKEN_PLACEHOLDER = 'REDACTED';
+const TOKEN_VARIABLE = 'MC_ACCESS_TOKEN';
+const EXTRA_JVM_ARGS_VARIABLE = 'MC_EXTRA_JVM_ARGS';
+
+// Classpath separator of the system each script format runs on
+const CLASSPATH_SEPARATORS = {
+    sh: ':',
+    bat: ';'
+};
+
+// Marks where a secret was in an argument
+const SECRET = Symbol('secret');
+
+/**
+ * Get the secrets of a player profile that must never be written out
+ * Offline accounts use the player's UUID as their token, which is no secret and stays readable.
+ */
+function getProfileSecrets(playerProfile) {
+    const uuid = (playerProfile.uuid || '').replace(/-/g, '');
+    const secrets = [playerProfile.accessToken, playerProfile.refreshToken]
+        .filter(secret => secret && secret.length >= 8 && secret !== uuid);
+
+    return [...new Set(secrets)];
+}
+
+/**
+ * Replace secrets inside a piece of text with a placeholder
+ */
+function redactText(text, secrets, placeholder = TOKEN_PLACEHOLDER) {
+    return secrets.reduce((value, secret) => value.split(secret).join(placeholder), text);
+}
+
+/**
+ * Replace secrets inside a list of arguments with a placeholder
+ */
+function redactArgs(args, secrets, placeholder = TOKEN_PLACEHOLDER) {
+    return args.map(arg => redactText(arg, secrets, placeholder));
+}
+
+/**
+ * Quote an argument for a POSIX shell
+ */
+function quoteShellArg(arg) {
+    if (arg !== '' && /^[A-Za-z0-9_\-+=.,:/@%]+$/.test(arg)) {
+        return arg;
+    }
+
+    return `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Quote an argument for a Windows batch file
+ */
+function quoteBatchArg(arg) {
+    const escaped = arg.replace(/%/g, '%%');
+
+    if (escaped !== '' && /^[A-Za-z0-9_\-+=.,:\\/@]+$/.test(escaped)) {
+        return escaped;
+    }
+
+    return `"${escaped.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Write an argument for a script, with every secret in it replaced by a reference to the token variable
+ * Arguments can contain the token inside a longer value, e.g. --session token:<accessToken>:<uuid>.
+ * @param {Function} quote - quoteShellArg or quoteBatchArg
+ * @param {string} tokenReference - How the script reads the token variable, already quoted
+ */
+function formatScriptArg(arg, secrets, quote, tokenReference) {
+    let parts = [arg];
+    for (const secret of secrets) {
+        parts = parts.flatMap(part => (part === SECRET
+            ? [part]
+            : part.split(secret).flatMap((piece, index) => (index === 0 ? [piece] : [SECRET, piece]))));
+    }
+
+    const formatted = parts
+        .filter(part => part !== '')
+        .map(part => (part === SECRET ? tokenReference : quote(part)))
+        .join('');
+    return formatted || quote('');
+}
+
+/**
+ * Split the classpath of a launch into its entries
+ * It was joined with the separator of this system (see buildClasspath), the script may be for another one.
+ */
+function splitClasspath(classpath) {
+    return classpath.split(path.delimiter);
+}
+
+/**
+ * Find the classpath value in a list of JVM arguments
+ */
+function findClasspathIndex(args) {
+    return args.findIndex((arg, index) => (arg === '-cp' || arg === '-classpath') && index + 1 < args.length);
+}
+
+/**
+ * Build a POSIX shell script for a launch command
+ */
+function createShellScript(command, secrets, header) {
+    const { javaPath, args, cwd, env = {}, wrapper = [] } = command;
+    const lines = ['#!/bin/sh', ...header.map(line => `# ${line}`), ''];
+
+    lines.push(`cd ${quoteShellArg(cwd)} || exit 1`);
+    for (const [name, value] of Object.entries(env)) {
+        lines.push(`export ${name}=${quoteShellArg(String(value))}`);
+    }
+    lines.push(`ACCESS_TOKEN="\${${TOKEN_VARIABLE}:-${TOKEN_PLACEHOLDER}}"`);
+
+    // Build the classpath one entry per line so it stays readable
+    const cpIndex = findClasspathIndex(args);
+    if (cpIndex !== -1) {
+        splitClasspath(args[cpIndex + 1]).forEach((entry, index) => {
+            lines.push(index === 0
+                ? `CLASSPATH=${quoteShellArg(entry)}`
+                : `CLASSPATH="$CLASSPATH${CLASSPATH_SEPARATORS.sh}"${quoteShellArg(entry)}`);
+        });
+    }
+    lines.push('');
+
+    const commandLines = [`exec ${[...wrapper, javaPath].map(quoteShellArg).join(' ')} $${EXTRA_JVM_ARGS_VARIABLE}`];
+    args.forEach((arg, index) => {
+        if (cpIndex !== -1 && index === cpIndex + 1) {
+            commandLines.push('"$CLASSPATH"');
+        } else {
+            commandLines.push(formatScriptArg(arg, secrets, quoteShellArg, '"$ACCESS_TOKEN"'));
+        }
+    });
+    lines.push(commandLines.join(' \\\n    '));
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a Windows batch script for a launch command
+ * The classpath is passed through the CLASSPATH environment variable because
+ * it usually exceeds cmd's 8191 character line limit.
+ */
+function createBatchScript(command, secrets, header) {
+    const { javaPath, args, cwd, env = {}, wrapper = [] } = command;
+    const lines = ['@echo off', ...header.map(line => `rem ${line}`), 'setlocal', ''];
+
+    lines.push(`cd /d ${quoteBatchArg(cwd)} || exit /b 1`);
+    for (const [name, value] of Object.entries(env)) {
+        lines.push(`set "${name}=${String(value).replace(/%/g, '%%')}"`);
+    }
+    lines.push(`if not defined ${TOKEN_VARIABLE} set "${TOKEN_VARIABLE}=${TOKEN_PLACEHOLDER}"`);
+
+    const cpIndex = findClasspathIndex(args);
+    if (cpIndex !== -1) {
+        splitClasspath(args[cpIndex + 1]).forEach((entry, index) => {
+            const value = entry.replace(/%/g, '%%');
+            lines.push(index === 0 ? `set "CLASSPATH=${value}"` : `set "CLASSPATH=%CLASSPATH%${CLASSPATH_SEPARATORS.bat}${value}"`);
+        });
+    }
+    lines.push('');
+
+    const commandLines = [`${[...wrapper, javaPath].map(quoteBatchArg).join(' ')} %${EXTRA_JVM_ARGS_VARIABLE}%`];
+    args.forEach((arg, index) => {
+        if (cpIndex !== -1 && (index === cpIndex || index === cpIndex + 1)) {
+            return; // Java reads the classpath from CLASSPATH
+        }
+        commandLines.push(formatScriptArg(arg, secrets, quoteBatchArg, `"%${TOKEN_VARIABLE}%"`));
+    });
+    lines.push(commandLines.join(' ^\r\n    '));
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Create a launch script for a prepared launch command
+ * @param {Object} command - { javaPath, args, cwd, env, wrapper, version }
+ * @param {Array} secrets - Values to keep out of the script (access tokens)
+ * @param {string} format - 'sh' or 'bat'
+ */
+function createLaunchScript(command, secrets = [], format = process.platform === 'win32' ? 'bat' : 'sh') {
+    const title = command.version ? `Minecraft ${command.version}` : 'Minecraft';
+    const header = [
+        `${title} launch script, exported ${new Date().toISOString()}`,
+        `The access token is not included. Set ${TOKEN_VARIABLE} to launch with a real session.`,
+        `Extra JVM arguments (e.g. a debugger agent) can be passed in ${EXTRA_JVM_ARGS_VARIABLE}.`
+    ];
+
+    if (format === 'bat') {
+        return createBatchScript(command, secrets, header);
+    }
+    if (format === 'sh') {
+        return createShellScript(command, secrets, header);
+    }
+
+    throw new Error(`Unsupported launch script format: ${format}`);
+}
+
+/**
+ * Write a launch script to disk, picking the format from the file extension
+ * Shell scripts are made executable, also when they replace an existing file.
+ */
+async function exportLaunchScript(filePath, command, secrets = []) {
+    const extension = path.extname(filePath).toLowerCase();
+    const format = extension === '.bat' || extension === '.cmd' ? 'bat' : 'sh';
+
+    await fs.writeFile(filePath, createLaunchScript(command, secrets, format));
+    if (format === 'sh') {
+        await fs.chmod(filePath, 0o755);
+    }
+    return { path: filePath, format };
+}
+
+module.exports = {
+    createLaunchScript,
+    exportLaunchScript,
+    getProfileSecrets,
+    redactArgs,
+    redactText,
+    quoteShellArg,
+    quoteBatchArg
+};
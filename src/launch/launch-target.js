@@ -0,0 +1,162 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { FEATURES } = require('../core/rule-engine');
+
+/**
+ * Launch target types
+ * A launch target tells the game where to go straight after starting
+ */
+const LaunchTargetType = {
+    SINGLEPLAYER: 'singleplayer',
+    MULTIPLAYER: 'multiplayer',
+    REALMS: 'realms'
+};
+
+const DEFAULT_SERVER_PORT = '25565';
+
+/**
+ * Validate a launch target ({ type, value }) and return a clean copy
+ * Returns null when no target is given
+ */
+function normalizeLaunchTarget(target) {
+    if (!target) {
+        return null;
+    }
+
+    if (!Object.values(LaunchTargetType).includes(target.type)) {
+        throw new Error(`Unknown launch target type: ${target.type}`);
+    }
+
+    const value = typeof target.value === 'string' ? target.value.trim() : '';
+    if (!value) {
+        throw new Error(`Launch target "${target.type}" requires a value`);
+    }
+
+    return { type: target.type, value: value };
+}
+
+/**
+ * Split a server address into host and port
+ */
+function parseServerAddress(address) {
+    // Bracketed IPv6 address, e.g. [::1]:25565
+    const ipv6Match = address.match(/^\[(.+)\](?::(\d+))?$/);
+    if (ipv6Match) {
+        return { host: ipv6Match[1], port: ipv6Match[2] || DEFAULT_SERVER_PORT };
+    }
+
+    // host:port, anything with more colons is a bare IPv6 address without a port
+    const parts = address.split(':');
+    if (parts.length === 2) {
+        return { host: parts[0], port: parts[1] || DEFAULT_SERVER_PORT };
+    }
+    return { host: address, port: DEFAULT_SERVER_PORT };
+}
+
+/**
+ * Check if a version JSON understands the --quickPlay* arguments
+ */
+function supportsQuickPlay(metadata) {
+    const gameArgs = (metadata.arguments && metadata.arguments.game) || [];
+
+    return gameArgs.some(arg =>
+        typeof arg === 'object' && arg.rules && arg.rules.some(rule =>
+            rule.features && (
+                FEATURES.IS_QUICK_PLAY_SINGLEPLAYER in rule.features ||
+                FEATURES.IS_QUICK_PLAY_MULTIPLAYER in rule.features ||
+                FEATURES.IS_QUICK_PLAY_REALMS in rule.features
+            )
+        )
+    );
+}
+
+/**
+ * Resolve how a launch target is passed to a given version
+ * Returns the rule features and template variables for quick play, plus
+ * the extra arguments to append for versions that predate quick play
+ */
+function resolveQuickPlay(target, metadata) {
+    const result = {
+        features: {
+            [FEATURES.IS_QUICK_PLAY_SINGLEPLAYER]: false,
+            [FEATURES.IS_QUICK_PLAY_MULTIPLAYER]: false,
+            [FEATURES.IS_QUICK_PLAY_REALMS]: false
+        },
+        variables: {
+            quickPlayPath: '',
+            quickPlaySingleplayer: '',
+            quickPlayMultiplayer: '',
+            quickPlayRealms: ''
+        },
+        legacyArgs: []
+    };
+
+    if (!target) {
+        return result;
+    }
+
+    if (supportsQuickPlay(metadata)) {
+        if (target.type === LaunchTargetType.SINGLEPLAYER) {
+            result.features[FEATURES.IS_QUICK_PLAY_SINGLEPLAYER] = true;
+            result.variables.quickPlaySingleplayer = target.value;
+        } else if (target.type === LaunchTargetType.MULTIPLAYER) {
+            result.features[FEATURES.IS_QUICK_PLAY_MULTIPLAYER] = true;
+            result.variables.quickPlayMultiplayer = target.value;
+        } else if (target.type === LaunchTargetType.REALMS) {
+            result.features[FEATURES.IS_QUICK_PLAY_REALMS] = true;
+            result.variables.quickPlayRealms = target.value;
+        }
+        return result;
+    }
+
+    // Older versions only know how to auto-connect to a server
+    if (target.type === LaunchTargetType.MULTIPLAYER) {
+        const { host, port } = parseServerAddress(target.value);
+        result.legacyArgs.push('--server', host, '--port', port);
+    } else {
+        console.warn(`Launch target "${target.type}" is not supported by this version, opening the main menu instead`);
+    }
+
+    return result;
+}
+
+/**
+ * Find the most recently played singleplayer world in saves/
+ * Returns the world folder name, or null if there are no worlds
+ */
+async function getLastPlayedWorld(gameDir) {
+    const savesDir = path.join(gameDir, 'saves');
+    let latest = null;
+
+    try {
+        const entries = await fs.readdir(savesDir, { withFileTypes: true });
+
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+
+            try {
+                const stat = await fs.stat(path.join(savesDir, entry.name, 'level.dat'));
+                if (!latest || stat.mtimeMs > latest.mtimeMs) {
+                    latest = { name: entry.name, mtimeMs: stat.mtimeMs };
+                }
+            } catch {
+                // Not a world folder
+            }
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn('Could not read saves folder:', error.message);
+        }
+    }
+
+    return latest ? latest.name : null;
+}
+
+module.exports = {
+    LaunchTargetType,
+    normalizeLaunchTarget,
+    parseServerAddress,
+    supportsQuickPlay,
+    resolveQuickPlay,
+    getLastPlayedWorld
+};
@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Environment variable names the game process can be given
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Split a command line into words, honoring single and double quotes
+ * e.g. `nice -n 5 "my wrapper"` -> ['nice', '-n', '5', 'my wrapper']
+ * Inside double quotes \" and \\ escape a quote and a backslash, like in a shell.
+ * Other backslashes are kept so Windows paths need no escaping.
+ * @param {string} label - What is being parsed, for the unclosed quote error
+ */
+function parseCommandLine(commandLine, label = 'wrapper command') {
+    const words = [];
+    let current = '';
+    let quote = null;
+    let inWord = false;
+    let escaped = false;
+
+    for (const char of String(commandLine || '')) {
+        if (escaped) {
+            current += char === '"' || char === '\\' ? char : `\\${char}`;
+            escaped = false;
+        } else if (quote) {
+            if (char === '\\' && quote === '"') {
+                escaped = true;
+            } else if (char === quote) {
+                quote = null;
+            } else {
+                current += char;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+            inWord = true;
+        } else if (/\s/.test(char)) {
+            if (inWord) {
+                words.push(current);
+                current = '';
+                inWord = false;
+            }
+        } else {
+            current += char;
+            inWord = true;
+        }
+    }
+
+    if (quote) {
+        throw new Error(`Unclosed ${quote} quote in ${label}`);
+    }
+    if (inWord) {
+        words.push(current);
+    }
+
+    return words;
+}
+
+/**
+ * Find an executable the way the shell would (absolute/relative path or PATH lookup)
+ * @returns {Promise<string|null>} Full path, or null if not found
+ */
+async function findExecutable(command) {
+    const extensions = process.platform === 'win32'
+        ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')]
+        : [''];
+
+    const candidates = command.includes('/') || command.includes('\\')
+        ? [path.resolve(command)]
+        : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command));
+
+    for (const candidate of candidates) {
+        for (const extension of extensions) {
+            try {
+                // A folder named like the command is not it, and Windows has no execute bit to check
+                if (!(await fs.stat(candidate + extension)).isFile()) continue;
+                if (process.platform !== 'win32') {
+                    await fs.access(candidate + extension, fs.constants.X_OK);
+                }
+                return candidate + extension;
+            } catch {
+                // Try the next one
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Read the custom environment variables from config
+ * @returns {Object} { env, issues }
+ */
+function parseEnvironment(variables = {}) {
+    const env = {};
+    const issues = [];
+
+    for (const [name, value] of Object.entries(variables || {})) {
+        if (!ENV_NAME_PATTERN.test(name)) {
+            issues.push(`Ignored environment variable "${name}": names may only contain letters, digits and underscores`);
+            continue;
+        }
+        env[name] = value === null || value === undefined ? '' : String(value);
+    }
+
+    return { env, issues };
+}
+
+/**
+ * Resolve the wrapper command and environment for a launch
+ * @param {Object} config - Launcher config (wrapper_command, environment_variables)
+ * @returns {Promise<Object>} { wrapper: [command, ...args], env, issues }
+ */
+async function resolveLaunchWrapper(config) {
+    const wrapper = parseCommandLine(config.wrapper_command);
+    const { env, issues } = parseEnvironment(config.environment_variables);
+
+    if (wrapper.length > 0 && !await findExecutable(wrapper[0])) {
+        throw new Error(
+            `The wrapper command "${wrapper[0]}" was not found.\n\n` +
+            'Install it, or clear the wrapper command in Settings > Java.'
+        );
+    }
+
+    return { wrapper, env, issues };
+}
+
+module.exports = {
+    resolveLaunchWrapper,
+    parseCommandLine,
+    parseEnvironment,
+    findExecutable
+};
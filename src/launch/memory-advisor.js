@@ -0,0 +1,213 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+// Configuration
+const MEMORY_CONFIG = {
+    BASE_HEAP_MB: 2048,        // Vanilla game
+    PER_MOD_MB: 32,            // Rough average per loaded mod
+    SHADERS_MB: 1024,          // Extra heap when shaderpacks are installed
+    MIN_HEAP_MB: 1024,
+    MAX_AUTO_HEAP_MB: 12288,   // Bigger heaps only mean longer GC pauses
+    MIN_SYSTEM_RESERVE_MB: 2048,
+    SYSTEM_RESERVE_RATIO: 0.25, // Share of RAM left for the OS and other programs
+    MAX_32BIT_HEAP_MB: 1536,   // Largest heap a 32-bit JVM can reliably reserve
+    STEP_MB: 512
+};
+
+/**
+ * Memory warning types
+ */
+const MemoryWarning = {
+    EXCEEDS_SYSTEM: 'exceeds_system',
+    MIN_EXCEEDS_MAX: 'min_exceeds_max',
+    EXCEEDS_32BIT: 'exceeds_32bit',
+    BELOW_RECOMMENDED: 'below_recommended'
+};
+
+/**
+ * Parse a JVM memory size ("512M", "4G", "4096m", "2048") into megabytes
+ */
+function parseMemorySize(value) {
+    if (typeof value === 'number') return value;
+    if (!value) return null;
+
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kKmMgG]?)$/);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    switch (match[2].toUpperCase()) {
+        case 'G': return Math.round(amount * 1024);
+        case 'K': return Math.round(amount / 1024);
+        default: return Math.round(amount);
+    }
+}
+
+/**
+ * Format megabytes as a JVM memory size
+ */
+function formatMemorySize(mb) {
+    return `${Math.round(mb)}M`;
+}
+
+/**
+ * Count the entries in a game subfolder that the game will load
+ */
+async function countEntries(dir, filter) {
+    try {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        return entries.filter(filter).length;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Count enabled mods and installed shaderpacks
+ */
+async function countGameContent(gameDir) {
+    const modCount = await countEntries(
+        path.join(gameDir, 'mods'),
+        entry => entry.isFile() && entry.name.toLowerCase().endsWith('.jar')
+    );
+    const shaderpackCount = await countEntries(
+        path.join(gameDir, 'shaderpacks'),
+        entry => entry.isDirectory() || entry.name.toLowerCase().endsWith('.zip')
+    );
+
+    return { modCount, shaderpackCount };
+}
+
+/**
+ * Round a size down to the slider step
+ */
+function roundDown(mb) {
+    return Math.floor(mb / MEMORY_CONFIG.STEP_MB) * MEMORY_CONFIG.STEP_MB;
+}
+
+/**
+ * Suggest a heap size for the machine and the content that will load
+ * @param {Object} options - { totalMemoryMB, modCount, shaderpackCount, is64Bit }
+ * @returns {Object} { recommendedMB, maxSafeMB }
+ */
+function suggestHeap(options) {
+    const { totalMemoryMB, modCount = 0, shaderpackCount = 0, is64Bit = true } = options;
+
+    // Leave room for the OS, the launcher and the JVM's own non-heap memory
+    const reserve = Math.max(MEMORY_CONFIG.MIN_SYSTEM_RESERVE_MB, totalMemoryMB * MEMORY_CONFIG.SYSTEM_RESERVE_RATIO);
+    let maxSafeMB = Math.max(MEMORY_CONFIG.MIN_HEAP_MB, roundDown(totalMemoryMB - reserve));
+    if (!is64Bit) {
+        maxSafeMB = Math.min(maxSafeMB, MEMORY_CONFIG.MAX_32BIT_HEAP_MB);
+    }
+
+    const wanted = MEMORY_CONFIG.BASE_HEAP_MB +
+        modCount * MEMORY_CONFIG.PER_MOD_MB +
+        (shaderpackCount > 0 ? MEMORY_CONFIG.SHADERS_MB : 0);
+
+    const stepped = Math.ceil(wanted / MEMORY_CONFIG.STEP_MB) * MEMORY_CONFIG.STEP_MB;
+    const recommendedMB = Math.max(
+        MEMORY_CONFIG.MIN_HEAP_MB,
+        Math.min(stepped, MEMORY_CONFIG.MAX_AUTO_HEAP_MB, maxSafeMB)
+    );
+
+    return { recommendedMB, maxSafeMB };
+}
+
+/**
+ * Check memory settings against the machine and the suggestion
+ * @returns {Array} [{ type, message }]
+ */
+function checkMemorySettings(options) {
+    const { minMB, maxMB, totalMemoryMB, maxSafeMB, recommendedMB, is64Bit = true } = options;
+    const warnings = [];
+
+    if (maxMB && !is64Bit && maxMB > MEMORY_CONFIG.MAX_32BIT_HEAP_MB) {
+        warnings.push({
+            type: MemoryWarning.EXCEEDS_32BIT,
+            message: `The selected Java is 32-bit and can't use more than ${MEMORY_CONFIG.MAX_32BIT_HEAP_MB} MB. Use a 64-bit Java or lower the maximum RAM.`
+        });
+    } else if (maxMB && maxMB > maxSafeMB) {
+        warnings.push({
+            type: MemoryWarning.EXCEEDS_SYSTEM,
+            message: `${maxMB} MB is more than this computer can spare (${totalMemoryMB} MB total). Use ${maxSafeMB} MB or less to avoid freezing the system.`
+        });
+    }
+
+    if (minMB && maxMB && minMB > maxMB) {
+        warnings.push({
+            type: MemoryWarning.MIN_EXCEEDS_MAX,
+            message: `The minimum RAM (-Xms${formatMemorySize(minMB)}) is larger than the maximum (-Xmx${formatMemorySize(maxMB)}). It will be lowered to the maximum at launch.`
+        });
+    }
+
+    if (maxMB && recommendedMB && maxMB < recommendedMB) {
+        warnings.push({
+            type: MemoryWarning.BELOW_RECOMMENDED,
+            message: `${maxMB} MB is below the ${recommendedMB} MB recommended for the installed mods.`
+        });
+    }
+
+    return warnings;
+}
+
+/**
+ * Get a memory recommendation and warnings for a config
+ * @param {Object} config - Launcher config (game_directory, jvm_args)
+ * @param {boolean} is64Bit - Bitness of the Java that will run the game
+ */
+async function getMemoryAdvice(config, is64Bit = true) {
+    const gameDir = path.resolve(config.game_directory);
+    const jvmArgs = config.jvm_args || {};
+
+    const totalMemoryMB = Math.round(os.totalmem() / (1024 * 1024));
+    const freeMemoryMB = Math.round(os.freemem() / (1024 * 1024));
+    const { modCount, shaderpackCount } = await countGameContent(gameDir);
+    const { recommendedMB, maxSafeMB } = suggestHeap({ totalMemoryMB, modCount, shaderpackCount, is64Bit });
+
+    const auto = jvmArgs.auto_memory === true;
+    const maxMB = auto ? recommendedMB : parseMemorySize(jvmArgs.max_ram);
+    const minMB = parseMemorySize(jvmArgs.min_ram);
+
+    return {
+        auto,
+        totalMemoryMB,
+        freeMemoryMB,
+        modCount,
+        shaderpackCount,
+        is64Bit,
+        recommendedMB,
+        maxSafeMB,
+        minMB,
+        maxMB,
+        warnings: checkMemorySettings({ minMB, maxMB, totalMemoryMB, maxSafeMB, recommendedMB, is64Bit })
+    };
+}
+
+/**
+ * Work out the -Xms/-Xmx values to launch with
+ * Auto mode uses the recommendation; -Xms is capped at -Xmx so Java can start.
+ * @returns {Promise<Object>} { minRam, maxRam, advice }
+ */
+async function resolveLaunchMemory(config, is64Bit = true) {
+    const advice = await getMemoryAdvice(config, is64Bit);
+
+    const maxMB = advice.maxMB || advice.recommendedMB;
+    const minMB = advice.minMB ? Math.min(advice.minMB, maxMB) : null;
+
+    return {
+        minRam: minMB ? formatMemorySize(minMB) : null,
+        maxRam: formatMemorySize(maxMB),
+        advice
+    };
+}
+
+module.exports = {
+    getMemoryAdvice,
+    resolveLaunchMemory,
+    suggestHeap,
+    checkMemorySettings,
+    parseMemorySize,
+    formatMemorySize,
+    MemoryWarning,
+    MEMORY_CONFIG
+};
@@ -0,0 +1,394 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Configuration
+const MICROSOFT_AUTH_CONFIG = {
+    SCOPE: 'XboxLive.signin offline_access',
+    REQUEST_TIMEOUT_MS: 15000,
+    REFRESH_MARGIN_MS: 5 * 60 * 1000,   // Renew tokens this long before they expire
+    SLOW_DOWN_SECONDS: 5
+};
+
+// XSTS relying parties: Minecraft services for the login, Xbox Live for the player's xuid
+const XSTS_RELYING_PARTIES = {
+    MINECRAFT: 'rp://api.minecraftservices.com/',
+    XBOX_LIVE: 'http://xboxlive.com'
+};
+
+// Default endpoints, each can be overridden in config.microsoft_auth.endpoints (e.g. for a mock server)
+const DEFAULT_ENDPOINTS = {
+    device_code: 'https://login.microsoftonline.com/consumers/oauth2/v2.0/devicecode',
+    token: 'https://login.microsoftonline.com/consumers/oauth2/v2.0/token',
+    xbox_live: 'https://user.auth.xboxlive.com/user/authenticate',
+    xsts: 'https://xsts.auth.xboxlive.com/xsts/authorize',
+    minecraft_login: 'https://api.minecraftservices.com/authentication/login_with_xbox',
+    minecraft_profile: 'https://api.minecraftservices.com/minecraft/profile'
+};
+
+// XSTS error codes worth explaining to the player
+const XSTS_ERRORS = {
+    2148916233: 'This Microsoft account has no Xbox profile. Sign in once at https://www.xbox.com to create one, then try again.',
+    2148916235: 'Xbox Live is not available in the country of this Microsoft account.',
+    2148916236: 'This account needs adult verification on the Xbox website (South Korea).',
+    2148916237: 'This account needs adult verification on the Xbox website (South Korea).',
+    2148916238: 'This is a child account. An adult must add it to a Microsoft family before it can play.'
+};
+
+/**
+ * Get Microsoft sign-in settings with defaults applied
+ */
+function getMicrosoftAuthSettings(config) {
+    const auth = config.microsoft_auth || {};
+    return {
+        clientId: auth.client_id || '',
+        endpoints: { ...DEFAULT_ENDPOINTS, ...(auth.endpoints || {}) }
+    };
+}
+
+/**
+ * Make sure a client id is configured before contacting Microsoft
+ */
+function requireClientId(settings) {
+    if (!settings.clientId) {
+        throw new Error(
+            'Microsoft sign-in is not configured.\n\n' +
+            'Set microsoft_auth.client_id in config.json to the Azure application id of the launcher.'
+        );
+    }
+}
+
+/**
+ * POST a form to a Microsoft OAuth endpoint
+ */
+async function postForm(url, form) {
+    return axios.post(url, new URLSearchParams(form).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: MICROSOFT_AUTH_CONFIG.REQUEST_TIMEOUT_MS
+    });
+}
+
+/**
+ * POST JSON to an Xbox or Minecraft services endpoint
+ */
+async function postJson(url, body) {
+    return axios.post(url, body, {
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        timeout: MICROSOFT_AUTH_CONFIG.REQUEST_TIMEOUT_MS
+    });
+}
+
+/**
+ * Turn Microsoft OAuth token responses into our token record
+ */
+function toMicrosoftTokens(data) {
+    return {
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token,
+        expiresAt: Date.now() + data.expires_in * 1000
+    };
+}
+
+/**
+ * Start the device code flow
+ * @returns {Promise<Object>} { deviceCode, userCode, verificationUri, expiresIn, interval, message }
+ */
+async function requestDeviceCode(settings) {
+    requireClientId(settings);
+
+    const response = await postForm(settings.endpoints.device_code, {
+        client_id: settings.clientId,
+        scope: MICROSOFT_AUTH_CONFIG.SCOPE
+    });
+
+    return {
+        deviceCode: response.data.device_code,
+        userCode: response.data.user_code,
+        verificationUri: response.data.verification_uri,
+        expiresIn: response.data.expires_in,
+        interval: response.data.interval || 5,
+        message: response.data.message
+    };
+}
+
+/**
+ * Poll the token endpoint until the player finishes signing in
+ * @param {Object} cancellation - { cancelled } flag checked between polls
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresAt }
+ */
+async function pollDeviceCode(settings, deviceCode, cancellation = {}) {
+    let interval = deviceCode.interval;
+    const deadline = Date.now() + deviceCode.expiresIn * 1000;
+
+    while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, interval * 1000));
+        if (cancellation.cancelled) {
+            throw new Error('Microsoft sign-in was cancelled');
+        }
+
+        try {
+            const response = await postForm(settings.endpoints.token, {
+                grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+                client_id: settings.clientId,
+                device_code: deviceCode.deviceCode
+            });
+            return toMicrosoftTokens(response.data);
+        } catch (error) {
+            const code = error.response && error.response.data && error.response.data.error;
+            if (code === 'authorization_pending') continue;
+            if (code === 'slow_down') {
+                interval += MICROSOFT_AUTH_CONFIG.SLOW_DOWN_SECONDS;
+                continue;
+            }
+            if (code === 'authorization_declined') throw new Error('Microsoft sign-in was declined');
+            if (code === 'expired_token') break;
+            throw new Error(`Microsoft sign-in failed: ${code || error.message}`);
+        }
+    }
+
+    throw new Error('The sign-in code expired. Start the sign-in again.');
+}
+
+/**
+ * Get new Microsoft tokens from a refresh token
+ */
+async function refreshMicrosoftTokens(settings, refreshToken) {
+    requireClientId(settings);
+
+    try {
+        const response = await postForm(settings.endpoints.token, {
+            grant_type: 'refresh_token',
+            client_id: settings.clientId,
+            refresh_token: refreshToken,
+            scope: MICROSOFT_AUTH_CONFIG.SCOPE
+        });
+        const tokens = toMicrosoftTokens(response.data);
+        // Keep the old refresh token if Microsoft didn't rotate it
+        tokens.refreshToken = tokens.refreshToken || refreshToken;
+        return tokens;
+    } catch (error) {
+        const code = error.response && error.response.data && error.response.data.error;
+        if (code === 'invalid_grant') {
+            throw new Error('The Microsoft sign-in has expired. Remove the account and sign in again.');
+        }
+        throw new Error(`Could not renew the Microsoft sign-in: ${code || error.message}`);
+    }
+}
+
+/**
+ * Exchange a Microsoft access token for an Xbox Live token
+ * @returns {Promise<Object>} { token, userHash }
+ */
+async function authenticateXboxLive(settings, microsoftAccessToken) {
+    const response = await postJson(settings.endpoints.xbox_live, {
+        Properties: {
+            AuthMethod: 'RPS',
+            SiteName: 'user.auth.xboxlive.com',
+            RpsTicket: `d=${microsoftAccessToken}`
+        },
+        RelyingParty: 'http://auth.xboxlive.com',
+        TokenType: 'JWT'
+    });
+
+    return {
+        token: response.data.Token,
+        userHash: response.data.DisplayClaims.xui[0].uhs
+    };
+}
+
+/**
+ * Exchange an Xbox Live token for an XSTS token for a relying party
+ * Only the Xbox Live relying party carries the xuid in its claims.
+ * @returns {Promise<Object>} { token, userHash, xuid }
+ */
+async function authorizeXsts(settings, xboxToken, relyingParty = XSTS_RELYING_PARTIES.MINECRAFT) {
+    try {
+        const response = await postJson(settings.endpoints.xsts, {
+            Properties: {
+                SandboxId: 'RETAIL',
+                UserTokens: [xboxToken]
+            },
+            RelyingParty: relyingParty,
+            TokenType: 'JWT'
+        });
+
+        const claims = response.data.DisplayClaims.xui[0];
+        return {
+            token: response.data.Token,
+            userHash: claims.uhs,
+            xuid: claims.xid || null
+        };
+    } catch (error) {
+        const xerr = error.response && error.response.data && error.response.data.XErr;
+        if (xerr && XSTS_ERRORS[xerr]) {
+            throw new Error(XSTS_ERRORS[xerr]);
+        }
+        throw new Error(`Xbox Live authorization failed: ${xerr || error.message}`);
+    }
+}
+
+/**
+ * Get the player's Xbox user id (xuid), passed to the game as auth_xuid
+ * The game runs without it, so a failure here doesn't stop the sign-in.
+ * @returns {Promise<string|null>}
+ */
+async function getXboxUserId(settings, xboxToken) {
+    try {
+        const xsts = await authorizeXsts(settings, xboxToken, XSTS_RELYING_PARTIES.XBOX_LIVE);
+        return xsts.xuid;
+    } catch (error) {
+        console.warn('Could not get the Xbox user id:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Log in to Minecraft services with an XSTS token
+ * @returns {Promise<Object>} { accessToken, expiresAt }
+ */
+async function loginWithXbox(settings, xsts) {
+    const response = await postJson(settings.endpoints.minecraft_login, {
+        identityToken: `XBL3.0 x=${xsts.userHash};${xsts.token}`
+    });
+
+    return {
+        accessToken: response.data.access_token,
+        expiresAt: Date.now() + response.data.expires_in * 1000
+    };
+}
+
+/**
+ * Add dashes to an undashed UUID from Minecraft services
+ */
+function formatUUID(id) {
+    return id.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+}
+
+/**
+ * Get the Minecraft profile (name and UUID) for a Minecraft access token
+ * @returns {Promise<Object>} { uuid, username }
+ */
+async function getMinecraftProfile(settings, minecraftAccessToken) {
+    try {
+        const response = await axios.get(settings.endpoints.minecraft_profile, {
+            headers: { Authorization: `Bearer ${minecraftAccessToken}` },
+            timeout: MICROSOFT_AUTH_CONFIG.REQUEST_TIMEOUT_MS
+        });
+        return {
+            uuid: formatUUID(response.data.id),
+            username: response.data.name
+        };
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            throw new Error('This Microsoft account does not own Minecraft: Java Edition.');
+        }
+        throw new Error(`Could not load the Minecraft profile: ${error.message}`);
+    }
+}
+
+/**
+ * Random client token, passed to the game as clientid
+ * Made once per sign-in and kept with the session, so the game sees the same one every launch.
+ */
+function createClientToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Run the Xbox Live -> XSTS -> Minecraft chain for Microsoft tokens
+ * @param {string} clientToken - Client token of the session being renewed, a new one for a new sign-in
+ * @returns {Promise<Object>} Session { microsoft, minecraft, uuid, username, xuid, clientToken }
+ */
+async function completeMinecraftLogin(settings, microsoftTokens, clientToken = createClientToken()) {
+    const xbox = await authenticateXboxLive(settings, microsoftTokens.accessToken);
+    const xsts = await authorizeXsts(settings, xbox.token);
+    const minecraft = await loginWithXbox(settings, xsts);
+    const profile = await getMinecraftProfile(settings, minecraft.accessToken);
+    const xuid = await getXboxUserId(settings, xbox.token);
+
+    return {
+        microsoft: microsoftTokens,
+        minecraft: minecraft,
+        uuid: profile.uuid,
+        username: profile.username,
+        xuid: xuid,
+        clientToken: clientToken
+    };
+}
+
+/**
+ * Sign in with a Microsoft account using the device code flow
+ * @param {Object} config - Launcher config (microsoft_auth)
+ * @param {Function} onCode - Called with { userCode, verificationUri, expiresIn, message } to show to the player
+ * @param {Object} cancellation - { cancelled } flag to stop waiting
+ * @returns {Promise<Object>} Session for the account store
+ */
+async function signInWithDeviceCode(config, onCode, cancellation = {}) {
+    const settings = getMicrosoftAuthSettings(config);
+    requireClientId(settings);
+
+    const deviceCode = await requestDeviceCode(settings);
+    onCode({
+        userCode: deviceCode.userCode,
+        verificationUri: deviceCode.verificationUri,
+        expiresIn: deviceCode.expiresIn,
+        message: deviceCode.message
+    });
+
+    const microsoftTokens = await pollDeviceCode(settings, deviceCode, cancellation);
+    return completeMinecraftLogin(settings, microsoftTokens);
+}
+
+/**
+ * Renew a session when its Minecraft token is about to expire
+ * Sessions saved before client tokens existed get one, so the returned session can differ even when not refreshed.
+ * @returns {Promise<Object>} { session, refreshed }
+ */
+async function ensureFreshSession(config, session) {
+    const margin = MICROSOFT_AUTH_CONFIG.REFRESH_MARGIN_MS;
+    if (session.minecraft && session.minecraft.expiresAt - margin > Date.now()) {
+        return {
+            session: session.clientToken ? session : { ...session, clientToken: createClientToken() },
+            refreshed: false
+        };
+    }
+
+    const settings = getMicrosoftAuthSettings(config);
+    requireClientId(settings);
+
+    let microsoftTokens = session.microsoft;
+    if (!microsoftTokens.accessToken || microsoftTokens.expiresAt - margin <= Date.now()) {
+        microsoftTokens = await refreshMicrosoftTokens(settings, session.microsoft.refreshToken);
+    }
+
+    console.log('Renewed Microsoft session');
+    return {
+        session: await completeMinecraftLogin(settings, microsoftTokens, session.clientToken || createClientToken()),
+        refreshed: true
+    };
+}
+
+/**
+ * Create a player profile from a Microsoft session
+ */
+function createMicrosoftProfile(session) {
+    return {
+        username: session.username,
+        uuid: session.uuid,
+        accessToken: session.minecraft.accessToken,
+        clientToken: session.clientToken,
+        xuid: session.xuid,
+        userType: 'msa'
+    };
+}
+
+module.exports = {
+    signInWithDeviceCode,
+    ensureFreshSession,
+    createMicrosoftProfile,
+    getMicrosoftAuthSettings,
+    requestDeviceCode,
+    pollDeviceCode,
+    refreshMicrosoftTokens,
+    completeMinecraftLogin,
+    DEFAULT_ENDPOINTS
+};
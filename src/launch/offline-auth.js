@@ -1,4 +1,16 @@
 const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { validateUsername, normalizeUUID } = require('./player-identity');
+
+/**
+ * Where the UUID of an offline account comes from
+ */
+const OfflineUuidMode = {
+    STANDARD: 'standard', // OfflinePlayer:<name> MD5, changes when the name changes
+    PINNED: 'pinned',     // Fixed UUID that survives renames
+    IMPORTED: 'imported'  // Fixed UUID taken from another launcher
+};
 
 /**
  * Generate offline UUID from username
@@ -25,11 +37,67 @@ function generateOfflineUUID(username) {
     return uuid;
 }
 
+/**
+ * Get the UUID an offline account plays with
+ * @param {string} username - Player name
+ * @param {Object} options - { uuidMode, uuid } from the account
+ */
+function resolveOfflineUUID(username, options = {}) {
+    const mode = options.uuidMode || OfflineUuidMode.STANDARD;
+    if (mode === OfflineUuidMode.STANDARD) {
+        return generateOfflineUUID(username);
+    }
+
+    const uuid = normalizeUUID(options.uuid);
+    if (!uuid) {
+        throw new Error(`The ${mode} UUID of ${username} is not a valid UUID. Edit the account in Settings > Account.`);
+    }
+    return uuid;
+}
+
+/**
+ * Find player names and UUIDs in another launcher's account file
+ * Works with any JSON that lists objects with a name and an id, e.g. Prism/MultiMC
+ * accounts.json, HMCL accounts.json and the official launcher_accounts.json.
+ * @returns {Promise<Object[]>} [{ username, uuid }]
+ */
+async function readLauncherAccounts(filePath) {
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${path.basename(filePath)} is not a launcher account file: ${error.message}`);
+    }
+
+    const found = new Map();
+    const visit = (value) => {
+        if (!value || typeof value !== 'object') return;
+
+        const username = value.name || value.username || value.displayName;
+        const uuid = normalizeUUID(value.id || value.uuid);
+        if (typeof username === 'string' && uuid && !validateUsername(username)) {
+            found.set(`${username.toLowerCase()}:${uuid}`, { username, uuid });
+        }
+        Object.values(value).forEach(visit);
+    };
+    visit(data);
+
+    return [...found.values()];
+}
+
 /**
  * Create offline player profile
+ * @param {string} username - Player name
+ * @param {Object} options - { uuidMode, uuid } from the account
  */
-function createOfflineProfile(username) {
-    const uuid = generateOfflineUUID(username);
+function createOfflineProfile(username, options = {}) {
+    // Names with spaces or symbols break chat and permission plugins
+    const invalid = validateUsername(username);
+    if (invalid) {
+        throw new Error(`${invalid}. Rename the account in Settings > Account.`);
+    }
+
+    const uuid = resolveOfflineUUID(username, options);
     const accessToken = uuid.replace(/-/g, '');
     return {
         username: username,
@@ -47,5 +115,8 @@ function createOfflineProfile(username) {
 
 module.exports = {
     generateOfflineUUID,
-    createOfflineProfile
+    resolveOfflineUUID,
+    readLauncherAccounts,
+    createOfflineProfile,
+    OfflineUuidMode
 };
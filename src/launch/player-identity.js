@@ -0,0 +1,56 @@
+/**
+ * Player name and UUID checks
+ * Shared by the main process and the renderer, so it must not require Node or Electron modules.
+ */
+
+// Configuration
+const USERNAME_RULES = {
+    MIN_LENGTH: 3,
+    MAX_LENGTH: 16,
+    PATTERN: /^[A-Za-z0-9_]+$/
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+
+/**
+ * Check a player name the way vanilla servers and plugins expect it
+ * @returns {string|null} Why the name can't be used, or null if it is valid
+ */
+function validateUsername(username) {
+    const name = typeof username === 'string' ? username : '';
+
+    if (!name) {
+        return 'Enter a username';
+    }
+    if (name.length < USERNAME_RULES.MIN_LENGTH) {
+        return `Username is too short (${name.length} of at least ${USERNAME_RULES.MIN_LENGTH} characters)`;
+    }
+    if (name.length > USERNAME_RULES.MAX_LENGTH) {
+        return `Username is too long (${name.length} of at most ${USERNAME_RULES.MAX_LENGTH} characters)`;
+    }
+    if (!USERNAME_RULES.PATTERN.test(name)) {
+        const invalid = [...new Set(name.replace(/[A-Za-z0-9_]/g, ''))]
+            .map(char => char === ' ' ? 'spaces' : `"${char}"`);
+        return `Username can't contain ${invalid.join(', ')}. Use only letters, numbers and underscores`;
+    }
+    return null;
+}
+
+/**
+ * Parse a UUID with or without dashes
+ * @returns {string|null} Lowercase UUID with dashes, or null if the text is not a UUID
+ */
+function normalizeUUID(text) {
+    const value = String(text || '').trim();
+    if (!UUID_PATTERN.test(value)) {
+        return null;
+    }
+    return value.replace(/-/g, '').toLowerCase()
+        .replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+}
+
+module.exports = {
+    validateUsername,
+    normalizeUUID,
+    USERNAME_RULES
+};
@@ -0,0 +1,334 @@
+const { EventEmitter } = require('events');
+const { execFile } = require('child_process');
+const path = require('path');
+
+// Configuration
+const PROCESS_CONFIG = {
+    HANG_CHECK_INTERVAL_MS: 15000,
+    KILL_GRACE_MS: 5000,
+    WINDOW_TIMEOUT_MINUTES: 10,
+    OUTPUT_TIMEOUT_MINUTES: 5
+};
+
+/**
+ * Game session states
+ */
+const GameState = {
+    LAUNCHING: 'launching',
+    RUNNING: 'running',
+    HUNG: 'hung',
+    EXITED: 'exited'
+};
+
+/**
+ * Why a game session ended
+ */
+const ExitReason = {
+    NORMAL: 'normal',
+    CRASHED: 'crashed',
+    KILLED: 'killed',
+    FAILED_TO_START: 'failed_to_start'
+};
+
+// Log lines that show the game window has been created
+const WINDOW_OPENED_PATTERNS = [
+    /Backend library: LWJGL/,
+    /LWJGL Version: /,
+    /Sound engine started/,
+    /OpenAL initialized/
+];
+
+/**
+ * Get hang detection settings from config, filling in defaults
+ */
+function getHangSettings(config = {}) {
+    const settings = config.hang_detection || {};
+
+    return {
+        enabled: settings.enabled !== false,
+        windowTimeoutMs: (settings.window_timeout_minutes || PROCESS_CONFIG.WINDOW_TIMEOUT_MINUTES) * 60000,
+        outputTimeoutMs: (settings.output_timeout_minutes || PROCESS_CONFIG.OUTPUT_TIMEOUT_MINUTES) * 60000
+    };
+}
+
+/**
+ * Tracks running game processes, one per game directory
+ * Emits 'change' with the session snapshot whenever a session's state changes.
+ */
+class GameProcessManager extends EventEmitter {
+    constructor() {
+        super();
+        this.sessions = new Map();
+    }
+
+    /**
+     * Reserve a game directory for a launch
+     * Throws if a game is already launching or running from that directory.
+     */
+    beginLaunch(gameDir, version) {
+        const key = path.resolve(gameDir);
+        const existing = this.sessions.get(key);
+
+        if (existing && existing.state !== GameState.EXITED) {
+            throw new Error(`Minecraft is already running from ${key}`);
+        }
+
+        const session = {
+            gameDir: key,
+            version: version,
+            state: GameState.LAUNCHING,
+            pid: null,
+            startTime: Date.now(),
+            endTime: null,
+            exitCode: null,
+            signal: null,
+            exitReason: null,
+            error: null,
+            hangReason: null,
+            windowOpened: false,
+            lastOutputAt: Date.now(),
+            killRequested: false,
+            child: null,
+            log: null,
+            hangTimer: null
+        };
+
+        this.sessions.set(key, session);
+        this.emitChange(session);
+        return this.toSnapshot(session);
+    }
+
+    /**
+     * Release a reservation when the launch failed before the game started
+     */
+    launchFailed(gameDir, error) {
+        const session = this.sessions.get(path.resolve(gameDir));
+        if (!session || session.state !== GameState.LAUNCHING) return;
+
+        this.finish(session, {
+            exitReason: ExitReason.FAILED_TO_START,
+            error: error ? error.message : null
+        });
+    }
+
+    /**
+     * Start tracking a spawned game process
+     * @param {string} gameDir - Game directory reserved with beginLaunch
+     * @param {ChildProcess} child - The spawned game
+     * @param {Object} config - Launcher config (hang_detection settings)
+     * @param {GameLogSession} log - Log of the launch, kept with the session for crash analysis
+     */
+    attach(gameDir, child, config = {}, log = null) {
+        const session = this.sessions.get(path.resolve(gameDir));
+        if (!session) {
+            throw new Error(`No launch in progress for ${gameDir}`);
+        }
+
+        session.child = child;
+        session.log = log;
+        session.pid = child.pid || null;
+        session.startTime = Date.now();
+        session.lastOutputAt = Date.now();
+        session.state = GameState.RUNNING;
+
+        const onOutput = (chunk) => this.handleOutput(session, chunk.toString());
+        if (child.stdout) child.stdout.on('data', onOutput);
+        if (child.stderr) child.stderr.on('data', onOutput);
+
+        child.on('error', (error) => {
+            // Spawn failures (e.g. missing executable) never produce an exit event
+            if (!session.pid) {
+                this.finish(session, { exitReason: ExitReason.FAILED_TO_START, error: error.message });
+            }
+        });
+
+        child.on('exit', (code, signal) => {
+            let exitReason = ExitReason.CRASHED;
+            if (session.killRequested) {
+                exitReason = ExitReason.KILLED;
+            } else if (code === 0) {
+                exitReason = ExitReason.NORMAL;
+            }
+
+            this.finish(session, { exitCode: code, signal: signal, exitReason: exitReason });
+        });
+
+        const hangSettings = getHangSettings(config);
+        if (hangSettings.enabled) {
+            session.hangTimer = setInterval(() => this.checkHang(session, hangSettings), PROCESS_CONFIG.HANG_CHECK_INTERVAL_MS);
+        }
+
+        this.emitChange(session);
+    }
+
+    /**
+     * Note game output, clearing a hung flag that was caused by silence
+     */
+    handleOutput(session, text) {
+        session.lastOutputAt = Date.now();
+
+        if (!session.windowOpened && WINDOW_OPENED_PATTERNS.some(pattern => pattern.test(text))) {
+            session.windowOpened = true;
+        }
+
+        if (session.state === GameState.HUNG) {
+            session.state = GameState.RUNNING;
+            session.hangReason = null;
+            this.emitChange(session);
+        }
+    }
+
+    /**
+     * Flag a game that never opened its window or went silent while starting
+     * Once the window is open the game can be silent for long periods during
+     * normal play, so output silence only counts during startup.
+     */
+    checkHang(session, hangSettings) {
+        if (session.state !== GameState.RUNNING || session.windowOpened) return;
+
+        const now = Date.now();
+        let hangReason = null;
+
+        if (now - session.startTime > hangSettings.windowTimeoutMs) {
+            hangReason = `The game window did not open within ${Math.round(hangSettings.windowTimeoutMs / 60000)} minutes`;
+        } else if (now - session.lastOutputAt > hangSettings.outputTimeoutMs) {
+            hangReason = `The game has not written any output for ${Math.round(hangSettings.outputTimeoutMs / 60000)} minutes`;
+        }
+
+        if (hangReason) {
+            console.warn(`Minecraft (pid ${session.pid}) looks hung: ${hangReason}`);
+            session.state = GameState.HUNG;
+            session.hangReason = hangReason;
+            this.emitChange(session);
+        }
+    }
+
+    /**
+     * Force stop the game running from a directory
+     * A wrapper command may run java as its own child, so the whole tree is stopped: on Windows with
+     * taskkill /T, elsewhere by signalling the game's process group (it is spawned detached).
+     * @returns {boolean} true if a stop was requested
+     */
+    kill(gameDir) {
+        const session = this.sessions.get(path.resolve(gameDir));
+        if (!session || !session.child || session.state === GameState.EXITED) {
+            return false;
+        }
+
+        const { child } = session;
+        session.killRequested = true;
+        console.log(`Force stopping Minecraft (pid ${session.pid})`);
+
+        if (process.platform === 'win32') {
+            // Kill the whole tree, java may run under a wrapper
+            execFile('taskkill', ['/pid', String(session.pid), '/T', '/F'], (error) => {
+                if (error) {
+                    console.warn('taskkill failed, killing the process directly:', error.message);
+                    child.kill();
+                }
+            });
+        } else {
+            const signalGroup = (signal) => {
+                try {
+                    process.kill(-session.pid, signal);
+                } catch (error) {
+                    // Everything in the group has already exited
+                }
+            };
+            signalGroup('SIGTERM');
+            setTimeout(() => signalGroup('SIGKILL'), PROCESS_CONFIG.KILL_GRACE_MS).unref();
+        }
+
+        return true;
+    }
+
+    /**
+     * Mark a session as ended
+     */
+    finish(session, result) {
+        if (session.state === GameState.EXITED) return;
+
+        if (session.hangTimer) {
+            clearInterval(session.hangTimer);
+            session.hangTimer = null;
+        }
+
+        Object.assign(session, {
+            exitCode: null,
+            signal: null,
+            error: null,
+            ...result,
+            state: GameState.EXITED,
+            endTime: Date.now(),
+            hangReason: null,
+            child: null
+        });
+
+        this.emitChange(session);
+    }
+
+    /**
+     * Check if a game is launching or running from a directory
+     */
+    isRunning(gameDir) {
+        const session = this.sessions.get(path.resolve(gameDir));
+        return Boolean(session && session.state !== GameState.EXITED);
+    }
+
+    /**
+     * Get the session for a directory (the running one, or the last one that ended)
+     */
+    getSession(gameDir) {
+        const session = this.sessions.get(path.resolve(gameDir));
+        return session ? this.toSnapshot(session) : null;
+    }
+
+    /**
+     * Get the log of the session for a directory (the running one, or the last one that ended)
+     * @returns {GameLogSession|null}
+     */
+    getLog(gameDir) {
+        const session = this.sessions.get(path.resolve(gameDir));
+        return session ? session.log : null;
+    }
+
+    /**
+     * Get all sessions
+     */
+    getSessions() {
+        return [...this.sessions.values()].map(session => this.toSnapshot(session));
+    }
+
+    /**
+     * Plain copy of a session that can be sent over IPC
+     */
+    toSnapshot(session) {
+        return {
+            gameDir: session.gameDir,
+            version: session.version,
+            state: session.state,
+            running: session.state !== GameState.EXITED,
+            hung: session.state === GameState.HUNG,
+            pid: session.pid,
+            startTime: session.startTime,
+            endTime: session.endTime,
+            exitCode: session.exitCode,
+            signal: session.signal,
+            exitReason: session.exitReason,
+            error: session.error,
+            hangReason: session.hangReason,
+            windowOpened: session.windowOpened
+        };
+    }
+
+    emitChange(session) {
+        this.emit('change', this.toSnapshot(session));
+    }
+}
+
+module.exports = {
+    GameProcessManager,
+    GameState,
+    ExitReason,
+    getHangSettings
+};
@@ -0,0 +1,149 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { app } = require('electron');
+
+// Configuration
+const SKIN_CONFIG = {
+    MAX_FILE_SIZE: 1024 * 1024,
+    SKIN_SIZES: [[64, 64], [64, 32]],   // Current layout and the legacy layout without overlays
+    CAPE_SIZES: [[64, 32], [22, 17]]
+};
+
+/**
+ * Skin arm models
+ */
+const SkinModel = {
+    CLASSIC: 'classic', // 4 pixel arms (Steve)
+    SLIM: 'slim'        // 3 pixel arms (Alex)
+};
+
+/**
+ * Texture kinds an account can have
+ */
+const TextureType = {
+    SKIN: 'skin',
+    CAPE: 'cape'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Get the skins directory, next to config.json
+function getSkinsDirectory() {
+    try {
+        return path.join(app.getPath('userData'), 'skins');
+    } catch (error) {
+        // Fallback to project root (for development or if app not ready)
+        return path.join(__dirname, '..', '..', 'skins');
+    }
+}
+
+function getTexturePath(accountId, type) {
+    return path.join(getSkinsDirectory(), `${accountId}-${type}.png`);
+}
+
+/**
+ * Read the dimensions of a PNG from its IHDR chunk
+ * @returns {Object|null} { width, height }, or null if the data is not a PNG
+ */
+function readPngSize(buffer) {
+    if (buffer.length < 24 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        return null;
+    }
+    if (buffer.toString('ascii', 12, 16) !== 'IHDR') {
+        return null;
+    }
+    return {
+        width: buffer.readUInt32BE(16),
+        height: buffer.readUInt32BE(20)
+    };
+}
+
+/**
+ * Read and check a skin or cape image
+ * @param {string} filePath - PNG picked by the player
+ * @param {string} type - TextureType
+ * @returns {Promise<Buffer>} The image data
+ */
+async function readTextureFile(filePath, type) {
+    const stats = await fs.stat(filePath);
+    if (stats.size > SKIN_CONFIG.MAX_FILE_SIZE) {
+        throw new Error(`${path.basename(filePath)} is too large to be a ${type}`);
+    }
+
+    const data = await fs.readFile(filePath);
+    const size = readPngSize(data);
+    if (!size) {
+        throw new Error(`${path.basename(filePath)} is not a PNG image`);
+    }
+
+    const allowed = type === TextureType.SKIN ? SKIN_CONFIG.SKIN_SIZES : SKIN_CONFIG.CAPE_SIZES;
+    if (!allowed.some(([width, height]) => size.width === width && size.height === height)) {
+        const sizes = allowed.map(([width, height]) => `${width}x${height}`).join(' or ');
+        throw new Error(`A ${type} must be ${sizes} pixels, ${path.basename(filePath)} is ${size.width}x${size.height}`);
+    }
+
+    return data;
+}
+
+/**
+ * Save a checked texture for an account
+ */
+async function saveTexture(accountId, type, data) {
+    const texturePath = getTexturePath(accountId, type);
+    await fs.mkdir(path.dirname(texturePath), { recursive: true });
+    await fs.writeFile(texturePath, data);
+}
+
+/**
+ * Read a saved texture
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadTexture(accountId, type) {
+    try {
+        return await fs.readFile(getTexturePath(accountId, type));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Remove the saved textures of an account
+ * @param {string[]} types - Which textures to remove (all by default)
+ */
+async function deleteTextures(accountId, types = Object.values(TextureType)) {
+    for (const type of types) {
+        await fs.rm(getTexturePath(accountId, type), { force: true });
+    }
+}
+
+/**
+ * Textures of an account as data URLs for the renderer to draw
+ * @param {Object} account - Account with a skin record ({ model, cape })
+ * @returns {Promise<Object|null>} { model, skin, cape }
+ */
+async function getSkinPreview(account) {
+    if (!account.skin) return null;
+
+    const [skin, cape] = await Promise.all([
+        loadTexture(account.id, TextureType.SKIN),
+        loadTexture(account.id, TextureType.CAPE)
+    ]);
+    const toDataUrl = data => data ? `data:image/png;base64,${data.toString('base64')}` : null;
+
+    return {
+        model: account.skin.model,
+        skin: toDataUrl(skin),
+        cape: toDataUrl(cape)
+    };
+}
+
+module.exports = {
+    readTextureFile,
+    saveTexture,
+    loadTexture,
+    deleteTextures,
+    getSkinPreview,
+    readPngSize,
+    SkinModel,
+    TextureType
+};
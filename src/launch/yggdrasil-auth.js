@@ -0,0 +1,258 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Configuration
+const YGGDRASIL_CONFIG = {
+    REQUEST_TIMEOUT_MS: 15000,
+    // authlib-injector API Location Indication header
+    API_LOCATION_HEADER: 'x-authlib-injector-api-location'
+};
+
+/**
+ * Normalize a server address typed by the player into a URL
+ */
+function normalizeServerUrl(serverUrl) {
+    let url = String(serverUrl || '').trim();
+    if (!url) {
+        throw new Error('Enter the address of the authentication server');
+    }
+    if (!/^https?:\/\//i.test(url)) {
+        url = `https://${url}`;
+    }
+    return url.replace(/\/+$/, '');
+}
+
+/**
+ * Find the API root of an auth server, following its API location header
+ * @returns {Promise<string>} API root without a trailing slash
+ */
+async function resolveApiRoot(serverUrl) {
+    const url = normalizeServerUrl(serverUrl);
+
+    try {
+        const response = await axios.get(url, { timeout: YGGDRASIL_CONFIG.REQUEST_TIMEOUT_MS });
+        const location = response.headers[YGGDRASIL_CONFIG.API_LOCATION_HEADER];
+        if (location) {
+            return new URL(location, `${url}/`).href.replace(/\/+$/, '');
+        }
+    } catch (error) {
+        throw new Error(`Could not reach the authentication server at ${url}: ${error.message}`);
+    }
+
+    return url;
+}
+
+/**
+ * Fetch the server metadata that authlib-injector would otherwise download at startup
+ * @returns {Promise<Object>} { metadata, prefetched } where prefetched is the base64 of the raw response
+ */
+async function fetchServerMetadata(apiRoot) {
+    const response = await axios.get(apiRoot, {
+        responseType: 'text',
+        transformResponse: [data => data],
+        timeout: YGGDRASIL_CONFIG.REQUEST_TIMEOUT_MS
+    });
+
+    let metadata;
+    try {
+        metadata = JSON.parse(response.data);
+    } catch (error) {
+        throw new Error(`${apiRoot} is not a Yggdrasil authentication server`);
+    }
+
+    return {
+        metadata,
+        prefetched: Buffer.from(response.data, 'utf8').toString('base64')
+    };
+}
+
+/**
+ * POST to a Yggdrasil authserver endpoint, turning its errors into readable messages
+ */
+async function postAuthServer(apiRoot, endpoint, body) {
+    try {
+        return await axios.post(`${apiRoot}/authserver/${endpoint}`, body, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: YGGDRASIL_CONFIG.REQUEST_TIMEOUT_MS
+        });
+    } catch (error) {
+        const data = error.response && error.response.data;
+        if (data && data.errorMessage) {
+            const failure = new Error(data.errorMessage);
+            failure.status = error.response.status;
+            throw failure;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Add dashes to an undashed profile id
+ */
+function formatUUID(id) {
+    return id.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+}
+
+/**
+ * Turn an authenticate/refresh response into our session record
+ */
+function toSession(apiRoot, serverName, data) {
+    const profile = data.selectedProfile || (data.availableProfiles || [])[0];
+    if (!profile) {
+        throw new Error('This account has no character on the authentication server. Create one on the server website first.');
+    }
+
+    return {
+        apiRoot,
+        serverName,
+        accessToken: data.accessToken,
+        clientToken: data.clientToken,
+        uuid: formatUUID(profile.id),
+        username: profile.name
+    };
+}
+
+/**
+ * Log in to a Yggdrasil-compatible auth server with a username (or email) and password
+ * The password is only sent to the server, never stored.
+ * @returns {Promise<Object>} Session { apiRoot, serverName, accessToken, clientToken, uuid, username }
+ */
+async function signInToAuthServer(serverUrl, username, password) {
+    const apiRoot = await resolveApiRoot(serverUrl);
+    const { metadata } = await fetchServerMetadata(apiRoot);
+    const serverName = (metadata.meta && metadata.meta.serverName) || new URL(apiRoot).host;
+
+    const response = await postAuthServer(apiRoot, 'authenticate', {
+        agent: { name: 'Minecraft', version: 1 },
+        username,
+        password,
+        clientToken: crypto.randomBytes(16).toString('hex'),
+        requestUser: true
+    });
+
+    return toSession(apiRoot, serverName, response.data);
+}
+
+/**
+ * Check whether a session's access token is still accepted
+ */
+async function validateSession(session) {
+    try {
+        await postAuthServer(session.apiRoot, 'validate', {
+            accessToken: session.accessToken,
+            clientToken: session.clientToken
+        });
+        return true;
+    } catch (error) {
+        if (error.status === 403) return false;
+        throw error;
+    }
+}
+
+/**
+ * Get a new access token for a session
+ */
+async function refreshSession(session) {
+    try {
+        const response = await postAuthServer(session.apiRoot, 'refresh', {
+            accessToken: session.accessToken,
+            clientToken: session.clientToken,
+            requestUser: true
+        });
+        return toSession(session.apiRoot, session.serverName, response.data);
+    } catch (error) {
+        if (error.status === 403) {
+            throw new Error(`The sign-in to ${session.serverName} has expired. Remove the account and sign in again.`);
+        }
+        throw new Error(`Could not renew the sign-in to ${session.serverName}: ${error.message}`);
+    }
+}
+
+/**
+ * Make sure a session can be used to join servers, refreshing it if needed
+ * @returns {Promise<Object>} { session, refreshed }
+ */
+async function ensureValidSession(session) {
+    if (await validateSession(session)) {
+        return { session, refreshed: false };
+    }
+
+    console.log(`Renewing session on ${session.serverName}`);
+    return { session: await refreshSession(session), refreshed: true };
+}
+
+/**
+ * Upload a skin or cape to the auth server (authlib-injector texture upload API)
+ * @param {Object} session - Valid session
+ * @param {string} type - 'skin' or 'cape'
+ * @param {Buffer} data - PNG image
+ * @param {string} model - 'classic' or 'slim' (skins only)
+ */
+async function uploadTexture(session, type, data, model = 'classic') {
+    const form = new FormData();
+    if (type === 'skin') {
+        form.append('model', model === 'slim' ? 'slim' : '');
+    }
+    form.append('file', new Blob([data], { type: 'image/png' }), `${type}.png`);
+
+    try {
+        await axios.put(`${session.apiRoot}/api/user/profile/${session.uuid.replace(/-/g, '')}/${type}`, form, {
+            headers: { Authorization: `Bearer ${session.accessToken}` },
+            timeout: YGGDRASIL_CONFIG.REQUEST_TIMEOUT_MS
+        });
+    } catch (error) {
+        throw new Error(`${session.serverName} did not accept the ${type}: ${describeTextureError(error)}`);
+    }
+}
+
+/**
+ * Remove a skin or cape from the auth server, going back to the default
+ */
+async function resetTexture(session, type) {
+    try {
+        await axios.delete(`${session.apiRoot}/api/user/profile/${session.uuid.replace(/-/g, '')}/${type}`, {
+            headers: { Authorization: `Bearer ${session.accessToken}` },
+            timeout: YGGDRASIL_CONFIG.REQUEST_TIMEOUT_MS
+        });
+    } catch (error) {
+        throw new Error(`Could not remove the ${type} on ${session.serverName}: ${describeTextureError(error)}`);
+    }
+}
+
+function describeTextureError(error) {
+    const response = error.response;
+    if (!response) return error.message;
+    if (response.data && response.data.errorMessage) return response.data.errorMessage;
+    if ([404, 405, 501].includes(response.status)) return 'the server does not support changing textures from the launcher';
+    return `HTTP ${response.status}`;
+}
+
+/**
+ * Create a player profile from an auth server session
+ * @param {Object} session - Session from signInToAuthServer
+ * @param {Object} authServer - { apiRoot, prefetched, injectorPath } for the JVM arguments
+ */
+function createYggdrasilProfile(session, authServer) {
+    return {
+        username: session.username,
+        uuid: session.uuid,
+        accessToken: session.accessToken,
+        clientToken: session.clientToken,
+        xuid: null,
+        user_type: 'mojang',
+        userType: 'mojang',
+        authServer: authServer
+    };
+}
+
+module.exports = {
+    signInToAuthServer,
+    ensureValidSession,
+    validateSession,
+    refreshSession,
+    uploadTexture,
+    resetTexture,
+    resolveApiRoot,
+    fetchServerMetadata,
+    createYggdrasilProfile
+};
@@ -1,8 +1,8 @@
-const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const { downloadFile } = require('../file-manager/downloader');
+const { fetchMetadata } = require('../file-manager/metadata-cache');
 
 /**
  * Files that regenerate on each Minecraft launch with unique data.
@@ -27,12 +27,13 @@ class ModpackManager {
 
     /**
      * Fetch the remote modpack manifest
+     * @param {Object} options - { ttl } for the metadata cache; 0 by default, so the sync always sees the latest mods
      */
-    async fetchRemoteManifest() {
+    async fetchRemoteManifest(options = {}) {
         try {
             console.log(`Fetching modpack manifest from ${this.manifestUrl}...`);
-            const response = await axios.get(this.manifestUrl);
-            return response.data;
+            // The cached copy is used while offline
+            return await fetchMetadata(this.manifestUrl, { ttl: options.ttl !== undefined ? options.ttl : 0 });
         } catch (error) {
             console.error('Error fetching modpack manifest:', error.message);
             throw new Error('Failed to fetch modpack manifest');
@@ -1,4 +1,5 @@
 const { ipcRenderer } = require('electron');
+const { validateUsername, normalizeUUID } = require('../launch/player-identity');
 
 // ==================== DOM ELEMENTS ====================
 
@@ -9,11 +10,20 @@ const settingsView = document.getElementById('settings-view');
 // Home View Elements
 const playButton = document.getElementById('play-button');
 const buttonText = playButton.querySelector('.button-text');
+const stopButton = document.getElementById('stop-button');
+const joinServerButton = document.getElementById('join-server-button');
+const continueWorldButton = document.getElementById('continue-world-button');
 const statusText = document.getElementById('status-text');
+const offlineBadge = document.getElementById('offline-badge');
 const progressContainer = document.getElementById('progress-container');
 const progressFill = document.getElementById('progress-fill');
 const progressText = document.getElementById('progress-text');
 const playerNameDisplay = document.getElementById('player-name');
+const playerInfo = document.getElementById('player-info');
+const playerAvatarCanvas = document.getElementById('player-avatar-canvas');
+const accountSwitcher = document.getElementById('account-switcher');
+const accountSwitcherList = document.getElementById('account-switcher-list');
+const manageAccountsBtn = document.getElementById('manage-accounts');
 const newsPanel = document.getElementById('news-panel');
 const newsToggle = document.getElementById('news-toggle');
 const closeNews = document.getElementById('close-news');
@@ -21,23 +31,69 @@ const closeNews = document.getElementById('close-news');
 // Settings Navigation
 const settingsBtn = document.getElementById('settings-btn');
 const modsBtn = document.getElementById('mods-btn');
+const consoleBtn = document.getElementById('console-btn');
 const backToHome = document.getElementById('back-to-home');
 const settingsNavItems = document.querySelectorAll('.settings-nav-item');
 const settingsSections = document.querySelectorAll('.settings-section');
 
 // Settings Form Elements
 const usernameInput = document.getElementById('username');
+const addAccountBtn = document.getElementById('add-account');
+const accountList = document.getElementById('account-list');
+const accountStatus = document.getElementById('account-status');
+const addMicrosoftAccountBtn = document.getElementById('add-microsoft-account');
+const authServerUrlInput = document.getElementById('auth-server-url');
+const authServerUsernameInput = document.getElementById('auth-server-username');
+const authServerPasswordInput = document.getElementById('auth-server-password');
+const addAuthServerAccountBtn = document.getElementById('add-auth-server-account');
+const authServerStatus = document.getElementById('auth-server-status');
+const skinSettings = document.getElementById('skin-settings');
+const skinPreviewCanvas = document.getElementById('skin-preview');
+const capePreviewCanvas = document.getElementById('cape-preview');
+const skinModelSelect = document.getElementById('skin-model');
+const chooseSkinBtn = document.getElementById('choose-skin');
+const chooseCapeBtn = document.getElementById('choose-cape');
+const resetSkinBtn = document.getElementById('reset-skin');
+const skinStatus = document.getElementById('skin-status');
 const ramSlider = document.getElementById('ram-slider');
 const ramValue = document.getElementById('ram-value');
+const autoMemoryCheckbox = document.getElementById('auto-memory');
+const memoryAdviceEl = document.getElementById('memory-advice');
 const resolutionSelect = document.getElementById('resolution');
 const fullscreenCheckbox = document.getElementById('fullscreen');
 const gameDirectoryInput = document.getElementById('game-directory');
+const minecraftVersionSelect = document.getElementById('minecraft-version');
+const loaderTypeSelect = document.getElementById('loader-type');
+const loaderVersionSelect = document.getElementById('loader-version');
+const versionStatus = document.getElementById('version-status');
 const browseDirectoryBtn = document.getElementById('browse-directory');
 const jvmArgsTextarea = document.getElementById('jvm-args');
+const jvmPresetSelect = document.getElementById('jvm-preset');
+const jvmPresetDescription = document.getElementById('jvm-preset-description');
+const jvmArgsIssues = document.getElementById('jvm-args-issues');
+const javaPathSelect = document.getElementById('java-path-select');
+const javaRescanBtn = document.getElementById('java-rescan');
+const javaScanStatus = document.getElementById('java-scan-status');
+const wrapperCommandInput = document.getElementById('wrapper-command');
+const environmentVariablesTextarea = document.getElementById('environment-variables');
+const exportLaunchScriptBtn = document.getElementById('export-launch-script');
+const exportLaunchStatus = document.getElementById('export-launch-status');
 const closeOnLaunchCheckbox = document.getElementById('close-on-launch');
+const hookPreSyncInput = document.getElementById('hook-pre-sync');
+const hookPreLaunchInput = document.getElementById('hook-pre-launch');
+const hookPostExitInput = document.getElementById('hook-post-exit');
+const hookCancelCheckbox = document.getElementById('hook-cancel-on-failure');
 const autoUpdateCheckbox = document.getElementById('auto-update');
 const checkUpdatesBtn = document.getElementById('check-updates');
 
+// Console Elements
+const consoleBack = document.getElementById('console-back');
+const consoleOutput = document.getElementById('console-output');
+const consoleSearch = document.getElementById('console-search');
+const consoleLevel = document.getElementById('console-level');
+const consoleClear = document.getElementById('console-clear');
+const consoleOpenFolder = document.getElementById('console-open-folder');
+
 // Window Control Buttons
 const minimizeBtn = document.getElementById('minimize-btn');
 const maximizeBtn = document.getElementById('maximize-btn');
@@ -49,7 +105,12 @@ let isDownloading = false;
 let isLaunching = false;
 let config = null;
 let installationStatus = null;
-let usernameNeedsConfiguration = false; // Track if username needs to be configured
+let accounts = [];
+let selectedAccountId = null;
+let javaScanDone = false; // Java installs are scanned lazily when the Java section opens
+let javaScanning = false;
+let versionsLoaded = false; // Version lists are fetched lazily when the Minecraft section opens
+let jvmPresets = [];
 
 // ==================== RANDOM NAME GENERATOR ====================
 
@@ -67,10 +128,16 @@ const NAME_NOUNS = [
 ];
 
 function generateRandomName() {
-    const adjective = NAME_ADJECTIVES[Math.floor(Math.random() * NAME_ADJECTIVES.length)];
-    const noun = NAME_NOUNS[Math.floor(Math.random() * NAME_NOUNS.length)];
-    const number = Math.floor(Math.random() * 1000);
-    return `${adjective}${noun}${number}`;
+    // Some combinations are longer than a username may be, pick again until one fits
+    for (;;) {
+        const adjective = NAME_ADJECTIVES[Math.floor(Math.random() * NAME_ADJECTIVES.length)];
+        const noun = NAME_NOUNS[Math.floor(Math.random() * NAME_NOUNS.length)];
+        const number = Math.floor(Math.random() * 1000);
+        const name = `${adjective}${noun}${number}`;
+        if (!validateUsername(name)) {
+            return name;
+        }
+    }
 }
 
 // ==================== WINDOW CONTROLS ====================
@@ -116,6 +183,20 @@ if (modsBtn) {
     });
 }
 
+// Console button - go to game console view
+if (consoleBtn) {
+    consoleBtn.addEventListener('click', () => {
+        switchView('console');
+        consoleOutput.scrollTop = consoleOutput.scrollHeight;
+    });
+}
+
+if (consoleBack) {
+    consoleBack.addEventListener('click', () => {
+        switchView('home');
+    });
+}
+
 // Back to home button
 if (backToHome) {
     backToHome.addEventListener('click', () => {
@@ -137,6 +218,16 @@ function switchSettingsSection(sectionName) {
         const isActive = section.id === `section-${sectionName}`;
         section.classList.toggle('active', isActive);
     });
+
+    // Scan for Java installs the first time the Java section is opened
+    if (sectionName === 'java' && !javaScanDone) {
+        scanJavaInstalls();
+    }
+
+    // Fetch the available versions the first time the Minecraft section is opened
+    if (sectionName === 'minecraft' && !versionsLoaded) {
+        loadVersionOptions();
+    }
 }
 
 // Settings navigation clicks
@@ -146,6 +237,373 @@ settingsNavItems.forEach(item => {
     });
 });
 
+// ==================== VERSION SELECTION ====================
+
+const LOADER_NAMES = {
+    none: 'Vanilla',
+    fabric: 'Fabric',
+    quilt: 'Quilt',
+    neoforge: 'NeoForge'
+};
+
+// Make sure a select has an option for a value, even if it isn't listed
+function ensureVersionOption(select, value, label = value) {
+    if (!select || !value) return;
+
+    const exists = Array.from(select.options).some(option => option.value === value);
+    if (!exists) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+}
+
+// Replace the options of a select, keeping the current value selectable
+function fillVersionSelect(select, options) {
+    const selected = select.value;
+
+    select.innerHTML = '';
+    options.forEach(({ value, label }) => ensureVersionOption(select, value, label));
+    ensureVersionOption(select, selected);
+    select.value = selected;
+}
+
+function describeVersionSelection(selection) {
+    const { type, version } = selection.loader;
+    if (type === 'none') {
+        return `Minecraft ${selection.minecraftVersion}`;
+    }
+    const loaderVersion = version === 'latest' ? 'the latest stable' : version;
+    return `Minecraft ${selection.minecraftVersion} with ${LOADER_NAMES[type] || type} ${loaderVersion}`;
+}
+
+async function loadVersionOptions() {
+    if (!minecraftVersionSelect) return;
+
+    versionsLoaded = true;
+    if (versionStatus) versionStatus.textContent = 'Loading versions...';
+
+    try {
+        const [selectionResult, versionsResult] = await Promise.all([
+            ipcRenderer.invoke('get-version-selection'),
+            ipcRenderer.invoke('list-minecraft-versions', false)
+        ]);
+
+        if (versionsResult.success) {
+            fillVersionSelect(minecraftVersionSelect, versionsResult.versions.map(version => ({
+                value: version.id,
+                label: version.id
+            })));
+        }
+
+        // The modpack decides the versions when its manifest declares them
+        const modpackLocked = selectionResult.success && selectionResult.selection.source === 'modpack';
+        minecraftVersionSelect.disabled = modpackLocked;
+        if (loaderTypeSelect) loaderTypeSelect.disabled = modpackLocked;
+
+        await loadLoaderVersions();
+        if (loaderVersionSelect && modpackLocked) loaderVersionSelect.disabled = true;
+
+        if (versionStatus) {
+            if (modpackLocked) {
+                versionStatus.textContent = `The modpack sets ${describeVersionSelection(selectionResult.selection)}.`;
+            } else if (!versionsResult.success) {
+                versionStatus.textContent = 'Could not load the Minecraft version list.';
+            }
+        }
+    } catch (error) {
+        console.error('Error loading versions:', error);
+        versionsLoaded = false;
+        if (versionStatus) versionStatus.textContent = 'Could not load the version lists.';
+    }
+}
+
+// Loader versions depend on the loader and the Minecraft version
+async function loadLoaderVersions() {
+    if (!loaderVersionSelect || !loaderTypeSelect || !minecraftVersionSelect) return;
+
+    const loaderType = loaderTypeSelect.value;
+    loaderVersionSelect.disabled = loaderType === 'none';
+    if (versionStatus) versionStatus.textContent = '';
+
+    if (loaderType === 'none') {
+        fillVersionSelect(loaderVersionSelect, [{ value: 'latest', label: 'Latest stable' }]);
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('list-loader-versions', loaderType, minecraftVersionSelect.value);
+    if (!result.success) {
+        if (versionStatus) versionStatus.textContent = `Could not load ${LOADER_NAMES[loaderType]} versions.`;
+        return;
+    }
+
+    if (result.versions.length === 0 && versionStatus) {
+        versionStatus.textContent = `${LOADER_NAMES[loaderType]} does not support Minecraft ${minecraftVersionSelect.value}.`;
+    }
+
+    fillVersionSelect(loaderVersionSelect, [
+        { value: 'latest', label: 'Latest stable' },
+        ...result.versions.map(loader => ({
+            value: loader.version,
+            label: loader.stable ? loader.version : `${loader.version} (beta)`
+        }))
+    ]);
+}
+
+if (minecraftVersionSelect) {
+    minecraftVersionSelect.addEventListener('change', () => {
+        loadLoaderVersions();
+    });
+}
+
+if (loaderTypeSelect) {
+    loaderTypeSelect.addEventListener('change', () => {
+        loadLoaderVersions();
+    });
+}
+
+// ==================== JAVA DISCOVERY ====================
+
+function formatJavaInstall(install) {
+    const bits = install.is64Bit ? '64-bit' : '32-bit';
+    return `Java ${install.majorVersion} · ${install.vendor} · ${bits} — ${install.path}`;
+}
+
+// Make sure the select has an option for a path, even if it wasn't discovered
+function ensureJavaOption(value) {
+    if (!javaPathSelect || !value) return;
+
+    const exists = Array.from(javaPathSelect.options).some(option => option.value === value);
+    if (!exists) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value === 'java' ? 'System Java (PATH)' : value;
+        javaPathSelect.appendChild(option);
+    }
+}
+
+// Select value for the current config
+function getConfiguredJavaValue() {
+    const javaPath = config.java_path || 'java';
+    const runtimeEnabled = !config.java_runtime || config.java_runtime.enabled !== false;
+
+    if (javaPath === 'java' && runtimeEnabled) {
+        return 'auto';
+    }
+    return javaPath;
+}
+
+async function scanJavaInstalls() {
+    if (!javaPathSelect || javaScanning) return;
+
+    javaScanning = true;
+    if (javaRescanBtn) javaRescanBtn.disabled = true;
+    if (javaScanStatus) javaScanStatus.textContent = 'Searching for Java installations...';
+
+    const selected = javaPathSelect.value;
+
+    try {
+        const result = await ipcRenderer.invoke('discover-java');
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        // Rebuild the list, keeping the Automatic option first
+        javaPathSelect.innerHTML = '';
+        const autoOption = document.createElement('option');
+        autoOption.value = 'auto';
+        autoOption.textContent = 'Automatic (managed runtime)';
+        javaPathSelect.appendChild(autoOption);
+
+        result.installs.forEach(install => {
+            const option = document.createElement('option');
+            option.value = install.path;
+            option.textContent = formatJavaInstall(install);
+            javaPathSelect.appendChild(option);
+        });
+
+        ensureJavaOption(selected);
+        javaPathSelect.value = selected;
+        javaScanDone = true;
+
+        if (javaScanStatus) {
+            const count = result.installs.length;
+            javaScanStatus.textContent = count > 0
+                ? `Found ${count} Java installation${count > 1 ? 's' : ''}.`
+                : 'No Java installations found. Automatic will download one when you play.';
+        }
+    } catch (error) {
+        console.error('Java discovery failed:', error);
+        if (javaScanStatus) javaScanStatus.textContent = 'Could not search for Java installations.';
+    } finally {
+        javaScanning = false;
+        if (javaRescanBtn) javaRescanBtn.disabled = false;
+    }
+}
+
+if (javaRescanBtn) {
+    javaRescanBtn.addEventListener('click', () => {
+        scanJavaInstalls();
+    });
+}
+
+// ==================== MEMORY ADVICE ====================
+
+// Memory values currently shown in the Java section
+function getMemoryInputs() {
+    return {
+        auto_memory: autoMemoryCheckbox ? autoMemoryCheckbox.checked : false,
+        max_ram: ramSlider ? `${ramSlider.value}M` : config.jvm_args.max_ram
+    };
+}
+
+async function refreshMemoryAdvice(jvmArgs) {
+    if (!ramSlider || !memoryAdviceEl) return;
+
+    try {
+        const result = await ipcRenderer.invoke('get-memory-advice', jvmArgs);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const advice = result.advice;
+
+        // Never offer more than the machine has
+        ramSlider.max = Math.max(1024, Math.floor(advice.totalMemoryMB / 512) * 512);
+        ramSlider.disabled = advice.auto;
+        if (advice.maxMB) {
+            ramSlider.value = advice.maxMB;
+            updateRamDisplay(advice.maxMB);
+        }
+
+        const content = `${advice.modCount} mod${advice.modCount === 1 ? '' : 's'}` +
+            (advice.shaderpackCount > 0 ? ' with shaders' : '');
+
+        if (advice.warnings.length > 0) {
+            memoryAdviceEl.textContent = advice.warnings.map(warning => warning.message).join(' ');
+        } else if (advice.auto) {
+            memoryAdviceEl.textContent = `Using ${formatRam(advice.recommendedMB)} for ${content}. The exact amount is worked out at launch.`;
+        } else {
+            memoryAdviceEl.textContent = `Recommended: ${formatRam(advice.recommendedMB)} for ${content}. This computer can spare up to ${formatRam(advice.maxSafeMB)}.`;
+        }
+        memoryAdviceEl.classList.toggle('warning', advice.warnings.length > 0);
+    } catch (error) {
+        console.log('Could not get memory advice:', error);
+    }
+}
+
+// ==================== JVM PRESETS ====================
+
+async function loadJvmPresets() {
+    if (!jvmPresetSelect) return;
+
+    try {
+        const result = await ipcRenderer.invoke('get-jvm-presets');
+        jvmPresets = result.presets || [];
+
+        jvmPresets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = `${preset.name} (Java ${preset.minJava}${preset.maxJava ? `-${preset.maxJava}` : '+'})`;
+            jvmPresetSelect.appendChild(option);
+        });
+    } catch (error) {
+        console.log('Could not load JVM presets:', error);
+    }
+}
+
+function updatePresetDescription() {
+    if (!jvmPresetDescription) return;
+
+    const preset = jvmPresets.find(p => p.id === jvmPresetSelect.value);
+    jvmPresetDescription.textContent = preset ? preset.description : 'Only the arguments below are used.';
+}
+
+// Check the preset and custom arguments against the selected Java
+async function checkJvmArgs() {
+    if (!jvmArgsIssues || !jvmPresetSelect || !jvmArgsTextarea) return;
+
+    try {
+        const result = await ipcRenderer.invoke('check-jvm-args', {
+            preset: jvmPresetSelect.value,
+            custom_args: jvmArgsTextarea.value.split('\n').filter(line => line.trim())
+        });
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        if (result.issues.length > 0) {
+            jvmArgsIssues.textContent = result.issues.map(issue => issue.message).join('\n');
+        } else {
+            jvmArgsIssues.textContent = result.javaMajor
+                ? `All options work with Java ${result.javaMajor}.`
+                : 'No problems found.';
+        }
+        jvmArgsIssues.classList.toggle('warning', result.issues.length > 0);
+    } catch (error) {
+        console.log('Could not check JVM arguments:', error);
+    }
+}
+
+if (jvmPresetSelect) {
+    jvmPresetSelect.addEventListener('change', () => {
+        updatePresetDescription();
+        checkJvmArgs();
+    });
+}
+
+if (jvmArgsTextarea) {
+    jvmArgsTextarea.addEventListener('change', () => {
+        checkJvmArgs();
+    });
+}
+
+// ==================== LAUNCH SCRIPT EXPORT ====================
+
+function setExportStatus(text) {
+    if (exportLaunchStatus) {
+        exportLaunchStatus.textContent = text;
+    }
+}
+
+if (exportLaunchScriptBtn) {
+    exportLaunchScriptBtn.addEventListener('click', async () => {
+        // Export with the settings currently shown
+        await saveCurrentSettings();
+
+        const account = getSelectedAccount();
+        if (!account) {
+            setExportStatus('Add an account in Account settings first.');
+            return;
+        }
+        if (account.type !== 'offline' && !await ensureVaultUnlocked()) {
+            setExportStatus('Export canceled.');
+            return;
+        }
+
+        exportLaunchScriptBtn.disabled = true;
+        setExportStatus('Building launch command...');
+
+        try {
+            const result = await ipcRenderer.invoke('export-launch-script', account.id, {});
+
+            if (result.success) {
+                setExportStatus(`Launch script saved to ${result.path}`);
+            } else if (result.canceled) {
+                setExportStatus('Export canceled.');
+            } else {
+                throw new Error(result.error);
+            }
+        } catch (error) {
+            console.error('Launch script export failed:', error);
+            setExportStatus(`Export failed: ${error.message}`);
+        } finally {
+            exportLaunchScriptBtn.disabled = false;
+        }
+    });
+}
+
 // ==================== NEWS PANEL ====================
 
 // News URL - strict single source (no fallbacks)
@@ -283,87 +741,882 @@ function formatRam(mb) {
     if (mb >= 1024) {
         return (mb / 1024).toFixed(1) + 'G';
     }
-    return mb + 'M';
+    return mb + 'M';
+}
+
+// ==================== STATUS & PROGRESS ====================
+
+function setStatus(text) {
+    statusText.textContent = text;
+}
+
+// Shown while game metadata comes from the cache because the servers can't be reached
+function setOfflineBadge(offline) {
+    if (offlineBadge) {
+        offlineBadge.style.display = offline ? 'inline-block' : 'none';
+    }
+}
+
+function showProgress(show) {
+    progressContainer.style.display = show ? 'block' : 'none';
+}
+
+function updateProgress(percentage, text = '') {
+    progressFill.style.width = `${percentage}%`;
+    progressText.textContent = text || `${percentage}%`;
+}
+
+// ==================== INITIALIZATION ====================
+
+async function init() {
+    // Load configuration
+    const result = await ipcRenderer.invoke('load-config');
+    if (result.success) {
+        config = result.config;
+
+        await loadJvmPresets();
+        loadSettingsToUI();
+    }
+
+    // Accounts (the player header shows the selected one)
+    await refreshAccounts();
+
+    // Get system info for RAM display
+    try {
+        const systemInfo = await ipcRenderer.invoke('get-system-info');
+        if (systemInfo) {
+            const totalRamEl = document.getElementById('total-ram');
+            const availableRamEl = document.getElementById('available-ram');
+            if (totalRamEl && systemInfo.totalMemory) {
+                totalRamEl.textContent = formatRam(Math.round(systemInfo.totalMemory / (1024 * 1024)));
+            }
+            if (availableRamEl && systemInfo.freeMemory) {
+                availableRamEl.textContent = formatRam(Math.round(systemInfo.freeMemory / (1024 * 1024)));
+            }
+        }
+    } catch (e) {
+        console.log('Could not get system info:', e);
+    }
+
+    // Check installation status and update button
+    await checkAndUpdateStatus();
+
+    // Join server / continue world buttons next to PLAY
+    await updateLaunchTargets();
+
+    // Show the game as running if it was started before a reload
+    await restoreGameState();
+
+    // Start server status monitoring
+    checkServerStatus();
+    setInterval(checkServerStatus, 60000); // Check every 60 seconds
+}
+
+// ==================== ACCOUNTS ====================
+
+function getSelectedAccount() {
+    return accounts.find(account => account.id === selectedAccountId) || null;
+}
+
+function openAccountSettings() {
+    if (accountSwitcher) accountSwitcher.style.display = 'none';
+    switchView('settings');
+    switchSettingsSection('account');
+    usernameInput?.focus();
+}
+
+function setAccountStatus(text) {
+    if (accountStatus) {
+        accountStatus.textContent = text;
+    }
+}
+
+function updatePlayerHeader() {
+    const account = getSelectedAccount();
+
+    if (account) {
+        playerNameDisplay.textContent = account.username;
+        playerNameDisplay.classList.remove('needs-config');
+        playerNameDisplay.title = '';
+    } else {
+        playerNameDisplay.textContent = 'Add Account';
+        playerNameDisplay.classList.add('needs-config');
+        playerNameDisplay.title = 'Click to add an account';
+    }
+}
+
+function createAccountTypeLabel(account) {
+    const type = document.createElement('span');
+    type.className = 'account-type';
+    type.textContent = account.type === 'yggdrasil' ? account.serverName : account.type;
+    return type;
+}
+
+function renderAccountSwitcher() {
+    if (!accountSwitcherList) return;
+    accountSwitcherList.innerHTML = '';
+
+    for (const account of accounts) {
+        const item = document.createElement('button');
+        item.className = 'account-switcher-item';
+        item.classList.toggle('selected', account.id === selectedAccountId);
+
+        const name = document.createElement('span');
+        name.textContent = account.username;
+        item.appendChild(name);
+        item.appendChild(createAccountTypeLabel(account));
+
+        item.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            accountSwitcher.style.display = 'none';
+            await switchAccount(account.id);
+        });
+        accountSwitcherList.appendChild(item);
+    }
+}
+
+function renderAccountList() {
+    if (!accountList) return;
+    accountList.innerHTML = '';
+
+    if (accounts.length === 0) {
+        const empty = document.createElement('span');
+        empty.className = 'setting-hint';
+        empty.textContent = 'No accounts yet. Add one below to play.';
+        accountList.appendChild(empty);
+        return;
+    }
+
+    for (const account of accounts) {
+        const row = document.createElement('div');
+        row.className = 'account-row';
+        row.classList.toggle('selected', account.id === selectedAccountId);
+
+        const info = document.createElement('div');
+        info.className = 'account-row-info';
+        const name = document.createElement('span');
+        name.className = 'account-row-name';
+        name.textContent = account.username;
+        info.appendChild(name);
+        info.appendChild(createAccountTypeLabel(account));
+        row.appendChild(info);
+
+        if (account.type === 'offline') {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'browse-btn';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => openOfflineAccountDialog(account));
+            row.appendChild(editBtn);
+        }
+
+        if (account.id !== selectedAccountId) {
+            const useBtn = document.createElement('button');
+            useBtn.className = 'browse-btn';
+            useBtn.textContent = 'Use';
+            useBtn.addEventListener('click', () => switchAccount(account.id));
+            row.appendChild(useBtn);
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'browse-btn danger';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => removeAccountById(account));
+        row.appendChild(removeBtn);
+
+        accountList.appendChild(row);
+    }
+}
+
+function renderAccounts() {
+    updatePlayerHeader();
+    renderAccountSwitcher();
+    renderAccountList();
+    renderSkin();
+}
+
+async function refreshAccounts() {
+    try {
+        const result = await ipcRenderer.invoke('get-accounts');
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        accounts = result.accounts;
+        selectedAccountId = result.selected;
+    } catch (error) {
+        console.error('Could not load accounts:', error);
+    }
+
+    // Suggest a name for the first account
+    if (usernameInput && accounts.length === 0) {
+        usernameInput.placeholder = `e.g. ${generateRandomName()}`;
+    }
+    renderAccounts();
+}
+
+async function switchAccount(accountId) {
+    const result = await ipcRenderer.invoke('select-account', accountId);
+    if (!result.success) {
+        setAccountStatus(`Could not switch account: ${result.error}`);
+        return;
+    }
+    selectedAccountId = accountId;
+    renderAccounts();
+}
+
+async function addAccount() {
+    const username = usernameInput ? usernameInput.value.trim() : '';
+    const invalid = validateUsername(username);
+    if (invalid) {
+        setAccountStatus(invalid);
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('add-account', username);
+
+    if (!result.success) {
+        setAccountStatus(result.error);
+        return;
+    }
+
+    usernameInput.value = '';
+    setAccountStatus(`Added ${result.account.username}. It is now the selected account.`);
+    await refreshAccounts();
+}
+
+async function removeAccountById(account) {
+    if (!confirm(`Remove the account ${account.username}?`)) {
+        return;
+    }
+
+    const result = await ipcRenderer.invoke('remove-account', account.id);
+    if (!result.success) {
+        setAccountStatus(`Could not remove account: ${result.error}`);
+        return;
+    }
+    accounts = result.accounts;
+    selectedAccountId = result.selected;
+    renderAccounts();
+}
+
+// Player header opens the account switcher (or account settings when there are none)
+if (playerInfo) {
+    playerInfo.addEventListener('click', (e) => {
+        if (accountSwitcher && accountSwitcher.contains(e.target)) return;
+
+        if (accounts.length === 0) {
+            openAccountSettings();
+            return;
+        }
+        accountSwitcher.style.display = accountSwitcher.style.display === 'none' ? 'block' : 'none';
+    });
+}
+
+if (manageAccountsBtn) {
+    manageAccountsBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openAccountSettings();
+    });
+}
+
+// Close the switcher when clicking anywhere else
+document.addEventListener('click', (e) => {
+    if (accountSwitcher && playerInfo && !playerInfo.contains(e.target)) {
+        accountSwitcher.style.display = 'none';
+    }
+});
+
+if (addAccountBtn) {
+    addAccountBtn.addEventListener('click', addAccount);
+}
+
+// ==================== OFFLINE ACCOUNT EDITOR ====================
+
+const offlineAccountDialog = document.getElementById('offline-account-dialog');
+const offlineAccountName = document.getElementById('offline-account-name');
+const offlineAccountUuidMode = document.getElementById('offline-account-uuid-mode');
+const offlineAccountUuid = document.getElementById('offline-account-uuid');
+const offlineAccountHint = document.getElementById('offline-account-hint');
+const offlineAccountStatus = document.getElementById('offline-account-status');
+const offlineAccountImportBtn = document.getElementById('offline-account-import');
+const offlineAccountSaveBtn = document.getElementById('offline-account-save');
+let editingAccount = null;
+let importedUuidSource = null;
+
+const UUID_MODE_HINTS = {
+    standard: 'Same UUID as offline-mode servers give this name. Renaming the account changes it.',
+    pinned: 'This UUID stays when you rename the account, so server data such as permissions keeps working.',
+    imported: 'Use the UUID another launcher gave this player. Press Import and select its account file.'
+};
+
+function openOfflineAccountDialog(account) {
+    editingAccount = account;
+    importedUuidSource = account.uuidSource || null;
+    offlineAccountName.value = account.username;
+    offlineAccountUuidMode.value = account.uuidMode || 'standard';
+    offlineAccountUuid.value = account.uuid || '';
+    offlineAccountStatus.textContent = '';
+    updateOfflineAccountForm();
+    offlineAccountDialog.style.display = 'flex';
+}
+
+function closeOfflineAccountDialog() {
+    if (offlineAccountDialog) offlineAccountDialog.style.display = 'none';
+    editingAccount = null;
+}
+
+async function getStandardUuid(username) {
+    const result = await ipcRenderer.invoke('get-offline-uuid', username);
+    return result.success ? result.uuid : '';
+}
+
+async function updateOfflineAccountForm() {
+    const mode = offlineAccountUuidMode.value;
+    const username = offlineAccountName.value.trim();
+
+    offlineAccountUuid.readOnly = mode === 'standard';
+    offlineAccountImportBtn.style.display = mode === 'imported' ? '' : 'none';
+    offlineAccountHint.textContent = UUID_MODE_HINTS[mode];
+
+    const invalid = validateUsername(username);
+    offlineAccountStatus.textContent = invalid || '';
+
+    if (mode === 'standard' && !invalid) {
+        offlineAccountUuid.value = await getStandardUuid(username);
+    }
+}
+
+if (offlineAccountName) {
+    offlineAccountName.addEventListener('input', updateOfflineAccountForm);
+}
+
+if (offlineAccountUuidMode) {
+    offlineAccountUuidMode.addEventListener('change', () => {
+        // An imported UUID has to come from an account file
+        if (offlineAccountUuidMode.value === 'imported' && !importedUuidSource) {
+            offlineAccountUuid.value = '';
+        }
+        updateOfflineAccountForm();
+    });
+}
+
+if (offlineAccountImportBtn) {
+    offlineAccountImportBtn.addEventListener('click', async () => {
+        const result = await ipcRenderer.invoke('import-offline-uuid', offlineAccountName.value.trim());
+        if (result.canceled) return;
+        if (!result.success) {
+            offlineAccountStatus.textContent = result.error;
+            return;
+        }
+        offlineAccountUuid.value = result.uuid;
+        importedUuidSource = result.source;
+        offlineAccountStatus.textContent = `Imported from ${result.source}`;
+    });
+}
+
+if (offlineAccountSaveBtn) {
+    offlineAccountSaveBtn.addEventListener('click', async () => {
+        if (!editingAccount) return;
+
+        const mode = offlineAccountUuidMode.value;
+        const username = offlineAccountName.value.trim();
+        const invalid = validateUsername(username);
+        if (invalid) {
+            offlineAccountStatus.textContent = invalid;
+            return;
+        }
+        if (mode !== 'standard' && !normalizeUUID(offlineAccountUuid.value)) {
+            offlineAccountStatus.textContent = mode === 'imported'
+                ? 'Import a UUID from another launcher first'
+                : 'Enter a UUID like 069a79f4-44e9-4726-a5be-fca90e38aaf5';
+            return;
+        }
+
+        const result = await ipcRenderer.invoke('update-offline-account', editingAccount.id, {
+            username,
+            uuidMode: mode,
+            uuid: offlineAccountUuid.value,
+            uuidSource: importedUuidSource
+        });
+        if (!result.success) {
+            offlineAccountStatus.textContent = result.error;
+            return;
+        }
+
+        closeOfflineAccountDialog();
+        setAccountStatus(`Saved ${result.account.username} (UUID ${result.account.uuid}).`);
+        await refreshAccounts();
+    });
+}
+
+['offline-account-cancel', 'offline-account-close'].forEach(id => {
+    const button = document.getElementById(id);
+    if (button) {
+        button.addEventListener('click', closeOfflineAccountDialog);
+    }
+});
+
+// ==================== SKINS ====================
+
+// Texture positions in the skin file; overlay is the second layer (hat, jacket, sleeves, pants)
+const SKIN_PARTS = {
+    head: { u: 0, v: 0, overlay: [32, 0], size: [8, 8, 8] },
+    body: { u: 16, v: 16, overlay: [16, 32], size: [8, 12, 4] },
+    rightArm: { u: 40, v: 16, overlay: [40, 32], size: [4, 12, 4] },
+    leftArm: { u: 32, v: 48, overlay: [48, 48], size: [4, 12, 4], legacy: 'rightArm' },
+    rightLeg: { u: 0, v: 16, overlay: [0, 32], size: [4, 12, 4] },
+    leftLeg: { u: 16, v: 48, overlay: [0, 48], size: [4, 12, 4], legacy: 'rightLeg' }
+};
+
+// Where each part sits in the model (top-left-back corner), drawn back to front
+const SKIN_MODEL_LAYOUT = [
+    { part: 'rightLeg', at: [-4, 20, -2] },
+    { part: 'rightArm', at: [-8, 8, -2], slimAt: [-7, 8, -2] },
+    { part: 'body', at: [-4, 8, -2] },
+    { part: 'leftLeg', at: [0, 20, -2] },
+    { part: 'leftArm', at: [4, 8, -2] },
+    { part: 'head', at: [-4, 0, -4] }
+];
+
+let skinCache = { key: null, skin: null };
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not load image'));
+        image.src = src;
+    });
+}
+
+/**
+ * Texture source of a skin part, handling legacy 64x32 skins (no overlays, mirrored limbs)
+ */
+function getSkinPart(image, name, slim) {
+    const legacy = image.height === 32;
+    const part = SKIN_PARTS[legacy && SKIN_PARTS[name].legacy ? SKIN_PARTS[name].legacy : name];
+    const [width, height, depth] = part.size;
+    const armWidth = slim && name.endsWith('Arm') ? 3 : width;
+
+    return {
+        u: part.u,
+        v: part.v,
+        overlay: legacy && name !== 'head' ? null : part.overlay,
+        size: [armWidth, height, depth]
+    };
+}
+
+/**
+ * Draw a 2D head and shoulders avatar
+ */
+function drawSkinAvatar(canvas, image, model) {
+    const ctx = canvas.getContext('2d');
+    const scale = canvas.width / 16;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.imageSmoothingEnabled = false;
+
+    const drawFront = (part, x, y, rows) => {
+        const [width, height, depth] = part.size;
+        const layers = part.overlay ? [[part.u, part.v], part.overlay] : [[part.u, part.v]];
+        for (const [u, v] of layers) {
+            ctx.drawImage(image, u + depth, v + depth, width, Math.min(rows, height),
+                x * scale, y * scale, width * scale, Math.min(rows, height) * scale);
+        }
+    };
+
+    const slim = model === 'slim';
+    const rightArm = getSkinPart(image, 'rightArm', slim);
+    drawFront(rightArm, 4 - rightArm.size[0], 9, 7);
+    drawFront(getSkinPart(image, 'leftArm', slim), 12, 9, 7);
+    drawFront(getSkinPart(image, 'body', slim), 4, 9, 7);
+    drawFront(getSkinPart(image, 'head', slim), 4, 1, 8);
+}
+
+/**
+ * Draw a 3D-looking view of the player from the front right
+ */
+function drawSkinModel(canvas, image, model) {
+    const ctx = canvas.getContext('2d');
+    const scale = 6;
+    // Screen direction of one pixel along the model x, y and z axes (30° turn, 20° from above)
+    const axes = {
+        x: [0.866, 0.171],
+        y: [0, 0.94],
+        z: [-0.5, 0.296]
+    };
+    const origin = [canvas.width / 2, 16];
+    const project = ([x, y, z]) => [
+        origin[0] + (x * axes.x[0] + y * axes.y[0] + z * axes.z[0]) * scale,
+        origin[1] + (x * axes.x[1] + y * axes.y[1] + z * axes.z[1]) * scale
+    ];
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.imageSmoothingEnabled = false;
+
+    // Draw one texture rectangle onto a face spanned by two model axes
+    const drawFace = (src, corner, uAxis, vAxis, width, height, shade) => {
+        const [ox, oy] = project(corner);
+        ctx.setTransform(uAxis[0] * scale, uAxis[1] * scale, vAxis[0] * scale, vAxis[1] * scale, ox, oy);
+        ctx.filter = shade;
+        ctx.drawImage(image, src[0], src[1], src[2], src[3], 0, 0, width, height);
+    };
+    const negate = axis => [-axis[0], -axis[1]];
+
+    const drawBox = (u, v, size, at, inflate) => {
+        const [w, h, d] = size;
+        const [x0, y0, z0] = [at[0] - inflate, at[1] - inflate, at[2] - inflate];
+        const [bw, bh, bd] = [w + inflate * 2, h + inflate * 2, d + inflate * 2];
+
+        // Top, player's left side, then front (the faces turned towards the viewer)
+        drawFace([u + d, v, w, d], [x0, y0, z0], axes.x, axes.z, bw, bd, 'brightness(110%)');
+        drawFace([u + d + w, v + d, d, h], [x0 + bw, y0, z0 + bd], negate(axes.z), axes.y, bd, bh, 'brightness(75%)');
+        drawFace([u + d, v + d, w, h], [x0, y0, z0 + bd], axes.x, axes.y, bw, bh, 'none');
+    };
+
+    const slim = model === 'slim';
+    for (const { part: name, at, slimAt } of SKIN_MODEL_LAYOUT) {
+        const part = getSkinPart(image, name, slim);
+        const position = slim && slimAt ? slimAt : at;
+        drawBox(part.u, part.v, part.size, position, 0);
+        if (part.overlay) {
+            drawBox(part.overlay[0], part.overlay[1], part.size, position, name === 'head' ? 0.5 : 0.25);
+        }
+    }
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.filter = 'none';
+}
+
+/**
+ * Draw the back of a cape
+ */
+function drawCape(canvas, image) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(image, 12, 1, 10, 16, 0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Load the selected account's skin, reusing the last one if it didn't change
+ * @returns {Promise<Object|null>} { model, skin, cape } with loaded images
+ */
+async function loadSelectedSkin() {
+    const account = getSelectedAccount();
+    if (!account || !account.skin) return null;
+
+    const key = `${account.id}:${account.skin.updatedAt}`;
+    if (skinCache.key === key) return skinCache.skin;
+
+    const result = await ipcRenderer.invoke('get-account-skin', account.id);
+    if (!result.success || !result.skin || !result.skin.skin) return null;
+
+    const skin = {
+        model: result.skin.model,
+        skin: await loadImage(result.skin.skin),
+        cape: result.skin.cape ? await loadImage(result.skin.cape) : null
+    };
+    skinCache = { key, skin };
+    return skin;
+}
+
+async function renderSkin() {
+    const account = getSelectedAccount();
+    let skin = null;
+    try {
+        skin = await loadSelectedSkin();
+    } catch (error) {
+        console.error('Could not load skin:', error);
+    }
+
+    // Header avatar falls back to the default icon
+    if (playerAvatarCanvas) {
+        const icon = playerAvatarCanvas.parentElement.querySelector('svg');
+        playerAvatarCanvas.style.display = skin ? 'block' : 'none';
+        if (icon) icon.style.display = skin ? 'none' : '';
+        if (skin) drawSkinAvatar(playerAvatarCanvas, skin.skin, skin.model);
+    }
+
+    if (!skinSettings) return;
+
+    // Microsoft skins are changed on minecraft.net
+    const customSkins = account && account.type !== 'microsoft';
+    skinSettings.style.display = customSkins ? 'flex' : 'none';
+    if (!customSkins) return;
+
+    if (skin) skinModelSelect.value = skin.model;
+    chooseCapeBtn.disabled = !skin;
+    resetSkinBtn.disabled = !skin;
+
+    const ctx = skinPreviewCanvas.getContext('2d');
+    ctx.clearRect(0, 0, skinPreviewCanvas.width, skinPreviewCanvas.height);
+    if (skin) drawSkinModel(skinPreviewCanvas, skin.skin, skin.model);
+
+    capePreviewCanvas.style.display = skin && skin.cape ? 'block' : 'none';
+    if (skin && skin.cape) drawCape(capePreviewCanvas, skin.cape);
+
+    // Messages from the last change stay until another account is selected
+    if (skinStatus.dataset.account !== account.id) {
+        skinStatus.dataset.account = account.id;
+        skinStatus.textContent = account.type === 'yggdrasil'
+            ? `64x64 or legacy 64x32 PNG. Uploaded to ${account.serverName}, so other players see it in-game.`
+            : '64x64 or legacy 64x32 PNG. Offline skins are only shown in the launcher.';
+    }
+}
+
+/**
+ * Apply a skin change and show the result
+ * @param {Function} change - Invokes the IPC call for the selected account
+ */
+async function changeSkin(change) {
+    const account = getSelectedAccount();
+    if (!account) return;
+    if (account.type !== 'offline' && !await ensureVaultUnlocked()) return;
+
+    [chooseSkinBtn, chooseCapeBtn, resetSkinBtn, skinModelSelect].forEach(el => { el.disabled = true; });
+
+    try {
+        const result = await change(account.id);
+        if (result.canceled) return;
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        skinStatus.textContent = result.warning ? `Saved in the launcher, but ${result.warning}` : 'Skin updated.';
+        await refreshAccounts();
+    } catch (error) {
+        skinStatus.textContent = error.message;
+    } finally {
+        chooseSkinBtn.disabled = false;
+        skinModelSelect.disabled = false;
+        renderSkin();
+    }
+}
+
+if (chooseSkinBtn) {
+    chooseSkinBtn.addEventListener('click', () => changeSkin(accountId =>
+        ipcRenderer.invoke('choose-account-texture', accountId, 'skin', skinModelSelect.value)
+    ));
+}
+
+if (chooseCapeBtn) {
+    chooseCapeBtn.addEventListener('click', () => changeSkin(accountId =>
+        ipcRenderer.invoke('choose-account-texture', accountId, 'cape')
+    ));
+}
+
+if (skinModelSelect) {
+    skinModelSelect.addEventListener('change', () => {
+        const account = getSelectedAccount();
+        // Without a skin yet, the model applies to the skin chosen next
+        if (!account || !account.skin) return;
+        changeSkin(accountId => ipcRenderer.invoke('set-skin-model', accountId, skinModelSelect.value));
+    });
+}
+
+if (resetSkinBtn) {
+    resetSkinBtn.addEventListener('click', () => changeSkin(accountId =>
+        ipcRenderer.invoke('clear-account-skin', accountId)
+    ));
+}
+
+// ==================== CREDENTIAL VAULT ====================
+
+const vaultDialog = document.getElementById('vault-dialog');
+const vaultTitle = document.getElementById('vault-title');
+const vaultInstructions = document.getElementById('vault-instructions');
+const vaultPassphraseInput = document.getElementById('vault-passphrase');
+const vaultStatus = document.getElementById('vault-status');
+const vaultUnlockBtn = document.getElementById('vault-unlock');
+const vaultCancelBtn = document.getElementById('vault-cancel');
+const vaultCloseBtn = document.getElementById('vault-close');
+let vaultPrompt = null;
+
+function closeVaultDialog(unlocked) {
+    if (vaultDialog) vaultDialog.style.display = 'none';
+    if (vaultPassphraseInput) vaultPassphraseInput.value = '';
+    if (vaultPrompt) {
+        vaultPrompt(unlocked);
+        vaultPrompt = null;
+    }
 }
 
-// ==================== STATUS & PROGRESS ====================
+/**
+ * Make sure saved sign-ins can be read, asking for the vault passphrase if needed
+ * @returns {Promise<boolean>} false if the player cancelled
+ */
+async function ensureVaultUnlocked() {
+    const status = await ipcRenderer.invoke('get-vault-status');
+    if (!status.success || !status.locked) {
+        return true;
+    }
 
-function setStatus(text) {
-    statusText.textContent = text;
+    // Without a keyring, sign-ins are encrypted with a key derived from a passphrase
+    if (status.hasPassphrase) {
+        vaultTitle.textContent = 'Unlock saved sign-ins';
+        vaultInstructions.textContent = 'Enter the vault passphrase to use your saved sign-ins.';
+        vaultUnlockBtn.textContent = 'Unlock';
+    } else {
+        vaultTitle.textContent = 'Set a vault passphrase';
+        vaultInstructions.textContent = 'No system keyring was found. Choose a passphrase (at least 8 characters) to encrypt your sign-ins. You will need it once each time the launcher starts.';
+        vaultUnlockBtn.textContent = 'Set Passphrase';
+    }
+    vaultStatus.textContent = '';
+    vaultDialog.style.display = 'flex';
+    vaultPassphraseInput.focus();
+
+    return new Promise(resolve => {
+        vaultPrompt = resolve;
+    });
 }
 
-function showProgress(show) {
-    progressContainer.style.display = show ? 'block' : 'none';
+if (vaultUnlockBtn) {
+    vaultUnlockBtn.addEventListener('click', async () => {
+        vaultUnlockBtn.disabled = true;
+        vaultStatus.textContent = 'Unlocking...';
+
+        try {
+            const result = await ipcRenderer.invoke('unlock-vault', vaultPassphraseInput.value);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            closeVaultDialog(true);
+        } catch (error) {
+            vaultStatus.textContent = error.message;
+        } finally {
+            vaultUnlockBtn.disabled = false;
+        }
+    });
 }
 
-function updateProgress(percentage, text = '') {
-    progressFill.style.width = `${percentage}%`;
-    progressText.textContent = text || `${percentage}%`;
+if (vaultPassphraseInput) {
+    vaultPassphraseInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            vaultUnlockBtn.click();
+        }
+    });
 }
 
-// ==================== INITIALIZATION ====================
+[vaultCancelBtn, vaultCloseBtn].forEach(button => {
+    if (button) {
+        button.addEventListener('click', () => closeVaultDialog(false));
+    }
+});
 
-async function init() {
-    // Load configuration
-    const result = await ipcRenderer.invoke('load-config');
-    if (result.success) {
-        config = result.config;
+// ==================== AUTH SERVER SIGN-IN ====================
+
+if (addAuthServerAccountBtn) {
+    addAuthServerAccountBtn.addEventListener('click', async () => {
+        if (!await ensureVaultUnlocked()) return;
 
-        // Check if username needs configuration
-        // A username is "configured" if it exists, is not empty, and is_username_configured flag is true
-        if (!config.last_username || config.last_username.trim() === '' || config.is_username_configured !== true) {
-            // Generate a random name if no username is set
-            if (!config.last_username || config.last_username.trim() === '') {
-                config.last_username = generateRandomName();
-                await ipcRenderer.invoke('save-config', config);
+        addAuthServerAccountBtn.disabled = true;
+        authServerStatus.textContent = 'Signing in...';
+
+        try {
+            const result = await ipcRenderer.invoke(
+                'add-auth-server-account',
+                authServerUrlInput.value.trim(),
+                authServerUsernameInput.value.trim(),
+                authServerPasswordInput.value
+            );
+
+            if (!result.success) {
+                throw new Error(result.error);
             }
-            usernameNeedsConfiguration = true;
-            playerNameDisplay.textContent = config.last_username;
-            playerNameDisplay.classList.add('needs-config');
-            playerNameDisplay.title = 'Click to configure your username';
-        } else {
-            usernameNeedsConfiguration = false;
-            playerNameDisplay.textContent = config.last_username;
-            playerNameDisplay.classList.remove('needs-config');
-            playerNameDisplay.title = '';
+
+            authServerPasswordInput.value = '';
+
+            // Remember the server for the next sign-in
+            config.auth_server = { ...config.auth_server, url: authServerUrlInput.value.trim() };
+            await ipcRenderer.invoke('save-config', config);
+            authServerStatus.textContent = `Signed in as ${result.account.username} on ${result.account.serverName}.`;
+            await refreshAccounts();
+        } catch (error) {
+            authServerStatus.textContent = `Sign-in failed: ${error.message}`;
+        } finally {
+            addAuthServerAccountBtn.disabled = false;
         }
+    });
+}
 
-        loadSettingsToUI();
-    }
+if (authServerPasswordInput) {
+    authServerPasswordInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            addAuthServerAccountBtn.click();
+        }
+    });
+}
 
-    // Get system info for RAM display
-    try {
-        const systemInfo = await ipcRenderer.invoke('get-system-info');
-        if (systemInfo) {
-            const totalRamEl = document.getElementById('total-ram');
-            const availableRamEl = document.getElementById('available-ram');
-            if (totalRamEl && systemInfo.totalMemory) {
-                totalRamEl.textContent = formatRam(Math.round(systemInfo.totalMemory / (1024 * 1024)));
-            }
-            if (availableRamEl && systemInfo.freeMemory) {
-                availableRamEl.textContent = formatRam(Math.round(systemInfo.freeMemory / (1024 * 1024)));
+// ==================== MICROSOFT SIGN-IN ====================
+
+const microsoftDialog = document.getElementById('microsoft-dialog');
+const microsoftInstructions = document.getElementById('microsoft-instructions');
+const microsoftCode = document.getElementById('microsoft-code');
+const microsoftStatus = document.getElementById('microsoft-status');
+const microsoftCopyBtn = document.getElementById('microsoft-copy');
+const microsoftOpenBtn = document.getElementById('microsoft-open');
+const microsoftCloseBtn = document.getElementById('microsoft-close');
+let microsoftDeviceCode = null;
+
+function closeMicrosoftDialog() {
+    if (microsoftDialog) microsoftDialog.style.display = 'none';
+    microsoftDeviceCode = null;
+}
+
+if (addMicrosoftAccountBtn) {
+    addMicrosoftAccountBtn.addEventListener('click', async () => {
+        if (!await ensureVaultUnlocked()) return;
+
+        microsoftDeviceCode = null;
+        microsoftInstructions.textContent = 'Requesting a sign-in code...';
+        microsoftCode.textContent = '';
+        microsoftStatus.textContent = '';
+        microsoftDialog.style.display = 'flex';
+        addMicrosoftAccountBtn.disabled = true;
+
+        try {
+            const result = await ipcRenderer.invoke('add-microsoft-account');
+            if (result.success) {
+                closeMicrosoftDialog();
+                setAccountStatus(`Signed in as ${result.account.username}. It is now the selected account.`);
+                await refreshAccounts();
+            } else if (!result.cancelled) {
+                microsoftInstructions.textContent = 'Sign-in failed.';
+                microsoftStatus.textContent = result.error;
             }
+        } finally {
+            addMicrosoftAccountBtn.disabled = false;
         }
-    } catch (e) {
-        console.log('Could not get system info:', e);
-    }
+    });
+}
 
-    // Check installation status and update button
-    await checkAndUpdateStatus();
+// The main process sends the code once Microsoft issues it
+ipcRenderer.on('microsoft-device-code', (event, code) => {
+    microsoftDeviceCode = code;
+    microsoftInstructions.textContent = `Open ${code.verificationUri} and enter this code:`;
+    microsoftCode.textContent = code.userCode;
+    microsoftStatus.textContent = 'Waiting for you to finish signing in...';
+});
 
-    // Start server status monitoring
-    checkServerStatus();
-    setInterval(checkServerStatus, 60000); // Check every 60 seconds
+if (microsoftCopyBtn) {
+    microsoftCopyBtn.addEventListener('click', () => {
+        if (!microsoftDeviceCode) return;
+        require('electron').clipboard.writeText(microsoftDeviceCode.userCode);
+        microsoftCopyBtn.textContent = 'Copied!';
+        setTimeout(() => { microsoftCopyBtn.textContent = 'Copy Code'; }, 2000);
+    });
 }
 
-// Player name click handler - navigate to settings if username needs configuration
-if (playerNameDisplay) {
-    playerNameDisplay.addEventListener('click', () => {
-        if (usernameNeedsConfiguration) {
-            switchView('settings');
-            switchSettingsSection('account');
-            usernameInput?.focus();
-        }
+if (microsoftOpenBtn) {
+    microsoftOpenBtn.addEventListener('click', () => {
+        if (!microsoftDeviceCode) return;
+        require('electron').shell.openExternal(microsoftDeviceCode.verificationUri);
+    });
+}
+
+if (microsoftCloseBtn) {
+    microsoftCloseBtn.addEventListener('click', async () => {
+        closeMicrosoftDialog();
+        await ipcRenderer.invoke('cancel-microsoft-sign-in');
     });
 }
 
@@ -441,6 +1694,7 @@ async function checkAndUpdateStatus() {
 
     try {
         const status = await ipcRenderer.invoke('get-installation-status');
+        setOfflineBadge(status.offline);
 
         if (status.success) {
             installationStatus = status;
@@ -485,11 +1739,6 @@ function updateButtonState(status) {
 function loadSettingsToUI() {
     if (!config) return;
 
-    // Username
-    if (usernameInput && config.last_username) {
-        usernameInput.value = config.last_username;
-    }
-
     // RAM
     if (ramSlider && config.jvm_args && config.jvm_args.max_ram) {
         const ramMB = parseInt(config.jvm_args.max_ram);
@@ -497,6 +1746,12 @@ function loadSettingsToUI() {
         updateRamDisplay(ramMB);
     }
 
+    // Automatic memory
+    if (autoMemoryCheckbox && config.jvm_args) {
+        autoMemoryCheckbox.checked = config.jvm_args.auto_memory === true;
+    }
+    refreshMemoryAdvice(config.jvm_args);
+
     // Resolution
     if (resolutionSelect && config.window) {
         resolutionSelect.value = `${config.window.width}x${config.window.height}`;
@@ -512,11 +1767,49 @@ function loadSettingsToUI() {
         gameDirectoryInput.value = config.game_directory;
     }
 
+    // Minecraft and loader versions
+    if (minecraftVersionSelect && config.minecraft_version) {
+        ensureVersionOption(minecraftVersionSelect, config.minecraft_version);
+        minecraftVersionSelect.value = config.minecraft_version;
+    }
+    if (loaderTypeSelect && loaderVersionSelect) {
+        const loader = config.loader || { type: 'none', version: 'latest' };
+        loaderTypeSelect.value = loader.type;
+        ensureVersionOption(loaderVersionSelect, loader.version);
+        loaderVersionSelect.value = loader.version;
+    }
+
+    // Java installation
+    if (javaPathSelect) {
+        const javaValue = getConfiguredJavaValue();
+        ensureJavaOption(javaValue);
+        javaPathSelect.value = javaValue;
+    }
+
     // JVM Args
     if (jvmArgsTextarea && config.jvm_args && config.jvm_args.custom_args) {
         jvmArgsTextarea.value = config.jvm_args.custom_args.join('\n');
     }
 
+    // JVM preset (configs from before presets only have custom arguments)
+    if (jvmPresetSelect && config.jvm_args) {
+        jvmPresetSelect.value = config.jvm_args.preset || 'none';
+        updatePresetDescription();
+    }
+    checkJvmArgs();
+
+    // Wrapper command
+    if (wrapperCommandInput) {
+        wrapperCommandInput.value = config.wrapper_command || '';
+    }
+
+    // Environment variables (one NAME=value per line)
+    if (environmentVariablesTextarea) {
+        environmentVariablesTextarea.value = Object.entries(config.environment_variables || {})
+            .map(([name, value]) => `${name}=${value}`)
+            .join('\n');
+    }
+
     // Close on launch
     if (closeOnLaunchCheckbox) {
         closeOnLaunchCheckbox.checked = config.close_launcher_on_game_start || false;
@@ -526,6 +1819,18 @@ function loadSettingsToUI() {
     if (autoUpdateCheckbox) {
         autoUpdateCheckbox.checked = config.auto_update !== false;
     }
+
+    // Auth server address from the last sign-in
+    if (authServerUrlInput && config.auth_server) {
+        authServerUrlInput.value = config.auth_server.url || '';
+    }
+
+    // Hooks
+    const hooks = config.hooks || {};
+    if (hookPreSyncInput) hookPreSyncInput.value = hooks.pre_sync || '';
+    if (hookPreLaunchInput) hookPreLaunchInput.value = hooks.pre_launch || '';
+    if (hookPostExitInput) hookPostExitInput.value = hooks.post_exit || '';
+    if (hookCancelCheckbox) hookCancelCheckbox.checked = hooks.cancel_on_failure !== false;
 }
 
 function updateRamDisplay(mb) {
@@ -538,21 +1843,13 @@ async function saveCurrentSettings() {
     if (!config) return;
 
     try {
-        // Username
-        if (usernameInput) {
-            const username = usernameInput.value.trim();
-            if (username && username.length >= 3 && username.length <= 16) {
-                config.last_username = username;
-                config.is_username_configured = true; // Mark as configured
-                usernameNeedsConfiguration = false;
-                playerNameDisplay.textContent = username;
-                playerNameDisplay.classList.remove('needs-config');
-                playerNameDisplay.title = '';
-            }
-        }
+        const previousVersion = JSON.stringify([config.minecraft_version, config.loader]);
 
-        // RAM
-        if (ramSlider) {
+        // RAM (the manual value is kept while automatic memory is on)
+        if (autoMemoryCheckbox) {
+            config.jvm_args.auto_memory = autoMemoryCheckbox.checked;
+        }
+        if (ramSlider && !config.jvm_args.auto_memory) {
             const ramMB = parseInt(ramSlider.value);
             config.jvm_args.max_ram = `${ramMB}M`;
         }
@@ -574,6 +1871,35 @@ async function saveCurrentSettings() {
             config.game_directory = gameDirectoryInput.value.trim();
         }
 
+        // Minecraft and loader versions
+        if (minecraftVersionSelect && minecraftVersionSelect.value) {
+            config.minecraft_version = minecraftVersionSelect.value;
+        }
+        if (loaderTypeSelect && loaderVersionSelect) {
+            config.loader = {
+                type: loaderTypeSelect.value,
+                version: loaderTypeSelect.value === 'none' ? 'latest' : loaderVersionSelect.value
+            };
+        }
+
+        // Java installation
+        if (javaPathSelect) {
+            const javaValue = javaPathSelect.value;
+            config.java_runtime = config.java_runtime || {};
+            if (javaValue === 'auto') {
+                config.java_path = 'java';
+                config.java_runtime.enabled = true;
+            } else {
+                config.java_path = javaValue;
+                config.java_runtime.enabled = false;
+            }
+        }
+
+        // JVM preset
+        if (jvmPresetSelect) {
+            config.jvm_args.preset = jvmPresetSelect.value;
+        }
+
         // JVM args
         if (jvmArgsTextarea) {
             const jvmArgsText = jvmArgsTextarea.value.trim();
@@ -584,6 +1910,21 @@ async function saveCurrentSettings() {
             }
         }
 
+        // Wrapper command
+        if (wrapperCommandInput) {
+            config.wrapper_command = wrapperCommandInput.value.trim();
+        }
+
+        // Environment variables (split on the first '=' so values may contain '=')
+        if (environmentVariablesTextarea) {
+            config.environment_variables = {};
+            for (const line of environmentVariablesTextarea.value.split('\n')) {
+                const separator = line.indexOf('=');
+                if (separator <= 0) continue;
+                config.environment_variables[line.slice(0, separator).trim()] = line.slice(separator + 1);
+            }
+        }
+
         // Close on launch
         if (closeOnLaunchCheckbox) {
             config.close_launcher_on_game_start = closeOnLaunchCheckbox.checked;
@@ -594,9 +1935,21 @@ async function saveCurrentSettings() {
             config.auto_update = autoUpdateCheckbox.checked;
         }
 
+        // Hooks
+        config.hooks = config.hooks || {};
+        if (hookPreSyncInput) config.hooks.pre_sync = hookPreSyncInput.value.trim();
+        if (hookPreLaunchInput) config.hooks.pre_launch = hookPreLaunchInput.value.trim();
+        if (hookPostExitInput) config.hooks.post_exit = hookPostExitInput.value.trim();
+        if (hookCancelCheckbox) config.hooks.cancel_on_failure = hookCancelCheckbox.checked;
+
         // Save to file
         await ipcRenderer.invoke('save-config', config);
 
+        // Another version means other files to install
+        if (JSON.stringify([config.minecraft_version, config.loader]) !== previousVersion) {
+            checkAndUpdateStatus();
+        }
+
     } catch (error) {
         console.error('Error saving settings:', error);
     }
@@ -609,6 +1962,17 @@ if (ramSlider) {
     ramSlider.addEventListener('input', (e) => {
         updateRamDisplay(parseInt(e.target.value));
     });
+
+    ramSlider.addEventListener('change', () => {
+        refreshMemoryAdvice(getMemoryInputs());
+    });
+}
+
+// Automatic memory toggle
+if (autoMemoryCheckbox) {
+    autoMemoryCheckbox.addEventListener('change', () => {
+        refreshMemoryAdvice(getMemoryInputs());
+    });
 }
 
 // Browse directory button
@@ -642,48 +2006,48 @@ if (checkUpdatesBtn) {
     });
 }
 
-// Username input - update display on change
+// Username input - Enter adds the account
 if (usernameInput) {
-    usernameInput.addEventListener('input', (e) => {
-        const value = e.target.value.trim();
-        if (value) {
-            playerNameDisplay.textContent = value;
+    const defaultHint = accountStatus ? accountStatus.textContent : '';
+
+    usernameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            addAccount();
         }
     });
+
+    // Explain what is wrong with the name while typing
+    usernameInput.addEventListener('input', () => {
+        const username = usernameInput.value.trim();
+        setAccountStatus(username ? validateUsername(username) || defaultHint : defaultHint);
+    });
 }
 
 // ==================== PLAY BUTTON ====================
 
-playButton.addEventListener('click', async () => {
-    // Get username from settings
-    const username = usernameInput ? usernameInput.value.trim() : config?.last_username;
-
-    // Check if username needs configuration
-    if (!username || usernameNeedsConfiguration) {
-        alert('Please configure your username before launching the game!');
-        switchView('settings');
-        switchSettingsSection('account');
-        usernameInput?.focus();
+/**
+ * Install if needed, then launch the game
+ * @param {Object} launchTarget - { type, value } to open a world or join a server, undefined for the configured server
+ */
+async function startGame(launchTarget = undefined) {
+    // Launch with the selected account
+    const account = getSelectedAccount();
+    if (!account) {
+        alert('Please add an account before launching the game!');
+        openAccountSettings();
         return;
     }
 
-    if (username.length < 3 || username.length > 16) {
-        alert('Username must be between 3 and 16 characters');
-        switchView('settings');
-        switchSettingsSection('account');
-        usernameInput?.focus();
+    // Signed-in accounts keep their tokens in the credential vault
+    if (account.type !== 'offline' && !await ensureVaultUnlocked()) {
         return;
     }
 
     // Disable button
     playButton.disabled = true;
+    setLaunchTargetsDisabled(true);
 
     try {
-        // Save username to config
-        config.last_username = username;
-        playerNameDisplay.textContent = username;
-        await ipcRenderer.invoke('save-config', config);
-
         // Check if we need to download
         const installCheck = await ipcRenderer.invoke('get-installation-status');
 
@@ -714,11 +2078,12 @@ playButton.addEventListener('click', async () => {
         setStatus('Launching Minecraft...');
         buttonText.textContent = 'LAUNCHING...';
 
-        const launchResult = await ipcRenderer.invoke('launch-game', username, {});
+        const launchResult = await ipcRenderer.invoke('launch-game', account.id, {}, launchTarget);
 
         if (launchResult.success) {
             setStatus('Minecraft is running');
             buttonText.textContent = 'PLAYING';
+            refreshAccounts();
 
             // Optional: Close launcher after game starts
             if (config.close_launcher_on_game_start) {
@@ -737,12 +2102,57 @@ playButton.addEventListener('click', async () => {
 
         // Refresh status after error
         await checkAndUpdateStatus();
-    } finally {
         playButton.disabled = false;
+        setLaunchTargetsDisabled(false);
+    } finally {
+        // On success the game-state events keep the button disabled while the game runs
         isLaunching = false;
         isDownloading = false;
     }
-});
+}
+
+playButton.addEventListener('click', () => startGame());
+
+// ==================== LAUNCH TARGETS ====================
+
+let lastPlayedWorld = null;
+
+function setLaunchTargetsDisabled(disabled) {
+    if (joinServerButton) joinServerButton.disabled = disabled;
+    if (continueWorldButton) continueWorldButton.disabled = disabled;
+}
+
+// Show "Join server" when a server is configured and "Continue world" when there is a world to continue
+async function updateLaunchTargets() {
+    try {
+        const result = await ipcRenderer.invoke('get-last-played-world');
+        lastPlayedWorld = result.success ? result.world : null;
+    } catch (error) {
+        console.log('Could not get the last played world:', error);
+        lastPlayedWorld = null;
+    }
+
+    if (joinServerButton) {
+        joinServerButton.style.display = config && config.server_ip ? '' : 'none';
+        joinServerButton.title = config && config.server_ip ? `Join ${config.server_ip}` : '';
+    }
+    if (continueWorldButton) {
+        continueWorldButton.style.display = lastPlayedWorld ? '' : 'none';
+        continueWorldButton.title = lastPlayedWorld ? `Open ${lastPlayedWorld}` : '';
+    }
+}
+
+if (joinServerButton) {
+    joinServerButton.addEventListener('click', () => {
+        startGame({ type: 'multiplayer', value: config.server_ip });
+    });
+}
+
+if (continueWorldButton) {
+    continueWorldButton.addEventListener('click', () => {
+        startGame({ type: 'singleplayer', value: lastPlayedWorld });
+    });
+}
 
 // ==================== IPC LISTENERS ====================
 
@@ -783,6 +2193,23 @@ ipcRenderer.on('download-progress', (event, progress) => {
         setStatus(`Downloading Assets ${speed ? `• ${speed}` : ''}${etaText}`);
         updateProgress(progress.overallProgress || 0, `${current}/${total} Assets`);
 
+    } else if (progress.stage === 'java-runtime') {
+        if (progress.status === 'downloading') {
+            showProgress(true);
+            setStatus(`Downloading Java: ${progress.currentFile || ''}`);
+            updateProgress(progress.overallProgress || 0, `${progress.completed}/${progress.total} Java files`);
+        } else {
+            setStatus(progress.message || 'Preparing Java...');
+        }
+
+    } else if (progress.stage === 'hook') {
+        setStatus(progress.message || 'Running hook...');
+
+    } else if (progress.stage === 'loader') {
+        showProgress(true);
+        setStatus(progress.message || 'Installing mod loader...');
+        updateProgress(Math.floor(((progress.current - 1) / progress.total) * 100), `${progress.current}/${progress.total} Install steps`);
+
     } else if (progress.stage === 'modpack') {
         const current = progress.current || 0;
         const total = progress.total || 0;
@@ -808,18 +2235,257 @@ ipcRenderer.on('download-progress', (event, progress) => {
     }
 });
 
+// Game log listener
+ipcRenderer.on('game-log', (event, records) => {
+    appendConsoleRecords(records);
+});
+
+// Game crash listener
+ipcRenderer.on('game-crashed', (event, analysis) => {
+    setStatus(`Minecraft crashed: ${analysis.cause.title}`);
+    showCrashDialog(analysis);
+});
+
 // Game state listener
 ipcRenderer.on('game-state', (event, state) => {
-    if (state.running) {
-        playButton.disabled = true;
-        buttonText.textContent = 'PLAYING';
-        setStatus('Minecraft is running...');
-    } else {
+    applyGameState(state);
+});
+
+// ==================== GAME PROCESS ====================
+
+function applyGameState(state) {
+    const running = Boolean(state && state.running);
+
+    if (stopButton) {
+        stopButton.style.display = running && state.state !== 'launching' ? '' : 'none';
+        stopButton.classList.toggle('hung', running && state.hung);
+        stopButton.disabled = false;
+    }
+
+    if (!running) {
         playButton.disabled = false;
-        // Refresh status when game closes
+        setLaunchTargetsDisabled(false);
+        // Refresh status when game closes, the world played last may have changed
         checkAndUpdateStatus();
+        updateLaunchTargets();
+        return;
     }
-});
+
+    playButton.disabled = true;
+    setLaunchTargetsDisabled(true);
+    if (state.state === 'launching') {
+        buttonText.textContent = 'LAUNCHING...';
+    } else if (state.hung) {
+        buttonText.textContent = 'PLAYING';
+        setStatus(`Minecraft is not responding. ${state.hangReason || ''}`.trim());
+    } else {
+        buttonText.textContent = 'PLAYING';
+        setStatus('Minecraft is running...');
+    }
+}
+
+// Restore the running state after the launcher window is reloaded
+async function restoreGameState() {
+    try {
+        const result = await ipcRenderer.invoke('get-game-state');
+        if (result.success && result.session && result.session.running) {
+            applyGameState(result.session);
+        }
+    } catch (error) {
+        console.log('Could not get game state:', error);
+    }
+}
+
+if (stopButton) {
+    stopButton.addEventListener('click', async () => {
+        if (!confirm('Force stop Minecraft? Unsaved progress may be lost.')) {
+            return;
+        }
+
+        stopButton.disabled = true;
+        setStatus('Stopping Minecraft...');
+
+        const result = await ipcRenderer.invoke('kill-game');
+        if (!result.success) {
+            stopButton.disabled = false;
+            setStatus('Error: ' + result.error);
+        }
+    });
+}
+
+// ==================== GAME CONSOLE ====================
+
+const CONSOLE_MAX_RECORDS = 5000;
+const CONSOLE_LEVELS = ['TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'];
+let consoleRecords = [];
+
+// Check if a record passes the current level and search filters
+function matchesConsoleFilter(record) {
+    const minLevel = consoleLevel ? consoleLevel.value : 'ALL';
+    if (minLevel !== 'ALL' && CONSOLE_LEVELS.indexOf(record.level) < CONSOLE_LEVELS.indexOf(minLevel)) {
+        return false;
+    }
+
+    const query = consoleSearch ? consoleSearch.value.trim().toLowerCase() : '';
+    if (query) {
+        const haystack = `${record.thread} ${record.logger} ${record.message}`.toLowerCase();
+        return haystack.includes(query);
+    }
+
+    return true;
+}
+
+// Build a console line element (text only, game output is never treated as HTML)
+function createConsoleLine(record) {
+    const line = document.createElement('div');
+    line.className = `console-line level-${record.level.toLowerCase()} stream-${record.stream || 'stdout'}`;
+
+    const time = new Date(record.time).toTimeString().slice(0, 8);
+    const meta = document.createElement('span');
+    meta.className = 'console-meta';
+    meta.textContent = `[${time}] [${record.thread ? record.thread + '/' : ''}${record.level}] `;
+
+    line.appendChild(meta);
+    line.appendChild(document.createTextNode(record.message));
+    return line;
+}
+
+// Re-render the whole console with the current filters
+function renderConsole() {
+    if (!consoleOutput) return;
+
+    const visible = consoleRecords.filter(matchesConsoleFilter);
+    consoleOutput.innerHTML = '';
+
+    if (visible.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'console-empty';
+        empty.textContent = consoleRecords.length === 0
+            ? 'No game output yet. Launch the game to see its logs here.'
+            : 'No log lines match the current filter.';
+        consoleOutput.appendChild(empty);
+        return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    visible.forEach(record => fragment.appendChild(createConsoleLine(record)));
+    consoleOutput.appendChild(fragment);
+    consoleOutput.scrollTop = consoleOutput.scrollHeight;
+}
+
+// Append new records, keeping the view pinned to the bottom if it already was
+function appendConsoleRecords(records) {
+    consoleRecords.push(...records);
+
+    if (consoleRecords.length > CONSOLE_MAX_RECORDS) {
+        consoleRecords = consoleRecords.slice(-CONSOLE_MAX_RECORDS);
+        renderConsole();
+        return;
+    }
+
+    if (!consoleOutput) return;
+
+    const visible = records.filter(matchesConsoleFilter);
+    if (visible.length === 0) return;
+
+    const emptyEl = consoleOutput.querySelector('.console-empty');
+    if (emptyEl) emptyEl.remove();
+
+    const atBottom = consoleOutput.scrollHeight - consoleOutput.scrollTop - consoleOutput.clientHeight < 40;
+    const fragment = document.createDocumentFragment();
+    visible.forEach(record => fragment.appendChild(createConsoleLine(record)));
+    consoleOutput.appendChild(fragment);
+
+    if (atBottom) {
+        consoleOutput.scrollTop = consoleOutput.scrollHeight;
+    }
+}
+
+// Load the current session's log (e.g. after the launcher window is reloaded)
+async function loadConsoleHistory() {
+    try {
+        const result = await ipcRenderer.invoke('get-game-logs');
+        consoleRecords = result.records || [];
+        renderConsole();
+    } catch (e) {
+        console.log('Could not load game logs:', e);
+    }
+}
+
+if (consoleSearch) {
+    consoleSearch.addEventListener('input', renderConsole);
+}
+
+if (consoleLevel) {
+    consoleLevel.addEventListener('change', renderConsole);
+}
+
+if (consoleClear) {
+    consoleClear.addEventListener('click', () => {
+        consoleRecords = [];
+        renderConsole();
+    });
+}
+
+if (consoleOpenFolder) {
+    consoleOpenFolder.addEventListener('click', async () => {
+        const result = await ipcRenderer.invoke('open-logs-folder');
+        if (!result.success) {
+            console.error('Could not open logs folder:', result.error);
+        }
+    });
+}
+
+// ==================== CRASH DIALOG ====================
+
+const crashDialog = document.getElementById('crash-dialog');
+const crashCauseTitle = document.getElementById('crash-cause-title');
+const crashCauseDetail = document.getElementById('crash-cause-detail');
+const crashMods = document.getElementById('crash-mods');
+const crashReportEl = document.getElementById('crash-report');
+const crashCopyBtn = document.getElementById('crash-copy');
+const crashOpenFolderBtn = document.getElementById('crash-open-folder');
+const crashCloseBtn = document.getElementById('crash-close');
+let lastCrash = null;
+
+function showCrashDialog(analysis) {
+    if (!crashDialog) return;
+    lastCrash = analysis;
+
+    crashCauseTitle.textContent = analysis.cause.title;
+    crashCauseDetail.textContent = analysis.cause.detail;
+    crashMods.textContent = analysis.cause.suspectedMods.length > 0
+        ? `Suspected mods: ${analysis.cause.suspectedMods.join(', ')}`
+        : '';
+    crashReportEl.textContent = analysis.report;
+    crashCopyBtn.textContent = 'Copy Report';
+    crashDialog.style.display = 'flex';
+}
+
+if (crashCopyBtn) {
+    crashCopyBtn.addEventListener('click', () => {
+        if (!lastCrash) return;
+        require('electron').clipboard.writeText(lastCrash.report);
+        crashCopyBtn.textContent = 'Copied!';
+    });
+}
+
+if (crashOpenFolderBtn) {
+    crashOpenFolderBtn.addEventListener('click', async () => {
+        if (!lastCrash) return;
+        const target = lastCrash.files.crashReport || lastCrash.files.hsErr || lastCrash.folder;
+        const result = await ipcRenderer.invoke('open-crash-folder', target);
+        if (!result.success) {
+            console.error('Could not open crash folder:', result.error);
+        }
+    });
+}
+
+if (crashCloseBtn) {
+    crashCloseBtn.addEventListener('click', () => {
+        crashDialog.style.display = 'none';
+    });
+}
 
 // ==================== LAUNCHER AUTO-UPDATE ====================
 
@@ -924,3 +2590,4 @@ async function updateLauncherVersionDisplay() {
 
 init();
 updateLauncherVersionDisplay();
+loadConsoleHistory();
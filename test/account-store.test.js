@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test gets its own userData directory, with a working OS keyring
+let userData = null;
+require.cache[require.resolve('electron')] = {
+    exports: {
+        app: { getPath: () => userData },
+        safeStorage: {
+            isEncryptionAvailable: () => true,
+            getSelectedStorageBackend: () => 'gnome_libsecret',
+            encryptString: text => Buffer.from(`sealed:${text}`),
+            decryptString: buffer => buffer.toString().replace(/^sealed:/, '')
+        }
+    }
+};
+
+// Modules that remember state between calls (the config migration, the vault key)
+const STATEFUL_MODULES = ['../src/core/config-manager', '../src/core/credential-vault', '../src/launch/account-store'];
+
+/**
+ * Load a fresh copy of the account store on an empty directory
+ * @param {Object} config - config.json to start from, if any
+ */
+function freshAccountStore(t, config = null) {
+    userData = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-accounts-'));
+    const dir = userData;
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    if (config) {
+        fs.writeFileSync(path.join(userData, 'config.json'), JSON.stringify(config));
+    }
+
+    for (const modulePath of STATEFUL_MODULES) {
+        delete require.cache[require.resolve(modulePath)];
+    }
+    return require('../src/launch/account-store');
+}
+
+function readAccountsFile() {
+    return JSON.parse(fs.readFileSync(path.join(userData, 'accounts.json'), 'utf8'));
+}
+
+test('the username of older configs becomes the first offline account', async (t) => {
+    const { listAccounts, getAccount, AccountType } = freshAccountStore(t, { last_username: 'Notch', is_username_configured: true });
+    t.mock.method(console, 'log', () => {});
+
+    const { accounts, selected } = await listAccounts();
+
+    assert.strictEqual(accounts.length, 1);
+    assert.strictEqual(accounts[0].type, AccountType.OFFLINE);
+    assert.strictEqual(accounts[0].username, 'Notch');
+    assert.strictEqual(accounts[0].uuid, 'b50ad385-829d-3141-a216-7e7d7539ba7f');
+    assert.strictEqual(selected, accounts[0].id);
+    assert.strictEqual((await getAccount()).username, 'Notch');
+    assert.strictEqual(readAccountsFile().accounts.length, 1);
+});
+
+test('generated usernames that were never confirmed are not imported', async (t) => {
+    const { listAccounts } = freshAccountStore(t, { last_username: 'Player123', is_username_configured: false });
+    t.mock.method(console, 'log', () => {});
+
+    assert.deepStrictEqual(await listAccounts(), { accounts: [], selected: null });
+    assert.ok(!fs.existsSync(path.join(userData, 'accounts.json')));
+});
+
+test('adding an offline name twice selects the existing account', async (t) => {
+    const { addOfflineAccount, listAccounts } = freshAccountStore(t);
+    t.mock.method(console, 'log', () => {});
+
+    const steve = await addOfflineAccount(' Steve ');
+    const alex = await addOfflineAccount('Alex');
+    assert.strictEqual(alex.username, 'Alex');
+    assert.strictEqual((await addOfflineAccount('steve')).id, steve.id);
+
+    const { accounts, selected } = await listAccounts();
+    assert.strictEqual(accounts.length, 2);
+    assert.strictEqual(selected, steve.id);
+    await assert.rejects(addOfflineAccount('no spaces allowed'));
+});
+
+test('removing the selected account selects the most recently used one', async (t) => {
+    const { addOfflineAccount, markAccountUsed, selectAccount, removeAccount, listAccounts } = freshAccountStore(t);
+    t.mock.method(console, 'log', () => {});
+
+    const steve = await addOfflineAccount('Steve');
+    const alex = await addOfflineAccount('Alex');
+    const herobrine = await addOfflineAccount('Herobrine');
+    await markAccountUsed(steve.id);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await markAccountUsed(alex.id);
+    await selectAccount(herobrine.id);
+
+    await removeAccount(herobrine.id);
+
+    const { accounts, selected } = await listAccounts();
+    assert.strictEqual(selected, alex.id);
+    assert.deepStrictEqual(accounts.map(account => account.username), ['Alex', 'Steve']);
+    await assert.rejects(removeAccount(herobrine.id), /Account not found/);
+    await assert.rejects(selectAccount(herobrine.id), /Account not found/);
+});
+
+test('offline accounts launch with their name-based UUID', async (t) => {
+    const { addOfflineAccount, getAccount, createLaunchProfile } = freshAccountStore(t);
+    t.mock.method(console, 'log', () => {});
+
+    await addOfflineAccount('Notch');
+    const profile = await createLaunchProfile(await getAccount());
+
+    assert.strictEqual(profile.username, 'Notch');
+    assert.strictEqual(profile.uuid, 'b50ad385-829d-3141-a216-7e7d7539ba7f');
+    assert.strictEqual(profile.accessToken, 'b50ad385829d3141a2167e7d7539ba7f');
+});
+
+test('Microsoft sign-ins keep their tokens out of accounts.json', async (t) => {
+    const { addMicrosoftAccount, getAccount, listAccounts } = freshAccountStore(t);
+    const session = { uuid: '069a79f4-44e9-4726-a5be-fca90e38aaf5', username: 'Steve', xuid: '2535405290000000', minecraft: { accessToken: 'mc-access' } };
+
+    const account = await addMicrosoftAccount(session);
+    assert.strictEqual((await addMicrosoftAccount({ ...session, username: 'Steve_Renamed' })).id, account.id);
+
+    assert.strictEqual((await getAccount()).username, 'Steve_Renamed');
+    assert.strictEqual((await listAccounts()).accounts.length, 1);
+    assert.ok(!JSON.stringify(readAccountsFile()).includes('mc-access'));
+    assert.ok(!('session' in await getAccount()));
+});
+
+test('unknown account types cannot launch', async (t) => {
+    const { createLaunchProfile } = freshAccountStore(t);
+
+    await assert.rejects(createLaunchProfile({ id: 'x', type: 'mojang', username: 'Steve' }), /Unsupported account type: mojang/);
+});
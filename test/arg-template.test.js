@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+// Outside Electron: only app.getVersion() is used
+require.cache[require.resolve('electron')] = {
+    exports: { app: { getVersion: () => '1.0.0-test' } }
+};
+
+const {
+    createTemplateVariables,
+    resolveArgumentTemplates,
+    expandArguments,
+    substitute,
+    LAUNCHER_NAME
+} = require('../src/launch/arg-template');
+
+const WINDOWS = { os: { name: 'windows', version: '10.0', arch: 'x64' }, features: {} };
+
+const PLAYER = {
+    username: 'Steve',
+    uuid: '069a79f4-44e9-4726-a5be-fca90e38aaf5',
+    accessToken: 'token-123',
+    userType: 'msa'
+};
+
+test('placeholders are replaced, unknown ones are kept and reported', () => {
+    const unresolved = new Set();
+    const result = substitute('--name ${auth_player_name} --x ${mystery}', { auth_player_name: 'Steve' }, unresolved);
+
+    assert.strictEqual(result, '--name Steve --x ${mystery}');
+    assert.deepStrictEqual([...unresolved], ['mystery']);
+});
+
+test('an empty value still counts as resolved', () => {
+    const unresolved = new Set();
+
+    assert.strictEqual(substitute('${quickPlayPath}', { quickPlayPath: '' }, unresolved), '');
+    assert.strictEqual(unresolved.size, 0);
+});
+
+test('conditional arguments are only added when their rules allow', () => {
+    const list = [
+        '-Dname=${auth_player_name}',
+        { rules: [{ action: 'allow', os: { name: 'osx' } }], value: '-XstartOnFirstThread' },
+        { rules: [{ action: 'allow', os: { name: 'windows' } }], value: ['-Xss1M', '-Dos=${os}'] }
+    ];
+
+    assert.deepStrictEqual(
+        expandArguments(list, { auth_player_name: 'Steve', os: 'win' }, WINDOWS),
+        ['-Dname=Steve', '-Xss1M', '-Dos=win']
+    );
+});
+
+test('legacy minecraftArguments get the default JVM arguments', () => {
+    const metadata = { minecraftArguments: '--username ${auth_player_name}  --session ${auth_session}' };
+    const variables = { auth_player_name: 'Steve', natives_directory: '/n', classpath: 'a.jar' };
+
+    const result = resolveArgumentTemplates(metadata, variables, { jvm: WINDOWS, game: WINDOWS });
+
+    assert.deepStrictEqual(result.jvm, ['-Djava.library.path=/n', '-cp', 'a.jar']);
+    assert.deepStrictEqual(result.game, ['--username', 'Steve', '--session', '${auth_session}']);
+    assert.deepStrictEqual(result.unresolved, [{ section: 'game', name: 'auth_session' }]);
+});
+
+test('modern arguments report unresolved placeholders per section', () => {
+    const metadata = {
+        arguments: {
+            jvm: ['-Dfoo=${unknown_jvm}'],
+            game: ['--width', '${resolution_width}']
+        }
+    };
+
+    const result = resolveArgumentTemplates(metadata, { resolution_width: '854' }, { jvm: WINDOWS, game: WINDOWS });
+
+    assert.deepStrictEqual(result.game, ['--width', '854']);
+    assert.deepStrictEqual(result.unresolved, [{ section: 'jvm', name: 'unknown_jvm' }]);
+});
+
+test('template variables describe the launch', () => {
+    const gameDir = path.join('/games', 'naizo');
+    const variables = createTemplateVariables({
+        config: { window: { width: 1280, height: 720 } },
+        gameDir,
+        version: 'fabric-loader-0.18.3-1.20.1',
+        metadata: { assetIndex: { id: '5' }, type: 'release' },
+        playerProfile: PLAYER,
+        nativesDir: '/natives',
+        classpath: 'a.jar',
+        quickPlay: { variables: { quickPlayMultiplayer: 'play.example.com' } }
+    });
+
+    assert.strictEqual(variables.launcher_name, LAUNCHER_NAME);
+    assert.strictEqual(variables.launcher_version, '1.0.0-test');
+    assert.strictEqual(variables.assets_root, path.join(gameDir, 'assets'));
+    assert.strictEqual(variables.assets_index_name, '5');
+    assert.strictEqual(variables.auth_session, 'token:token-123:069a79f444e94726a5befca90e38aaf5');
+    assert.strictEqual(variables.clientid, 'token-123');
+    assert.strictEqual(variables.auth_xuid, '');
+    assert.strictEqual(variables.resolution_width, '1280');
+    assert.strictEqual(variables.quickPlayMultiplayer, 'play.example.com');
+});
+
+test('old versions without an asset index use their assets name', () => {
+    const variables = createTemplateVariables({
+        config: {},
+        gameDir: '/games',
+        version: '1.6.4',
+        metadata: { assets: 'legacy' },
+        playerProfile: PLAYER,
+        nativesDir: '/natives',
+        classpath: ''
+    });
+
+    assert.strictEqual(variables.assets_index_name, 'legacy');
+    assert.strictEqual(variables.version_type, 'release');
+    assert.strictEqual(variables.resolution_width, '');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test gets its own userData directory
+let userData = null;
+require.cache[require.resolve('electron')] = {
+    exports: { app: { getPath: () => userData } }
+};
+
+/**
+ * Load a fresh copy of the config module (it remembers the migration it ran) on an empty directory
+ */
+function freshConfigManager(t) {
+    userData = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-config-'));
+    const dir = userData;
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    delete require.cache[require.resolve('../src/core/config-manager')];
+    return require('../src/core/config-manager');
+}
+
+/**
+ * Write a config from before loader versions could be chosen, with its Fabric install
+ */
+function writeLegacyInstall() {
+    const gameDir = path.join(userData, 'minecraft');
+    const legacyDir = path.join(gameDir, 'versions', 'fabric-loader-1.20.1');
+    fs.mkdirSync(legacyDir, { recursive: true });
+    fs.writeFileSync(path.join(legacyDir, 'fabric-loader-1.20.1.jar'), 'client');
+    fs.writeFileSync(path.join(userData, 'config.json'), JSON.stringify({
+        minecraft_version: 'fabric-loader-1.20.1',
+        game_directory: gameDir
+    }));
+    return gameDir;
+}
+
+function readSavedConfig() {
+    return JSON.parse(fs.readFileSync(path.join(userData, 'config.json'), 'utf8'));
+}
+
+test('a Fabric version id is split into the Minecraft and loader versions', async (t) => {
+    const { loadConfig } = freshConfigManager(t);
+    const gameDir = writeLegacyInstall();
+    t.mock.method(console, 'log', () => {});
+
+    const config = await loadConfig();
+
+    assert.strictEqual(config.minecraft_version, '1.20.1');
+    assert.deepStrictEqual(config.loader, { type: 'fabric', version: '0.18.3' });
+    assert.strictEqual(config.server_ip, '51.83.4.21:25567');
+    assert.deepStrictEqual(readSavedConfig(), config);
+
+    // The downloaded client moves to the new version id
+    const jarPath = path.join(gameDir, 'versions', 'fabric-loader-0.18.3-1.20.1', 'fabric-loader-0.18.3-1.20.1.jar');
+    assert.strictEqual(fs.readFileSync(jarPath, 'utf8'), 'client');
+    assert.ok(!fs.existsSync(path.join(gameDir, 'versions', 'fabric-loader-1.20.1')));
+});
+
+test('loads running at the same time migrate only once', async (t) => {
+    const { loadConfig } = freshConfigManager(t);
+    writeLegacyInstall();
+    const log = t.mock.method(console, 'log', () => {});
+    const warn = t.mock.method(console, 'warn', () => {});
+    const writeFile = t.mock.method(fs.promises, 'writeFile');
+
+    const configs = await Promise.all([loadConfig(), loadConfig(), loadConfig()]);
+
+    for (const config of configs) {
+        assert.strictEqual(config.minecraft_version, '1.20.1');
+        assert.deepStrictEqual(config.loader, { type: 'fabric', version: '0.18.3' });
+    }
+    const moves = log.mock.calls.filter(call => /Moved the Minecraft client/.test(call.arguments[0]));
+    assert.strictEqual(moves.length, 1);
+    assert.strictEqual(writeFile.mock.callCount(), 1);
+    assert.strictEqual(warn.mock.callCount(), 0);
+});
+
+test('an up to date config is left as it is', async (t) => {
+    const { loadConfig, getDefaultConfig } = freshConfigManager(t);
+    const saved = JSON.stringify(getDefaultConfig());
+    fs.writeFileSync(path.join(userData, 'config.json'), saved);
+
+    assert.deepStrictEqual(await loadConfig(), getDefaultConfig());
+    assert.strictEqual(fs.readFileSync(path.join(userData, 'config.json'), 'utf8'), saved);
+});
+
+test('the development config is copied to userData the first time', async (t) => {
+    const { loadConfig } = freshConfigManager(t);
+    t.mock.method(console, 'log', () => {});
+    const devConfig = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config.json'), 'utf8'));
+
+    assert.deepStrictEqual(await loadConfig(), devConfig);
+    assert.deepStrictEqual(readSavedConfig(), devConfig);
+});
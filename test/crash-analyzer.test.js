@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyzeCrash, detectCause, findSuspectedMods, CrashCause, CRASH_CONFIG } = require('../src/launch/crash-analyzer');
+
+test('a newer class file version asks for the matching Java', () => {
+    const cause = detectCause([
+        'java.lang.UnsupportedClassVersionError: net/minecraft/client/main/Main has been compiled by a more recent version ' +
+        'of the Java Runtime (class file version 65.0), this version of the Java Runtime only recognizes class file versions up to 61.0'
+    ]);
+
+    assert.strictEqual(cause.type, CrashCause.WRONG_JAVA);
+    assert.match(cause.detail, /needs Java 21 or newer/);
+});
+
+test('out of memory errors are recognized', () => {
+    assert.strictEqual(detectCause([null, 'java.lang.OutOfMemoryError: Java heap space']).type, CrashCause.OUT_OF_MEMORY);
+    assert.strictEqual(detectCause(['There is insufficient memory for the Java Runtime Environment to continue.']).type, CrashCause.OUT_OF_MEMORY);
+});
+
+test('a failed mixin names its mod', () => {
+    const cause = detectCause([
+        'Mixin [sodium.mixins.json:core.MinecraftClientMixin] from mod sodium failed injection check'
+    ]);
+
+    assert.strictEqual(cause.type, CrashCause.MIXIN_FAILURE);
+    assert.strictEqual(cause.modId, 'sodium');
+    assert.match(cause.detail, /"sodium" failed to patch the game \(sodium\.mixins\.json:core\.MinecraftClientMixin\)/);
+});
+
+test('mods in the stack trace are blamed, the most named first', () => {
+    const trace = [
+        'at net.minecraft.class_310.handler$zza000$iris$onRender(class_310.java:100)',
+        'at net.minecraft.class_310.handler$zzb000$lithium$tick(class_310.java:200)',
+        'at net.minecraft.class_310.redirect$zzc000$lithium$redirectTick(class_310.java:300)',
+        'at net.minecraft.class_310.handler$zzd000$minecraft$ignored(class_310.java:400)'
+    ].join('\n');
+
+    assert.deepStrictEqual(findSuspectedMods(trace), ['lithium', 'iris']);
+
+    const cause = detectCause([trace]);
+    assert.strictEqual(cause.type, CrashCause.MOD_ERROR);
+    assert.strictEqual(cause.modId, 'lithium');
+});
+
+test('native crashes report the problematic frame', () => {
+    const hsErr = [
+        '# A fatal error has been detected by the Java Runtime Environment:',
+        '#',
+        '# Problematic frame:',
+        '# C  [libnvidia-glcore.so.535+0x9a1b2c]'
+    ].join('\n');
+
+    const cause = detectCause([hsErr]);
+    assert.strictEqual(cause.type, CrashCause.NATIVE_CRASH);
+    assert.match(cause.detail, /libnvidia-glcore/);
+});
+
+test('other crashes use the crash report description', () => {
+    assert.strictEqual(detectCause(['Description: Rendering overlay\n\njava.lang.NullPointerException']).detail, 'Rendering overlay');
+    assert.strictEqual(detectCause([null, '']).type, CrashCause.UNKNOWN);
+});
+
+test('a long crash report does not push the last log lines out of the report', async (t) => {
+    const gameDir = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-crash-'));
+    t.after(() => fs.rmSync(gameDir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(gameDir, 'crash-reports'));
+    fs.writeFileSync(
+        path.join(gameDir, 'crash-reports', 'crash-2026-10-18_12.00.00-client.txt'),
+        `Description: Ticking entity\n${'\tat net.minecraft.class_1297.method_5773(class_1297.java:1)\n'.repeat(5000)}`
+    );
+
+    const logRecords = [];
+    for (let i = 0; i < CRASH_CONFIG.LOG_TAIL_LINES; i++) {
+        logRecords.push({ time: 0, thread: 'Render thread', level: 'INFO', message: `line ${i} ${'x'.repeat(400)}` });
+    }
+    logRecords.push({ time: 0, thread: 'Render thread', level: 'ERROR', message: 'Session token eyJ-secret rejected' });
+
+    const analysis = await analyzeCrash({ gameDir, exitCode: 1, logRecords, secrets: ['eyJ-secret'] });
+
+    assert.strictEqual(analysis.cause.detail, 'Ticking entity');
+    assert.ok(analysis.report.length <= CRASH_CONFIG.REPORT_MAX_CHARS);
+    assert.ok(analysis.report.startsWith('Exit code: 1'));
+    assert.match(analysis.report, /---- Crash report \(crash-2026-10-18_12\.00\.00-client\.txt\) ----/);
+    assert.ok(analysis.report.endsWith('[Render thread/ERROR]: Session token REDACTED rejected'));
+    assert.ok(!analysis.report.includes('eyJ-secret'));
+
+    // The log is cut at a line, keeping the newest
+    const log = analysis.report.slice(analysis.report.indexOf('---- Last '));
+    assert.match(log.split('\n')[1], /^\[\d\d:\d\d:\d\d\] \[Render thread\/INFO\]: line \d+ x+$/);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test gets its own userData directory; safeStorage is off unless a test turns it on
+let userData = null;
+const safeStorage = {
+    available: false,
+    isEncryptionAvailable() { return this.available; },
+    getSelectedStorageBackend: () => 'gnome_libsecret',
+    encryptString: text => Buffer.from(`sealed:${text}`),
+    decryptString: buffer => buffer.toString().replace(/^sealed:/, '')
+};
+require.cache[require.resolve('electron')] = {
+    exports: { app: { getPath: () => userData }, safeStorage }
+};
+
+/**
+ * Load a fresh copy of the vault module (it keeps the passphrase key in memory) on an empty directory
+ */
+function freshVault(t, { safeStorageAvailable = false } = {}) {
+    userData = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-vault-'));
+    const dir = userData;
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    safeStorage.available = safeStorageAvailable;
+    delete require.cache[require.resolve('../src/core/credential-vault')];
+    return require('../src/core/credential-vault');
+}
+
+function readVaultFile() {
+    return fs.readFileSync(path.join(userData, 'credentials.json'), 'utf8');
+}
+
+test('without a keyring secrets need the passphrase first', async (t) => {
+    const vault = freshVault(t);
+
+    assert.deepStrictEqual(await vault.getVaultStatus(), { method: 'passphrase', locked: true, hasPassphrase: false });
+    await assert.rejects(vault.storeSecret('account-1', { accessToken: 'secret' }), { code: 'VAULT_LOCKED' });
+    await assert.rejects(vault.unlockVault('short'), /at least 8 characters/);
+});
+
+test('passphrase-encrypted secrets round-trip and are not readable in the file', async (t) => {
+    const vault = freshVault(t);
+
+    const status = await vault.unlockVault('correct horse');
+    assert.deepStrictEqual(status, { method: 'passphrase', locked: false, hasPassphrase: true });
+
+    await vault.storeSecret('account-1', { accessToken: 'eyJ-access', refreshToken: 'M.R3-refresh' });
+
+    assert.deepStrictEqual(await vault.readSecret('account-1'), { accessToken: 'eyJ-access', refreshToken: 'M.R3-refresh' });
+    assert.strictEqual(await vault.readSecret('account-2'), null);
+    assert.ok(!readVaultFile().includes('eyJ-access'));
+    assert.ok(!readVaultFile().includes('M.R3-refresh'));
+});
+
+test('a restarted launcher needs the same passphrase again', async (t) => {
+    const first = freshVault(t);
+    await first.unlockVault('correct horse');
+    await first.storeSecret('account-1', { accessToken: 'eyJ-access' });
+
+    delete require.cache[require.resolve('../src/core/credential-vault')];
+    const restarted = require('../src/core/credential-vault');
+
+    await assert.rejects(restarted.readSecret('account-1'), { code: 'VAULT_LOCKED' });
+    await assert.rejects(restarted.unlockVault('wrong horse'), /Wrong vault passphrase/);
+    await restarted.unlockVault('correct horse');
+    assert.deepStrictEqual(await restarted.readSecret('account-1'), { accessToken: 'eyJ-access' });
+});
+
+test('secrets are sealed with safeStorage when a keyring is available', async (t) => {
+    const vault = freshVault(t, { safeStorageAvailable: true });
+
+    await vault.storeSecret('account-1', { accessToken: 'eyJ-access' });
+
+    assert.strictEqual((await vault.getVaultStatus()).method, 'safe_storage');
+    assert.deepStrictEqual(await vault.readSecret('account-1'), { accessToken: 'eyJ-access' });
+    assert.ok(JSON.parse(readVaultFile()).entries['account-1'].length > 0);
+});
+
+test('parallel writes all end up in the vault', async (t) => {
+    const vault = freshVault(t, { safeStorageAvailable: true });
+
+    await Promise.all(['a', 'b', 'c', 'd'].map(id => vault.storeSecret(id, { accessToken: `token-${id}` })));
+    await Promise.all([vault.deleteSecret('b'), vault.storeSecret('e', { accessToken: 'token-e' })]);
+
+    assert.deepStrictEqual(Object.keys(JSON.parse(readVaultFile()).entries).sort(), ['a', 'c', 'd', 'e']);
+    assert.deepStrictEqual(await vault.readSecret('d'), { accessToken: 'token-d' });
+});
+
+test('a failed write does not stop the writes queued after it', async (t) => {
+    const vault = freshVault(t);
+
+    const locked = vault.storeSecret('a', { accessToken: 'token-a' });
+    const unlocked = vault.unlockVault('correct horse').then(() => vault.storeSecret('b', { accessToken: 'token-b' }));
+
+    await assert.rejects(locked, { code: 'VAULT_LOCKED' });
+    await unlocked;
+    assert.deepStrictEqual(await vault.readSecret('b'), { accessToken: 'token-b' });
+});
+
+test('a damaged vault file is moved aside instead of overwritten', async (t) => {
+    const vault = freshVault(t, { safeStorageAvailable: true });
+    fs.writeFileSync(path.join(userData, 'credentials.json'), '{"entries": {"account-1": "sealed');
+    t.mock.method(console, 'error', () => {});
+
+    await vault.storeSecret('account-2', { accessToken: 'eyJ-new' });
+
+    const backups = fs.readdirSync(userData).filter(name => name.endsWith('.bak'));
+    assert.strictEqual(backups.length, 1);
+    assert.strictEqual(fs.readFileSync(path.join(userData, backups[0]), 'utf8'), '{"entries": {"account-1": "sealed');
+    assert.deepStrictEqual(await vault.readSecret('account-2'), { accessToken: 'eyJ-new' });
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+require.cache[require.resolve('electron')] = {
+    exports: { app: { getPath: () => os.tmpdir() }, safeStorage: { isEncryptionAvailable: () => false } }
+};
+const { extractNatives } = require('../src/launch/game-launcher');
+
+const VERSION = '1.20.1';
+
+/**
+ * Write a native classifier jar into the game's libraries folder
+ * @param {Object} entries - Entry name -> content
+ */
+function writeNativeJar(gameDir, libPath, entries) {
+    const zip = new AdmZip();
+    for (const [name, content] of Object.entries(entries)) {
+        zip.addFile(name, Buffer.from(content));
+    }
+    const jarPath = path.join(gameDir, 'libraries', libPath);
+    fs.mkdirSync(path.dirname(jarPath), { recursive: true });
+    zip.writeZip(jarPath);
+}
+
+function createGameDir(t) {
+    const gameDir = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-natives-'));
+    t.after(() => fs.rmSync(gameDir, { recursive: true, force: true }));
+    t.mock.method(console, 'log', () => {});
+    return gameDir;
+}
+
+const LWJGL = {
+    path: 'org/lwjgl/lwjgl/3.3.1/lwjgl-3.3.1-natives-linux.jar',
+    sha1: 'aaaa',
+    isNative: true,
+    extract: { exclude: ['META-INF/'] }
+};
+const GLFW = { path: 'org/lwjgl/lwjgl-glfw/3.3.1/lwjgl-glfw-3.3.1-natives-linux.jar', sha1: 'bbbb', isNative: true };
+const CLIENT_LIB = { path: 'com/mojang/brigadier/1.1.8/brigadier-1.1.8.jar', sha1: 'cccc', isNative: false };
+
+test('every native classifier jar is extracted, without the excluded entries', async (t) => {
+    const gameDir = createGameDir(t);
+    writeNativeJar(gameDir, LWJGL.path, { 'linux/x64/org/lwjgl/liblwjgl.so': 'lwjgl', 'META-INF/MANIFEST.MF': 'manifest' });
+    writeNativeJar(gameDir, GLFW.path, { 'linux/x64/org/lwjgl/glfw/libglfw.so': 'glfw' });
+
+    const nativesDir = await extractNatives(gameDir, VERSION, [LWJGL, GLFW, CLIENT_LIB]);
+
+    assert.strictEqual(nativesDir, path.join(gameDir, 'natives', VERSION));
+    assert.strictEqual(fs.readFileSync(path.join(nativesDir, 'linux/x64/org/lwjgl/liblwjgl.so'), 'utf8'), 'lwjgl');
+    assert.strictEqual(fs.readFileSync(path.join(nativesDir, 'linux/x64/org/lwjgl/glfw/libglfw.so'), 'utf8'), 'glfw');
+    assert.ok(!fs.existsSync(path.join(nativesDir, 'META-INF')));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(nativesDir, '.natives.json'), 'utf8')), {
+        natives: [{ path: LWJGL.path, sha1: 'aaaa' }, { path: GLFW.path, sha1: 'bbbb' }]
+    });
+});
+
+test('natives are only extracted again when the native jars change', async (t) => {
+    const gameDir = createGameDir(t);
+    writeNativeJar(gameDir, LWJGL.path, { 'liblwjgl.so': 'lwjgl' });
+    const nativesDir = await extractNatives(gameDir, VERSION, [LWJGL]);
+
+    // Unchanged: a file left in the folder shows nothing was cleaned out
+    fs.writeFileSync(path.join(nativesDir, 'leftover.so'), 'old');
+    await extractNatives(gameDir, VERSION, [LWJGL, CLIENT_LIB]);
+    assert.ok(fs.existsSync(path.join(nativesDir, 'leftover.so')));
+
+    // A new jar version replaces the folder
+    writeNativeJar(gameDir, LWJGL.path, { 'liblwjgl.so': 'lwjgl 2' });
+    await extractNatives(gameDir, VERSION, [{ ...LWJGL, sha1: 'dddd' }]);
+    assert.ok(!fs.existsSync(path.join(nativesDir, 'leftover.so')));
+    assert.strictEqual(fs.readFileSync(path.join(nativesDir, 'liblwjgl.so'), 'utf8'), 'lwjgl 2');
+});
+
+test('a missing native jar fails the extraction with its name', async (t) => {
+    const gameDir = createGameDir(t);
+    t.mock.method(console, 'error', () => {});
+
+    await assert.rejects(
+        extractNatives(gameDir, VERSION, [GLFW]),
+        /Failed to extract native library lwjgl-glfw-3\.3\.1-natives-linux\.jar/
+    );
+    assert.ok(!fs.existsSync(path.join(gameDir, 'natives', VERSION, '.natives.json')));
+});
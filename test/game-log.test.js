@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once, EventEmitter } = require('events');
+const { GameLogSession, createLogParser, parseLog4jEvent, getLogsDirectory, LOG_CONFIG } = require('../src/launch/game-log');
+
+const EVENT = '<log4j:Event logger="net.minecraft.client.Minecraft" timestamp="1760788800000" level="WARN" thread="Render thread">\n' +
+    '  <log4j:Message><![CDATA[Missing sound for event: <none> & more]]></log4j:Message>\n' +
+    '</log4j:Event>\n';
+
+/**
+ * Parse chunks of output and return the records
+ */
+function parse(chunks, stream = 'stdout') {
+    const records = [];
+    const parser = createLogParser(record => records.push(record));
+    for (const chunk of chunks) {
+        parser.push(Buffer.from(chunk), stream);
+    }
+    parser.flush();
+    return records;
+}
+
+test('log4j events keep their attributes, CDATA messages and throwables', () => {
+    assert.deepStrictEqual(parseLog4jEvent(EVENT), {
+        time: 1760788800000,
+        level: 'WARN',
+        thread: 'Render thread',
+        logger: 'net.minecraft.client.Minecraft',
+        message: 'Missing sound for event: <none> & more'
+    });
+
+    const record = parseLog4jEvent(
+        '<log4j:Event logger="a&amp;b" timestamp="1" level="ERROR" thread="Server thread">' +
+        '<log4j:Message>Tick &lt;failed&gt;</log4j:Message>' +
+        '<log4j:Throwable><![CDATA[java.lang.NullPointerException\n\tat a.b(c.java:1)\n]]></log4j:Throwable>' +
+        '</log4j:Event>'
+    );
+    assert.strictEqual(record.logger, 'a&b');
+    assert.strictEqual(record.message, 'Tick <failed>\njava.lang.NullPointerException\n\tat a.b(c.java:1)');
+});
+
+test('an event split across chunks is parsed once it is complete', () => {
+    const records = parse([`Starting\n${EVENT.slice(0, 40)}`, EVENT.slice(40, 120), `${EVENT.slice(120)}[12:00:00] [main/INFO]: Done\n`]);
+
+    assert.deepStrictEqual(records.map(record => [record.level, record.message]), [
+        ['INFO', 'Starting'],
+        ['WARN', 'Missing sound for event: <none> & more'],
+        ['INFO', 'Done']
+    ]);
+    assert.strictEqual(records[2].thread, 'main');
+});
+
+test('plain lines without a level continue the previous record', () => {
+    const records = parse(['[12:00:01] [Render thread/ERROR] (Minecraft): Crashed\r\n', '\tat net.minecraft.class_310.run(class_310.java:1)\n\nno newline']);
+
+    assert.deepStrictEqual(records.map(record => [record.level, record.thread, record.message]), [
+        ['ERROR', 'Render thread', 'Crashed'],
+        ['ERROR', 'Render thread', '\tat net.minecraft.class_310.run(class_310.java:1)'],
+        ['ERROR', 'Render thread', 'no newline']
+    ]);
+    assert.strictEqual(records[0].logger, 'Minecraft');
+});
+
+test('unformatted stderr output is an error', () => {
+    const [record] = parse(['Exception in thread "main" java.lang.Error\n'], 'stderr');
+
+    assert.strictEqual(record.level, 'ERROR');
+    assert.strictEqual(record.stream, 'stderr');
+});
+
+test('session tokens are redacted from the log file and the console', async (t) => {
+    const gameDir = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-log-'));
+    t.after(() => fs.rmSync(gameDir, { recursive: true, force: true }));
+    const batches = [];
+    const session = new GameLogSession(gameDir, records => batches.push(records), ['eyJ-secret']);
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+
+    const filePath = await session.open();
+    session.attach(child);
+    session.write('Launching with --accessToken eyJ-secret');
+    child.stdout.emit('data', Buffer.from('[12:00:00] [main/INFO]: Setting user: Steve eyJ-secret\n'));
+    const writer = session.writer;
+    child.emit('close', 0);
+    await once(writer, 'finish');
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    assert.match(lines[0], /\[Launcher\/INFO\]: Launching with --accessToken REDACTED$/);
+    assert.match(lines[1], /\[main\/INFO\]: Setting user: Steve REDACTED$/);
+    assert.strictEqual(batches.length, 1);
+    assert.ok(batches[0].every(record => !record.message.includes('eyJ-secret')));
+    assert.strictEqual(session.getHistory().length, 2);
+});
+
+test('only the newest session logs are kept', async (t) => {
+    const gameDir = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-log-'));
+    t.after(() => fs.rmSync(gameDir, { recursive: true, force: true }));
+    const logsDir = getLogsDirectory(gameDir);
+    fs.mkdirSync(logsDir);
+    for (let i = 0; i < LOG_CONFIG.MAX_SESSION_FILES + 2; i++) {
+        fs.writeFileSync(path.join(logsDir, `session-2020-01-${String(i + 1).padStart(2, '0')}-00-00-00.log`), '');
+    }
+    fs.writeFileSync(path.join(logsDir, 'notes.txt'), '');
+
+    const session = new GameLogSession(gameDir);
+    const filePath = await session.open();
+    const writer = session.writer;
+    session.close();
+    await once(writer, 'finish');
+
+    const sessions = fs.readdirSync(logsDir).filter(name => name.startsWith('session-')).sort();
+    assert.strictEqual(sessions.length, LOG_CONFIG.MAX_SESSION_FILES);
+    assert.strictEqual(sessions[0], 'session-2020-01-04-00-00-00.log');
+    assert.ok(sessions.includes(path.basename(filePath)));
+    assert.ok(fs.existsSync(path.join(logsDir, 'notes.txt')));
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+require.cache[require.resolve('electron')] = {
+    exports: { app: { getPath: () => os.tmpdir() } }
+};
+const { discoverJava, inspectJava, parseJavaProperties, parseMajorVersion } = require('../src/launch/java-discovery');
+
+// What `java -XshowSettings:properties -version` prints, trimmed
+const SETTINGS_OUTPUT = [
+    'Property settings:',
+    '    java.home = /usr/lib/jvm/temurin-17',
+    '    java.library.path = /usr/java/packages/lib',
+    '        /usr/lib64',
+    '        /lib64',
+    '    java.vendor = Eclipse Adoptium',
+    '    java.version = 17.0.8.1',
+    '    os.arch = amd64',
+    '    sun.arch.data.model = 64',
+    '',
+    'openjdk version "17.0.8.1" 2023-08-24'
+].join('\n');
+
+/**
+ * Write a fake Java home whose java prints the given settings output
+ */
+function writeFakeJava(t, output = SETTINGS_OUTPUT) {
+    const javaHome = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-java-'));
+    t.after(() => fs.rmSync(javaHome, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(javaHome, 'bin'));
+    const javaPath = path.join(javaHome, 'bin', 'java');
+    fs.writeFileSync(javaPath, `#!/bin/sh\ncat >&2 <<'EOF'\n${output}\nEOF\n`, { mode: 0o755 });
+    return { javaHome, javaPath: fs.realpathSync(javaPath) };
+}
+
+test('legacy and modern Java version strings give the major version', () => {
+    assert.strictEqual(parseMajorVersion('1.8.0_382'), 8);
+    assert.strictEqual(parseMajorVersion('17.0.8.1'), 17);
+    assert.strictEqual(parseMajorVersion('21'), 21);
+    assert.strictEqual(parseMajorVersion('22-ea'), 22);
+});
+
+test('property values spanning several lines are joined', () => {
+    const properties = parseJavaProperties(SETTINGS_OUTPUT.replace(/\n/g, '\r\n'));
+
+    assert.strictEqual(properties['java.home'], '/usr/lib/jvm/temurin-17');
+    assert.strictEqual(properties['java.library.path'], ['/usr/java/packages/lib', '/usr/lib64', '/lib64'].join(path.delimiter));
+    assert.strictEqual(properties['sun.arch.data.model'], '64');
+    assert.ok(!('openjdk' in properties));
+});
+
+test('a Java binary is described from its settings', { skip: process.platform === 'win32' }, async (t) => {
+    const { javaPath } = writeFakeJava(t);
+
+    assert.deepStrictEqual(await inspectJava(javaPath), {
+        path: javaPath,
+        version: '17.0.8.1',
+        majorVersion: 17,
+        vendor: 'Eclipse Adoptium',
+        arch: 'amd64',
+        is64Bit: true,
+        javaHome: '/usr/lib/jvm/temurin-17'
+    });
+});
+
+test('programs that are not a working Java are not described', { skip: process.platform === 'win32' }, async (t) => {
+    const { javaHome, javaPath } = writeFakeJava(t, 'java: command not found');
+
+    assert.strictEqual(await inspectJava(javaPath), null);
+    assert.strictEqual(await inspectJava(path.join(javaHome, 'missing')), null);
+});
+
+test('a Java found both in JAVA_HOME and on PATH is listed once', { skip: process.platform === 'win32' }, async (t) => {
+    const { javaHome, javaPath } = writeFakeJava(t);
+    const original = { JAVA_HOME: process.env.JAVA_HOME, PATH: process.env.PATH };
+    process.env.JAVA_HOME = javaHome;
+    process.env.PATH = [path.join(javaHome, 'bin'), original.PATH].join(path.delimiter);
+    t.after(() => {
+        process.env.PATH = original.PATH;
+        if (original.JAVA_HOME === undefined) delete process.env.JAVA_HOME;
+        else process.env.JAVA_HOME = original.JAVA_HOME;
+    });
+
+    const installs = (await discoverJava()).filter(install => install.path === javaPath);
+
+    assert.strictEqual(installs.length, 1);
+    assert.strictEqual(installs[0].source, 'JAVA_HOME');
+    assert.strictEqual(installs[0].majorVersion, 17);
+});
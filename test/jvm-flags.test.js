@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    JVM_PRESETS,
+    NO_PRESET,
+    resolveJvmFlags,
+    validateJvmArgs,
+    formatFlagIssue
+} = require('../src/launch/jvm-flags');
+
+const JAVA_8 = { majorVersion: 8, vendor: 'Eclipse Adoptium' };
+const JAVA_17 = { majorVersion: 17, vendor: 'Oracle Corporation' };
+const JAVA_21 = { majorVersion: 21, vendor: 'Eclipse Adoptium' };
+
+test('custom lines with several options are split on whitespace', () => {
+    const { args } = resolveJvmFlags({ preset: NO_PRESET, custom_args: ['-Xss2M   -XX:+UseG1GC', '  -XX:+ParallelRefProcEnabled  '] });
+
+    assert.deepStrictEqual(args, ['-Xss2M', '-XX:+UseG1GC', '-XX:+ParallelRefProcEnabled']);
+});
+
+test('quoted values with spaces stay one option', () => {
+    const { args } = resolveJvmFlags({
+        preset: NO_PRESET,
+        custom_args: ['-Dlauncher.brand="My Pack" -Dfml.ignoreInvalidMinecraftCertificates=true', "-Djava.io.tmpdir='/tmp/my games'"]
+    });
+
+    assert.deepStrictEqual(args, [
+        '-Dlauncher.brand=My Pack',
+        '-Dfml.ignoreInvalidMinecraftCertificates=true',
+        '-Djava.io.tmpdir=/tmp/my games'
+    ]);
+});
+
+test('a line with an unclosed quote is dropped and reported', () => {
+    const { args, issues } = resolveJvmFlags({ preset: NO_PRESET, custom_args: ['-Dname="My Pack', '-Xss2M'] });
+
+    assert.deepStrictEqual(args, ['-Xss2M']);
+    assert.strictEqual(issues.length, 1);
+    assert.strictEqual(issues[0].action, 'dropped');
+    assert.match(formatFlagIssue(issues[0]), /Unclosed " quote in JVM arguments/);
+});
+
+test('the preset comes before the custom arguments', () => {
+    const { args, preset } = resolveJvmFlags({ preset: 'low_memory', custom_args: ['-Xss2M'] }, JAVA_21);
+
+    assert.strictEqual(preset, 'low_memory');
+    assert.deepStrictEqual(args, [...JVM_PRESETS.low_memory.args, '-Xss2M']);
+});
+
+test('a preset the selected Java cannot run falls back to the default preset', () => {
+    const { preset, issues } = resolveJvmFlags({ preset: 'zgc_generational' }, JAVA_17);
+
+    assert.strictEqual(preset, 'default');
+    assert.ok(issues.some(issue => issue.preset && /needs Java 21\+/.test(issue.reason)));
+});
+
+test('an unknown preset is dropped', () => {
+    const { preset, args } = resolveJvmFlags({ preset: 'turbo', custom_args: [] });
+
+    assert.strictEqual(preset, NO_PRESET);
+    assert.deepStrictEqual(args, []);
+});
+
+test('options removed from or newer than the selected Java are dropped', () => {
+    const { args, issues } = validateJvmArgs(['-XX:MaxPermSize=256M', '-XX:+UseConcMarkSweepGC', '-XX:+UseZGC'], JAVA_8);
+
+    assert.deepStrictEqual(args, ['-XX:MaxPermSize=256M', '-XX:+UseConcMarkSweepGC']);
+    assert.match(issues[0].reason, /Needs Java 15/);
+
+    const modern = validateJvmArgs(['-XX:MaxPermSize=256M', '-XX:+UseZGC'], JAVA_17);
+    assert.deepStrictEqual(modern.args, ['-XX:+UseZGC']);
+    assert.match(modern.issues[0].reason, /Removed in Java 17/);
+});
+
+test('heap sizes and things that are not options are dropped', () => {
+    const { args, issues } = validateJvmArgs(['-Xmx4G', '-XX:MaxHeapSize=4G', 'nogui', '-Xss2M']);
+
+    assert.deepStrictEqual(args, ['-Xss2M']);
+    assert.strictEqual(issues.length, 3);
+});
+
+test('the last value of a repeated option wins, exact repeats are removed quietly', () => {
+    const { args, issues } = validateJvmArgs(['-XX:MaxGCPauseMillis=50', '-Xss1M', '-Xss1M', '-XX:MaxGCPauseMillis=200']);
+
+    assert.deepStrictEqual(args, ['-Xss1M', '-XX:MaxGCPauseMillis=200']);
+    assert.strictEqual(issues.length, 1);
+    assert.match(issues[0].reason, /Overridden by -XX:MaxGCPauseMillis=200/);
+});
+
+test('only the last garbage collector is kept', () => {
+    const { args, issues } = validateJvmArgs(['-XX:+UseG1GC', '-XX:+UseShenandoahGC'], JAVA_21);
+
+    assert.deepStrictEqual(args, ['-XX:+UseShenandoahGC']);
+    assert.match(issues[0].reason, /only one garbage collector/);
+});
+
+test('the experimental unlock flag is moved before the options that need it', () => {
+    const { args, issues } = validateJvmArgs(['-XX:G1NewSizePercent=20', '-XX:+UnlockExperimentalVMOptions']);
+
+    assert.deepStrictEqual(args, ['-XX:+UnlockExperimentalVMOptions', '-XX:G1NewSizePercent=20']);
+    assert.strictEqual(issues[0].action, 'fixed');
+});
+
+test('Shenandoah on Oracle Java is kept but flagged', () => {
+    const { args, issues } = validateJvmArgs(['-XX:+UseShenandoahGC'], JAVA_17);
+
+    assert.deepStrictEqual(args, ['-XX:+UseShenandoahGC']);
+    assert.strictEqual(issues[0].action, 'flagged');
+});
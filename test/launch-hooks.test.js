@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Outside Electron: the hook module only needs the placeholder syntax
+require.cache[require.resolve('electron')] = {
+    exports: { app: { getVersion: () => '1.0.0-test' } }
+};
+
+const {
+    runHook,
+    runLaunchHook,
+    createHookVariables,
+    getHookSettings,
+    substituteHookCommand,
+    HookStage
+} = require('../src/launch/launch-hooks');
+
+const VARIABLES = { game_directory: '/games/my server', player_name: "Steve's", exit_code: '1' };
+
+/**
+ * Game directory whose name is full of shell syntax
+ */
+function createGameDir(t) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-hooks-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    const gameDir = path.join(root, 'it\'s a "game" $HOME `id`');
+    fs.mkdirSync(gameDir);
+    return gameDir;
+}
+
+test('hook settings fall back to the defaults', () => {
+    assert.deepStrictEqual(getHookSettings({ hooks: { pre_launch: '  echo hi  ' } }), {
+        pre_sync: '',
+        pre_launch: 'echo hi',
+        post_exit: '',
+        cancelOnFailure: true,
+        timeoutSeconds: 300
+    });
+    assert.deepStrictEqual(
+        createHookVariables({ gameDir: '/games/survival', version: '1.21.1', username: 'Steve', exitCode: 0 }),
+        { game_directory: '/games/survival', instance_name: 'survival', version_name: '1.21.1', player_name: 'Steve', exit_code: '0' }
+    );
+});
+
+test('variables are quoted for sh where they stand', () => {
+    assert.strictEqual(substituteHookCommand('cd ${game_directory}', VARIABLES, 'linux'), "cd '/games/my server'");
+    assert.strictEqual(substituteHookCommand('echo "Bye ${player_name} (${exit_code})"', VARIABLES, 'linux'), 'echo "Bye Steve\'s (1)"');
+    assert.strictEqual(substituteHookCommand("echo 'Bye ${player_name}'", VARIABLES, 'linux'), "echo 'Bye Steve'\\''s'");
+    assert.strictEqual(substituteHookCommand('echo "$"${exit_code}', VARIABLES, 'linux'), 'echo "$"1');
+    assert.strictEqual(
+        substituteHookCommand('echo "${game_directory}"', { game_directory: 'a"$b`c\\' }, 'linux'),
+        'echo "a\\"\\$b\\`c\\\\"'
+    );
+});
+
+test('quotes escaped outside of a quoted string do not open one', () => {
+    assert.strictEqual(substituteHookCommand("echo \\' ${player_name}", VARIABLES, 'linux'), "echo \\' 'Steve'\\''s'");
+    assert.strictEqual(substituteHookCommand('echo "it\'s" ${player_name}', VARIABLES, 'linux'), "echo \"it's\" 'Steve'\\''s'");
+});
+
+test('variables are quoted for cmd.exe on Windows', () => {
+    const variables = { game_directory: 'C:\\Games\\my server', instance_name: 'survival', player_name: 'Ste"ve' };
+
+    assert.strictEqual(substituteHookCommand('cd /d ${game_directory}', variables, 'win32'), 'cd /d "C:\\Games\\my server"');
+    assert.strictEqual(substituteHookCommand('echo "${game_directory}"', variables, 'win32'), 'echo "C:\\Games\\my server"');
+    assert.strictEqual(substituteHookCommand('echo ${instance_name} ${player_name}', variables, 'win32'), 'echo survival Steve');
+});
+
+test('unknown placeholders are left as they are', () => {
+    assert.strictEqual(substituteHookCommand('echo ${unknown} ${exit_code}', VARIABLES, 'linux'), 'echo ${unknown} 1');
+});
+
+test('a game directory full of shell syntax reaches the hook unchanged', { skip: process.platform === 'win32' }, async (t) => {
+    const gameDir = createGameDir(t);
+    t.mock.method(console, 'log', () => {});
+    const lines = [];
+    const config = {
+        hooks: { post_exit: 'printf \'%s\\n\' ${game_directory} "${game_directory}" \'${instance_name}\' "$NAIZO_GAME_DIRECTORY" "$PWD"' }
+    };
+
+    const result = await runHook(HookStage.POST_EXIT, config, createHookVariables({ gameDir, exitCode: 0 }), line => lines.push(line));
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(lines, [gameDir, gameDir, path.basename(gameDir), gameDir, gameDir]);
+});
+
+test('a failing hook cancels the launch unless failures are allowed', { skip: process.platform === 'win32' }, async (t) => {
+    const gameDir = createGameDir(t);
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const variables = createHookVariables({ gameDir });
+
+    await assert.rejects(
+        runLaunchHook(HookStage.PRE_LAUNCH, { hooks: { pre_launch: 'echo no server; exit 3' } }, variables),
+        /The pre-launch hook failed with exit code 3, launch cancelled\.\n\nno server/
+    );
+    assert.strictEqual(
+        await runLaunchHook(HookStage.PRE_LAUNCH, { hooks: { pre_launch: 'exit 3', cancel_on_failure: false } }, variables),
+        'The pre-launch hook failed with exit code 3'
+    );
+    assert.strictEqual(await runLaunchHook(HookStage.PRE_SYNC, { hooks: { pre_launch: 'exit 3' } }, variables), null);
+});
+
+test('a hook that runs out of time is stopped', { skip: process.platform === 'win32' }, async (t) => {
+    const gameDir = createGameDir(t);
+    t.mock.method(console, 'log', () => {});
+
+    const result = await runHook(HookStage.PRE_SYNC, { hooks: { pre_sync: 'sleep 30', timeout_seconds: 0.2 } }, createHookVariables({ gameDir }));
+
+    assert.strictEqual(result.timedOut, true);
+    assert.strictEqual(result.success, false);
+});
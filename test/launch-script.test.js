@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+    createLaunchScript,
+    exportLaunchScript,
+    getProfileSecrets,
+    quoteShellArg,
+    quoteBatchArg
+} = require('../src/launch/launch-script');
+
+const TOKEN = 'eyJ-access-token';
+const UUID = '069a79f444e94726a5befca90e38aaf5';
+
+/**
+ * A launch command with the classpath joined for this system, like buildClasspath does
+ */
+function createCommand(overrides = {}) {
+    return {
+        version: '1.20.1',
+        javaPath: '/usr/bin/java',
+        cwd: '/games/naizo',
+        args: [
+            '-cp', ['/libs/a.jar', '/libs/b b.jar'].join(path.delimiter),
+            'net.minecraft.client.main.Main',
+            '--accessToken', TOKEN,
+            '--session', `token:${TOKEN}:${UUID}`
+        ],
+        ...overrides
+    };
+}
+
+test('offline tokens are not treated as secrets', () => {
+    assert.deepStrictEqual(getProfileSecrets({ uuid: '069a79f4-44e9-4726-a5be-fca90e38aaf5', accessToken: UUID }), []);
+    assert.deepStrictEqual(getProfileSecrets({ accessToken: TOKEN, refreshToken: TOKEN }), [TOKEN]);
+    assert.deepStrictEqual(getProfileSecrets({ accessToken: 'short' }), []);
+});
+
+test('arguments are only quoted when needed', () => {
+    assert.strictEqual(quoteShellArg('-Xmx2G'), '-Xmx2G');
+    assert.strictEqual(quoteShellArg("it's here"), `'it'\\''s here'`);
+    assert.strictEqual(quoteShellArg(''), "''");
+    assert.strictEqual(quoteBatchArg('C:\\Games\\java.exe'), 'C:\\Games\\java.exe');
+    assert.strictEqual(quoteBatchArg('100% "done"'), '"100%% ""done"""');
+});
+
+test('shell scripts join the classpath with colons and read the token from the environment', () => {
+    const script = createLaunchScript(createCommand(), [TOKEN], 'sh');
+
+    assert.match(script, /^CLASSPATH=\/libs\/a\.jar$/m);
+    assert.match(script, /^CLASSPATH="\$CLASSPATH:"'\/libs\/b b\.jar'$/m);
+    assert.match(script, /--accessToken \\\n {4}"\$ACCESS_TOKEN"/);
+    assert.match(script, new RegExp(`--session \\\\\\n {4}token:"\\$ACCESS_TOKEN":${UUID}`));
+    assert.ok(!script.includes(TOKEN));
+});
+
+test('batch scripts join the classpath with semicolons and read the token from the environment', () => {
+    const script = createLaunchScript(createCommand(), [TOKEN], 'bat');
+
+    assert.match(script, /^set "CLASSPATH=\/libs\/a\.jar"\r$/m);
+    assert.match(script, /^set "CLASSPATH=%CLASSPATH%;\/libs\/b b\.jar"\r$/m);
+    assert.match(script, /"%MC_ACCESS_TOKEN%"/);
+    assert.match(script, new RegExp(`token:"%MC_ACCESS_TOKEN%":${UUID}`));
+    assert.ok(!script.includes(TOKEN));
+    assert.ok(!script.includes(' -cp '));
+});
+
+test('an exported shell script runs with the token from the environment', { skip: process.platform === 'win32' }, async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-script-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const scriptPath = path.join(dir, 'launch.sh');
+
+    // printf stands in for java and prints each argument on its own line
+    const command = createCommand({ javaPath: 'printf', cwd: dir });
+    command.args.unshift('%s\\n');
+    await exportLaunchScript(scriptPath, command, [TOKEN]);
+
+    const output = execFileSync(scriptPath, { env: { ...process.env, MC_ACCESS_TOKEN: 'real-token' }, encoding: 'utf8' });
+    assert.deepStrictEqual(output.trim().split('\n'), [
+        '-cp', '/libs/a.jar:/libs/b b.jar',
+        'net.minecraft.client.main.Main',
+        '--accessToken', 'real-token',
+        '--session', `token:real-token:${UUID}`
+    ]);
+});
+
+test('exporting over an existing file still makes the shell script executable', { skip: process.platform === 'win32' }, async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-script-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const scriptPath = path.join(dir, 'launch.sh');
+    fs.writeFileSync(scriptPath, 'old', { mode: 0o644 });
+
+    assert.deepStrictEqual(await exportLaunchScript(scriptPath, createCommand(), [TOKEN]), { path: scriptPath, format: 'sh' });
+    assert.strictEqual(fs.statSync(scriptPath).mode & 0o777, 0o755);
+});
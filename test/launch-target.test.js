@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FEATURES } = require('../src/core/rule-engine');
+const {
+    LaunchTargetType,
+    normalizeLaunchTarget,
+    parseServerAddress,
+    supportsQuickPlay,
+    resolveQuickPlay,
+    getLastPlayedWorld
+} = require('../src/launch/launch-target');
+
+// Version with quick play arguments (1.20+)
+const QUICK_PLAY_VERSION = {
+    arguments: {
+        game: [
+            '--username', '${auth_player_name}',
+            { rules: [{ action: 'allow', features: { [FEATURES.IS_QUICK_PLAY_MULTIPLAYER]: true } }], value: ['--quickPlayMultiplayer', '${quickPlayMultiplayer}'] }
+        ]
+    }
+};
+
+// Version from before quick play
+const LEGACY_VERSION = { minecraftArguments: '--username ${auth_player_name}' };
+
+test('server addresses are split into host and port', () => {
+    assert.deepStrictEqual(parseServerAddress('play.example.com'), { host: 'play.example.com', port: '25565' });
+    assert.deepStrictEqual(parseServerAddress('play.example.com:25570'), { host: 'play.example.com', port: '25570' });
+    assert.deepStrictEqual(parseServerAddress('51.83.4.21:'), { host: '51.83.4.21', port: '25565' });
+});
+
+test('bracketed IPv6 addresses keep their colons in the host', () => {
+    assert.deepStrictEqual(parseServerAddress('[2001:db8::1]:25570'), { host: '2001:db8::1', port: '25570' });
+    assert.deepStrictEqual(parseServerAddress('[::1]'), { host: '::1', port: '25565' });
+});
+
+test('bare IPv6 addresses are one host with the default port', () => {
+    assert.deepStrictEqual(parseServerAddress('2001:db8::1'), { host: '2001:db8::1', port: '25565' });
+    assert.deepStrictEqual(parseServerAddress('::1'), { host: '::1', port: '25565' });
+});
+
+test('launch targets are validated and trimmed', () => {
+    assert.strictEqual(normalizeLaunchTarget(null), null);
+    assert.deepStrictEqual(
+        normalizeLaunchTarget({ type: LaunchTargetType.SINGLEPLAYER, value: '  New World ' }),
+        { type: 'singleplayer', value: 'New World' }
+    );
+    assert.throws(() => normalizeLaunchTarget({ type: 'lan', value: 'x' }), /Unknown launch target type/);
+    assert.throws(() => normalizeLaunchTarget({ type: LaunchTargetType.MULTIPLAYER, value: '  ' }), /requires a value/);
+});
+
+test('quick play support is read from the argument rules', () => {
+    assert.strictEqual(supportsQuickPlay(QUICK_PLAY_VERSION), true);
+    assert.strictEqual(supportsQuickPlay(LEGACY_VERSION), false);
+});
+
+test('without a target every quick play feature is off', () => {
+    const result = resolveQuickPlay(null, QUICK_PLAY_VERSION);
+
+    assert.ok(Object.values(result.features).every(enabled => enabled === false));
+    assert.strictEqual(result.variables.quickPlayMultiplayer, '');
+    assert.deepStrictEqual(result.legacyArgs, []);
+});
+
+test('versions with quick play get the feature and variable of the target', () => {
+    const result = resolveQuickPlay({ type: LaunchTargetType.MULTIPLAYER, value: 'play.example.com' }, QUICK_PLAY_VERSION);
+
+    assert.strictEqual(result.features[FEATURES.IS_QUICK_PLAY_MULTIPLAYER], true);
+    assert.strictEqual(result.features[FEATURES.IS_QUICK_PLAY_SINGLEPLAYER], false);
+    assert.strictEqual(result.variables.quickPlayMultiplayer, 'play.example.com');
+    assert.deepStrictEqual(result.legacyArgs, []);
+});
+
+test('older versions connect to a server with --server and --port', () => {
+    const result = resolveQuickPlay({ type: LaunchTargetType.MULTIPLAYER, value: '[2001:db8::1]:25570' }, LEGACY_VERSION);
+
+    assert.deepStrictEqual(result.legacyArgs, ['--server', '2001:db8::1', '--port', '25570']);
+    assert.ok(Object.values(result.features).every(enabled => enabled === false));
+});
+
+test('older versions open the main menu for worlds and realms', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const result = resolveQuickPlay({ type: LaunchTargetType.SINGLEPLAYER, value: 'New World' }, LEGACY_VERSION);
+
+    assert.deepStrictEqual(result.legacyArgs, []);
+});
+
+test('the last played world is the one whose level.dat changed last', async (t) => {
+    const gameDir = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-saves-'));
+    t.after(() => fs.rmSync(gameDir, { recursive: true, force: true }));
+
+    assert.strictEqual(await getLastPlayedWorld(gameDir), null);
+
+    for (const [name, time] of [['Old World', 1000], ['New World', 2000], ['Not A World', 3000]]) {
+        const worldDir = path.join(gameDir, 'saves', name);
+        fs.mkdirSync(worldDir, { recursive: true });
+        if (name === 'Not A World') continue;
+        fs.writeFileSync(path.join(worldDir, 'level.dat'), '');
+        fs.utimesSync(path.join(worldDir, 'level.dat'), time, time);
+    }
+
+    assert.strictEqual(await getLastPlayedWorld(gameDir), 'New World');
+});
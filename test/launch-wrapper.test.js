@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCommandLine, parseEnvironment, findExecutable, resolveLaunchWrapper } = require('../src/launch/launch-wrapper');
+
+test('a command line is split into words on whitespace outside quotes', () => {
+    assert.deepStrictEqual(parseCommandLine('nice -n 5 "my wrapper"'), ['nice', '-n', '5', 'my wrapper']);
+    assert.deepStrictEqual(parseCommandLine("  env 'A=1 2'   B=\"\" "), ['env', 'A=1 2', 'B=']);
+    assert.deepStrictEqual(parseCommandLine('pre"fix "\'quoted\''), ['prefix quoted']);
+    assert.deepStrictEqual(parseCommandLine(''), []);
+    assert.deepStrictEqual(parseCommandLine(undefined), []);
+});
+
+test('double quotes can contain escaped quotes and backslashes', () => {
+    assert.deepStrictEqual(parseCommandLine('-Dmsg="say \\"hi\\"" "a\\\\b"'), ['-Dmsg=say "hi"', 'a\\b']);
+    assert.deepStrictEqual(parseCommandLine("'it\\'"), ['it\\']);
+});
+
+test('Windows paths keep their backslashes', () => {
+    assert.deepStrictEqual(
+        parseCommandLine('C:\\Tools\\wrap.exe "C:\\Program Files\\Java\\bin"'),
+        ['C:\\Tools\\wrap.exe', 'C:\\Program Files\\Java\\bin']
+    );
+});
+
+test('an unclosed quote names what was being parsed', () => {
+    assert.throws(() => parseCommandLine('gamemoderun "mangohud'), /Unclosed " quote in wrapper command/);
+    assert.throws(() => parseCommandLine("-Dname='x", 'JVM arguments'), /Unclosed ' quote in JVM arguments/);
+    assert.throws(() => parseCommandLine('"ends with \\"'), /Unclosed " quote/);
+});
+
+test('environment variables with invalid names are reported and left out', () => {
+    const { env, issues } = parseEnvironment({ MESA_GL_VERSION_OVERRIDE: '4.5', _DEBUG: 1, EMPTY: null, 'BAD-NAME': 'x', '1ST': 'y' });
+
+    assert.deepStrictEqual(env, { MESA_GL_VERSION_OVERRIDE: '4.5', _DEBUG: '1', EMPTY: '' });
+    assert.strictEqual(issues.length, 2);
+    assert.match(issues[0], /"BAD-NAME"/);
+    assert.match(issues[1], /"1ST"/);
+    assert.deepStrictEqual(parseEnvironment(null), { env: {}, issues: [] });
+});
+
+test('only executable files are found on PATH', { skip: process.platform === 'win32' }, async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-wrapper-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const first = path.join(dir, 'first');
+    const second = path.join(dir, 'second');
+    fs.mkdirSync(path.join(first, 'wrap'), { recursive: true });
+    fs.mkdirSync(second);
+    fs.writeFileSync(path.join(second, 'wrap'), '#!/bin/sh\n', { mode: 0o755 });
+    fs.writeFileSync(path.join(second, 'plain'), 'text', { mode: 0o644 });
+
+    const originalPath = process.env.PATH;
+    process.env.PATH = [first, second].join(path.delimiter);
+    t.after(() => { process.env.PATH = originalPath; });
+
+    assert.strictEqual(await findExecutable('wrap'), path.join(second, 'wrap'));
+    assert.strictEqual(await findExecutable('plain'), null);
+    assert.strictEqual(await findExecutable(path.join(first, 'wrap')), null);
+    assert.strictEqual(await findExecutable(path.join(second, 'wrap')), path.join(second, 'wrap'));
+});
+
+test('a missing wrapper command stops the launch', async () => {
+    await assert.rejects(
+        resolveLaunchWrapper({ wrapper_command: 'naizo-no-such-wrapper --flag' }),
+        /The wrapper command "naizo-no-such-wrapper" was not found/
+    );
+    assert.deepStrictEqual(
+        await resolveLaunchWrapper({ wrapper_command: '', environment_variables: { A: 'b' } }),
+        { wrapper: [], env: { A: 'b' }, issues: [] }
+    );
+});
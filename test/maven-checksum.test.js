@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// The metadata cache lives in a temporary userData directory
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-checksum-'));
+require.cache[require.resolve('electron')] = {
+    exports: { app: { getPath: () => userData } }
+};
+test.after(() => fs.rmSync(userData, { recursive: true, force: true }));
+
+const { fetchMavenChecksum, getLibraryChecksums } = require('../src/file-manager/maven-checksum');
+const { METADATA_CACHE_CONFIG } = require('../src/file-manager/metadata-cache');
+
+const SHA1 = 'a94a8fe5ccb19ba61c4c0873d391e987982fbbd3';
+const SHA256 = '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08';
+
+/**
+ * Answer requests from a URL -> body map: missing URLs are 404s, Error bodies are thrown
+ * @returns {Array} The requested URLs
+ */
+function mockMaven(t, files) {
+    const requested = [];
+
+    t.mock.method(axios, 'get', async (url, options) => {
+        requested.push(url);
+        const body = files[url];
+        if (body instanceof Error) throw body;
+
+        const status = body === undefined ? 404 : 200;
+        if (!options.validateStatus(status)) {
+            throw Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+        }
+        return { status, headers: {}, data: body };
+    });
+
+    return requested;
+}
+
+test('the sha1 file is used, with or without the file name after the hash', async (t) => {
+    mockMaven(t, {
+        'https://maven.test/a.jar.sha1': `${SHA1.toUpperCase()}\n`,
+        'https://maven.test/b.jar.sha1': `${SHA1}  b.jar\n`
+    });
+
+    assert.deepStrictEqual(await fetchMavenChecksum('https://maven.test/a.jar'), { hash: SHA1, algorithm: 'sha1' });
+    assert.deepStrictEqual(await fetchMavenChecksum('https://maven.test/b.jar'), { hash: SHA1, algorithm: 'sha1' });
+});
+
+test('sha256 is tried when there is no sha1 file', async (t) => {
+    mockMaven(t, { 'https://maven.test/c.jar.sha256': SHA256 });
+
+    assert.deepStrictEqual(await fetchMavenChecksum('https://maven.test/c.jar'), { hash: SHA256, algorithm: 'sha256' });
+});
+
+test('no checksum files gives null and is remembered', async (t) => {
+    const requested = mockMaven(t, {});
+
+    assert.strictEqual(await fetchMavenChecksum('https://maven.test/d.jar'), null);
+    assert.strictEqual(await fetchMavenChecksum('https://maven.test/d.jar'), null);
+    assert.deepStrictEqual(requested, ['https://maven.test/d.jar.sha1', 'https://maven.test/d.jar.sha256']);
+});
+
+test('a missing checksum file is asked for again once the not-found TTL has passed', async (t) => {
+    const requested = mockMaven(t, {});
+    assert.strictEqual(await fetchMavenChecksum('https://maven.test/e.jar'), null);
+
+    const later = Date.now() + METADATA_CACHE_CONFIG.NOT_FOUND_TTL_MS + 1000;
+    t.mock.method(Date, 'now', () => later);
+    mockMaven(t, { 'https://maven.test/e.jar.sha1': SHA1 });
+
+    assert.deepStrictEqual(await fetchMavenChecksum('https://maven.test/e.jar'), { hash: SHA1, algorithm: 'sha1' });
+    assert.strictEqual(requested.length, 2);
+});
+
+test('an unreachable repository is an error, not a missing checksum', async (t) => {
+    mockMaven(t, {
+        'https://maven.test/f.jar.sha1': Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' })
+    });
+
+    await assert.rejects(fetchMavenChecksum('https://maven.test/f.jar'), /Could not get the sha1 checksum/);
+});
+
+test('a server error on sha256 after a sha1 404 is an error', async (t) => {
+    mockMaven(t, {
+        'https://maven.test/g.jar.sha256': Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } })
+    });
+
+    await assert.rejects(fetchMavenChecksum('https://maven.test/g.jar'), /sha256 checksum/);
+});
+
+test('a checksum file that holds no hash is an error', async (t) => {
+    mockMaven(t, { 'https://maven.test/h.jar.sha1': '<html>Login required</html>' });
+
+    await assert.rejects(fetchMavenChecksum('https://maven.test/h.jar'), /not a valid hash/);
+});
+
+test('library checksums keep their order and report failed lookups per library', async (t) => {
+    mockMaven(t, {
+        'https://maven.test/i.jar.sha1': SHA1,
+        'https://maven.test/j.jar.sha1': new Error('socket hang up')
+    });
+
+    const checksums = await getLibraryChecksums([
+        { path: 'known.jar', sha1: 'abc' },
+        { path: 'i.jar', url: 'https://maven.test/i.jar' },
+        { path: 'j.jar', url: 'https://maven.test/j.jar' },
+        { path: 'generated.jar' }
+    ]);
+
+    assert.deepStrictEqual(checksums[0], { hash: 'abc', algorithm: 'sha1' });
+    assert.deepStrictEqual(checksums[1], { hash: SHA1, algorithm: 'sha1' });
+    assert.match(checksums[2].error.message, /socket hang up/);
+    assert.strictEqual(checksums[3], null);
+});
+
+test('a library whose checksum lookup failed is not accepted as valid', async (t) => {
+    const { validateLibraries } = require('../src/file-manager/file-validator');
+    const gameDir = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-libraries-'));
+    t.after(() => fs.rmSync(gameDir, { recursive: true, force: true }));
+    t.mock.method(console, 'warn', () => {});
+
+    fs.mkdirSync(path.join(gameDir, 'libraries'), { recursive: true });
+    fs.writeFileSync(path.join(gameDir, 'libraries', 'k.jar'), 'test');
+    fs.writeFileSync(path.join(gameDir, 'libraries', 'l.jar'), 'test');
+    mockMaven(t, {
+        'https://maven.test/k.jar.sha1': SHA1,
+        'https://maven.test/l.jar.sha1': new Error('getaddrinfo ENOTFOUND maven.test')
+    });
+
+    const missing = await validateLibraries(gameDir, [
+        { path: 'k.jar', url: 'https://maven.test/k.jar' },
+        { path: 'l.jar', url: 'https://maven.test/l.jar' }
+    ]);
+
+    assert.deepStrictEqual(missing.map(lib => lib.path), ['l.jar']);
+});
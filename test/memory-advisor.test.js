@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    resolveLaunchMemory,
+    suggestHeap,
+    checkMemorySettings,
+    parseMemorySize,
+    MemoryWarning
+} = require('../src/launch/memory-advisor');
+
+const GB = 1024;
+
+test('JVM memory sizes are read as megabytes', () => {
+    assert.strictEqual(parseMemorySize('4G'), 4096);
+    assert.strictEqual(parseMemorySize('1.5g'), 1536);
+    assert.strictEqual(parseMemorySize('512M'), 512);
+    assert.strictEqual(parseMemorySize('2048'), 2048);
+    assert.strictEqual(parseMemorySize('524288k'), 512);
+    assert.strictEqual(parseMemorySize(3072), 3072);
+    assert.strictEqual(parseMemorySize('4 GB'), null);
+    assert.strictEqual(parseMemorySize(''), null);
+});
+
+test('the suggested heap grows with mods and shaderpacks, in slider steps', () => {
+    assert.deepStrictEqual(suggestHeap({ totalMemoryMB: 16 * GB }), { recommendedMB: 2048, maxSafeMB: 12288 });
+    // 2048 + 100 mods * 32 + 1024 for shaders = 6272, rounded up to 6656
+    assert.deepStrictEqual(
+        suggestHeap({ totalMemoryMB: 16 * GB, modCount: 100, shaderpackCount: 2 }),
+        { recommendedMB: 6656, maxSafeMB: 12288 }
+    );
+    assert.strictEqual(suggestHeap({ totalMemoryMB: 64 * GB, modCount: 400, shaderpackCount: 1 }).recommendedMB, 12288);
+});
+
+test('the suggested heap leaves memory for the system', () => {
+    assert.deepStrictEqual(suggestHeap({ totalMemoryMB: 4 * GB, modCount: 100 }), { recommendedMB: 2048, maxSafeMB: 2048 });
+    assert.deepStrictEqual(suggestHeap({ totalMemoryMB: 2 * GB }), { recommendedMB: 1024, maxSafeMB: 1024 });
+    assert.deepStrictEqual(suggestHeap({ totalMemoryMB: 16 * GB, modCount: 100, is64Bit: false }), { recommendedMB: 1536, maxSafeMB: 1536 });
+});
+
+test('memory settings the machine or the mods cannot work with are warned about', () => {
+    const machine = { totalMemoryMB: 8 * GB, maxSafeMB: 6144, recommendedMB: 4096 };
+
+    assert.deepStrictEqual(checkMemorySettings({ ...machine, minMB: 1024, maxMB: 4096 }), []);
+
+    const warnings = checkMemorySettings({ ...machine, minMB: 8192, maxMB: 7168 });
+    assert.deepStrictEqual(warnings.map(warning => warning.type), [MemoryWarning.EXCEEDS_SYSTEM, MemoryWarning.MIN_EXCEEDS_MAX]);
+    assert.match(warnings[0].message, /Use 6144 MB or less/);
+    assert.match(warnings[1].message, /-Xms8192M\) is larger than the maximum \(-Xmx7168M\)/);
+
+    assert.deepStrictEqual(
+        checkMemorySettings({ ...machine, maxMB: 2048, is64Bit: false }).map(warning => warning.type),
+        [MemoryWarning.EXCEEDS_32BIT, MemoryWarning.BELOW_RECOMMENDED]
+    );
+});
+
+test('auto memory launches with the suggestion and keeps -Xms below -Xmx', async (t) => {
+    const gameDir = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-memory-'));
+    t.after(() => fs.rmSync(gameDir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(gameDir, 'mods'));
+    fs.mkdirSync(path.join(gameDir, 'shaderpacks'));
+    for (let i = 0; i < 10; i++) {
+        fs.writeFileSync(path.join(gameDir, 'mods', `mod-${i}.jar`), '');
+    }
+    fs.writeFileSync(path.join(gameDir, 'mods', 'disabled.jar.disabled'), '');
+    fs.writeFileSync(path.join(gameDir, 'shaderpacks', 'BSL.zip'), '');
+    t.mock.method(os, 'totalmem', () => 16 * 1024 * 1024 * 1024);
+
+    const config = { game_directory: gameDir, jvm_args: { auto_memory: true, max_ram: '2G', min_ram: '4G' } };
+    const { minRam, maxRam, advice } = await resolveLaunchMemory(config);
+
+    // 2048 + 10 mods * 32 + 1024 for shaders = 3392, rounded up to 3584
+    assert.strictEqual(maxRam, '3584M');
+    assert.strictEqual(minRam, '3584M');
+    assert.strictEqual(advice.modCount, 10);
+    assert.strictEqual(advice.shaderpackCount, 1);
+    assert.deepStrictEqual(advice.warnings.map(warning => warning.type), [MemoryWarning.MIN_EXCEEDS_MAX]);
+
+    const manual = await resolveLaunchMemory({ game_directory: gameDir, jvm_args: { max_ram: '6G' } });
+    assert.strictEqual(manual.maxRam, '6144M');
+    assert.strictEqual(manual.minRam, null);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// Each test gets its own cache directory
+let userData = null;
+require.cache[require.resolve('electron')] = {
+    exports: { app: { getPath: () => userData } }
+};
+
+const VERSIONS_URL = 'https://meta.test/versions.json';
+
+/**
+ * Load a fresh copy of the cache module (it remembers whether the launcher is offline) on an empty directory
+ */
+function freshCache(t) {
+    userData = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-metadata-'));
+    const dir = userData;
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    delete require.cache[require.resolve('../src/file-manager/metadata-cache')];
+    return require('../src/file-manager/metadata-cache');
+}
+
+/**
+ * Let a test move the clock forward
+ */
+function mockClock(t) {
+    const clock = { now: Date.now() };
+    t.mock.method(Date, 'now', () => clock.now);
+    return clock;
+}
+
+/**
+ * Answer requests with a handler, honouring validateStatus like axios does
+ * @returns {Array} The options of every request
+ */
+function mockServer(t, handler) {
+    const requests = [];
+
+    t.mock.method(axios, 'get', async (url, options) => {
+        requests.push(options);
+        const response = await handler(url, options);
+        if (!options.validateStatus(response.status)) {
+            throw Object.assign(new Error(`Request failed with status code ${response.status}`), { response });
+        }
+        return response;
+    });
+
+    return requests;
+}
+
+function unreachable() {
+    throw Object.assign(new Error('getaddrinfo ENOTFOUND meta.test'), { code: 'ENOTFOUND' });
+}
+
+test('a copy younger than the TTL is used without asking the server', async (t) => {
+    const { fetchMetadata } = freshCache(t);
+    const requests = mockServer(t, () => ({ status: 200, headers: {}, data: { versions: ['1.21.1'] } }));
+
+    assert.deepStrictEqual(await fetchMetadata(VERSIONS_URL), { versions: ['1.21.1'] });
+    assert.deepStrictEqual(await fetchMetadata(VERSIONS_URL), { versions: ['1.21.1'] });
+    assert.strictEqual(requests.length, 1);
+});
+
+test('an older copy is revalidated with its ETag and kept on a 304', async (t) => {
+    const { fetchMetadata, METADATA_CACHE_CONFIG } = freshCache(t);
+    const clock = mockClock(t);
+    const requests = mockServer(t, (url, options) => (options.headers['If-None-Match'] === '"v1"'
+        ? { status: 304, headers: {}, data: '' }
+        : { status: 200, headers: { etag: '"v1"', 'last-modified': 'Sat, 17 Oct 2026 10:00:00 GMT' }, data: { versions: ['1.21.1'] } }));
+
+    await fetchMetadata(VERSIONS_URL);
+    clock.now += METADATA_CACHE_CONFIG.LIST_TTL_MS + 1;
+
+    assert.deepStrictEqual(await fetchMetadata(VERSIONS_URL), { versions: ['1.21.1'] });
+    assert.deepStrictEqual(requests[1].headers, {
+        'If-None-Match': '"v1"',
+        'If-Modified-Since': 'Sat, 17 Oct 2026 10:00:00 GMT'
+    });
+
+    // The 304 counts as a fresh fetch
+    await fetchMetadata(VERSIONS_URL);
+    assert.strictEqual(requests.length, 2);
+});
+
+test('a changed document replaces the cached copy', async (t) => {
+    const { fetchMetadata } = freshCache(t);
+    let version = 1;
+    mockServer(t, () => ({ status: 200, headers: { etag: `"v${version}"` }, data: { version } }));
+
+    await fetchMetadata(VERSIONS_URL, { ttl: 0 });
+    version = 2;
+
+    assert.deepStrictEqual(await fetchMetadata(VERSIONS_URL, { ttl: 0 }), { version: 2 });
+});
+
+test('the cached copy is used while the server cannot be reached', async (t) => {
+    const { fetchMetadata, isMetadataOffline, METADATA_CACHE_CONFIG } = freshCache(t);
+    const clock = mockClock(t);
+    mockServer(t, () => ({ status: 200, headers: {}, data: { versions: ['1.21.1'] } }));
+    await fetchMetadata(VERSIONS_URL);
+
+    clock.now += METADATA_CACHE_CONFIG.LIST_TTL_MS + 1;
+    mockServer(t, unreachable);
+    t.mock.method(console, 'warn', () => {});
+
+    assert.deepStrictEqual(await fetchMetadata(VERSIONS_URL), { versions: ['1.21.1'] });
+    assert.strictEqual(isMetadataOffline(), true);
+    await assert.rejects(fetchMetadata('https://meta.test/never-fetched.json'), /ENOTFOUND/);
+});
+
+test('server errors fall back to the cache, a 404 does not', async (t) => {
+    const { fetchMetadata } = freshCache(t);
+    mockServer(t, () => ({ status: 200, headers: {}, data: { versions: [] } }));
+    await fetchMetadata(VERSIONS_URL);
+    t.mock.method(console, 'warn', () => {});
+
+    mockServer(t, () => ({ status: 503, headers: {}, data: '' }));
+    assert.deepStrictEqual(await fetchMetadata(VERSIONS_URL, { ttl: 0 }), { versions: [] });
+
+    mockServer(t, () => ({ status: 404, headers: {}, data: '' }));
+    await assert.rejects(fetchMetadata(VERSIONS_URL, { ttl: 0 }), /status code 404/);
+});
+
+test('while offline fresh copies are rechecked once per interval to notice the network is back', async (t) => {
+    const { fetchMetadata, isMetadataOffline, METADATA_CACHE_CONFIG } = freshCache(t);
+    const clock = mockClock(t);
+    mockServer(t, () => ({ status: 200, headers: {}, data: { versions: [] } }));
+    await fetchMetadata(VERSIONS_URL);
+    await fetchMetadata(`${VERSIONS_URL}.sha1`, { ttl: METADATA_CACHE_CONFIG.ARTIFACT_TTL_MS, responseType: 'text' });
+
+    // Go offline on a document that isn't cached
+    mockServer(t, unreachable);
+    await assert.rejects(fetchMetadata('https://meta.test/other.json'));
+    assert.strictEqual(isMetadataOffline(), true);
+
+    clock.now += METADATA_CACHE_CONFIG.OFFLINE_RETRY_MS;
+    const requests = mockServer(t, () => ({ status: 200, headers: {}, data: { versions: [] } }));
+
+    // Checksums never expire and are not refetched
+    await fetchMetadata(`${VERSIONS_URL}.sha1`, { ttl: METADATA_CACHE_CONFIG.ARTIFACT_TTL_MS, responseType: 'text' });
+    assert.strictEqual(requests.length, 0);
+
+    await fetchMetadata(VERSIONS_URL);
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(isMetadataOffline(), false);
+});
+
+test('parallel requests only share a fetch when their options match', async (t) => {
+    const { fetchMetadata } = freshCache(t);
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const requests = mockServer(t, async () => {
+        await gate;
+        return { status: 404, headers: {}, data: '' };
+    });
+
+    const optional = [fetchMetadata(VERSIONS_URL, { allowNotFound: true }), fetchMetadata(VERSIONS_URL, { allowNotFound: true })];
+    const required = assert.rejects(fetchMetadata(VERSIONS_URL), /status code 404/);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    release();
+
+    assert.deepStrictEqual(await Promise.all(optional), [null, null]);
+    await required;
+    assert.strictEqual(requests.length, 2);
+});
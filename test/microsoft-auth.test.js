@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const {
+    ensureFreshSession,
+    createMicrosoftProfile,
+    getMicrosoftAuthSettings,
+    DEFAULT_ENDPOINTS
+} = require('../src/launch/microsoft-auth');
+
+const CONFIG = { microsoft_auth: { client_id: 'client-app-id', endpoints: {} } };
+const HOUR = 60 * 60 * 1000;
+
+function createSession(overrides = {}) {
+    return {
+        microsoft: { accessToken: 'ms-access', refreshToken: 'ms-refresh', expiresAt: Date.now() + HOUR },
+        minecraft: { accessToken: 'mc-access', expiresAt: Date.now() + HOUR },
+        uuid: '069a79f4-44e9-4726-a5be-fca90e38aaf5',
+        username: 'Steve',
+        xuid: '2535405290000000',
+        clientToken: 'c0ffee',
+        ...overrides
+    };
+}
+
+/**
+ * Answer the Microsoft, Xbox Live and Minecraft services endpoints
+ * @param {Object} xstsError - XErr response of the Minecraft XSTS request, if it should fail
+ */
+function mockServices(t, { xstsError = null } = {}) {
+    const posts = [];
+
+    t.mock.method(axios, 'post', async (url, body) => {
+        posts.push(url);
+        switch (url) {
+            case DEFAULT_ENDPOINTS.token:
+                return { data: { access_token: 'ms-access-2', expires_in: 3600 } };
+            case DEFAULT_ENDPOINTS.xbox_live:
+                return { data: { Token: 'xbl', DisplayClaims: { xui: [{ uhs: 'hash' }] } } };
+            case DEFAULT_ENDPOINTS.xsts:
+                if (xstsError && body.RelyingParty === 'rp://api.minecraftservices.com/') {
+                    throw Object.assign(new Error('Request failed with status code 401'), { response: { status: 401, data: xstsError } });
+                }
+                return { data: { Token: 'xsts', DisplayClaims: { xui: [{ uhs: 'hash', xid: '2535405290000001' }] } } };
+            case DEFAULT_ENDPOINTS.minecraft_login:
+                return { data: { access_token: 'mc-access-2', expires_in: 86400 } };
+            default:
+                throw new Error(`Unexpected request to ${url}`);
+        }
+    });
+    t.mock.method(axios, 'get', async () => ({ data: { id: '069a79f444e94726a5befca90e38aaf5', name: 'Steve_Renamed' } }));
+
+    return posts;
+}
+
+test('endpoints can be overridden one by one', () => {
+    const settings = getMicrosoftAuthSettings({ microsoft_auth: { endpoints: { token: 'http://localhost/token' } } });
+
+    assert.strictEqual(settings.clientId, '');
+    assert.strictEqual(settings.endpoints.token, 'http://localhost/token');
+    assert.strictEqual(settings.endpoints.xsts, DEFAULT_ENDPOINTS.xsts);
+});
+
+test('the player profile uses the client token of the session', () => {
+    const profile = createMicrosoftProfile(createSession());
+
+    assert.deepStrictEqual(profile, {
+        username: 'Steve',
+        uuid: '069a79f4-44e9-4726-a5be-fca90e38aaf5',
+        accessToken: 'mc-access',
+        clientToken: 'c0ffee',
+        xuid: '2535405290000000',
+        userType: 'msa'
+    });
+});
+
+test('a session with time left is used as it is', async () => {
+    const session = createSession();
+
+    assert.deepStrictEqual(await ensureFreshSession(CONFIG, session), { session, refreshed: false });
+});
+
+test('sessions saved without a client token get a random one', async () => {
+    const { session, refreshed } = await ensureFreshSession(CONFIG, createSession({ clientToken: undefined }));
+
+    assert.strictEqual(refreshed, false);
+    assert.match(session.clientToken, /^[0-9a-f]{32}$/);
+    assert.notStrictEqual(session.clientToken, session.uuid.replace(/-/g, ''));
+});
+
+test('a renewed session keeps its client token and refresh token', async (t) => {
+    const posts = mockServices(t);
+    const expiring = createSession({
+        microsoft: { accessToken: 'ms-access', refreshToken: 'ms-refresh', expiresAt: Date.now() - 1 },
+        minecraft: { accessToken: 'mc-access', expiresAt: Date.now() + 60 * 1000 }
+    });
+    t.mock.method(console, 'log', () => {});
+
+    const { session, refreshed } = await ensureFreshSession(CONFIG, expiring);
+
+    assert.strictEqual(refreshed, true);
+    assert.strictEqual(posts[0], DEFAULT_ENDPOINTS.token);
+    assert.strictEqual(session.clientToken, 'c0ffee');
+    assert.strictEqual(session.microsoft.refreshToken, 'ms-refresh');
+    assert.strictEqual(session.minecraft.accessToken, 'mc-access-2');
+    assert.strictEqual(session.username, 'Steve_Renamed');
+    assert.strictEqual(session.xuid, '2535405290000001');
+});
+
+test('a valid Microsoft token skips the token refresh', async (t) => {
+    const posts = mockServices(t);
+    t.mock.method(console, 'log', () => {});
+
+    await ensureFreshSession(CONFIG, createSession({ minecraft: { accessToken: 'mc-access', expiresAt: Date.now() } }));
+
+    assert.ok(!posts.includes(DEFAULT_ENDPOINTS.token));
+});
+
+test('known XSTS errors are explained to the player', async (t) => {
+    mockServices(t, { xstsError: { XErr: 2148916233 } });
+
+    await assert.rejects(
+        ensureFreshSession(CONFIG, createSession({ minecraft: null })),
+        /no Xbox profile/
+    );
+});
+
+test('renewing needs a configured client id', async () => {
+    await assert.rejects(
+        ensureFreshSession({}, createSession({ minecraft: null })),
+        /Microsoft sign-in is not configured/
+    );
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const AdmZip = require('adm-zip');
+
+// The metadata cache lives in a temporary userData directory
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-neoforge-'));
+require.cache[require.resolve('electron')] = {
+    exports: { app: { getPath: () => userData } }
+};
+test.after(() => fs.rmSync(userData, { recursive: true, force: true }));
+
+const {
+    getNeoForgeMinecraftVersion,
+    getNeoForgeVersionId,
+    parseNeoForgeVersionId,
+    validateInstallProfile,
+    installNeoForge
+} = require('../src/file-manager/neoforge-installer');
+
+// Checksums stay in the metadata cache, so each install test uses its own NeoForge version
+const VERSIONS = ['21.1.76', '21.1.77', '21.1.78', '21.1.79'];
+
+function getInstallerPath(loaderVersion) {
+    return `net/neoforged/neoforge/${loaderVersion}/neoforge-${loaderVersion}-installer.jar`;
+}
+
+const INSTALL_PROFILE = {
+    libraries: [],
+    processors: [
+        { jar: 'net.neoforged:binarypatcher:1.0', classpath: [], args: ['--data', '{PATCHED}'], sides: ['client'], outputs: { '{PATCHED}': '{PATCHED_SHA}' } },
+        { jar: 'net.neoforged:installertools:2.0', args: ['--task', 'EXTRACT'], sides: ['server'] }
+    ],
+    data: {
+        PATCHED: { client: '[net.neoforged:neoforge:21.1.77:client]', server: '[net.neoforged:neoforge:21.1.77:server]' },
+        PATCHED_SHA: { client: '\'abc\'' }
+    }
+};
+
+const VERSION_PROFILE = { id: '21.1.77', inheritsFrom: '1.21.1', libraries: [] };
+
+/**
+ * Put a NeoForge installer jar in the libraries folder of a new game directory
+ * @returns {Object} { gameDir, sha1 } with the sha1 of the jar
+ */
+function createGameDir(t, loaderVersion, installProfile = INSTALL_PROFILE) {
+    const gameDir = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-game-'));
+    t.after(() => fs.rmSync(gameDir, { recursive: true, force: true }));
+
+    const zip = new AdmZip();
+    zip.addFile('install_profile.json', Buffer.from(JSON.stringify(installProfile)));
+    zip.addFile('version.json', Buffer.from(JSON.stringify(VERSION_PROFILE)));
+    const jar = zip.toBuffer();
+
+    const installerPath = path.join(gameDir, 'libraries', getInstallerPath(loaderVersion));
+    fs.mkdirSync(path.dirname(installerPath), { recursive: true });
+    fs.writeFileSync(installerPath, jar);
+
+    return { gameDir, sha1: crypto.createHash('sha1').update(jar).digest('hex') };
+}
+
+/**
+ * Answer the NeoForge version list and the installer checksum, other URLs are 404s
+ */
+function mockMaven(t, loaderVersion, installerSha1) {
+    t.mock.method(axios, 'get', async (url, options) => {
+        const files = {
+            'https://maven.neoforged.net/api/maven/versions/releases/net/neoforged/neoforge': { versions: VERSIONS },
+            [`https://maven.neoforged.net/releases/${getInstallerPath(loaderVersion)}.sha1`]: installerSha1
+        };
+        const body = files[url];
+
+        const status = body === undefined ? 404 : 200;
+        if (!options.validateStatus(status)) {
+            throw Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+        }
+        return { status, headers: {}, data: body };
+    });
+}
+
+test('NeoForge versions map to the Minecraft version they are built for', () => {
+    assert.strictEqual(getNeoForgeMinecraftVersion('21.1.77'), '1.21.1');
+    assert.strictEqual(getNeoForgeMinecraftVersion('21.0.167'), '1.21');
+    assert.strictEqual(getNeoForgeMinecraftVersion('20.4.80-beta'), '1.20.4');
+    assert.strictEqual(getNeoForgeMinecraftVersion('26.1.0.3'), '26.1');
+    assert.strictEqual(getNeoForgeMinecraftVersion('26.1.2.5-beta'), '26.1.2');
+});
+
+test('NeoForge version ids round-trip', () => {
+    assert.strictEqual(getNeoForgeVersionId('21.1.77'), 'neoforge-21.1.77');
+    assert.deepStrictEqual(parseNeoForgeVersionId('neoforge-21.1.77'), { loaderVersion: '21.1.77', minecraftVersion: '1.21.1' });
+    assert.strictEqual(parseNeoForgeVersionId('fabric-loader-0.18.3-1.20.1'), null);
+    assert.strictEqual(parseNeoForgeVersionId('neoforge-latest'), null);
+});
+
+test('install profiles with the expected shape are accepted', () => {
+    assert.doesNotThrow(() => validateInstallProfile(INSTALL_PROFILE, VERSION_PROFILE));
+    assert.doesNotThrow(() => validateInstallProfile({}, VERSION_PROFILE));
+});
+
+test('malformed install profiles are rejected', () => {
+    const cases = [
+        [{ processors: {} }, /processors is not a list/],
+        [{ processors: [{ args: [] }] }, /processor 1 has no jar/],
+        [{ processors: [{ jar: 'a:b:1', sides: 'client' }] }, /sides of processor 1 is not a list of strings/],
+        [{ processors: [{ jar: 'a:b:1', args: [1] }] }, /args of processor 1/],
+        [{ processors: [{ jar: 'a:b:1', outputs: ['x'] }] }, /outputs of processor 1/],
+        [{ data: [] }, /data is not an object/],
+        [{ data: { MAPPINGS: '[a:b:1]' } }, /data MAPPINGS has no client value/],
+        [{ data: { MAPPINGS: { client: 5 } } }, /data MAPPINGS has no client value/]
+    ];
+
+    for (const [installProfile, error] of cases) {
+        assert.throws(() => validateInstallProfile(installProfile, VERSION_PROFILE), error);
+    }
+    assert.throws(() => validateInstallProfile({}, { id: 'x' }), /invalid version.json/);
+});
+
+test('an installer matching the Maven checksum is installed without downloading it again', async (t) => {
+    const { gameDir, sha1 } = createGameDir(t, '21.1.77');
+    mockMaven(t, '21.1.77', sha1);
+    t.mock.method(console, 'log', () => {});
+
+    const result = await installNeoForge(gameDir, '1.21.1', '21.1.77');
+
+    assert.strictEqual(result.version, 'neoforge-21.1.77');
+    assert.strictEqual(result.profile.inheritsFrom, '1.21.1');
+    const versionDir = path.join(gameDir, 'versions', 'neoforge-21.1.77');
+    assert.ok(fs.existsSync(path.join(versionDir, 'neoforge-21.1.77.json')));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(versionDir, 'install_profile.json'), 'utf8')), INSTALL_PROFILE);
+});
+
+test('the installer is not used when the Maven has no checksum for it', async (t) => {
+    const { gameDir } = createGameDir(t, '21.1.78');
+    mockMaven(t, '21.1.78', undefined);
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    await assert.rejects(installNeoForge(gameDir, '1.21.1', '21.1.78'), /no checksum for the 21.1.78 installer/);
+});
+
+test('an installer with a malformed install profile is not installed', async (t) => {
+    const { gameDir, sha1 } = createGameDir(t, '21.1.79', { processors: [{ jar: 'a:b:1', sides: 'client' }] });
+    mockMaven(t, '21.1.79', sha1);
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    await assert.rejects(installNeoForge(gameDir, '1.21.1', '21.1.79'), /invalid install_profile.json/);
+    assert.ok(!fs.existsSync(path.join(gameDir, 'versions', 'neoforge-21.1.79')));
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateUsername, normalizeUUID, USERNAME_RULES } = require('../src/launch/player-identity');
+
+test('valid usernames pass', () => {
+    assert.strictEqual(validateUsername('Steve'), null);
+    assert.strictEqual(validateUsername('a_b'), null);
+    assert.strictEqual(validateUsername('x'.repeat(USERNAME_RULES.MAX_LENGTH)), null);
+});
+
+test('missing usernames are rejected', () => {
+    assert.strictEqual(validateUsername(''), 'Enter a username');
+    assert.strictEqual(validateUsername(undefined), 'Enter a username');
+    assert.strictEqual(validateUsername(42), 'Enter a username');
+});
+
+test('usernames must be 3 to 16 characters', () => {
+    assert.match(validateUsername('ab'), /too short \(2 of at least 3/);
+    assert.match(validateUsername('x'.repeat(17)), /too long \(17 of at most 16/);
+});
+
+test('invalid characters are listed once each', () => {
+    assert.strictEqual(
+        validateUsername('my name-is-x'),
+        'Username can\'t contain spaces, "-". Use only letters, numbers and underscores'
+    );
+});
+
+test('UUIDs are normalized to lowercase with dashes', () => {
+    const expected = '069a79f4-44e9-4726-a5be-fca90e38aaf5';
+
+    assert.strictEqual(normalizeUUID('069A79F444E94726A5BEFCA90E38AAF5'), expected);
+    assert.strictEqual(normalizeUUID('  069a79f4-44e9-4726-a5be-fca90e38aaf5 '), expected);
+});
+
+test('text that is not a UUID gives null', () => {
+    assert.strictEqual(normalizeUUID(''), null);
+    assert.strictEqual(normalizeUUID(null), null);
+    assert.strictEqual(normalizeUUID('069a79f444e94726a5befca90e38aaf'), null);
+    assert.strictEqual(normalizeUUID('069a79f4-44e9-4726-a5be-fca90e38aafz'), null);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { GameProcessManager, GameState, ExitReason, getHangSettings } = require('../src/launch/process-manager');
+
+const GAME_DIR = path.resolve('games', 'naizo');
+const NO_HANG_DETECTION = { hang_detection: { enabled: false } };
+
+/**
+ * Stand-in for a spawned game
+ */
+function fakeChild(pid = 4242) {
+    const child = new EventEmitter();
+    child.pid = pid;
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    return child;
+}
+
+/**
+ * Whether a process still runs (zombies waiting to be reaped count as gone)
+ */
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+    } catch (error) {
+        return false;
+    }
+    try {
+        return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+    } catch (error) {
+        return true;
+    }
+}
+
+test('hang detection settings fall back to the defaults', () => {
+    assert.deepStrictEqual(getHangSettings(), { enabled: true, windowTimeoutMs: 600000, outputTimeoutMs: 300000 });
+    assert.deepStrictEqual(
+        getHangSettings({ hang_detection: { enabled: false, window_timeout_minutes: 2 } }),
+        { enabled: false, windowTimeoutMs: 120000, outputTimeoutMs: 300000 }
+    );
+});
+
+test('only one game runs from a directory at a time', () => {
+    const manager = new GameProcessManager();
+
+    manager.beginLaunch(GAME_DIR, '1.21.1');
+    assert.throws(() => manager.beginLaunch(path.join(GAME_DIR, '.'), '1.21.1'), /already running/);
+
+    manager.launchFailed(GAME_DIR, new Error('Java not found'));
+    assert.strictEqual(manager.getSession(GAME_DIR).exitReason, ExitReason.FAILED_TO_START);
+    assert.strictEqual(manager.getSession(GAME_DIR).error, 'Java not found');
+    assert.doesNotThrow(() => manager.beginLaunch(GAME_DIR, '1.21.1'));
+});
+
+test('the exit reason follows the exit code and whether a stop was asked for', () => {
+    const manager = new GameProcessManager();
+    const exits = [[0, ExitReason.NORMAL], [1, ExitReason.CRASHED], [null, ExitReason.CRASHED]];
+
+    for (const [code, reason] of exits) {
+        const child = fakeChild();
+        manager.beginLaunch(GAME_DIR, '1.21.1');
+        manager.attach(GAME_DIR, child, NO_HANG_DETECTION);
+        child.emit('exit', code, code === null ? 'SIGSEGV' : null);
+
+        assert.strictEqual(manager.getSession(GAME_DIR).exitReason, reason);
+        assert.strictEqual(manager.isRunning(GAME_DIR), false);
+    }
+});
+
+test('the log of a session stays available after the game exits', () => {
+    const manager = new GameProcessManager();
+    const child = fakeChild();
+    const log = { filePath: '/logs/session.log' };
+
+    manager.beginLaunch(GAME_DIR, '1.21.1');
+    manager.attach(GAME_DIR, child, NO_HANG_DETECTION, log);
+    child.emit('exit', 1, null);
+
+    assert.strictEqual(manager.getLog(GAME_DIR), log);
+    assert.ok(!('log' in manager.getSession(GAME_DIR)));
+    assert.strictEqual(manager.getLog(path.resolve('games', 'other')), null);
+});
+
+test('a game that never opens its window is flagged as hung until it writes output', (t) => {
+    const manager = new GameProcessManager();
+    const child = fakeChild();
+    const settings = getHangSettings({ hang_detection: { window_timeout_minutes: 10, output_timeout_minutes: 5 } });
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    t.mock.method(console, 'warn', () => {});
+
+    manager.beginLaunch(GAME_DIR, '1.21.1');
+    manager.attach(GAME_DIR, child, NO_HANG_DETECTION);
+    const session = manager.sessions.get(GAME_DIR);
+
+    now += 6 * 60000;
+    manager.checkHang(session, settings);
+    assert.strictEqual(manager.getSession(GAME_DIR).state, GameState.HUNG);
+    assert.match(manager.getSession(GAME_DIR).hangReason, /any output for 5 minutes/);
+
+    child.stdout.emit('data', Buffer.from('[Render thread/INFO]: Backend library: LWJGL version 3.3.3\n'));
+    assert.strictEqual(manager.getSession(GAME_DIR).state, GameState.RUNNING);
+    assert.strictEqual(manager.getSession(GAME_DIR).windowOpened, true);
+
+    // Once the window is open silence is normal
+    now += 60 * 60000;
+    manager.checkHang(session, settings);
+    assert.strictEqual(manager.getSession(GAME_DIR).state, GameState.RUNNING);
+});
+
+test('stopping a game also stops the programs it started', { skip: process.platform === 'win32' }, async (t) => {
+    const manager = new GameProcessManager();
+    t.mock.method(console, 'log', () => {});
+
+    // A wrapper shell that runs the "game" as its own child, like a wrapper command does
+    const child = spawn('sh', ['-c', 'sleep 30 & echo $!; wait'], { stdio: 'pipe', detached: true });
+    const gamePid = await new Promise(resolve => child.stdout.once('data', data => resolve(Number(data.toString().trim()))));
+
+    manager.beginLaunch(GAME_DIR, '1.21.1');
+    manager.attach(GAME_DIR, child, NO_HANG_DETECTION);
+    const exited = new Promise(resolve => manager.on('change', session => {
+        if (session.state === GameState.EXITED) resolve(session);
+    }));
+
+    assert.strictEqual(manager.kill(GAME_DIR), true);
+    assert.strictEqual((await exited).exitReason, ExitReason.KILLED);
+
+    for (let i = 0; i < 50 && isAlive(gamePid); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.strictEqual(isAlive(gamePid), false);
+    assert.strictEqual(manager.kill(GAME_DIR), false);
+});
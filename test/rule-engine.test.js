@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    FEATURES,
+    getOSName,
+    getOSArch,
+    getArchBits,
+    matchesOS,
+    evaluateRules,
+    resolveNativeClassifier
+} = require('../src/core/rule-engine');
+
+const WINDOWS = { name: 'windows', version: '10.0', arch: 'x64' };
+const MACOS = { name: 'osx', version: '14.2', arch: 'arm64' };
+const LINUX_32 = { name: 'linux', version: '6.1.0', arch: 'x86' };
+
+test('OS names and architectures use the Minecraft spelling', () => {
+    assert.strictEqual(getOSName('win32'), 'windows');
+    assert.strictEqual(getOSName('darwin'), 'osx');
+    assert.strictEqual(getOSName('linux'), 'linux');
+    assert.strictEqual(getOSName('freebsd'), 'unknown');
+
+    assert.strictEqual(getOSArch('ia32'), 'x86');
+    assert.strictEqual(getOSArch('arm'), 'arm32');
+    assert.strictEqual(getOSArch('arm64'), 'arm64');
+});
+
+test('no rules allows, a rule list with nothing matching disallows', () => {
+    assert.strictEqual(evaluateRules(undefined, { os: WINDOWS }), true);
+    assert.strictEqual(evaluateRules([], { os: WINDOWS }), true);
+    assert.strictEqual(evaluateRules([{ action: 'allow', os: { name: 'osx' } }], { os: WINDOWS }), false);
+});
+
+test('the last matching rule decides', () => {
+    const rules = [
+        { action: 'allow' },
+        { action: 'disallow', os: { name: 'osx' } }
+    ];
+
+    assert.strictEqual(evaluateRules(rules, { os: WINDOWS }), true);
+    assert.strictEqual(evaluateRules(rules, { os: MACOS }), false);
+});
+
+test('OS version rules are regular expressions', () => {
+    assert.strictEqual(matchesOS({ name: 'osx', version: '^10\\.5\\.\\d$' }, MACOS), false);
+    assert.strictEqual(matchesOS({ name: 'windows', version: '^10\\.' }, WINDOWS), true);
+});
+
+test('an invalid OS version pattern does not match instead of throwing', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.strictEqual(matchesOS({ version: '[' }, WINDOWS), false);
+});
+
+test('OS arch rules compare against the Minecraft architecture', () => {
+    const rules = [{ action: 'allow', os: { arch: 'x86' } }];
+
+    assert.strictEqual(evaluateRules(rules, { os: LINUX_32 }), true);
+    assert.strictEqual(evaluateRules(rules, { os: WINDOWS }), false);
+});
+
+test('feature rules treat missing features as disabled', () => {
+    const demo = [{ action: 'allow', features: { [FEATURES.IS_DEMO_USER]: true } }];
+    const notDemo = [{ action: 'allow', features: { [FEATURES.IS_DEMO_USER]: false } }];
+
+    assert.strictEqual(evaluateRules(demo, { os: WINDOWS }), false);
+    assert.strictEqual(evaluateRules(demo, { os: WINDOWS, features: { [FEATURES.IS_DEMO_USER]: true } }), true);
+    assert.strictEqual(evaluateRules(notDemo, { os: WINDOWS }), true);
+});
+
+test('native classifiers fill in ${arch} with the bitness', () => {
+    const lib = { natives: { windows: 'natives-windows-${arch}', osx: 'natives-osx' } };
+
+    assert.strictEqual(getArchBits(LINUX_32), '32');
+    assert.strictEqual(getArchBits(MACOS), '64');
+    assert.strictEqual(resolveNativeClassifier(lib, WINDOWS), 'natives-windows-64');
+    assert.strictEqual(resolveNativeClassifier(lib, MACOS), 'natives-osx');
+    assert.strictEqual(resolveNativeClassifier(lib, LINUX_32), null);
+    assert.strictEqual(resolveNativeClassifier({}, WINDOWS), null);
+});
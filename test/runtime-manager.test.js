@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// The metadata cache lives in a temporary userData directory
+const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-runtime-'));
+require.cache[require.resolve('electron')] = {
+    exports: { app: { getPath: () => userData } }
+};
+test.after(() => fs.rmSync(userData, { recursive: true, force: true }));
+
+const {
+    ensureJavaRuntime,
+    getRuntimePlatform,
+    getJavaExecutable,
+    resolveRuntimePath
+} = require('../src/file-manager/runtime-manager');
+
+const COMPONENT = 'java-runtime-delta';
+const JAVA = Buffer.from('#!/bin/sh\n');
+const HOST_SUPPORTED = (() => {
+    try {
+        getRuntimePlatform();
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+
+function sha1(data) {
+    return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * A game directory with a runtime folder, and the component file list that has only the java executable
+ * Each test uses its own manifest URL, the runtime manifest stays in the metadata cache.
+ */
+function createRuntime(t, name) {
+    const gameDir = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-game-'));
+    t.after(() => fs.rmSync(gameDir, { recursive: true, force: true }));
+
+    const runtimeDir = path.join(gameDir, 'runtime', COMPONENT);
+    const javaPath = getJavaExecutable(runtimeDir);
+    const javaRelPath = path.relative(runtimeDir, javaPath).split(path.sep).join('/');
+
+    const files = {};
+    const parts = javaRelPath.split('/');
+    for (let i = 1; i < parts.length; i++) {
+        files[parts.slice(0, i).join('/')] = { type: 'directory' };
+    }
+    files[javaRelPath] = {
+        type: 'file',
+        executable: true,
+        downloads: { raw: { sha1: sha1(JAVA), size: JAVA.length, url: `https://runtime.test/${name}/java` } }
+    };
+
+    return {
+        config: { game_directory: gameDir, java_runtime: { manifest_url: `https://meta.test/${name}/all.json` } },
+        runtimeDir,
+        javaPath,
+        files
+    };
+}
+
+/**
+ * Answer the runtime manifest and the component file list, whose body is used as it is
+ */
+function mockRuntimeMeta(t, name, fileListBody, fileListSha1 = sha1(fileListBody)) {
+    const manifest = {
+        [getRuntimePlatform()]: {
+            [COMPONENT]: [{
+                manifest: { sha1: fileListSha1, url: `https://meta.test/${name}/manifest.json` },
+                version: { name: '21.0.7' }
+            }]
+        }
+    };
+
+    t.mock.method(axios, 'get', async (url) => {
+        if (url === `https://meta.test/${name}/all.json`) return { status: 200, headers: {}, data: manifest };
+        if (url === `https://meta.test/${name}/manifest.json`) return { status: 200, headers: {}, data: fileListBody };
+        throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+    });
+}
+
+test('runtime platforms follow the names in the Mojang manifest', () => {
+    assert.strictEqual(getRuntimePlatform('win32', 'x64'), 'windows-x64');
+    assert.strictEqual(getRuntimePlatform('win32', 'arm64'), 'windows-arm64');
+    assert.strictEqual(getRuntimePlatform('darwin', 'arm64'), 'mac-os-arm64');
+    assert.strictEqual(getRuntimePlatform('darwin', 'x64'), 'mac-os');
+    assert.strictEqual(getRuntimePlatform('linux', 'ia32'), 'linux-i386');
+});
+
+test('platforms without a Mojang runtime are an error', () => {
+    assert.throws(() => getRuntimePlatform('linux', 'arm64'), /No Java runtime available for linux arm64/);
+    assert.throws(() => getRuntimePlatform('freebsd', 'x64'), /No Java runtime available/);
+});
+
+test('runtime paths stay inside the runtime directory', () => {
+    const runtimeDir = path.resolve('runtime', COMPONENT);
+
+    assert.strictEqual(resolveRuntimePath(runtimeDir, 'bin/java'), path.join(runtimeDir, 'bin', 'java'));
+    assert.strictEqual(
+        resolveRuntimePath(runtimeDir, '../lib/libjli.so', path.join(runtimeDir, 'bin')),
+        path.join(runtimeDir, 'lib', 'libjli.so')
+    );
+    assert.throws(() => resolveRuntimePath(runtimeDir, '../../evil'), /outside the runtime directory/);
+    assert.throws(() => resolveRuntimePath(runtimeDir, '.'), /outside the runtime directory/);
+    assert.throws(() => resolveRuntimePath(runtimeDir, path.resolve('/etc/passwd')), /outside the runtime directory/);
+    assert.throws(
+        () => resolveRuntimePath(runtimeDir, '../../../outside', path.join(runtimeDir, 'bin')),
+        /outside the runtime directory/
+    );
+});
+
+test('a file list that does not match its hash is not used', { skip: !HOST_SUPPORTED }, async (t) => {
+    const { config, files } = createRuntime(t, 'tampered');
+    mockRuntimeMeta(t, 'tampered', JSON.stringify({ files }), sha1('something else'));
+    t.mock.method(console, 'log', () => {});
+
+    await assert.rejects(ensureJavaRuntime(config, { component: COMPONENT, majorVersion: 21 }), /SHA1 verification failed/);
+});
+
+test('files the new runtime no longer has are removed on update', { skip: !HOST_SUPPORTED }, async (t) => {
+    const { config, runtimeDir, javaPath, files } = createRuntime(t, 'update');
+    fs.mkdirSync(path.dirname(javaPath), { recursive: true });
+    fs.writeFileSync(javaPath, JAVA);
+    fs.mkdirSync(path.join(runtimeDir, 'legal', 'java.base'), { recursive: true });
+    fs.writeFileSync(path.join(runtimeDir, 'legal', 'java.base', 'LICENSE'), 'old');
+    fs.writeFileSync(path.join(runtimeDir, 'release'), 'old');
+    fs.writeFileSync(path.join(runtimeDir, '.runtime.json'), JSON.stringify({ version: '17.0.8', manifestSha1: 'old' }));
+    mockRuntimeMeta(t, 'update', JSON.stringify({ files }));
+    t.mock.method(console, 'log', () => {});
+
+    const runtime = await ensureJavaRuntime(config, { component: COMPONENT, majorVersion: 21 });
+
+    assert.deepStrictEqual(runtime, { javaPath, component: COMPONENT, version: '21.0.7', majorVersion: 21 });
+    assert.ok(fs.existsSync(javaPath));
+    assert.ok(!fs.existsSync(path.join(runtimeDir, 'legal')));
+    assert.ok(!fs.existsSync(path.join(runtimeDir, 'release')));
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(runtimeDir, '.runtime.json'), 'utf8')).version, '21.0.7');
+});
+
+test('the cached runtime manifest finds the installed runtime offline', { skip: !HOST_SUPPORTED }, async (t) => {
+    const { config, javaPath, files } = createRuntime(t, 'cached');
+    fs.mkdirSync(path.dirname(javaPath), { recursive: true });
+    fs.writeFileSync(javaPath, JAVA);
+    mockRuntimeMeta(t, 'cached', JSON.stringify({ files }));
+    t.mock.method(console, 'log', () => {});
+    await ensureJavaRuntime(config, { component: COMPONENT, majorVersion: 21 });
+
+    // Past the cache TTL with the network down
+    const later = Date.now() + 60 * 60 * 1000;
+    t.mock.method(Date, 'now', () => later);
+    t.mock.method(axios, 'get', async () => {
+        throw Object.assign(new Error('getaddrinfo ENOTFOUND meta.test'), { code: 'ENOTFOUND' });
+    });
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    const runtime = await ensureJavaRuntime(config, { component: COMPONENT, majorVersion: 21 });
+
+    assert.deepStrictEqual(runtime, { javaPath, component: COMPONENT, version: '21.0.7', majorVersion: 21 });
+    assert.match(warn.mock.calls[0].arguments[0], /using the cached copy/);
+});
+
+test('an installed runtime is used when the manifest cannot be reached', { skip: !HOST_SUPPORTED }, async (t) => {
+    const { config, runtimeDir, javaPath } = createRuntime(t, 'offline');
+    fs.mkdirSync(path.dirname(javaPath), { recursive: true });
+    fs.writeFileSync(javaPath, JAVA);
+    fs.writeFileSync(path.join(runtimeDir, '.runtime.json'), JSON.stringify({ version: '21.0.3', majorVersion: 21, manifestSha1: 'abc' }));
+    t.mock.method(axios, 'get', async () => {
+        throw Object.assign(new Error('getaddrinfo ENOTFOUND meta.test'), { code: 'ENOTFOUND' });
+    });
+    t.mock.method(console, 'warn', () => {});
+
+    const runtime = await ensureJavaRuntime(config, { component: COMPONENT, majorVersion: 21 });
+
+    assert.deepStrictEqual(runtime, { javaPath, component: COMPONENT, version: '21.0.3', majorVersion: 21 });
+});
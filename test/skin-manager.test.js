@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// Each test gets its own userData directory
+let userData = null;
+require.cache[require.resolve('electron')] = {
+    exports: { app: { getPath: () => userData } }
+};
+const {
+    readTextureFile,
+    saveTexture,
+    loadTexture,
+    deleteTextures,
+    getSkinPreview,
+    readPngSize,
+    SkinModel,
+    TextureType
+} = require('../src/launch/skin-manager');
+const { uploadTexture, resetTexture } = require('../src/launch/yggdrasil-auth');
+
+const SESSION = {
+    apiRoot: 'https://skins.example.com/api/yggdrasil',
+    serverName: 'Example Skins',
+    accessToken: 'access',
+    uuid: '069a79f4-44e9-4726-a5be-fca90e38aaf5'
+};
+
+/**
+ * Start of a PNG file, up to the image size in its IHDR chunk
+ */
+function createPng(width, height) {
+    const header = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header, 0);
+    header.writeUInt32BE(13, 8);
+    header.write('IHDR', 12, 'ascii');
+    header.writeUInt32BE(width, 16);
+    header.writeUInt32BE(height, 20);
+    return header;
+}
+
+function createUserData(t) {
+    userData = fs.mkdtempSync(path.join(os.tmpdir(), 'naizo-skins-'));
+    const dir = userData;
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('the image size is read from the PNG header', () => {
+    assert.deepStrictEqual(readPngSize(createPng(64, 32)), { width: 64, height: 32 });
+    assert.strictEqual(readPngSize(Buffer.from('GIF89a not a png at all, really')), null);
+    assert.strictEqual(readPngSize(createPng(64, 64).subarray(0, 20)), null);
+});
+
+test('skins and capes must have a size the game can use', async (t) => {
+    const dir = createUserData(t);
+    const write = (name, data) => {
+        fs.writeFileSync(path.join(dir, name), data);
+        return path.join(dir, name);
+    };
+
+    assert.deepStrictEqual(await readTextureFile(write('steve.png', createPng(64, 64)), TextureType.SKIN), createPng(64, 64));
+    assert.ok(await readTextureFile(write('legacy.png', createPng(64, 32)), TextureType.SKIN));
+    assert.ok(await readTextureFile(write('cape.png', createPng(22, 17)), TextureType.CAPE));
+
+    await assert.rejects(
+        readTextureFile(write('hd.png', createPng(128, 128)), TextureType.SKIN),
+        /A skin must be 64x64 or 64x32 pixels, hd\.png is 128x128/
+    );
+    await assert.rejects(readTextureFile(write('skin.jpg', 'not a png'), TextureType.SKIN), /skin\.jpg is not a PNG image/);
+    await assert.rejects(
+        readTextureFile(write('huge.png', Buffer.concat([createPng(64, 64), Buffer.alloc(1024 * 1024)])), TextureType.SKIN),
+        /huge\.png is too large to be a skin/
+    );
+});
+
+test('saved textures are previewed as data URLs until they are deleted', async (t) => {
+    createUserData(t);
+    const account = { id: 'account-1', skin: { model: SkinModel.SLIM, cape: false } };
+
+    await saveTexture(account.id, TextureType.SKIN, createPng(64, 64));
+    assert.deepStrictEqual(await loadTexture(account.id, TextureType.SKIN), createPng(64, 64));
+    assert.deepStrictEqual(await getSkinPreview(account), {
+        model: SkinModel.SLIM,
+        skin: `data:image/png;base64,${createPng(64, 64).toString('base64')}`,
+        cape: null
+    });
+    assert.strictEqual(await getSkinPreview({ id: account.id }), null);
+
+    await deleteTextures(account.id);
+    assert.strictEqual(await loadTexture(account.id, TextureType.SKIN), null);
+});
+
+test('skins are uploaded to the auth server with their arm model', async (t) => {
+    const put = t.mock.method(axios, 'put', async () => ({ data: '' }));
+
+    await uploadTexture(SESSION, TextureType.SKIN, createPng(64, 64), SkinModel.SLIM);
+
+    const [url, form, options] = put.mock.calls[0].arguments;
+    assert.strictEqual(url, 'https://skins.example.com/api/yggdrasil/api/user/profile/069a79f444e94726a5befca90e38aaf5/skin');
+    assert.strictEqual(form.get('model'), 'slim');
+    assert.strictEqual(form.get('file').type, 'image/png');
+    assert.strictEqual(options.headers.Authorization, 'Bearer access');
+});
+
+test('auth servers without texture uploads are explained', async (t) => {
+    t.mock.method(axios, 'delete', async () => {
+        throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, data: '' } });
+    });
+
+    await assert.rejects(
+        resetTexture(SESSION, TextureType.CAPE),
+        /Could not remove the cape on Example Skins: the server does not support changing textures from the launcher/
+    );
+});
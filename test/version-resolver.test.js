@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    resolveVersionProfile,
+    mergeLibraries,
+    mergeArgumentList
+} = require('../src/file-manager/version-resolver');
+
+const VANILLA = {
+    id: '1.20.1',
+    mainClass: 'net.minecraft.client.main.Main',
+    assetIndex: { id: '5' },
+    downloads: { client: { url: 'https://example.com/client.jar', sha1: 'abc' } },
+    libraries: [
+        { name: 'org.ow2.asm:asm:9.3' },
+        { name: 'org.lwjgl:lwjgl:3.3.1' },
+        { name: 'org.lwjgl:lwjgl:3.3.1:natives-linux' }
+    ],
+    arguments: {
+        game: ['--username', '${auth_player_name}', '--version', '${version_name}'],
+        jvm: ['-cp', '${classpath}']
+    }
+};
+
+const FABRIC = {
+    id: 'fabric-loader-0.18.3-1.20.1',
+    inheritsFrom: '1.20.1',
+    mainClass: 'net.fabricmc.loader.impl.launch.knot.KnotClient',
+    libraries: [
+        { name: 'org.ow2.asm:asm:9.6' },
+        { name: 'net.fabricmc:fabric-loader:0.18.3' }
+    ],
+    arguments: {
+        game: [],
+        jvm: ['-DFabricMcEmu= net.minecraft.client.main.Main ']
+    }
+};
+
+function loaderFor(profiles) {
+    return async (id) => {
+        if (!profiles[id]) throw new Error(`Minecraft version ${id} not found`);
+        return profiles[id];
+    };
+}
+
+test('child libraries replace parent libraries of the same group and artifact', () => {
+    const names = mergeLibraries(VANILLA.libraries, FABRIC.libraries).map(lib => lib.name);
+
+    assert.deepStrictEqual(names, [
+        'org.ow2.asm:asm:9.6',
+        'net.fabricmc:fabric-loader:0.18.3',
+        'org.lwjgl:lwjgl:3.3.1',
+        'org.lwjgl:lwjgl:3.3.1:natives-linux'
+    ]);
+});
+
+test('native classifiers are kept apart from the main jar', () => {
+    const names = mergeLibraries(VANILLA.libraries, [{ name: 'org.lwjgl:lwjgl:3.3.3' }]).map(lib => lib.name);
+
+    assert.ok(names.includes('org.lwjgl:lwjgl:3.3.3'));
+    assert.ok(names.includes('org.lwjgl:lwjgl:3.3.1:natives-linux'));
+    assert.ok(!names.includes('org.lwjgl:lwjgl:3.3.1'));
+});
+
+test('arguments the parent already passes with the same values are not repeated', () => {
+    const merged = mergeArgumentList(
+        ['--username', '${auth_player_name}', '--demo'],
+        ['--username', '${auth_player_name}', '--tweakClass', 'a.b.C', '--demo']
+    );
+
+    assert.deepStrictEqual(merged, ['--username', '${auth_player_name}', '--demo', '--tweakClass', 'a.b.C']);
+});
+
+test('a loader profile is merged over the version it inherits from', async () => {
+    const profile = await resolveVersionProfile(FABRIC.id, loaderFor({ [VANILLA.id]: VANILLA, [FABRIC.id]: FABRIC }));
+
+    assert.strictEqual(profile.id, FABRIC.id);
+    assert.strictEqual(profile.mainClass, FABRIC.mainClass);
+    assert.strictEqual(profile.assetIndex.id, '5');
+    assert.strictEqual(profile.downloads.client.sha1, 'abc');
+    assert.strictEqual(profile.inheritsFrom, undefined);
+    assert.deepStrictEqual(profile.arguments.game, VANILLA.arguments.game);
+    assert.deepStrictEqual(profile.arguments.jvm, [...VANILLA.arguments.jvm, ...FABRIC.arguments.jvm]);
+});
+
+test('an empty argument list does not turn a legacy parent into a modern profile', async () => {
+    const legacy = { id: '1.12.2', minecraftArguments: '--username ${auth_player_name}', libraries: [] };
+    const child = { id: 'loader-1.12.2', inheritsFrom: '1.12.2', arguments: { game: [] }, libraries: [] };
+
+    const profile = await resolveVersionProfile(child.id, loaderFor({ [legacy.id]: legacy, [child.id]: child }));
+
+    assert.strictEqual(profile.arguments, undefined);
+    assert.strictEqual(profile.minecraftArguments, legacy.minecraftArguments);
+});
+
+test('chains of several levels are merged from the root down', async () => {
+    const modpack = { id: 'pack', inheritsFrom: FABRIC.id, mainClass: 'pack.Main', libraries: [{ name: 'pack:core:1' }] };
+    const profile = await resolveVersionProfile('pack', loaderFor({
+        [VANILLA.id]: VANILLA,
+        [FABRIC.id]: FABRIC,
+        pack: modpack
+    }));
+
+    assert.strictEqual(profile.mainClass, 'pack.Main');
+    assert.strictEqual(profile.libraries[0].name, 'pack:core:1');
+    assert.ok(profile.libraries.some(lib => lib.name === 'net.fabricmc:fabric-loader:0.18.3'));
+});
+
+test('an inheritance loop is an error', async () => {
+    const a = { id: 'a', inheritsFrom: 'b', libraries: [] };
+    const b = { id: 'b', inheritsFrom: 'a', libraries: [] };
+
+    await assert.rejects(resolveVersionProfile('a', loaderFor({ a, b })), /inherits from itself/);
+});
+
+test('a missing parent version is an error', async () => {
+    await assert.rejects(resolveVersionProfile(FABRIC.id, loaderFor({ [FABRIC.id]: FABRIC })), /1\.20\.1 not found/);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const {
+    signInToAuthServer,
+    ensureValidSession,
+    resolveApiRoot,
+    fetchServerMetadata,
+    createYggdrasilProfile
+} = require('../src/launch/yggdrasil-auth');
+
+const API_ROOT = 'https://skins.example.com/api/yggdrasil';
+const METADATA = JSON.stringify({ meta: { serverName: 'Example Skins' }, skinDomains: ['example.com'] });
+const PROFILE = { id: '069a79f444e94726a5befca90e38aaf5', name: 'Steve' };
+
+function createSession(overrides = {}) {
+    return {
+        apiRoot: API_ROOT,
+        serverName: 'Example Skins',
+        accessToken: 'access',
+        clientToken: 'c0ffee',
+        uuid: '069a79f4-44e9-4726-a5be-fca90e38aaf5',
+        username: 'Steve',
+        ...overrides
+    };
+}
+
+/**
+ * An axios error carrying an auth server error response
+ */
+function serverError(status, errorMessage) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), {
+        response: { status, data: errorMessage ? { error: 'ForbiddenOperationException', errorMessage } : '' }
+    });
+}
+
+/**
+ * Answer the auth server endpoints; each handler gets the request body
+ */
+function mockAuthServer(t, handlers = {}) {
+    const posts = [];
+
+    t.mock.method(axios, 'get', async (url) => {
+        if (url === 'https://skins.example.com') {
+            return { headers: { 'x-authlib-injector-api-location': '/api/yggdrasil/' }, data: '' };
+        }
+        if (url === API_ROOT) {
+            return { headers: {}, data: METADATA };
+        }
+        throw new Error(`Unexpected request to ${url}`);
+    });
+    t.mock.method(axios, 'post', async (url, body) => {
+        const endpoint = url.slice(`${API_ROOT}/authserver/`.length);
+        posts.push({ endpoint, body });
+        if (!handlers[endpoint]) throw new Error(`Unexpected request to ${url}`);
+        return { data: await handlers[endpoint](body) };
+    });
+
+    return posts;
+}
+
+test('the API location header of an auth server is followed', async (t) => {
+    mockAuthServer(t);
+
+    assert.strictEqual(await resolveApiRoot(' skins.example.com/ '), API_ROOT);
+    await assert.rejects(resolveApiRoot(''), /Enter the address of the authentication server/);
+    await assert.rejects(resolveApiRoot('http://down.example.com'), /Could not reach the authentication server at http:\/\/down\.example\.com/);
+});
+
+test('the server metadata is kept as sent for authlib-injector', async (t) => {
+    mockAuthServer(t);
+
+    const { metadata, prefetched } = await fetchServerMetadata(API_ROOT);
+
+    assert.strictEqual(metadata.meta.serverName, 'Example Skins');
+    assert.strictEqual(Buffer.from(prefetched, 'base64').toString('utf8'), METADATA);
+});
+
+test('signing in returns a session for the selected character', async (t) => {
+    const posts = mockAuthServer(t, {
+        authenticate: body => ({ accessToken: 'access', clientToken: body.clientToken, availableProfiles: [PROFILE] })
+    });
+
+    const session = await signInToAuthServer('skins.example.com', 'steve@example.com', 'hunter22');
+
+    assert.deepStrictEqual(session, createSession({ clientToken: posts[0].body.clientToken }));
+    assert.match(posts[0].body.clientToken, /^[0-9a-f]{32}$/);
+    assert.deepStrictEqual(posts[0].body.agent, { name: 'Minecraft', version: 1 });
+    assert.strictEqual(posts[0].body.password, 'hunter22');
+});
+
+test('sign-in errors of the server are shown as they are', async (t) => {
+    mockAuthServer(t, {
+        authenticate: () => { throw serverError(403, 'Invalid credentials. Invalid username or password.'); }
+    });
+    await assert.rejects(signInToAuthServer(API_ROOT, 'steve', 'wrong'), /^Error: Invalid credentials\. Invalid username or password\.$/);
+});
+
+test('accounts without a character cannot sign in', async (t) => {
+    mockAuthServer(t, { authenticate: () => ({ accessToken: 'access', clientToken: 'c0ffee', availableProfiles: [] }) });
+
+    await assert.rejects(signInToAuthServer(API_ROOT, 'steve', 'hunter22'), /no character on the authentication server/);
+});
+
+test('a session the server no longer accepts is refreshed', async (t) => {
+    const posts = mockAuthServer(t, {
+        validate: () => { throw serverError(403, 'Invalid token.'); },
+        refresh: body => ({ accessToken: 'access-2', clientToken: body.clientToken, selectedProfile: { ...PROFILE, name: 'Steve_Renamed' } })
+    });
+    t.mock.method(console, 'log', () => {});
+
+    const { session, refreshed } = await ensureValidSession(createSession());
+
+    assert.strictEqual(refreshed, true);
+    assert.deepStrictEqual(session, createSession({ accessToken: 'access-2', username: 'Steve_Renamed' }));
+    assert.deepStrictEqual(posts.map(post => post.endpoint), ['validate', 'refresh']);
+});
+
+test('a valid session is used as it is', async (t) => {
+    mockAuthServer(t, { validate: () => '' });
+    const original = createSession();
+
+    assert.deepStrictEqual(await ensureValidSession(original), { session: original, refreshed: false });
+});
+
+test('an expired sign-in asks the player to sign in again', async (t) => {
+    mockAuthServer(t, {
+        validate: () => { throw serverError(403, 'Invalid token.'); },
+        refresh: () => { throw serverError(403, 'Invalid token.'); }
+    });
+    t.mock.method(console, 'log', () => {});
+
+    await assert.rejects(ensureValidSession(createSession()), /The sign-in to Example Skins has expired/);
+});
+
+test('auth server profiles carry the authlib-injector settings', () => {
+    const authServer = { apiRoot: API_ROOT, prefetched: 'e30=', injectorPath: '/libs/authlib-injector.jar' };
+    const profile = createYggdrasilProfile(createSession(), authServer);
+
+    assert.strictEqual(profile.accessToken, 'access');
+    assert.strictEqual(profile.clientToken, 'c0ffee');
+    assert.strictEqual(profile.userType, 'mojang');
+    assert.strictEqual(profile.authServer, authServer);
+});
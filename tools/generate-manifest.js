@@ -7,6 +7,9 @@ const SOURCE_DIR = './modpack-source'; // Put your mods/config folders here
 const OUTPUT_FILE = './modpack.json';
 // CHANGE THIS to your actual raw file host URL (e.g. GitHub raw link)
 const BASE_URL = 'https://raw.githubusercontent.com/MeherBenSalem/NaizoLauncher/main/modpack-source';
+// Game version the modpack is built for (players can't change it while the modpack is enabled)
+const MINECRAFT_VERSION = '1.20.1';
+const LOADER = { type: 'fabric', version: '0.18.3' }; // type: 'fabric', 'quilt', 'neoforge' or 'none' for vanilla
 
 /**
  * Files that regenerate on each Minecraft launch with unique data.
@@ -74,6 +77,8 @@ try {
 
     const manifest = {
         version: "1.0.0", // You can increment this manually or automatically
+        minecraft_version: MINECRAFT_VERSION,
+        loader: LOADER,
         files: files
     };
 